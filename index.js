@@ -5,6 +5,25 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const path = require('path');
+const { startDispatcher } = require('./services/dispatchService');
+const { startScheduler } = require('./services/rideSchedulerService');
+const { startPoolMatcher } = require('./services/poolingService');
+const { startCashReconciler } = require('./services/cashReconciliationService');
+const { assertQuoteConfig } = require('./services/fareService');
+const { assertSmsConfig } = require('./services/smsService');
+const { assertShareConfig } = require('./services/rideShareService');
+const { assertPaymentConfig } = require('./services/paymentService');
+
+// Refuse to start without the secrets and providers the app needs configured
+try {
+  assertQuoteConfig();
+  assertSmsConfig();
+  assertShareConfig();
+  assertPaymentConfig();
+} catch (error) {
+  console.error('Configuration error:', error.message);
+  process.exit(1);
+}
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -18,7 +37,12 @@ app.use(helmet());
 //   credentials: true
 // }));
 app.use(cors());
-app.use(express.json());
+// Keep the raw body so payment webhooks can check the provider's signature
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(morgan('dev'));
 
 // Serve static files for uploads
@@ -26,7 +50,13 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // MongoDB Connection
 mongoose.connect(process.env.MONGODB_URI)
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+  startDispatcher();
+  startScheduler();
+  startPoolMatcher();
+  startCashReconciler();
+})
 .catch(err => {
   console.error('MongoDB connection error:', err.message);
   process.exit(1); 
@@ -39,7 +69,18 @@ app.use('/api', require('./routes/admin/driver'));
 app.use('/api/driver', require('./routes/driver'));
 app.use('/api', require('./routes/admin/vehicle'));
 app.use('/api', require('./routes/admin/rides'));
+app.use('/api', require('./routes/admin/pricing'));
+app.use('/api', require('./routes/admin/promo'));
+app.use('/api', require('./routes/admin/incidents'));
+app.use('/api', require('./routes/admin/payments'));
+app.use('/api', require('./routes/admin/wallets'));
+app.use('/api', require('./routes/admin/earnings'));
+app.use('/api', require('./routes/admin/payouts'));
+app.use('/api', require('./routes/admin/cash'));
 app.use('/api/rides', require('./routes/rides'));
+app.use('/api/realtime', require('./routes/realtime'));
+app.use('/api/payments', require('./routes/payments'));
+app.use('/api/wallet', require('./routes/wallet'));
 app.use('/api', require('./routes/user'));app.use('/api/notifications', require('./routes/notifications'));app.use('/api/charter-driver', require('./routes/charterDriver'));
 
 
@@ -47,6 +88,7 @@ app.use('/api', require('./routes/user'));app.use('/api/notifications', require(
 app.use('/api/admin/charter', require('./routes/admin/charter/charterDriver'));
 app.use('/api/admin/charter', require('./routes/admin/charter/CharterVehicle'));
 app.use('/api/admin/charter', require('./routes/admin/charter/charterOrder'));
+app.use('/api/admin/charter', require('./routes/admin/charter/charterRate'));
 app.use('/api/charter', require('./routes/charter'));
 app.use('/api/charter', require('./routes/charterVehicles'));
 app.use('/api/charter-driver', require('./routes/charterDriver'));
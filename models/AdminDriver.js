@@ -53,9 +53,81 @@ const driverSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Dispatch availability
+  isOnline: {
+    type: Boolean,
+    default: false
+  },
+  currentLocation: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number], // [lng, lat]
+      default: undefined
+    }
+  },
+  lastLocationAt: {
+    type: Date,
+    default: null
+  },
+  // Ride offers made by the dispatcher, used to compute acceptance rate
+  offersReceived: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  offersAccepted: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Where payouts are sent
+  bankAccount: {
+    bankName: {
+      type: String,
+      trim: true
+    },
+    bankCode: {
+      type: String,
+      trim: true
+    },
+    accountNumber: {
+      type: String,
+      trim: true,
+      match: [/^\d{10}$/, 'Account number must be 10 digits']
+    },
+    accountName: {
+      type: String,
+      trim: true
+    }
+  },
+  // Set while the driver owes too much cash commission for too long; blocks new assignments
+  cashHold: {
+    blocked: {
+      type: Boolean,
+      default: false
+    },
+    overdue: {
+      type: Number,
+      default: 0
+    },
+    blockedAt: {
+      type: Date,
+      default: null
+    },
+    checkedAt: {
+      type: Date,
+      default: null
+    }
+  },
 }, {
   timestamps: true
 });
 
+driverSchema.index({ currentLocation: '2dsphere' });
+driverSchema.index({ isOnline: 1 });
+
 
 module.exports = mongoose.model('DriverDetail', driverSchema);
\ No newline at end of file
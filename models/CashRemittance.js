@@ -0,0 +1,94 @@
+// models/CashRemittance.js
+// Money a driver handed back to the platform for the commission on cash trips, recorded by an
+// admin. A payout that nets it off against the driver's earnings points to it with payoutId.
+const mongoose = require('mongoose');
+
+const CashRemittanceSchema = new mongoose.Schema({
+  // Ride drivers
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DriverDetail',
+    default: null
+  },
+
+  // Charter drivers
+  charterDriverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CharterDriver',
+    default: null
+  },
+
+  // In Naira
+  amount: {
+    type: Number,
+    required: true,
+    min: [1, 'Amount must be at least 1']
+  },
+
+  method: {
+    type: String,
+    enum: ['bank_transfer', 'cash', 'pos', 'other'],
+    required: true
+  },
+
+  // Bank or POS reference, if any
+  reference: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  note: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // A remittance recorded in error is voided, not deleted
+  status: {
+    type: String,
+    enum: ['recorded', 'voided'],
+    default: 'recorded'
+  },
+
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  voidedAt: {
+    type: Date,
+    default: null
+  },
+
+  voidReason: {
+    type: String,
+    default: ''
+  },
+
+  payoutId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DriverPayout',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+CashRemittanceSchema.index({ driverId: 1, receivedAt: -1 });
+CashRemittanceSchema.index({ charterDriverId: 1, receivedAt: -1 });
+CashRemittanceSchema.index({ payoutId: 1 });
+
+module.exports = mongoose.model('CashRemittance', CashRemittanceSchema);
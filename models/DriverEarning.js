@@ -0,0 +1,118 @@
+// models/DriverEarning.js
+// One entry in a driver's earnings ledger: a completed ride or charter trip, or the driver's share
+// of a cancellation fee, split into the platform's commission and what the driver keeps.
+// Written by services/earningsService.js; DriverDetail and CharterDriver totals follow it.
+const mongoose = require('mongoose');
+
+const DriverEarningSchema = new mongoose.Schema({
+  // Ride drivers
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DriverDetail',
+    default: null
+  },
+
+  // Charter drivers
+  charterDriverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CharterDriver',
+    default: null
+  },
+
+  source: {
+    type: String,
+    enum: ['ride', 'charter', 'cancellation_fee'],
+    required: true
+  },
+
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    default: null
+  },
+
+  charterOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CharterOrder',
+    default: null
+  },
+
+  // rideType for rides, vehicleType for charters
+  serviceType: {
+    type: String,
+    default: null
+  },
+
+  paymentMethod: {
+    type: String,
+    default: null
+  },
+
+  // In Naira: grossAmount = commission + driverShare
+  grossAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // What the customer actually paid, after any promo discount. On cash trips the driver holds it.
+  amountCollected: {
+    type: Number,
+    min: 0
+  },
+
+  // When the money was collected: straight away for cash trips and charged fees, when the
+  // customer's payment completes for online and wallet trips. Only collected entries are paid out.
+  collectedAt: {
+    type: Date,
+    default: null
+  },
+
+  commissionPercent: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+
+  commission: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  driverShare: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  earnedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // The payout that settled this entry; null while it is still owed
+  payoutId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DriverPayout',
+    default: null
+  },
+
+  // Makes each trip or fee earn once, e.g. ride:<rideId>
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  }
+}, {
+  timestamps: true
+});
+
+DriverEarningSchema.index({ driverId: 1, earnedAt: -1 });
+DriverEarningSchema.index({ charterDriverId: 1, earnedAt: -1 });
+DriverEarningSchema.index({ rideId: 1 });
+DriverEarningSchema.index({ charterOrderId: 1 });
+DriverEarningSchema.index({ payoutId: 1 });
+
+module.exports = mongoose.model('DriverEarning', DriverEarningSchema);
@@ -0,0 +1,91 @@
+// models/DriverPayout.js
+// One driver's share of a PayoutBatch: the earnings it settles, less the commission the driver
+// owes on cash trips. The DriverEarning entries it settles point back to it.
+const mongoose = require('mongoose');
+
+const DriverPayoutSchema = new mongoose.Schema({
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutBatch',
+    required: true
+  },
+
+  // Ride drivers
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DriverDetail',
+    default: null
+  },
+
+  // Charter drivers
+  charterDriverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CharterDriver',
+    default: null
+  },
+
+  // pending until the batch is paid; failed and cancelled payouts release their earnings
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+
+  entryCount: {
+    type: Number,
+    default: 0
+  },
+
+  // In Naira: amount = earnings - cashCommission + remittances
+  earnings: {
+    type: Number,
+    required: true
+  },
+
+  cashCommission: {
+    type: Number,
+    default: 0
+  },
+
+  // Cash remittances netted off in this payout
+  remittances: {
+    type: Number,
+    default: 0
+  },
+
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // Copied from the driver when the batch is made, so the transfer file matches what was approved
+  accountName: String,
+  bankName: String,
+  bankCode: String,
+  accountNumber: String,
+
+  // The bank's reference for the transfer, or why it failed
+  transferReference: {
+    type: String,
+    default: null
+  },
+
+  failureReason: {
+    type: String,
+    default: null
+  },
+
+  paidAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+DriverPayoutSchema.index({ batchId: 1 });
+DriverPayoutSchema.index({ driverId: 1, createdAt: -1 });
+DriverPayoutSchema.index({ charterDriverId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DriverPayout', DriverPayoutSchema);
@@ -17,9 +17,18 @@ const NotificationSchema = new mongoose.Schema({
       'order_in_progress',
       'order_completed',
       'order_cancelled',
+      'order_quoted',
+      'quote_accepted',
+      'quote_declined',
       'driver_accepted',
       'vehicle_assigned',
-      'admin_approval'
+      'admin_approval',
+      'ride_offer',
+      'ride_unassigned',
+      'ride_update',
+      'ride_reminder',
+      'sos_alert',
+      'payment_update'
     ],
     required: true
   },
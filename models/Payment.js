@@ -0,0 +1,133 @@
+// models/Payment.js
+// One attempt to collect money online through a payment provider (see services/paymentService.js)
+const mongoose = require('mongoose');
+
+const PaymentSchema = new mongoose.Schema({
+  // Our reference, sent to the provider and used to match its webhooks
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  provider: {
+    type: String,
+    required: true
+  },
+
+  // What the payment is for
+  purpose: {
+    type: String,
+    enum: ['ride_fare', 'ride_cancellation_fee', 'charter', 'wallet_top_up'],
+    required: true
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    default: null
+  },
+
+  charterOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CharterOrder',
+    default: null
+  },
+
+  // In Naira; providers convert to their own minor units
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  currency: {
+    type: String,
+    default: 'NGN'
+  },
+
+  // initialized: waiting for the customer to pay on the provider's page
+  // refunding: a refund has been claimed and the provider is being asked for it
+  status: {
+    type: String,
+    enum: ['initialized', 'succeeded', 'failed', 'refunding', 'refunded'],
+    default: 'initialized'
+  },
+
+  authorizationUrl: {
+    type: String,
+    default: null
+  },
+
+  // The provider's own id for the transaction
+  providerReference: {
+    type: String,
+    default: null
+  },
+
+  paidAt: {
+    type: Date,
+    default: null
+  },
+
+  failureReason: {
+    type: String,
+    default: null
+  },
+
+  refund: {
+    amount: {
+      type: Number,
+      default: 0
+    },
+    providerReference: {
+      type: String,
+      default: null
+    },
+    refundedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    refundedAt: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // Every status we learned from the provider, by webhook or by asking it
+  events: [{
+    _id: false,
+    source: {
+      type: String,
+      enum: ['initialize', 'verify', 'webhook', 'refund']
+    },
+    status: String,
+    detail: String,
+    at: Date
+  }]
+}, {
+  timestamps: true
+});
+
+PaymentSchema.index({ rideId: 1, createdAt: -1 });
+PaymentSchema.index({ charterOrderId: 1, createdAt: -1 });
+PaymentSchema.index({ userId: 1, createdAt: -1 });
+PaymentSchema.index({ status: 1, createdAt: -1 });
+// At most one open payment for each thing a ride or charter order can be paid for
+PaymentSchema.index(
+  { rideId: 1, purpose: 1 },
+  { unique: true, partialFilterExpression: { status: 'initialized', rideId: { $type: 'objectId' } } }
+);
+PaymentSchema.index(
+  { charterOrderId: 1, purpose: 1 },
+  { unique: true, partialFilterExpression: { status: 'initialized', charterOrderId: { $type: 'objectId' } } }
+);
+
+module.exports = mongoose.model('Payment', PaymentSchema);
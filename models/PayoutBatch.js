@@ -0,0 +1,121 @@
+// models/PayoutBatch.js
+// A settlement run: every driver owed at least the threshold gets one DriverPayout in the batch.
+// draft -> approved -> paid; a draft or approved batch can be cancelled, which releases its
+// earnings for the next batch. See services/payoutService.js.
+const mongoose = require('mongoose');
+
+const PayoutBatchSchema = new mongoose.Schema({
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  status: {
+    type: String,
+    enum: ['draft', 'approved', 'paid', 'cancelled'],
+    default: 'draft'
+  },
+
+  // Smallest balance, in Naira, that was paid out
+  threshold: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // Only earnings up to this time were collected
+  cutoff: {
+    type: Date,
+    required: true
+  },
+
+  // Sums over the batch's payouts, in Naira
+  totals: {
+    payouts: {
+      type: Number,
+      default: 0
+    },
+    earnings: {
+      type: Number,
+      default: 0
+    },
+    cashCommission: {
+      type: Number,
+      default: 0
+    },
+    remittances: {
+      type: Number,
+      default: 0
+    },
+    amount: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  // Drivers over the threshold who could not be included, e.g. no bank account on file
+  skipped: [{
+    _id: false,
+    driverId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DriverDetail'
+    },
+    charterDriverId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CharterDriver'
+    },
+    amount: Number,
+    reason: String
+  }],
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  approvedAt: {
+    type: Date,
+    default: null
+  },
+
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  paidAt: {
+    type: Date,
+    default: null
+  },
+
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+
+  note: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+PayoutBatchSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PayoutBatch', PayoutBatchSchema);
@@ -0,0 +1,255 @@
+// models/PricingRule.js
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const MultiplierSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // 0 = Sunday ... 6 = Saturday. Empty means every day.
+  daysOfWeek: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+
+  // HH:mm in the pricing timezone. Omit both for an all-day multiplier.
+  // A window whose end is before its start wraps past midnight (e.g. 22:00 - 05:00).
+  startTime: {
+    type: String,
+    match: [TIME_PATTERN, 'Start time must be in HH:mm format'],
+    default: null
+  },
+
+  endTime: {
+    type: String,
+    match: [TIME_PATTERN, 'End time must be in HH:mm format'],
+    default: null
+  },
+
+  multiplier: {
+    type: Number,
+    required: [true, 'Please add a multiplier'],
+    min: [0.1, 'Multiplier must be at least 0.1'],
+    max: [10, 'Multiplier cannot exceed 10']
+  }
+}, { _id: false });
+
+// Caps and sensitivity for supply/demand surge pricing
+const SurgeSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  // Highest multiplier surge may ever apply
+  maxMultiplier: {
+    type: Number,
+    default: 2,
+    min: [1, 'Surge cap must be at least 1'],
+    max: [5, 'Surge cap cannot exceed 5']
+  },
+
+  // Multiplier added for every extra request per available driver
+  step: {
+    type: Number,
+    default: 0.25,
+    min: 0
+  },
+
+  // Size of the zone around the pickup point
+  radiusKm: {
+    type: Number,
+    default: 5,
+    min: 0.5
+  },
+
+  // Only requests made within this window count towards demand
+  demandWindowMinutes: {
+    type: Number,
+    default: 15,
+    min: 1
+  }
+}, { _id: false });
+
+// Shared rides: riders going the same way share one vehicle for a discount
+const PoolingSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  discountPercent: {
+    type: Number,
+    default: 25,
+    min: [0, 'Pool discount cannot be negative'],
+    max: [90, 'Pool discount cannot exceed 90%']
+  }
+}, { _id: false });
+
+// What riders pay for cancelling late or not showing up, and the driver's share of it
+const CancellationSchema = new mongoose.Schema({
+  // The rider can cancel for free this long after a driver accepts
+  freeWindowMinutes: {
+    type: Number,
+    default: 2,
+    min: 0
+  },
+
+  // Fee once the free window has passed and the driver is on the way
+  feeAfterAccept: {
+    type: Number,
+    default: 300,
+    min: 0
+  },
+
+  // Fee once the driver has arrived at the pickup
+  feeAfterArrival: {
+    type: Number,
+    default: 500,
+    min: 0
+  },
+
+  // Fee for cancelling a scheduled ride after its change cutoff
+  scheduledLateFee: {
+    type: Number,
+    default: 300,
+    min: 0
+  },
+
+  // How long the driver must wait at the pickup before reporting a no-show
+  noShowWaitMinutes: {
+    type: Number,
+    default: 5,
+    min: 0
+  },
+
+  noShowFee: {
+    type: Number,
+    default: 700,
+    min: 0
+  },
+
+  // Share of a cancellation or no-show fee credited to the driver
+  driverSharePercent: {
+    type: Number,
+    default: 80,
+    min: [0, 'Driver share cannot be negative'],
+    max: [100, 'Driver share cannot exceed 100%']
+  }
+}, { _id: false });
+
+const PricingRuleSchema = new mongoose.Schema({
+  rideType: {
+    type: String,
+    enum: ['bicycle', 'motorcycle', 'car'],
+    required: [true, 'Please add ride type']
+  },
+
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+
+  baseFare: {
+    type: Number,
+    required: [true, 'Please add base fare'],
+    min: 0
+  },
+
+  perKm: {
+    type: Number,
+    required: [true, 'Please add per km rate'],
+    min: 0
+  },
+
+  perMinute: {
+    type: Number,
+    required: [true, 'Please add per minute rate'],
+    min: 0
+  },
+
+  minimumFare: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  serviceFeePercent: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+
+  // Platform's share of each completed fare; the driver earns the rest
+  commissionPercent: {
+    type: Number,
+    default: 20,
+    min: 0,
+    max: 100
+  },
+
+  // Minutes the driver waits at the pickup for free before waiting is charged
+  freeWaitingMinutes: {
+    type: Number,
+    default: 3,
+    min: 0
+  },
+
+  waitingPerMinute: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  multipliers: [MultiplierSchema],
+
+  surge: {
+    type: SurgeSchema,
+    default: () => ({})
+  },
+
+  pooling: {
+    type: PoolingSchema,
+    default: () => ({})
+  },
+
+  cancellation: {
+    type: CancellationSchema,
+    default: () => ({})
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  activatedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+PricingRuleSchema.index({ rideType: 1, version: -1 }, { unique: true });
+PricingRuleSchema.index({ rideType: 1, isActive: 1 });
+
+module.exports = mongoose.model('PricingRule', PricingRuleSchema);
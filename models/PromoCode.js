@@ -0,0 +1,112 @@
+// models/PromoCode.js
+const mongoose = require('mongoose');
+
+const PromoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Please add a promo code'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  discountType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: [true, 'Please add discount type']
+  },
+
+  // Percent off for percentage codes, Naira off for flat codes
+  discountValue: {
+    type: Number,
+    required: [true, 'Please add discount value'],
+    min: [0, 'Discount value cannot be negative']
+  },
+
+  // Upper bound on a percentage discount, in Naira
+  maxDiscount: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+
+  // Smallest fare the code can be applied to
+  minFare: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  appliesTo: [{
+    type: String,
+    enum: ['ride', 'charter']
+  }],
+
+  // Empty means every ride type / charter vehicle type
+  rideTypes: [{
+    type: String,
+    enum: ['bicycle', 'motorcycle', 'car']
+  }],
+
+  charterVehicleTypes: [{
+    type: String,
+    enum: ['bicycle', 'motorcycle', 'car', 'suv', 'truck', 'van', 'bus', 'minibus', 'luxury']
+  }],
+
+  firstRideOnly: {
+    type: Boolean,
+    default: false
+  },
+
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // Total redemptions allowed across all users (null = unlimited)
+  usageLimit: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+
+  perUserLimit: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+
+  timesRedeemed: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+PromoCodeSchema.index({ isActive: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('PromoCode', PromoCodeSchema);
@@ -0,0 +1,77 @@
+// models/PromoRedemption.js
+const mongoose = require('mongoose');
+
+const PromoRedemptionSchema = new mongoose.Schema({
+  promoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: true
+  },
+
+  code: {
+    type: String,
+    required: true
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  service: {
+    type: String,
+    enum: ['ride', 'charter'],
+    required: true
+  },
+
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    default: null
+  },
+
+  charterOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CharterOrder',
+    default: null
+  },
+
+  // Which of the user's allowed uses of the promo this is (1..perUserLimit). Unique among live
+  // redemptions, so concurrent bookings cannot take the same use twice.
+  useNumber: {
+    type: Number,
+    min: 1
+  },
+
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Reversed when the ride or charter is cancelled, giving the use back
+  status: {
+    type: String,
+    enum: ['redeemed', 'reversed'],
+    default: 'redeemed'
+  },
+
+  reversedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+PromoRedemptionSchema.index({ promoId: 1, status: 1 });
+PromoRedemptionSchema.index({ userId: 1, promoId: 1, status: 1 });
+PromoRedemptionSchema.index(
+  { promoId: 1, userId: 1, useNumber: 1 },
+  { unique: true, partialFilterExpression: { status: 'redeemed', useNumber: { $exists: true } } }
+);
+PromoRedemptionSchema.index({ rideId: 1 });
+PromoRedemptionSchema.index({ charterOrderId: 1 });
+
+module.exports = mongoose.model('PromoRedemption', PromoRedemptionSchema);
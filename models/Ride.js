@@ -16,7 +16,7 @@ const RideSchema = new mongoose.Schema({
   
   status: {
     type: String,
-    enum: ['pending', 'searching', 'awaiting_driver_confirmation', 'accepted', 'picked_up', 'in_progress', 'completed', 'cancelled'],
+    enum: ['scheduled', 'pending', 'searching', 'awaiting_driver_confirmation', 'accepted', 'arrived', 'picked_up', 'in_progress', 'completed', 'cancelled'],
     default: 'pending'
   },
   
@@ -54,6 +54,52 @@ const RideSchema = new mongoose.Schema({
     }
   },
   
+  // Intermediate stops between pickup and destination, in visiting order
+  stops: [{
+    _id: false,
+    sequence: {
+      type: Number,
+      required: true
+    },
+    address: {
+      type: String,
+      required: true
+    },
+    coordinates: {
+      lat: {
+        type: Number,
+        required: true
+      },
+      lng: {
+        type: Number,
+        required: true
+      }
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'arrived', 'departed'],
+      default: 'pending'
+    },
+    arrivedAt: {
+      type: Date,
+      default: null
+    },
+    departedAt: {
+      type: Date,
+      default: null
+    }
+  }],
+
+  // Fare breakdown per leg. Leg n runs from point n-1 to point n of pickup -> stops -> destination.
+  legs: [{
+    _id: false,
+    sequence: Number,
+    distance: Number,
+    estimatedDuration: Number,
+    distanceFare: Number,
+    timeFare: Number
+  }],
+
   rideType: {
     type: String,
     enum: ['bicycle', 'motorcycle', 'car'],
@@ -79,15 +125,112 @@ const RideSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
-  
+
+  timeFare: {
+    type: Number,
+    default: 0
+  },
+
+  fareMultiplier: {
+    type: Number,
+    default: 1
+  },
+
+  // Supply/demand surge applied to the fare, kept so the price can be explained later
+  surgeMultiplier: {
+    type: Number,
+    default: 1
+  },
+
+  surge: {
+    multiplier: Number,
+    demand: Number,
+    supply: Number,
+    radiusKm: Number,
+    calculatedAt: Date
+  },
+
+  minimumFareAdjustment: {
+    type: Number,
+    default: 0
+  },
+
+  serviceFee: {
+    type: Number,
+    default: 0
+  },
+
+  // Promo discount, already taken off totalFare
+  discount: {
+    type: Number,
+    default: 0
+  },
+
+  promoCode: {
+    type: String,
+    default: null
+  },
+
+  promoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    default: null
+  },
+
   totalFare: {
     type: Number,
     required: true
   },
+
+  // The fare the rider was quoted. totalFare is recomputed from the actual trip at completion.
+  estimatedFare: {
+    type: Number,
+    default: null
+  },
+
+  // Charge for waiting at the pickup beyond the free waiting time
+  waitingCharge: {
+    type: Number,
+    default: 0
+  },
+
+  // What the trip actually took, filled in at completion (see services/tripFareService.js)
+  actualDistance: {
+    type: Number,
+    default: null
+  },
+
+  actualDuration: {
+    type: Number,
+    default: null
+  },
+
+  waitingMinutes: {
+    type: Number,
+    default: null
+  },
+
+  // Kilometres driven with the rider on board, added up from the driver's location pings
+  trackedDistance: {
+    type: Number,
+    default: 0
+  },
+
+  // Pricing rule version the fare was computed with (0 = built-in defaults)
+  pricingRuleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PricingRule',
+    default: null
+  },
+
+  pricingVersion: {
+    type: Number,
+    default: 0
+  },
   
   paymentMethod: {
     type: String,
-    enum: ['cash', 'online'],
+    enum: ['cash', 'online', 'wallet'],
     default: 'cash'
   },
   
@@ -121,6 +264,139 @@ const RideSchema = new mongoose.Schema({
     driver: String
   },
   
+  // Automatic dispatch: drivers are offered the ride one at a time
+  dispatch: {
+    mode: {
+      type: String,
+      enum: ['auto', 'manual'],
+      default: 'auto'
+    },
+    offerExpiresAt: {
+      type: Date,
+      default: null
+    },
+    exhaustedAt: {
+      type: Date,
+      default: null
+    },
+    attempts: [{
+      driverId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DriverDetail'
+      },
+      offeredAt: Date,
+      respondedAt: Date,
+      outcome: {
+        type: String,
+        enum: ['pending', 'accepted', 'declined', 'timeout', 'overridden'],
+        default: 'pending'
+      },
+      manual: {
+        type: Boolean,
+        default: false
+      },
+      distanceKm: Number,
+      score: Number
+    }]
+  },
+
+  // Driver GPS trail while on this ride, capped to the most recent pings
+  driverLocations: [{
+    _id: false,
+    lat: Number,
+    lng: Number,
+    heading: Number,
+    speed: Number,
+    accuracy: Number,
+    recordedAt: Date
+  }],
+
+  // Advance booking: the pickup time the rider asked for. Null for rides ordered for now.
+  scheduledFor: {
+    type: Date,
+    default: null
+  },
+
+  // Set while a ride is scheduled (see services/rideSchedulerService.js)
+  scheduling: {
+    // When the ride leaves 'scheduled' and is dispatched
+    dispatchAt: {
+      type: Date,
+      default: null
+    },
+    // Last moment the rider can edit or cancel without penalty
+    changeCutoffAt: {
+      type: Date,
+      default: null
+    },
+    // Minutes-before-pickup marks whose reminder has been sent
+    remindersSent: {
+      type: [Number],
+      default: []
+    },
+    dispatchedAt: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // Shared ride (see services/poolingService.js). The rider's totalFare already has the discount taken off.
+  pool: {
+    requested: {
+      type: Boolean,
+      default: false
+    },
+    poolId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RidePool',
+      default: null
+    },
+    discountPercent: {
+      type: Number,
+      default: 0
+    },
+    discount: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  // PIN the rider shows the driver at pickup (see services/tripPinService.js). The code is never
+  // returned unless asked for with select('+tripPin.code'), so drivers cannot read it.
+  tripPin: {
+    code: {
+      type: String,
+      default: null,
+      select: false
+    },
+    issuedAt: {
+      type: Date,
+      default: null
+    },
+    verifiedAt: {
+      type: Date,
+      default: null
+    },
+    lockedAt: {
+      type: Date,
+      default: null
+    },
+    // Wrong PINs since the PIN was issued or last unlocked
+    failedCount: {
+      type: Number,
+      default: 0
+    },
+    // Every wrong PIN entered
+    failedAttempts: [{
+      _id: false,
+      actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      at: Date
+    }]
+  },
+
   acceptedAt: {
     type: Date,
     default: null
@@ -131,6 +407,11 @@ const RideSchema = new mongoose.Schema({
     default: null
   },
   
+  pickedUpAt: {
+    type: Date,
+    default: null
+  },
+  
   startedAt: {
     type: Date,
     default: null
@@ -144,7 +425,66 @@ const RideSchema = new mongoose.Schema({
   cancelledAt: {
     type: Date,
     default: null
-  }
+  },
+
+  // Who cancelled and why, and any fee the rider owes for it (see services/cancellationService.js)
+  cancellation: {
+    cancelledBy: {
+      type: String,
+      enum: ['rider', 'driver', 'admin', 'system', null],
+      default: null
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reason: {
+      type: String,
+      default: ''
+    },
+    // The driver reported that the rider never came to the pickup
+    noShow: {
+      type: Boolean,
+      default: false
+    },
+    // Why the fee applies, e.g. 'after_accept', 'after_arrival', 'scheduled_late', 'no_show'
+    feeReason: {
+      type: String,
+      default: null
+    },
+    fee: {
+      type: Number,
+      default: 0
+    },
+    // Part of the fee credited to the driver
+    driverCredit: {
+      type: Number,
+      default: 0
+    },
+    feeStatus: {
+      type: String,
+      enum: ['none', 'pending', 'charged', 'waived'],
+      default: 'none'
+    }
+  },
+
+  // Every status change, in order, with who made it (see services/rideStateMachine.js)
+  statusHistory: [{
+    _id: false,
+    status: String,
+    actor: {
+      type: String,
+      enum: ['rider', 'driver', 'admin', 'system']
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reason: String,
+    at: Date
+  }]
 }, {
   timestamps: true
 });
@@ -152,6 +492,10 @@ const RideSchema = new mongoose.Schema({
 RideSchema.index({ userId: 1, createdAt: -1 });
 RideSchema.index({ driverId: 1, status: 1 });
 RideSchema.index({ status: 1, createdAt: -1 });
+RideSchema.index({ status: 1, 'dispatch.offerExpiresAt': 1 });
+RideSchema.index({ status: 1, 'scheduling.dispatchAt': 1 });
+RideSchema.index({ status: 1, scheduledFor: 1 });
+RideSchema.index({ 'pool.poolId': 1 });
 RideSchema.index({ 'pickupLocation.coordinates': '2dsphere' });
 
 module.exports = mongoose.model('Ride', RideSchema);
\ No newline at end of file
@@ -0,0 +1,89 @@
+// models/RidePool.js
+// A shared ride: riders going the same way who are driven together by one driver
+const mongoose = require('mongoose');
+
+const PoolPointSchema = new mongoose.Schema({
+  lat: {
+    type: Number,
+    required: true
+  },
+  lng: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const RidePoolSchema = new mongoose.Schema({
+  rideType: {
+    type: String,
+    enum: ['bicycle', 'motorcycle', 'car'],
+    required: true
+  },
+
+  // forming: taking riders; dispatching: looking for a driver; active: a driver accepted
+  status: {
+    type: String,
+    enum: ['forming', 'dispatching', 'active', 'completed', 'cancelled'],
+    default: 'forming'
+  },
+
+  // The ride offered to drivers on behalf of the whole pool
+  leadRideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true
+  },
+
+  // Member rides in the order they joined
+  rides: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride'
+  }],
+
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DriverDetail',
+    default: null
+  },
+
+  // Pickup and destination of the first rider; later riders must be close to both
+  anchor: {
+    pickup: {
+      type: PoolPointSchema,
+      required: true
+    },
+    destination: {
+      type: PoolPointSchema,
+      required: true
+    }
+  },
+
+  // The pool stops taking riders and is dispatched at this time, or earlier once full
+  formingUntil: {
+    type: Date,
+    required: true
+  },
+
+  closedAt: {
+    type: Date,
+    default: null
+  },
+
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+RidePoolSchema.index({ status: 1, rideType: 1, formingUntil: 1 });
+RidePoolSchema.index({ rides: 1 });
+RidePoolSchema.index({ driverId: 1, status: 1 });
+
+module.exports = mongoose.model('RidePool', RidePoolSchema);
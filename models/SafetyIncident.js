@@ -0,0 +1,146 @@
+// models/SafetyIncident.js
+// An SOS raised on a ride, and what was done about it
+const mongoose = require('mongoose');
+
+const SafetyIncidentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['sos'],
+    default: 'sos'
+  },
+
+  priority: {
+    type: String,
+    enum: ['urgent', 'high', 'normal'],
+    default: 'urgent'
+  },
+
+  status: {
+    type: String,
+    enum: ['open', 'acknowledged', 'resolved'],
+    default: 'open'
+  },
+
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true
+  },
+
+  // True until the incident is resolved. A ride has at most one active SOS (unique index below).
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Who raised it, and whether they were the rider or the driver on the ride
+  reportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  reporterRole: {
+    type: String,
+    enum: ['rider', 'driver'],
+    required: true
+  },
+
+  riderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DriverDetail',
+    default: null
+  },
+
+  rideStatus: {
+    type: String,
+    required: true
+  },
+
+  message: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // The driver's last known position when the SOS was raised
+  location: {
+    lat: Number,
+    lng: Number,
+    recordedAt: Date,
+    source: {
+      type: String,
+      enum: ['ride_trail', 'driver_profile', 'reporter', null],
+      default: null
+    }
+  },
+
+  // Emergency contacts alerted, and whether the message went out. 'logged' means the configured
+  // SMS provider only logs messages, so the contact was not actually reached.
+  contactsAlerted: [{
+    _id: false,
+    name: String,
+    phone: String,
+    status: {
+      type: String,
+      enum: ['sent', 'logged', 'failed']
+    },
+    provider: String,
+    error: String,
+    at: Date
+  }],
+
+  shareLinkExpiresAt: {
+    type: Date,
+    default: null
+  },
+
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  acknowledgedAt: {
+    type: Date,
+    default: null
+  },
+
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+
+  notes: [{
+    _id: false,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    text: String,
+    at: Date
+  }]
+}, {
+  timestamps: true
+});
+
+SafetyIncidentSchema.index({ status: 1, createdAt: -1 });
+SafetyIncidentSchema.index({ rideId: 1, status: 1 });
+SafetyIncidentSchema.index(
+  { rideId: 1, type: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+module.exports = mongoose.model('SafetyIncident', SafetyIncidentSchema);
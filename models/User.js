@@ -38,6 +38,25 @@ const UserSchema = new mongoose.Schema({
     enum: ['user', 'driver', 'admin', 'charter-driver'],
     default: 'user',
   },
+  // People alerted when the user raises an SOS on a ride
+  emergencyContacts: [{
+    _id: false,
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    phone: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    relationship: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+  }],
 }, {
   timestamps: true  
 });
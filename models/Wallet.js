@@ -0,0 +1,28 @@
+// models/Wallet.js
+// A user's wallet balance. It only ever changes together with a WalletTransaction
+// (see services/walletService.js), so the ledger always explains it.
+const mongoose = require('mongoose');
+
+const WalletSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+
+  // In Naira
+  balance: {
+    type: Number,
+    default: 0
+  },
+
+  currency: {
+    type: String,
+    default: 'NGN'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Wallet', WalletSchema);
@@ -0,0 +1,96 @@
+// models/WalletTransaction.js
+// One entry in a wallet's ledger. Entries are append-only: a mistake is put right with a new
+// entry, never by changing or deleting an old one.
+const mongoose = require('mongoose');
+
+const WalletTransactionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: [
+      'top_up',
+      'ride_charge',
+      'charter_deposit',
+      'refund',
+      'promo_credit',
+      'cancellation_fee',
+      'adjustment'
+    ],
+    required: true
+  },
+
+  // In Naira: positive credits the wallet, negative debits it
+  amount: {
+    type: Number,
+    required: true
+  },
+
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+
+  description: {
+    type: String,
+    default: ''
+  },
+
+  // Makes a charge or credit happen at most once, e.g. ride_charge:<rideId>
+  idempotencyKey: {
+    type: String,
+    default: undefined
+  },
+
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    default: null
+  },
+
+  charterOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CharterOrder',
+    default: null
+  },
+
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+
+  // Set on manual entries: the admin who made them and why
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  reason: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+WalletTransactionSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+WalletTransactionSchema.index({ userId: 1, createdAt: -1 });
+WalletTransactionSchema.index({ rideId: 1 });
+WalletTransactionSchema.index({ charterOrderId: 1 });
+
+// The ledger is append-only
+const rejectChange = function () {
+  throw new Error('Wallet transactions cannot be changed or deleted');
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  WalletTransactionSchema.pre(operation, rejectChange);
+});
+
+module.exports = mongoose.model('WalletTransaction', WalletTransactionSchema);
@@ -50,6 +50,11 @@ const charterDriverSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  totalEarnings: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   isVerified: {
     type: Boolean,
     default: false
@@ -86,6 +91,45 @@ const charterDriverSchema = new mongoose.Schema({
     phone: String,
     relationship: String
   },
+  // Where payouts are sent
+  bankAccount: {
+    bankName: {
+      type: String,
+      trim: true
+    },
+    bankCode: {
+      type: String,
+      trim: true
+    },
+    accountNumber: {
+      type: String,
+      trim: true,
+      match: [/^\d{10}$/, 'Account number must be 10 digits']
+    },
+    accountName: {
+      type: String,
+      trim: true
+    }
+  },
+  // Set while the driver owes too much cash commission for too long; blocks new assignments
+  cashHold: {
+    blocked: {
+      type: Boolean,
+      default: false
+    },
+    overdue: {
+      type: Number,
+      default: 0
+    },
+    blockedAt: {
+      type: Date,
+      default: null
+    },
+    checkedAt: {
+      type: Date,
+      default: null
+    }
+  },
   assignedCharters: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'CharterBooking'
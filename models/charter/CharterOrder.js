@@ -2,6 +2,118 @@
 
 const mongoose = require('mongoose');
 
+// One priced revision of a charter quote (see services/charterPricingService.js)
+const CharterQuoteSchema = new mongoose.Schema({
+  revision: {
+    type: Number,
+    required: true
+  },
+  inputs: {
+    distanceKm: Number,
+    durationHours: Number,
+    days: Number,
+    passengers: Number,
+    extras: [String]
+  },
+  lineItems: [{
+    _id: false,
+    code: String,
+    label: String,
+    amount: Number
+  }],
+  basePrice: Number,
+  serviceFee: Number,
+  totalBeforeDiscount: Number,
+  discount: {
+    type: Number,
+    default: 0
+  },
+  totalPrice: Number,
+  currency: {
+    type: String,
+    default: 'NGN'
+  },
+  rateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CharterRate',
+    default: null
+  },
+  note: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'accepted', 'declined', 'superseded', 'expired'],
+    default: 'sent'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  sentAt: Date,
+  expiresAt: Date,
+  respondedAt: Date,
+  declineReason: String
+}, { _id: false });
+
+// A place on the trip. Coordinates are missing for addresses the geocoder could not resolve
+// and for orders booked before locations were structured.
+const CharterLocationSchema = new mongoose.Schema({
+  address: {
+    type: String,
+    required: [true, 'Please add an address'],
+    trim: true
+  },
+  placeName: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  coordinates: {
+    lat: {
+      type: Number,
+      min: -90,
+      max: 90
+    },
+    lng: {
+      type: Number,
+      min: -180,
+      max: 180
+    }
+  },
+  // 'client' when the app sent coordinates, otherwise the geocoder that resolved them
+  geocodedBy: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+// A planned stop between pickup and destination
+const ItineraryStopSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true
+  },
+  location: {
+    type: CharterLocationSchema,
+    required: [true, 'Every stop needs a location']
+  },
+  plannedArrivalAt: {
+    type: Date,
+    default: null
+  },
+  plannedDepartureAt: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    default: ''
+  }
+}, { _id: false });
+
 const CharterOrderSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -23,17 +135,17 @@ const CharterOrderSchema = new mongoose.Schema({
   
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'in_progress', 'completed', 'cancelled'],
+    enum: ['pending', 'quoted', 'accepted', 'in_progress', 'completed', 'cancelled'],
     default: 'pending'
   },
   
   pickupLocation: {
-    type: String,
+    type: CharterLocationSchema,
     required: true
   },
   
   destination: {
-    type: String,
+    type: CharterLocationSchema,
     required: true
   },
   
@@ -59,13 +171,62 @@ const CharterOrderSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+
+  // The full booked window; tripDate and tripTime mirror startAt for older clients
+  startAt: {
+    type: Date,
+    default: null
+  },
+
+  endAt: {
+    type: Date,
+    default: null
+  },
+
+  // Optional return leg, inside the booked window
+  returnTrip: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    pickupLocation: CharterLocationSchema,
+    destination: CharterLocationSchema,
+    departAt: Date,
+    plannedArrivalAt: Date
+  },
+
+  // Ordered stops with planned times
+  itinerary: [ItineraryStopSchema],
   
   specialRequests: {
     type: String,
     default: ''
   },
+
+  // Trip details used to price the order
+  estimatedDistanceKm: {
+    type: Number,
+    default: 0
+  },
+
+  durationHours: {
+    type: Number,
+    default: 0
+  },
+
+  tripDays: {
+    type: Number,
+    default: 1
+  },
+
+  // Codes of extras from the vehicle type's rate card
+  extras: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
   
-  // Pricing fields (optional for now, can be expanded later)
+  // Pricing fields, set from the quote the customer accepts
   basePrice: {
     type: Number,
     default: 0
@@ -75,11 +236,31 @@ const CharterOrderSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+
+  // Every quote sent for this order, oldest first
+  quotes: [CharterQuoteSchema],
+
+  // Promo applied at booking; the discount is taken off once the order is priced
+  promoCode: {
+    type: String,
+    default: null
+  },
+
+  promoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    default: null
+  },
+
+  discount: {
+    type: Number,
+    default: 0
+  },
   
   // Payment information
   paymentMethod: {
     type: String,
-    enum: ['cash', 'online', 'invoice'],
+    enum: ['cash', 'online', 'wallet', 'invoice'],
     default: 'cash'
   },
   
@@ -95,6 +276,12 @@ const CharterOrderSchema = new mongoose.Schema({
     default: null
   },
   
+  // Set when the assigned driver confirms the trip
+  driverConfirmedAt: {
+    type: Date,
+    default: null
+  },
+  
   startedAt: {
     type: Date,
     default: null
@@ -140,7 +327,24 @@ const CharterOrderSchema = new mongoose.Schema({
   adminNotes: {
     type: String,
     default: ''
-  }
+  },
+
+  // Every status change, in order, with who made it (see services/charterLifecycle.js)
+  statusHistory: [{
+    _id: false,
+    status: String,
+    actor: {
+      type: String,
+      enum: ['user', 'admin', 'driver', 'system']
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reason: String,
+    at: Date
+  }]
 }, {
   timestamps: true
 });
@@ -150,5 +354,24 @@ CharterOrderSchema.index({ userId: 1, createdAt: -1 });
 CharterOrderSchema.index({ driverId: 1, status: 1 });
 CharterOrderSchema.index({ status: 1, createdAt: -1 });
 CharterOrderSchema.index({ tripDate: 1, status: 1 });
+CharterOrderSchema.index({ driverId: 1, startAt: 1, endAt: 1 });
+CharterOrderSchema.index({ 'pickupLocation.coordinates.lat': 1, 'pickupLocation.coordinates.lng': 1 });
+CharterOrderSchema.index({ 'destination.coordinates.lat': 1, 'destination.coordinates.lng': 1 });
+
+// Orders saved before locations were structured hold plain address strings.
+// Read them as { address } until scripts/migrateCharterLocations.js has converted them.
+const convertLocation = (holder, field) => {
+  if (holder && typeof holder[field] === 'string') {
+    holder[field] = { address: holder[field] };
+  }
+};
+
+CharterOrderSchema.pre('init', function (doc) {
+  convertLocation(doc, 'pickupLocation');
+  convertLocation(doc, 'destination');
+  convertLocation(doc.returnTrip, 'pickupLocation');
+  convertLocation(doc.returnTrip, 'destination');
+  (doc.itinerary || []).forEach(stop => convertLocation(stop, 'location'));
+});
 
 module.exports = mongoose.model('CharterOrder', CharterOrderSchema);
\ No newline at end of file
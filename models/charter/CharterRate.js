@@ -0,0 +1,114 @@
+// models/charter/CharterRate.js
+
+const mongoose = require('mongoose');
+
+// Optional add-on a customer can request, e.g. decorations or an extra stop
+const CharterExtraSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Please add an extra code'],
+    lowercase: true,
+    trim: true
+  },
+  label: {
+    type: String,
+    required: [true, 'Please add an extra label'],
+    trim: true
+  },
+  price: {
+    type: Number,
+    required: [true, 'Please add an extra price'],
+    min: [0, 'Extra price cannot be negative']
+  },
+  // Charged once per trip or once per trip day
+  per: {
+    type: String,
+    enum: ['trip', 'day'],
+    default: 'trip'
+  }
+}, { _id: false });
+
+// Rate card for one charter vehicle type. Vehicle types without a card are priced
+// from the built-in defaults in services/charterPricingService.js, scaled by capacity.
+const CharterRateSchema = new mongoose.Schema({
+  vehicleType: {
+    type: String,
+    required: [true, 'Please add vehicle type'],
+    enum: ['bicycle', 'motorcycle', 'car', 'suv', 'truck', 'van', 'bus', 'minibus', 'luxury'],
+    unique: true
+  },
+  baseFare: {
+    type: Number,
+    required: [true, 'Please add base fare'],
+    min: [0, 'Base fare cannot be negative']
+  },
+  perKm: {
+    type: Number,
+    default: 0,
+    min: [0, 'Per km rate cannot be negative']
+  },
+  hourlyRate: {
+    type: Number,
+    required: [true, 'Please add hourly rate'],
+    min: [0, 'Hourly rate cannot be negative']
+  },
+  // Shorter hires are charged as this many hours
+  minimumHours: {
+    type: Number,
+    default: 3,
+    min: [0, 'Minimum hours cannot be negative']
+  },
+  dayRate: {
+    type: Number,
+    required: [true, 'Please add day rate'],
+    min: [0, 'Day rate cannot be negative']
+  },
+  // Hires at least this long, or spanning several days, are charged at the day rate
+  fullDayHours: {
+    type: Number,
+    default: 8,
+    min: [1, 'Full day must be at least 1 hour']
+  },
+  includedPassengers: {
+    type: Number,
+    default: 4,
+    min: [1, 'At least 1 passenger must be included']
+  },
+  perExtraPassenger: {
+    type: Number,
+    default: 0,
+    min: [0, 'Extra passenger charge cannot be negative']
+  },
+  driverAllowancePerDay: {
+    type: Number,
+    default: 0,
+    min: [0, 'Driver allowance cannot be negative']
+  },
+  serviceFeePercent: {
+    type: Number,
+    default: 0,
+    min: [0, 'Service fee cannot be negative'],
+    max: [100, 'Service fee cannot exceed 100%']
+  },
+  // Platform's share of the trip price; the driver earns the rest
+  commissionPercent: {
+    type: Number,
+    default: 20,
+    min: [0, 'Commission cannot be negative'],
+    max: [100, 'Commission cannot exceed 100%']
+  },
+  extras: [CharterExtraSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('CharterRate', CharterRateSchema);
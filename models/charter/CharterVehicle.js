@@ -55,7 +55,31 @@ const CharterVehicleSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'CharterDriver',
     default: null
-  }
+  },
+  // Booked time windows (see services/charterAvailabilityService.js). Windows never overlap.
+  reservations: [{
+    _id: false,
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CharterOrder',
+      required: true
+    },
+    startAt: {
+      type: Date,
+      required: true
+    },
+    // Includes the turnaround time after the trip
+    endAt: {
+      type: Date,
+      required: true
+    },
+    // held while the order awaits a quote, confirmed once the customer accepts it
+    status: {
+      type: String,
+      enum: ['held', 'confirmed'],
+      default: 'held'
+    }
+  }]
 }, {
   timestamps: true
 });
@@ -63,5 +87,6 @@ const CharterVehicleSchema = new mongoose.Schema({
 // Add index for faster queries
 CharterVehicleSchema.index({ status: 1, vehicleType: 1 });
 CharterVehicleSchema.index({ licensePlate: 1 });
+CharterVehicleSchema.index({ 'reservations.orderId': 1 });
 
 module.exports = mongoose.model('CharterVehicle', CharterVehicleSchema);
\ No newline at end of file
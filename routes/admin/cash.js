@@ -0,0 +1,162 @@
+// routes/admin/cash.js
+const express = require('express');
+const router = express.Router();
+const User = require('../../models/User');
+const auth = require('../../middleware/authMiddleware');
+const {
+  getReconciliation,
+  refreshCashHold,
+  recordRemittance,
+  voidRemittance,
+  getCashHolds
+} = require('../../services/cashReconciliationService');
+
+// URL segment -> ledger field for each kind of driver
+const DRIVER_TYPES = {
+  drivers: 'driverId',
+  'charter-drivers': 'charterDriverId'
+};
+
+// Admin middleware to verify admin role
+const isAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Admin only'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Admin middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error in admin verification'
+    });
+  }
+};
+
+// { driverId } or { charterDriverId } from the URL, or null for an unknown driver type
+const getDriverRef = (req) => {
+  const field = DRIVER_TYPES[req.params.driverType];
+  return field ? { [field]: req.params.id } : null;
+};
+
+// @route   GET /api/admin/cash/drivers
+// @desc    Get drivers blocked for overdue cash, most overdue first. ?blocked=false lists every
+//          driver with cash overdue instead.
+// @access  Private (Admin only)
+router.get('/admin/cash/drivers', auth, isAdmin, async (req, res) => {
+  try {
+    const drivers = await getCashHolds({ blocked: req.query.blocked !== 'false' });
+
+    res.json({
+      success: true,
+      drivers,
+      count: drivers.length
+    });
+  } catch (error) {
+    console.error('Error fetching driver cash holds:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch driver cash holds',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/cash/:driverType/:id
+// @desc    Get a driver's cash reconciliation: cash collected, commission owed, remittances and
+//          what is outstanding and overdue. driverType is drivers or charter-drivers.
+// @access  Private (Admin only)
+router.get('/admin/cash/:driverType/:id', auth, isAdmin, async (req, res) => {
+  try {
+    const driver = getDriverRef(req);
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver type must be drivers or charter-drivers'
+      });
+    }
+
+    await refreshCashHold(driver);
+    const reconciliation = await getReconciliation(driver);
+
+    res.json({
+      success: true,
+      ...reconciliation
+    });
+  } catch (error) {
+    console.error('Error fetching cash reconciliation:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to fetch cash reconciliation',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/cash/:driverType/:id/remittances
+// @desc    Record cash a driver paid in. Required: amount, method (bank_transfer|cash|pos|other).
+//          Optional: reference, note, receivedAt. Lifts the driver's cash hold once cleared.
+// @access  Private (Admin only)
+router.post('/admin/cash/:driverType/:id/remittances', auth, isAdmin, async (req, res) => {
+  try {
+    const driver = getDriverRef(req);
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver type must be drivers or charter-drivers'
+      });
+    }
+
+    const { amount, method, reference, note, receivedAt } = req.body;
+    const { remittance, cashHold } = await recordRemittance(driver, req.user.id, {
+      amount,
+      method,
+      reference,
+      note,
+      receivedAt
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Remittance recorded',
+      remittance,
+      cashHold
+    });
+  } catch (error) {
+    console.error('Error recording remittance:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to record remittance',
+      error: error.message
+    });
+  }
+});
+
+// @route   PATCH /api/admin/cash/remittances/:id/void
+// @desc    Void a remittance recorded in error. Optional: reason
+// @access  Private (Admin only)
+router.patch('/admin/cash/remittances/:id/void', auth, isAdmin, async (req, res) => {
+  try {
+    const { remittance, cashHold } = await voidRemittance(req.params.id, req.user.id, req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Remittance voided',
+      remittance,
+      cashHold
+    });
+  } catch (error) {
+    console.error('Error voiding remittance:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to void remittance',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
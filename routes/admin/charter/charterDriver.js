@@ -72,6 +72,7 @@ router.get('/drivers', auth, isAdmin, async (req, res) => {
         isVerified: charterDriver?.isVerified || false,
         verifiedAt: charterDriver?.verifiedAt,
         totalTrips: charterDriver?.totalTrips || 0,
+        totalEarnings: charterDriver?.totalEarnings || 0,
         experience: charterDriver?.experience || 0,
         specialLicenses: charterDriver?.specialLicenses || [],
         languages: charterDriver?.languages || [],
@@ -7,7 +7,21 @@ const User = require('../../../models/User');
 const CharterDriver = require('../../../models/charter/CharterDriver');
 const CharterVehicle = require('../../../models/charter/CharterVehicle');
 const auth = require('../../../middleware/authMiddleware');
-const { createNotification } = require('../../../services/notificationService');
+const { ACTORS, ORDER_STATUSES, transitionOrder, sendQuote, assignDriver } = require('../../../services/charterLifecycle');
+const { buildQuote } = require('../../../services/charterPricingService');
+const { resolveLocation } = require('../../../services/geocodingService');
+const { releaseVehicle } = require('../../../services/charterAvailabilityService');
+const { calculateDistance, getBoundingBox } = require('../../../utils/geo');
+
+const AREA_DEFAULT_RADIUS_KM = 10;
+const AREA_MAX_RADIUS_KM = 200;
+
+// Which location an area search matches against
+const AREA_FIELDS = {
+  pickup: ['pickupLocation'],
+  destination: ['destination'],
+  any: ['pickupLocation', 'destination']
+};
 
 // Admin verification middleware
 const isAdmin = async (req, res, next) => {
@@ -101,6 +115,106 @@ router.get('/orders', auth, isAdmin, async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/charter/orders/area
+// @desc    Find charter orders whose pickup (or destination, or either: near=destination|any) is within
+//          radiusKm of lat/lng or of a geocoded address. Optional status filter. Nearest first.
+// @access  Admin
+router.get('/orders/area', auth, isAdmin, async (req, res) => {
+  try {
+    const { lat, lng, address, status, near = 'pickup' } = req.query;
+    const radiusKm = parseFloat(req.query.radiusKm) || AREA_DEFAULT_RADIUS_KM;
+
+    if (!AREA_FIELDS[near]) {
+      return res.status(400).json({
+        success: false,
+        message: `near must be one of: ${Object.keys(AREA_FIELDS).join(', ')}`
+      });
+    }
+
+    if (radiusKm <= 0 || radiusKm > AREA_MAX_RADIUS_KM) {
+      return res.status(400).json({
+        success: false,
+        message: `radiusKm must be between 0 and ${AREA_MAX_RADIUS_KM}`
+      });
+    }
+
+    if (status && !ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status'
+      });
+    }
+
+    if ((lat === undefined || lng === undefined) && !address) {
+      return res.status(400).json({
+        success: false,
+        message: 'lat and lng, or an address, are required'
+      });
+    }
+
+    const center = await resolveLocation(lat !== undefined && lng !== undefined ? { address, lat, lng } : address, 'Search location');
+    if (!center.coordinates || !Number.isFinite(center.coordinates.lat)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Could not find that address'
+      });
+    }
+
+    const box = getBoundingBox(center.coordinates, radiusKm);
+    const fields = AREA_FIELDS[near];
+
+    const orders = await CharterOrder.find({
+      ...(status && { status }),
+      $or: fields.map(field => ({
+        [`${field}.coordinates.lat`]: { $gte: box.minLat, $lte: box.maxLat },
+        [`${field}.coordinates.lng`]: { $gte: box.minLng, $lte: box.maxLng }
+      }))
+    })
+      .populate('userId', 'fullname email phone');
+
+    // The box is wider than the circle, so check the real distance
+    const matches = [];
+    orders.forEach(order => {
+      const distances = fields
+        .map(field => order[field] && order[field].coordinates)
+        .filter(point => point && Number.isFinite(point.lat) && Number.isFinite(point.lng))
+        .map(point => calculateDistance(center.coordinates.lat, center.coordinates.lng, point.lat, point.lng));
+      const distanceKm = Math.min(...distances);
+
+      if (distanceKm <= radiusKm) {
+        const orderObj = order.toObject();
+        if (order.userId) {
+          orderObj.user = {
+            _id: order.userId._id,
+            name: order.userId.fullname,
+            email: order.userId.email,
+            phone: order.userId.phone
+          };
+        }
+        delete orderObj.userId;
+        orderObj.distanceKm = Math.round(distanceKm * 10) / 10;
+        matches.push(orderObj);
+      }
+    });
+    matches.sort((a, b) => a.distanceKm - b.distanceKm);
+
+    res.json({
+      success: true,
+      center,
+      radiusKm,
+      orders: matches,
+      count: matches.length
+    });
+  } catch (error) {
+    console.error('Error searching charter orders by area:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error searching charter orders by area',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // @route   GET /api/admin/charter/orders/:id
 // @desc    Get single charter order by ID
 // @access  Admin
@@ -181,14 +295,13 @@ router.get('/orders/:id', auth, isAdmin, async (req, res) => {
 });
 
 // @route   PATCH /api/admin/charter/orders/:id/status
-// @desc    Update charter order status
+// @desc    Move a charter order to its next status (see services/charterLifecycle.js for allowed transitions)
 // @access  Admin
 router.patch('/orders/:id/status', auth, isAdmin, async (req, res) => {
   try {
-    const { status } = req.body;
-    const validStatuses = ['pending', 'accepted', 'in_progress', 'completed', 'cancelled'];
+    const { status, reason } = req.body;
 
-    if (!status || !validStatuses.includes(status)) {
+    if (!status || !ORDER_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
         message: 'Valid status is required'
@@ -203,81 +316,193 @@ router.patch('/orders/:id/status', auth, isAdmin, async (req, res) => {
       });
     }
 
-    // Update status and corresponding timestamp
-    order.status = status;
-    
-    switch (status) {
-      case 'accepted':
-        order.acceptedAt = new Date();
-        // Get the vehicle and assign its driver to the order
-        if (order.vehicleId) {
-          const vehicle = await CharterVehicle.findById(order.vehicleId);
-          if (vehicle && vehicle.driverId) {
-            order.driverId = vehicle.driverId;
-          }
-        }
-        break;
-      case 'in_progress':
-        order.startedAt = new Date();
-        break;
-      case 'completed':
-        order.completedAt = new Date();
-        break;
-      case 'cancelled':
-        order.cancelledAt = new Date();
-        break;
+    // Quotes carry a price, so they are sent through POST /orders/:id/quotes
+    if (status === 'quoted') {
+      return res.status(400).json({
+        success: false,
+        message: 'Use POST /api/admin/charter/orders/:id/quotes to send a quote'
+      });
     }
 
-    await order.save();
-
-    // Send notification to user based on status
-    let notificationType = '';
-    let notificationTitle = '';
-    let notificationMessage = '';
-
-    switch (status) {
-      case 'accepted':
-        notificationType = 'admin_approval';
-        notificationTitle = 'Order Approved';
-        notificationMessage = 'Your charter order has been approved and a driver has been assigned.';
-        break;
-      case 'in_progress':
-        notificationType = 'order_in_progress';
-        notificationTitle = 'Trip Started';
-        notificationMessage = 'Your charter trip has started.';
-        break;
-      case 'completed':
-        notificationType = 'order_completed';
-        notificationTitle = 'Trip Completed';
-        notificationMessage = 'Your charter trip has been completed.';
-        break;
-      case 'cancelled':
-        notificationType = 'order_cancelled';
-        notificationTitle = 'Order Cancelled';
-        notificationMessage = 'Your charter order has been cancelled.';
-        break;
+    if (status === 'accepted') {
+      return res.status(400).json({
+        success: false,
+        message: 'Use PATCH /api/admin/charter/orders/:id/driver to assign a driver'
+      });
     }
 
-    if (notificationType && order.userId) {
-      await createNotification(
-        order.userId,
-        notificationType,
-        notificationTitle,
-        notificationMessage,
-        { orderId: order._id }
-      );
+    const updatedOrder = await transitionOrder(order, status, {
+      actor: ACTORS.ADMIN,
+      actorId: req.user.id,
+      reason
+    });
+
+    if (!updatedOrder) {
+      return res.status(409).json({
+        success: false,
+        message: 'Charter order was updated by someone else. Please refresh and try again'
+      });
     }
 
     res.json({
       success: true,
       message: `Order status updated to ${status}`,
-      order
+      order: updatedOrder
     });
   } catch (error) {
     console.error('Error updating charter order status:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error updating charter order status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PATCH /api/admin/charter/orders/:id/driver
+// @desc    Assign a driver to an accepted charter order. The driver must be free for the whole booked window.
+// @access  Admin
+router.patch('/orders/:id/driver', auth, isAdmin, async (req, res) => {
+  try {
+    const { driverId } = req.body;
+
+    if (!driverId) {
+      return res.status(400).json({
+        success: false,
+        message: 'driverId is required'
+      });
+    }
+
+    const order = await CharterOrder.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Charter order not found'
+      });
+    }
+
+    const updatedOrder = await assignDriver(order, driverId, req.user.id);
+
+    if (!updatedOrder) {
+      return res.status(409).json({
+        success: false,
+        message: 'Charter order was updated by someone else. Please refresh and try again'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Driver assigned to charter order',
+      order: updatedOrder
+    });
+  } catch (error) {
+    console.error('Error assigning charter driver:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error assigning charter driver',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/admin/charter/orders/:id/quotes
+// @desc    Get every quote revision sent for a charter order
+// @access  Admin
+router.get('/orders/:id/quotes', auth, isAdmin, async (req, res) => {
+  try {
+    const order = await CharterOrder.findById(req.params.id)
+      .select('status quotes basePrice totalPrice discount promoCode')
+      .populate('quotes.createdBy', 'fullname email');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Charter order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      status: order.status,
+      quotes: order.quotes,
+      count: order.quotes.length
+    });
+  } catch (error) {
+    console.error('Error fetching charter quotes:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error updating charter order status',
+      message: 'Server error fetching charter quotes',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/admin/charter/orders/:id/quotes
+// @desc    Price a charter order and send the quote to the customer.
+//          Trip details default to what the customer booked; pass { preview: true } to price without sending.
+// @access  Admin
+router.post('/orders/:id/quotes', auth, isAdmin, async (req, res) => {
+  try {
+    const { distanceKm, durationHours, days, passengers, extras, adjustments, note, validHours, preview } = req.body;
+
+    if (adjustments !== undefined && !Array.isArray(adjustments)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Adjustments must be a list of { label, amount }'
+      });
+    }
+
+    const order = await CharterOrder.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Charter order not found'
+      });
+    }
+
+    const vehicle = await CharterVehicle.findById(order.vehicleId || order.vehicleNeeded);
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    const quote = await buildQuote(order, vehicle, {
+      trip: { distanceKm, durationHours, days, passengers, extras },
+      adjustments,
+      note,
+      validHours,
+      createdBy: req.user.id
+    });
+
+    if (preview) {
+      return res.json({
+        success: true,
+        message: 'Quote preview',
+        quote
+      });
+    }
+
+    const updatedOrder = await sendQuote(order, quote, req.user.id);
+    if (!updatedOrder) {
+      return res.status(409).json({
+        success: false,
+        message: 'Charter order was updated by someone else. Please refresh and try again'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Quote sent to customer',
+      quote,
+      order: updatedOrder
+    });
+  } catch (error) {
+    console.error('Error sending charter quote:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error sending charter quote',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -297,6 +522,8 @@ router.delete('/orders/:id', auth, isAdmin, async (req, res) => {
       });
     }
 
+    // Free the vehicle's calendar first so a deleted order never keeps blocking bookings
+    await releaseVehicle(order.vehicleId, order._id);
     await order.deleteOne();
 
     res.json({
@@ -319,9 +546,8 @@ router.delete('/orders/:id', auth, isAdmin, async (req, res) => {
 router.get('/orders/status/:status', auth, isAdmin, async (req, res) => {
   try {
     const { status } = req.params;
-    const validStatuses = ['pending', 'accepted', 'in_progress', 'completed', 'cancelled'];
 
-    if (!validStatuses.includes(status)) {
+    if (!ORDER_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid status'
@@ -424,6 +650,7 @@ router.get('/orders/stats/summary', auth, isAdmin, async (req, res) => {
   try {
     const total = await CharterOrder.countDocuments();
     const pending = await CharterOrder.countDocuments({ status: 'pending' });
+    const quoted = await CharterOrder.countDocuments({ status: 'quoted' });
     const accepted = await CharterOrder.countDocuments({ status: 'accepted' });
     const inProgress = await CharterOrder.countDocuments({ status: 'in_progress' });
     const completed = await CharterOrder.countDocuments({ status: 'completed' });
@@ -461,6 +688,7 @@ router.get('/orders/stats/summary', auth, isAdmin, async (req, res) => {
       stats: {
         total,
         pending,
+        quoted,
         accepted,
         inProgress,
         completed,
@@ -0,0 +1,123 @@
+// routes/admin/charter/charterRate.js
+
+const express = require('express');
+const router = express.Router();
+const CharterRate = require('../../../models/charter/CharterRate');
+const User = require('../../../models/User');
+const auth = require('../../../middleware/authMiddleware');
+const { DEFAULT_CHARTER_RATE } = require('../../../services/charterPricingService');
+
+const VEHICLE_TYPES = CharterRate.schema.path('vehicleType').enumValues;
+
+// Fields an admin can set on a rate card
+const RATE_FIELDS = [
+  'baseFare', 'perKm', 'hourlyRate', 'minimumHours', 'dayRate', 'fullDayHours',
+  'includedPassengers', 'perExtraPassenger', 'driverAllowancePerDay', 'serviceFeePercent',
+  'commissionPercent', 'extras', 'isActive'
+];
+
+// Admin verification middleware
+const isAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Admin only'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Admin middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error in admin verification'
+    });
+  }
+};
+
+// @route   GET /api/admin/charter/rates
+// @desc    Get the rate card for every charter vehicle type. Types without one use the defaults.
+// @access  Admin
+router.get('/rates', auth, isAdmin, async (req, res) => {
+  try {
+    const rates = await CharterRate.find({})
+      .populate('updatedBy', 'fullname email')
+      .sort({ vehicleType: 1 });
+
+    res.json({
+      success: true,
+      rates,
+      defaults: DEFAULT_CHARTER_RATE,
+      unpricedVehicleTypes: VEHICLE_TYPES.filter(type => !rates.some(rate => rate.vehicleType === type))
+    });
+  } catch (error) {
+    console.error('Error fetching charter rates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching charter rates',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/admin/charter/rates/:vehicleType
+// @desc    Create or update the rate card for a charter vehicle type
+// @access  Admin
+router.put('/rates/:vehicleType', auth, isAdmin, async (req, res) => {
+  try {
+    const { vehicleType } = req.params;
+
+    if (!VEHICLE_TYPES.includes(vehicleType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Vehicle type must be one of: ${VEHICLE_TYPES.join(', ')}`
+      });
+    }
+
+    let rate = await CharterRate.findOne({ vehicleType });
+    if (!rate) {
+      rate = new CharterRate({ vehicleType, ...DEFAULT_CHARTER_RATE });
+    }
+
+    RATE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        rate[field] = req.body[field];
+      }
+    });
+    rate.updatedBy = req.user.id;
+
+    const codes = rate.extras.map(extra => extra.code);
+    if (new Set(codes).size !== codes.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Extra codes must be unique'
+      });
+    }
+
+    await rate.save();
+
+    res.json({
+      success: true,
+      message: `Charter rate for ${vehicleType} saved`,
+      rate
+    });
+  } catch (error) {
+    console.error('Error saving charter rate:', error);
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving charter rate',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,140 @@
+// routes/admin/earnings.js
+const express = require('express');
+const router = express.Router();
+const User = require('../../models/User');
+const auth = require('../../middleware/authMiddleware');
+const { getEarningsSummary, getEarningEntries, syncDriverTotals } = require('../../services/earningsService');
+
+// URL segment -> ledger field for each kind of driver
+const DRIVER_TYPES = {
+  drivers: 'driverId',
+  'charter-drivers': 'charterDriverId'
+};
+
+// Admin middleware to verify admin role
+const isAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Admin only'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Admin middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error in admin verification'
+    });
+  }
+};
+
+// { driverId } or { charterDriverId } from the URL, or null for an unknown driver type
+const getDriverRef = (req) => {
+  const field = DRIVER_TYPES[req.params.driverType];
+  return field ? { [field]: req.params.id } : null;
+};
+
+// @route   GET /api/admin/earnings/:driverType/:id
+// @desc    Get a driver's earnings grouped by ?period=day|week|month between ?from and ?to.
+//          driverType is drivers (ride drivers) or charter-drivers.
+// @access  Private (Admin only)
+router.get('/admin/earnings/:driverType/:id', auth, isAdmin, async (req, res) => {
+  try {
+    const driver = getDriverRef(req);
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver type must be drivers or charter-drivers'
+      });
+    }
+
+    const summary = await getEarningsSummary(driver, {
+      period: req.query.period || 'day',
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    res.json({
+      success: true,
+      ...summary
+    });
+  } catch (error) {
+    console.error('Error fetching driver earnings:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to fetch driver earnings',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/earnings/:driverType/:id/entries
+// @desc    Get a driver's earnings ledger, newest first. Optional: limit (default 50), skip
+// @access  Private (Admin only)
+router.get('/admin/earnings/:driverType/:id/entries', auth, isAdmin, async (req, res) => {
+  try {
+    const driver = getDriverRef(req);
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver type must be drivers or charter-drivers'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+    const { entries, total } = await getEarningEntries(driver, { limit, skip });
+
+    res.json({
+      success: true,
+      entries,
+      pagination: {
+        total,
+        limit,
+        skip
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching driver earnings ledger:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to fetch driver earnings ledger',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/earnings/:driverType/:id/sync
+// @desc    Rebuild the driver's totalEarnings and totalTrips from the earnings ledger
+// @access  Private (Admin only)
+router.post('/admin/earnings/:driverType/:id/sync', auth, isAdmin, async (req, res) => {
+  try {
+    const driver = getDriverRef(req);
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver type must be drivers or charter-drivers'
+      });
+    }
+
+    const totals = await syncDriverTotals(driver);
+
+    res.json({
+      success: true,
+      message: 'Driver totals rebuilt from the earnings ledger',
+      ...totals
+    });
+  } catch (error) {
+    console.error('Error syncing driver totals:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to sync driver totals',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
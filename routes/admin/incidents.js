@@ -0,0 +1,172 @@
+// routes/admin/incidents.js
+const express = require('express');
+const router = express.Router();
+const SafetyIncident = require('../../models/SafetyIncident');
+const User = require('../../models/User');
+const auth = require('../../middleware/authMiddleware');
+
+const INCIDENT_STATUSES = SafetyIncident.schema.path('status').enumValues;
+
+// Admin middleware to verify admin role
+const isAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Admin only'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Admin middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error in admin verification'
+    });
+  }
+};
+
+// @route   GET /api/admin/incidents
+// @desc    Get safety incidents, newest first. Filter with ?status=open|acknowledged|resolved
+// @access  Private (Admin only)
+router.get('/admin/incidents', auth, isAdmin, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      if (!INCIDENT_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: ${INCIDENT_STATUSES.join(', ')}`
+        });
+      }
+      filter.status = req.query.status;
+    }
+
+    const incidents = await SafetyIncident.find(filter)
+      .populate('riderId', 'fullname phone')
+      .populate('reportedBy', 'fullname phone')
+      .populate({
+        path: 'driverId',
+        select: 'userId vehicleId',
+        populate: { path: 'userId', select: 'fullname phone' }
+      })
+      .sort({ createdAt: -1 })
+      .limit(200);
+
+    res.json({
+      success: true,
+      incidents,
+      count: incidents.length
+    });
+  } catch (error) {
+    console.error('Error fetching incidents:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch incidents',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/incidents/:id
+// @desc    Get a safety incident with its ride
+// @access  Private (Admin only)
+router.get('/admin/incidents/:id', auth, isAdmin, async (req, res) => {
+  try {
+    const incident = await SafetyIncident.findById(req.params.id)
+      .populate('riderId', 'fullname phone email')
+      .populate('reportedBy', 'fullname phone')
+      .populate('rideId', 'status pickupLocation destination stops driverLocations acceptedAt pickedUpAt')
+      .populate({
+        path: 'driverId',
+        populate: [
+          { path: 'userId', select: 'fullname phone' },
+          { path: 'vehicleId', select: 'make model color licensePlate' }
+        ]
+      });
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      incident
+    });
+  } catch (error) {
+    console.error('Error fetching incident:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch incident',
+      error: error.message
+    });
+  }
+});
+
+// @route   PATCH /api/admin/incidents/:id
+// @desc    Acknowledge or resolve an incident, optionally adding a note
+// @access  Private (Admin only)
+router.patch('/admin/incidents/:id', auth, isAdmin, async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!status && !note) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status or note is required'
+      });
+    }
+
+    if (status && !['acknowledged', 'resolved'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be acknowledged or resolved'
+      });
+    }
+
+    const now = new Date();
+    const update = {};
+    const conditions = { _id: req.params.id };
+
+    if (status === 'acknowledged') {
+      conditions.status = 'open';
+      Object.assign(update, { status, acknowledgedBy: req.user.id, acknowledgedAt: now });
+    } else if (status === 'resolved') {
+      conditions.status = { $ne: 'resolved' };
+      Object.assign(update, { status, isActive: false, resolvedBy: req.user.id, resolvedAt: now });
+    }
+
+    if (note) {
+      update.$push = { notes: { by: req.user.id, text: String(note).trim(), at: now } };
+    }
+
+    const incident = await SafetyIncident.findOneAndUpdate(conditions, update, { new: true });
+
+    if (!incident) {
+      const exists = await SafetyIncident.exists({ _id: req.params.id });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists ? `Incident cannot be ${status} from its current status` : 'Incident not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: status ? `Incident ${status}` : 'Note added',
+      incident
+    });
+  } catch (error) {
+    console.error('Error updating incident:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update incident',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,145 @@
+// routes/admin/payments.js
+const express = require('express');
+const router = express.Router();
+const Payment = require('../../models/Payment');
+const User = require('../../models/User');
+const auth = require('../../middleware/authMiddleware');
+const { verifyPayment, refundPayment } = require('../../services/paymentService');
+
+const PAYMENT_STATUSES = Payment.schema.path('status').enumValues;
+const PAYMENT_PURPOSES = Payment.schema.path('purpose').enumValues;
+
+// Admin middleware to verify admin role
+const isAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Admin only'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Admin middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error in admin verification'
+    });
+  }
+};
+
+// @route   GET /api/admin/payments
+// @desc    Get online payments, newest first. Filter with ?status=, ?purpose=, ?rideId=, ?charterOrderId=
+// @access  Private (Admin only)
+router.get('/admin/payments', auth, isAdmin, async (req, res) => {
+  try {
+    const { status, purpose, rideId, charterOrderId } = req.query;
+    const filter = {};
+
+    if (status) {
+      if (!PAYMENT_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: ${PAYMENT_STATUSES.join(', ')}`
+        });
+      }
+      filter.status = status;
+    }
+
+    if (purpose) {
+      if (!PAYMENT_PURPOSES.includes(purpose)) {
+        return res.status(400).json({
+          success: false,
+          message: `Purpose must be one of: ${PAYMENT_PURPOSES.join(', ')}`
+        });
+      }
+      filter.purpose = purpose;
+    }
+
+    if (rideId) filter.rideId = rideId;
+    if (charterOrderId) filter.charterOrderId = charterOrderId;
+
+    const payments = await Payment.find(filter)
+      .populate('userId', 'fullname email phone')
+      .sort({ createdAt: -1 })
+      .limit(200);
+
+    res.json({
+      success: true,
+      payments,
+      count: payments.length
+    });
+  } catch (error) {
+    console.error('Error fetching payments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payments',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/payments/:reference/verify
+// @desc    Ask the provider for the latest status of a payment still waiting on the customer
+// @access  Private (Admin only)
+router.post('/admin/payments/:reference/verify', auth, isAdmin, async (req, res) => {
+  try {
+    const payment = await Payment.findOne({ reference: req.params.reference });
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const verified = await verifyPayment(payment);
+
+    res.json({
+      success: true,
+      payment: verified
+    });
+  } catch (error) {
+    console.error('Error verifying payment:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to verify payment',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/payments/:reference/refund
+// @desc    Refund a successful payment. Optional: amount (defaults to the full amount).
+//          A full refund marks the ride or charter order refunded.
+// @access  Private (Admin only)
+router.post('/admin/payments/:reference/refund', auth, isAdmin, async (req, res) => {
+  try {
+    const payment = await Payment.findOne({ reference: req.params.reference });
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const refunded = await refundPayment(payment, req.user.id, req.body.amount);
+
+    res.json({
+      success: true,
+      message: `Refunded ${refunded.refund.amount} ${refunded.currency}`,
+      payment: refunded
+    });
+  } catch (error) {
+    console.error('Error refunding payment:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to refund payment',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
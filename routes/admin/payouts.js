@@ -0,0 +1,224 @@
+// routes/admin/payouts.js
+const express = require('express');
+const router = express.Router();
+const PayoutBatch = require('../../models/PayoutBatch');
+const DriverPayout = require('../../models/DriverPayout');
+const User = require('../../models/User');
+const auth = require('../../middleware/authMiddleware');
+const {
+  createPayoutBatch,
+  getBatch,
+  approveBatch,
+  markBatchPaid,
+  cancelBatch,
+  exportBatchCsv
+} = require('../../services/payoutService');
+
+const BATCH_STATUSES = PayoutBatch.schema.path('status').enumValues;
+
+// Admin middleware to verify admin role
+const isAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Admin only'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Admin middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error in admin verification'
+    });
+  }
+};
+
+// @route   GET /api/admin/payouts/batches
+// @desc    Get payout batches, newest first. Filter with ?status=draft|approved|paid|cancelled
+// @access  Private (Admin only)
+router.get('/admin/payouts/batches', auth, isAdmin, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      if (!BATCH_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: ${BATCH_STATUSES.join(', ')}`
+        });
+      }
+      filter.status = req.query.status;
+    }
+
+    const batches = await PayoutBatch.find(filter)
+      .populate('createdBy', 'fullname email')
+      .populate('approvedBy', 'fullname email')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({
+      success: true,
+      batches,
+      count: batches.length
+    });
+  } catch (error) {
+    console.error('Error fetching payout batches:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payout batches',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/payouts/batches
+// @desc    Collect every driver owed at least the threshold into a draft batch, net of the
+//          cash they owe on cash trips and the remittances they have made since. Optional:
+//          threshold, cutoff, note.
+// @access  Private (Admin only)
+router.post('/admin/payouts/batches', auth, isAdmin, async (req, res) => {
+  try {
+    const { threshold, cutoff, note } = req.body;
+    const { batch, payouts } = await createPayoutBatch(req.user.id, { threshold, cutoff, note });
+
+    if (payouts.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No driver could be paid. See skipped for the reasons',
+        batch
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Payout batch ${batch.reference} created for ${payouts.length} driver(s)`,
+      batch,
+      payouts
+    });
+  } catch (error) {
+    console.error('Error creating payout batch:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to create payout batch',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/payouts/batches/:id
+// @desc    Get a payout batch with its payouts
+// @access  Private (Admin only)
+router.get('/admin/payouts/batches/:id', auth, isAdmin, async (req, res) => {
+  try {
+    const batch = await getBatch(req.params.id);
+    const payouts = await DriverPayout.find({ batchId: batch._id })
+      .populate({ path: 'driverId', select: 'userId', populate: { path: 'userId', select: 'fullname phone email' } })
+      .populate({ path: 'charterDriverId', select: 'userId', populate: { path: 'userId', select: 'fullname phone email' } })
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      batch,
+      payouts
+    });
+  } catch (error) {
+    console.error('Error fetching payout batch:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to fetch payout batch',
+      error: error.message
+    });
+  }
+});
+
+// @route   PATCH /api/admin/payouts/batches/:id/approve
+// @desc    Approve a draft batch for payment
+// @access  Private (Admin only)
+router.patch('/admin/payouts/batches/:id/approve', auth, isAdmin, async (req, res) => {
+  try {
+    const batch = await approveBatch(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: `Payout batch ${batch.reference} approved`,
+      batch
+    });
+  } catch (error) {
+    console.error('Error approving payout batch:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to approve payout batch',
+      error: error.message
+    });
+  }
+});
+
+// @route   PATCH /api/admin/payouts/batches/:id/paid
+// @desc    Mark an approved batch paid once the transfers have gone out. Optional: results,
+//          [{ payoutId, transferReference, failed, reason }]; failed payouts go back to the
+//          drivers' pending balances.
+// @access  Private (Admin only)
+router.patch('/admin/payouts/batches/:id/paid', auth, isAdmin, async (req, res) => {
+  try {
+    const { batch, paid, failed } = await markBatchPaid(req.params.id, req.user.id, req.body.results);
+
+    res.json({
+      success: true,
+      message: `Payout batch ${batch.reference} paid: ${paid} payout(s) sent${failed ? `, ${failed} failed` : ''}`,
+      batch
+    });
+  } catch (error) {
+    console.error('Error marking payout batch paid:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to mark payout batch paid',
+      error: error.message
+    });
+  }
+});
+
+// @route   PATCH /api/admin/payouts/batches/:id/cancel
+// @desc    Cancel a draft or approved batch; its earnings go back to the drivers' pending balances
+// @access  Private (Admin only)
+router.patch('/admin/payouts/batches/:id/cancel', auth, isAdmin, async (req, res) => {
+  try {
+    const batch = await cancelBatch(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: `Payout batch ${batch.reference} cancelled`,
+      batch
+    });
+  } catch (error) {
+    console.error('Error cancelling payout batch:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to cancel payout batch',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/payouts/batches/:id/export
+// @desc    Download the batch as a bank-transfer CSV
+// @access  Private (Admin only)
+router.get('/admin/payouts/batches/:id/export', auth, isAdmin, async (req, res) => {
+  try {
+    const { csv, filename } = await exportBatchCsv(req.params.id);
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.attachment(filename);
+    res.send(csv);
+  } catch (error) {
+    console.error('Error exporting payout batch:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to export payout batch',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,352 @@
+// routes/admin/pricing.js
+const express = require('express');
+const router = express.Router();
+const PricingRule = require('../../models/PricingRule');
+const Ride = require('../../models/Ride');
+const User = require('../../models/User');
+const auth = require('../../middleware/authMiddleware');
+const { RIDE_TYPES, getActivePricingRule } = require('../../services/fareService');
+
+// Fields an admin can set on a pricing rule version
+const RULE_FIELDS = ['baseFare', 'perKm', 'perMinute', 'minimumFare', 'serviceFeePercent', 'freeWaitingMinutes', 'waitingPerMinute', 'commissionPercent', 'multipliers', 'surge', 'pooling', 'cancellation', 'notes'];
+
+// Admin middleware to verify admin role
+const isAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Admin only'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Admin middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error in admin verification'
+    });
+  }
+};
+
+const pickRuleFields = (body) => {
+  const fields = {};
+  RULE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+const getNextVersion = async (rideType) => {
+  const latest = await PricingRule.findOne({ rideType }).sort({ version: -1 }).select('version');
+  return latest ? latest.version + 1 : 1;
+};
+
+// Make a rule the only active version for its ride type
+const activateRule = async (rule) => {
+  await PricingRule.updateMany(
+    { rideType: rule.rideType, isActive: true, _id: { $ne: rule._id } },
+    { isActive: false }
+  );
+
+  rule.isActive = true;
+  rule.activatedAt = new Date();
+  await rule.save();
+  return rule;
+};
+
+const handleSaveError = (error, res, message) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: messages
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'Another version was created at the same time. Please try again'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// @route   GET /api/admin/pricing-rules
+// @desc    Get all pricing rule versions, optionally filtered by ride type
+// @access  Private (Admin only)
+router.get('/admin/pricing-rules', auth, isAdmin, async (req, res) => {
+  try {
+    const { rideType } = req.query;
+    const filter = rideType ? { rideType } : {};
+
+    const rules = await PricingRule.find(filter)
+      .populate('createdBy', 'fullname email')
+      .sort({ rideType: 1, version: -1 });
+
+    res.json({
+      success: true,
+      rules,
+      count: rules.length
+    });
+  } catch (error) {
+    console.error('Error fetching pricing rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch pricing rules',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/pricing-rules/active
+// @desc    Get the pricing currently in effect for every ride type
+// @access  Private (Admin only)
+router.get('/admin/pricing-rules/active', auth, isAdmin, async (req, res) => {
+  try {
+    const rules = await Promise.all(RIDE_TYPES.map(rideType => getActivePricingRule(rideType)));
+
+    res.json({
+      success: true,
+      rules
+    });
+  } catch (error) {
+    console.error('Error fetching active pricing rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch active pricing rules',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/pricing-rules/:id
+// @desc    Get a single pricing rule version
+// @access  Private (Admin only)
+router.get('/admin/pricing-rules/:id', auth, isAdmin, async (req, res) => {
+  try {
+    const rule = await PricingRule.findById(req.params.id)
+      .populate('createdBy', 'fullname email');
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pricing rule not found'
+      });
+    }
+
+    const ridesPriced = await Ride.countDocuments({ pricingRuleId: rule._id });
+
+    res.json({
+      success: true,
+      rule,
+      ridesPriced
+    });
+  } catch (error) {
+    console.error('Error fetching pricing rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch pricing rule',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/pricing-rules
+// @desc    Create a new pricing rule version for a ride type
+// @access  Private (Admin only)
+router.post('/admin/pricing-rules', auth, isAdmin, async (req, res) => {
+  try {
+    const { rideType, activate } = req.body;
+
+    if (!RIDE_TYPES.includes(rideType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ride type'
+      });
+    }
+
+    const rule = new PricingRule({
+      ...pickRuleFields(req.body),
+      rideType,
+      version: await getNextVersion(rideType),
+      isActive: false,
+      createdBy: req.user.id
+    });
+
+    await rule.save();
+
+    if (activate) {
+      await activateRule(rule);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Pricing rule version ${rule.version} created for ${rideType}`,
+      rule
+    });
+  } catch (error) {
+    console.error('Error creating pricing rule:', error);
+    handleSaveError(error, res, 'Failed to create pricing rule');
+  }
+});
+
+// @route   PUT /api/admin/pricing-rules/:id
+// @desc    Revise a pricing rule. Versions are immutable, so this creates a new version
+//          based on the given one; it becomes active if the original was active.
+// @access  Private (Admin only)
+router.put('/admin/pricing-rules/:id', auth, isAdmin, async (req, res) => {
+  try {
+    const existing = await PricingRule.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pricing rule not found'
+      });
+    }
+
+    const base = pickRuleFields(existing.toObject());
+    const rule = new PricingRule({
+      ...base,
+      ...pickRuleFields(req.body),
+      rideType: existing.rideType,
+      version: await getNextVersion(existing.rideType),
+      isActive: false,
+      createdBy: req.user.id
+    });
+
+    await rule.save();
+
+    if (existing.isActive || req.body.activate) {
+      await activateRule(rule);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Pricing rule version ${rule.version} created for ${rule.rideType}`,
+      rule
+    });
+  } catch (error) {
+    console.error('Error revising pricing rule:', error);
+    handleSaveError(error, res, 'Failed to revise pricing rule');
+  }
+});
+
+// @route   PATCH /api/admin/pricing-rules/:id/activate
+// @desc    Make a pricing rule version the active one for its ride type
+// @access  Private (Admin only)
+router.patch('/admin/pricing-rules/:id/activate', auth, isAdmin, async (req, res) => {
+  try {
+    const rule = await PricingRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pricing rule not found'
+      });
+    }
+
+    await activateRule(rule);
+
+    res.json({
+      success: true,
+      message: `Pricing rule version ${rule.version} is now active for ${rule.rideType}`,
+      rule
+    });
+  } catch (error) {
+    console.error('Error activating pricing rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to activate pricing rule',
+      error: error.message
+    });
+  }
+});
+
+// @route   PATCH /api/admin/pricing-rules/:id/deactivate
+// @desc    Deactivate a pricing rule; the ride type falls back to the built-in defaults
+// @access  Private (Admin only)
+router.patch('/admin/pricing-rules/:id/deactivate', auth, isAdmin, async (req, res) => {
+  try {
+    const rule = await PricingRule.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pricing rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Pricing rule version ${rule.version} deactivated for ${rule.rideType}`,
+      rule
+    });
+  } catch (error) {
+    console.error('Error deactivating pricing rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate pricing rule',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/admin/pricing-rules/:id
+// @desc    Delete a pricing rule version that is inactive and has never priced a ride
+// @access  Private (Admin only)
+router.delete('/admin/pricing-rules/:id', auth, isAdmin, async (req, res) => {
+  try {
+    const rule = await PricingRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pricing rule not found'
+      });
+    }
+
+    if (rule.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete the active pricing rule. Activate another version first'
+      });
+    }
+
+    const ridesPriced = await Ride.countDocuments({ pricingRuleId: rule._id });
+    if (ridesPriced > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete a pricing rule that has priced ${ridesPriced} ride(s)`
+      });
+    }
+
+    await rule.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Pricing rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting pricing rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete pricing rule',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,318 @@
+// routes/admin/promo.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const PromoCode = require('../../models/PromoCode');
+const PromoRedemption = require('../../models/PromoRedemption');
+const User = require('../../models/User');
+const auth = require('../../middleware/authMiddleware');
+
+// Fields an admin can set on a promo campaign
+const PROMO_FIELDS = [
+  'code', 'description', 'discountType', 'discountValue', 'maxDiscount', 'minFare',
+  'appliesTo', 'rideTypes', 'charterVehicleTypes', 'firstRideOnly',
+  'startsAt', 'expiresAt', 'usageLimit', 'perUserLimit', 'isActive'
+];
+
+// Admin middleware to verify admin role
+const isAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Admin only'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Admin middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error in admin verification'
+    });
+  }
+};
+
+const pickPromoFields = (body) => {
+  const fields = {};
+  PROMO_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+// Redemption counts and discount totals, keyed by promo id
+const getRedemptionStats = async (promoIds) => {
+  const stats = await PromoRedemption.aggregate([
+    { $match: { promoId: { $in: promoIds } } },
+    {
+      $group: {
+        _id: '$promoId',
+        redeemed: { $sum: { $cond: [{ $eq: ['$status', 'redeemed'] }, 1, 0] } },
+        reversed: { $sum: { $cond: [{ $eq: ['$status', 'reversed'] }, 1, 0] } },
+        rides: { $sum: { $cond: [{ $and: [{ $eq: ['$status', 'redeemed'] }, { $eq: ['$service', 'ride'] }] }, 1, 0] } },
+        charters: { $sum: { $cond: [{ $and: [{ $eq: ['$status', 'redeemed'] }, { $eq: ['$service', 'charter'] }] }, 1, 0] } },
+        totalDiscount: { $sum: { $cond: [{ $eq: ['$status', 'redeemed'] }, '$discountAmount', 0] } },
+        uniqueUsers: { $addToSet: '$userId' }
+      }
+    }
+  ]);
+
+  const statsMap = {};
+  stats.forEach(stat => {
+    statsMap[stat._id.toString()] = {
+      redeemed: stat.redeemed,
+      reversed: stat.reversed,
+      rides: stat.rides,
+      charters: stat.charters,
+      totalDiscount: stat.totalDiscount,
+      uniqueUsers: stat.uniqueUsers.length
+    };
+  });
+  return statsMap;
+};
+
+const EMPTY_STATS = { redeemed: 0, reversed: 0, rides: 0, charters: 0, totalDiscount: 0, uniqueUsers: 0 };
+
+const validatePromoInput = (fields) => {
+  if (fields.discountType === 'percentage' && fields.discountValue > 100) {
+    return 'Percentage discount cannot exceed 100';
+  }
+  if (fields.startsAt && fields.expiresAt && new Date(fields.expiresAt) <= new Date(fields.startsAt)) {
+    return 'Expiry date must be after the start date';
+  }
+  return null;
+};
+
+const handleSaveError = (error, res, message) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: messages
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A promo with this code already exists'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// @route   POST /api/admin/promos
+// @desc    Create a promo campaign
+// @access  Private (Admin only)
+router.post('/admin/promos', auth, isAdmin, async (req, res) => {
+  try {
+    const fields = pickPromoFields(req.body);
+
+    const inputError = validatePromoInput(fields);
+    if (inputError) {
+      return res.status(400).json({
+        success: false,
+        message: inputError
+      });
+    }
+
+    const promo = new PromoCode({
+      ...fields,
+      createdBy: req.user.id
+    });
+
+    await promo.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Promo created successfully',
+      promo
+    });
+  } catch (error) {
+    console.error('Error creating promo:', error);
+    handleSaveError(error, res, 'Failed to create promo');
+  }
+});
+
+// @route   GET /api/admin/promos
+// @desc    Get all promo campaigns with redemption stats
+// @access  Private (Admin only)
+router.get('/admin/promos', auth, isAdmin, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active !== undefined) {
+      filter.isActive = req.query.active === 'true';
+    }
+
+    const promos = await PromoCode.find(filter).sort({ createdAt: -1 });
+    const statsMap = await getRedemptionStats(promos.map(promo => promo._id));
+
+    res.json({
+      success: true,
+      promos: promos.map(promo => ({
+        ...promo.toObject(),
+        stats: statsMap[promo._id.toString()] || EMPTY_STATS
+      })),
+      count: promos.length
+    });
+  } catch (error) {
+    console.error('Error fetching promos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch promos',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/promos/:id
+// @desc    Get a promo campaign with redemption stats
+// @access  Private (Admin only)
+router.get('/admin/promos/:id', auth, isAdmin, async (req, res) => {
+  try {
+    const promo = await PromoCode.findById(req.params.id)
+      .populate('createdBy', 'fullname email');
+
+    if (!promo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo not found'
+      });
+    }
+
+    const statsMap = await getRedemptionStats([promo._id]);
+
+    res.json({
+      success: true,
+      promo,
+      stats: statsMap[promo._id.toString()] || EMPTY_STATS
+    });
+  } catch (error) {
+    console.error('Error fetching promo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch promo',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/promos/:id/redemptions
+// @desc    Get every redemption of a promo
+// @access  Private (Admin only)
+router.get('/admin/promos/:id/redemptions', auth, isAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo not found'
+      });
+    }
+
+    const redemptions = await PromoRedemption.find({ promoId: req.params.id })
+      .populate('userId', 'fullname email phone')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      redemptions,
+      count: redemptions.length
+    });
+  } catch (error) {
+    console.error('Error fetching promo redemptions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch promo redemptions',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/promos/:id
+// @desc    Update a promo campaign
+// @access  Private (Admin only)
+router.put('/admin/promos/:id', auth, isAdmin, async (req, res) => {
+  try {
+    const promo = await PromoCode.findById(req.params.id);
+    if (!promo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo not found'
+      });
+    }
+
+    const fields = pickPromoFields(req.body);
+
+    if (fields.code && fields.code.toUpperCase() !== promo.code && promo.timesRedeemed > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change the code of a promo that has been redeemed'
+      });
+    }
+
+    const inputError = validatePromoInput({ ...promo.toObject(), ...fields });
+    if (inputError) {
+      return res.status(400).json({
+        success: false,
+        message: inputError
+      });
+    }
+
+    Object.assign(promo, fields);
+    await promo.save();
+
+    res.json({
+      success: true,
+      message: 'Promo updated successfully',
+      promo
+    });
+  } catch (error) {
+    console.error('Error updating promo:', error);
+    handleSaveError(error, res, 'Failed to update promo');
+  }
+});
+
+// @route   PATCH /api/admin/promos/:id/deactivate
+// @desc    Stop a promo from being redeemed
+// @access  Private (Admin only)
+router.patch('/admin/promos/:id/deactivate', auth, isAdmin, async (req, res) => {
+  try {
+    const promo = await PromoCode.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!promo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Promo deactivated successfully',
+      promo
+    });
+  } catch (error) {
+    console.error('Error deactivating promo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate promo',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
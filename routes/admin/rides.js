@@ -6,6 +6,13 @@ const User = require('../../models/User');
 const DriverDetail = require('../../models/AdminDriver');
 const Vehicle = require('../../models/Vehicle');
 const auth = require('../../middleware/authMiddleware');
+const { assignManually, startDispatch } = require('../../services/dispatchService');
+const { ACTORS, assertTransition, transitionRide } = require('../../services/rideStateMachine');
+const { releaseScheduledRide } = require('../../services/rideSchedulerService');
+const { completeRide } = require('../../services/tripFareService');
+const { unlockTripPin } = require('../../services/tripPinService');
+const { recordCancellationEarning } = require('../../services/earningsService');
+const { getCashBlockReason } = require('../../services/cashReconciliationService');
 
 // Admin middleware to verify admin role
 const isAdmin = async (req, res, next) => {
@@ -71,6 +78,15 @@ router.get('/admin/rides', auth, isAdmin, async (req, res) => {
           driverName: ride.driverDetail?.userId?.fullname || 'Unassigned',
           pickupLocation: ride.pickupLocation,
           destination: ride.destination,
+          stops: ride.stops,
+          legs: ride.legs,
+          pool: ride.pool,
+          cancellation: ride.cancellation,
+          tripPin: ride.tripPin,
+          estimatedFare: ride.estimatedFare,
+          waitingCharge: ride.waitingCharge,
+          actualDistance: ride.actualDistance,
+          actualDuration: ride.actualDuration,
           status: ride.status,
           rideType: ride.rideType,
           totalFare: ride.totalFare,
@@ -96,7 +112,7 @@ router.get('/admin/rides', auth, isAdmin, async (req, res) => {
 });
 
 // @route   PUT /api/admin/rides/:rideId/assign
-// @desc    Assign a driver to a ride
+// @desc    Assign a driver to a ride, overriding automatic dispatch
 // @access  Private (Admin only)
 router.put('/admin/rides/:rideId/assign', auth, isAdmin, async (req, res) => {
     
@@ -121,13 +137,13 @@ router.put('/admin/rides/:rideId/assign', auth, isAdmin, async (req, res) => {
     }
 
 
-    // Check if ride is in pending state
-   const allowedStatuses = ['pending', 'awaiting_driver_confirmation'];
+    // Check if ride is still waiting for a driver
+    const allowedStatuses = ['pending', 'searching', 'awaiting_driver_confirmation'];
 
     if (!allowedStatuses.includes(ride.status)) {
       return res.status(400).json({
         success: false,
-        message: 'Ride must be in pending or awaiting driver confirmation state to assign driver'
+        message: 'Ride must be pending, searching or awaiting driver confirmation to assign driver'
       });
     }
 
@@ -157,14 +173,23 @@ router.put('/admin/rides/:rideId/assign', auth, isAdmin, async (req, res) => {
       });
     }
 
-    // Update ride with driver and status
-    ride.driverId = driverDetailId;
-    ride.status = 'awaiting_driver_confirmation';
-    ride.acceptedAt = new Date();
-    await ride.save();
+    // Drivers holding too much overdue cash get no new rides until they remit it
+    const cashBlockReason = getCashBlockReason(driverDetail);
+    if (cashBlockReason) {
+      return res.status(409).json({
+        success: false,
+        message: cashBlockReason
+      });
+    }
 
-    // Fetch the updated ride with populated data
-    const updatedRide = await Ride.findById(rideId);
+    // Manual assignment overrides any offer the dispatcher has open
+    const updatedRide = await assignManually(ride, driverDetailId, allowedStatuses, req.user.id);
+    if (!updatedRide) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ride was updated by someone else. Please refresh and try again'
+      });
+    }
     
     let driverDetailPopulated = null;
     if (updatedRide.driverId) {
@@ -191,6 +216,15 @@ router.put('/admin/rides/:rideId/assign', auth, isAdmin, async (req, res) => {
         driverName: driverDetailPopulated?.userId?.fullname || 'Unassigned',
         pickupLocation: updatedRide.pickupLocation,
         destination: updatedRide.destination,
+        stops: updatedRide.stops,
+        legs: updatedRide.legs,
+        pool: updatedRide.pool,
+        cancellation: updatedRide.cancellation,
+        tripPin: updatedRide.tripPin,
+        estimatedFare: updatedRide.estimatedFare,
+        waitingCharge: updatedRide.waitingCharge,
+        actualDistance: updatedRide.actualDistance,
+        actualDuration: updatedRide.actualDuration,
         status: updatedRide.status,
         rideType: updatedRide.rideType,
         totalFare: updatedRide.totalFare,
@@ -210,6 +244,49 @@ router.put('/admin/rides/:rideId/assign', auth, isAdmin, async (req, res) => {
   }
 });
 
+// @route   POST /api/admin/rides/:rideId/dispatch
+// @desc    Restart automatic dispatch for a ride waiting in pending
+// @access  Private (Admin only)
+router.post('/admin/rides/:rideId/dispatch', auth, isAdmin, async (req, res) => {
+  try {
+    const ride = await Ride.findById(req.params.rideId);
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found'
+      });
+    }
+
+    if (ride.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Ride cannot be dispatched from ${ride.status} status`
+      });
+    }
+
+    const updatedRide = await startDispatch(ride._id, ACTORS.ADMIN, req.user.id);
+
+    res.json({
+      success: true,
+      message: updatedRide && updatedRide.status === 'awaiting_driver_confirmation'
+        ? 'Ride offered to the next available driver'
+        : 'No available driver found. Ride is still pending',
+      ride: {
+        _id: ride._id,
+        status: updatedRide ? updatedRide.status : ride.status,
+        driverId: updatedRide ? updatedRide.driverId : null
+      }
+    });
+  } catch (error) {
+    console.error('Error dispatching ride:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to dispatch ride',
+      error: error.message
+    });
+  }
+});
+
 // @route   PUT /api/admin/rides/:rideId/complete
 // @desc    Complete a ride
 // @access  Private (Admin only)
@@ -226,28 +303,32 @@ router.put('/admin/rides/:rideId/complete', auth, isAdmin, async (req, res) => {
     }
 
     // Check if ride is in a valid state to complete
-    if (!['accepted', 'in_progress', 'arrived'].includes(ride.status)) {
+    if (!['accepted', 'arrived', 'picked_up', 'in_progress'].includes(ride.status)) {
       return res.status(400).json({
         success: false,
         message: `Ride cannot be completed from ${ride.status} status`
       });
     }
 
-    // Update ride status
-    ride.status = 'completed';
-    ride.completedAt = new Date();
-    await ride.save();
+    const completedRide = await completeRide(ride, ACTORS.ADMIN, req.user.id, { reason: req.body.reason });
 
-    await ride.populate('driverId', 'fullname');
-    await ride.populate('userId', 'fullname phone');
+    if (!completedRide) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ride was updated by someone else. Please refresh and try again'
+      });
+    }
 
     res.json({
       success: true,
       message: 'Ride completed successfully',
       ride: {
-        _id: ride._id,
-        status: ride.status,
-        completedAt: ride.completedAt
+        _id: completedRide._id,
+        status: completedRide.status,
+        completedAt: completedRide.completedAt,
+        estimatedFare: completedRide.estimatedFare,
+        waitingCharge: completedRide.waitingCharge,
+        totalFare: completedRide.totalFare
       }
     });
   } catch (error) {
@@ -283,18 +364,26 @@ router.put('/admin/rides/:rideId/decline', auth, isAdmin, async (req, res) => {
       });
     }
 
-    // Update ride status
-    ride.status = 'cancelled';
-    ride.cancelledAt = new Date();
-    await ride.save();
+    const cancelledRide = await transitionRide(ride, 'cancelled', {
+      actor: ACTORS.ADMIN,
+      actorId: req.user.id,
+      reason: req.body.reason
+    });
+
+    if (!cancelledRide) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ride was updated by someone else. Please refresh and try again'
+      });
+    }
 
     res.json({
       success: true,
       message: 'Ride declined successfully',
       ride: {
-        _id: ride._id,
-        status: ride.status,
-        cancelledAt: ride.cancelledAt
+        _id: cancelledRide._id,
+        status: cancelledRide.status,
+        cancelledAt: cancelledRide.cancelledAt
       }
     });
   } catch (error) {
@@ -307,6 +396,94 @@ router.put('/admin/rides/:rideId/decline', auth, isAdmin, async (req, res) => {
   }
 });
 
+// @route   PATCH /api/admin/rides/:rideId/cancellation-fee
+// @desc    Settle a cancelled ride's fee: mark it charged once collected, or waive it.
+//          The driver is credited their share only when the fee is charged.
+// @access  Private (Admin only)
+router.patch('/admin/rides/:rideId/cancellation-fee', auth, isAdmin, async (req, res) => {
+  try {
+    const { feeStatus } = req.body;
+
+    if (!['charged', 'waived'].includes(feeStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: 'feeStatus must be charged or waived'
+      });
+    }
+
+    const ride = await Ride.findOneAndUpdate(
+      { _id: req.params.rideId, status: 'cancelled', 'cancellation.feeStatus': 'pending' },
+      {
+        'cancellation.feeStatus': feeStatus,
+        ...(feeStatus === 'charged' && { paymentStatus: 'completed' })
+      },
+      { new: true }
+    );
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending cancellation fee found for this ride'
+      });
+    }
+
+    if (feeStatus === 'charged') {
+      await recordCancellationEarning(ride);
+    }
+
+    res.json({
+      success: true,
+      message: `Cancellation fee ${feeStatus}`,
+      ride: {
+        _id: ride._id,
+        status: ride.status,
+        paymentStatus: ride.paymentStatus,
+        cancellation: ride.cancellation
+      }
+    });
+  } catch (error) {
+    console.error('Error settling cancellation fee:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to settle cancellation fee',
+      error: error.message
+    });
+  }
+});
+
+// @route   PATCH /api/admin/rides/:rideId/trip-pin/unlock
+// @desc    Let the driver try the trip PIN again after too many wrong attempts locked the ride
+// @access  Private (Admin only)
+router.patch('/admin/rides/:rideId/trip-pin/unlock', auth, isAdmin, async (req, res) => {
+  try {
+    const ride = await unlockTripPin(req.params.rideId);
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found or its trip PIN is not locked'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Trip PIN unlocked',
+      ride: {
+        _id: ride._id,
+        status: ride.status,
+        tripPin: ride.tripPin
+      }
+    });
+  } catch (error) {
+    console.error('Error unlocking trip PIN:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock trip PIN',
+      error: error.message
+    });
+  }
+});
+
 // @route   GET /api/admin/drivers/available/:rideId
 // @desc    Get all available drivers with matching vehicle type for the ride
 // @access  Private (Admin only)
@@ -327,7 +504,8 @@ router.get('/admin/drivers/available/:rideId', auth, isAdmin, async (req, res) =
 
     // Get all active drivers with a vehicle assigned and matching vehicle type
     const drivers = await DriverDetail.find({ 
-      vehicleId: { $exists: true, $ne: null } // Must have a vehicle assigned
+      vehicleId: { $exists: true, $ne: null }, // Must have a vehicle assigned
+      'cashHold.blocked': { $ne: true } // Not blocked for overdue cash
     })
       .populate({
         path: 'userId',
@@ -353,6 +531,8 @@ router.get('/admin/drivers/available/:rideId', auth, isAdmin, async (req, res) =
         phone: driver.userId?.phoneNumber,
         email: driver.userId?.email,
         status: 'active',
+        isOnline: driver.isOnline,
+        lastLocationAt: driver.lastLocationAt,
         rating: driver.driverRating || 0,
         totalTrips: driver.totalTrips || 0,
         vehicle: driver.vehicleId ? {
@@ -375,12 +555,12 @@ router.get('/admin/drivers/available/:rideId', auth, isAdmin, async (req, res) =
 });
 
 // @route   PATCH /api/admin/rides/:rideId/status
-// @desc    Update ride status
+// @desc    Move a ride to its next status (see services/rideStateMachine.js for allowed transitions)
 // @access  Private (Admin only)
 router.patch('/admin/rides/:rideId/status', auth, isAdmin, async (req, res) => {
   try {
     const { rideId } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
 
     if (!status) {
       return res.status(400).json({
@@ -389,18 +569,16 @@ router.patch('/admin/rides/:rideId/status', auth, isAdmin, async (req, res) => {
       });
     }
 
-    // Valid status transitions
-    const validStatuses = ['pending', 'searching', 'awaiting_driver_confirmation', 'accepted', 'picked_up', 'in_progress', 'completed', 'cancelled'];
-    
-    if (!validStatuses.includes(status)) {
+    // Offers need a driver, so they go through the assign endpoint
+    if (status === 'awaiting_driver_confirmation') {
       return res.status(400).json({
         success: false,
-        message: 'Invalid status'
+        message: 'Use PUT /api/admin/rides/:rideId/assign to offer a ride to a driver'
       });
     }
 
     // Find the ride
-    const ride = await Ride.findById(rideId);
+    let ride = await Ride.findById(rideId);
     if (!ride) {
       return res.status(404).json({
         success: false,
@@ -408,19 +586,29 @@ router.patch('/admin/rides/:rideId/status', auth, isAdmin, async (req, res) => {
       });
     }
 
-    // Update status with appropriate timestamps
-    ride.status = status;
-
-    if (status === 'picked_up') {
-      ride.pickedUpAt = new Date();
-    } else if (status === 'in_progress') {
-      ride.startedAt = new Date();
+    if (status === 'searching') {
+      assertTransition(ride.status, status, ACTORS.ADMIN);
+      ride = await startDispatch(ride._id, ACTORS.ADMIN, req.user.id);
+    } else if (status === 'pending' && ride.status === 'scheduled') {
+      // Releasing a scheduled ride early hands it straight to the dispatcher
+      ride = await releaseScheduledRide(ride, ACTORS.ADMIN, req.user.id);
     } else if (status === 'completed') {
-      ride.completedAt = new Date();
-      ride.paymentStatus = 'pending';
+      assertTransition(ride.status, status, ACTORS.ADMIN);
+      ride = await completeRide(ride, ACTORS.ADMIN, req.user.id, { reason });
+    } else {
+      ride = await transitionRide(ride, status, {
+        actor: ACTORS.ADMIN,
+        actorId: req.user.id,
+        reason
+      });
     }
 
-    await ride.save();
+    if (!ride) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ride was updated by someone else. Please refresh and try again'
+      });
+    }
 
     // Populate the updated ride for response
     let driverInfo = null;
@@ -448,6 +636,15 @@ router.patch('/admin/rides/:rideId/status', auth, isAdmin, async (req, res) => {
         driverName: driverInfo?.userId?.fullname || 'Unassigned',
         pickupLocation: ride.pickupLocation,
         destination: ride.destination,
+        stops: ride.stops,
+        legs: ride.legs,
+        pool: ride.pool,
+        cancellation: ride.cancellation,
+        tripPin: ride.tripPin,
+        estimatedFare: ride.estimatedFare,
+        waitingCharge: ride.waitingCharge,
+        actualDistance: ride.actualDistance,
+        actualDuration: ride.actualDuration,
         status: ride.status,
         rideType: ride.rideType,
         totalFare: ride.totalFare,
@@ -459,9 +656,9 @@ router.patch('/admin/rides/:rideId/status', auth, isAdmin, async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating ride status:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Failed to update ride status',
+      message: error.status ? error.message : 'Failed to update ride status',
       error: error.message
     });
   }
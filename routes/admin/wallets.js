@@ -0,0 +1,138 @@
+// routes/admin/wallets.js
+const express = require('express');
+const router = express.Router();
+const WalletTransaction = require('../../models/WalletTransaction');
+const User = require('../../models/User');
+const auth = require('../../middleware/authMiddleware');
+const { getWallet, getStatement, adjustWallet } = require('../../services/walletService');
+
+// Admin middleware to verify admin role
+const isAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Admin only'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Admin middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error in admin verification'
+    });
+  }
+};
+
+// @route   GET /api/admin/wallets/:userId
+// @desc    Get a user's wallet balance and statement. Optional: limit (default 50), skip
+// @access  Private (Admin only)
+router.get('/admin/wallets/:userId', auth, isAdmin, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('fullname email phone');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+    const { balance, transactions, total } = await getStatement(user._id, { limit, skip });
+
+    res.json({
+      success: true,
+      user,
+      balance,
+      transactions,
+      pagination: {
+        total,
+        limit,
+        skip
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching wallet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch wallet',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/wallet-adjustments
+// @desc    Get manual wallet entries made by admins, newest first. Filter with ?userId=
+// @access  Private (Admin only)
+router.get('/admin/wallet-adjustments', auth, isAdmin, async (req, res) => {
+  try {
+    const filter = { createdBy: { $ne: null } };
+    if (req.query.userId) filter.userId = req.query.userId;
+
+    const adjustments = await WalletTransaction.find(filter)
+      .populate('userId', 'fullname email phone')
+      .populate('createdBy', 'fullname email')
+      .sort({ createdAt: -1 })
+      .limit(200);
+
+    res.json({
+      success: true,
+      adjustments,
+      count: adjustments.length
+    });
+  } catch (error) {
+    console.error('Error fetching wallet adjustments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch wallet adjustments',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/wallets/:userId/adjustments
+// @desc    Credit or debit a user's wallet. Required: type (adjustment|refund|promo_credit),
+//          amount (negative only for adjustment), reason. Optional: rideId or charterOrderId
+//          for a refund, which cannot exceed what the wallet paid for it.
+// @access  Private (Admin only)
+router.post('/admin/wallets/:userId/adjustments', auth, isAdmin, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('_id');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { type, amount, reason, rideId, charterOrderId } = req.body;
+    const { transaction, wallet } = await adjustWallet(user._id, req.user.id, {
+      type,
+      amount,
+      reason,
+      rideId: rideId || null,
+      charterOrderId: charterOrderId || null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Wallet updated',
+      transaction,
+      balance: wallet.balance
+    });
+  } catch (error) {
+    console.error('Error adjusting wallet:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to adjust wallet',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -4,9 +4,31 @@
 const express = require('express');
 const router = express.Router();
 const CharterOrder = require('../models/charter/CharterOrder');
+const CharterVehicle = require('../models/charter/CharterVehicle');
 const User = require('../models/User');
 const auth = require('../middleware/authMiddleware');
 const { createNotification, notifyAdmins } = require('../services/notificationService');
+const { validatePromo, redeemPromo, reverseRedemption } = require('../services/promoService');
+const { cancelByUser, acceptQuote, declineQuote } = require('../services/charterLifecycle');
+const { getCharterRate, calculateCharterPrice } = require('../services/charterPricingService');
+const { getOrderWindow, buildTripSchedule, reserveVehicle, releaseVehicle } = require('../services/charterAvailabilityService');
+const { resolveLocation } = require('../services/geocodingService');
+const { estimateRouteDistanceKm } = require('../services/charterRouteService');
+const { formatLocation } = require('../utils/geo');
+
+// Geocode the stops and return leg of a trip schedule in place
+const resolveScheduleLocations = async (schedule) => {
+  for (const stop of schedule.itinerary) {
+    stop.location = await resolveLocation(stop.location, `Stop ${stop.sequence}`);
+  }
+
+  if (schedule.returnTrip.enabled) {
+    schedule.returnTrip.pickupLocation = await resolveLocation(schedule.returnTrip.pickupLocation, 'Return pickupLocation');
+    schedule.returnTrip.destination = await resolveLocation(schedule.returnTrip.destination, 'Return destination');
+  }
+
+  return schedule;
+};
 
 // @route   GET /api/charter/orders
 // @desc    Get user's charter orders
@@ -34,42 +56,208 @@ router.get('/orders', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/charter/estimate
+// @desc    Estimate a charter price before booking. The final price comes from the quote.
+//          Give startAt and endAt (with any returnTrip and itinerary) to price the whole booked window,
+//          and pickupLocation and destination to have the distance worked out from the route.
+// @access  Private
+router.post('/estimate', auth, async (req, res) => {
+  try {
+    const {
+      vehicleNeeded, passengers, extras, startAt, endAt, returnTrip, itinerary, pickupLocation, destination
+    } = req.body;
+    let { distanceKm, durationHours, days } = req.body;
+
+    if (!vehicleNeeded) {
+      return res.status(400).json({
+        success: false,
+        message: 'vehicleNeeded is required'
+      });
+    }
+
+    const vehicle = await CharterVehicle.findById(vehicleNeeded);
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    let route = null;
+    if (pickupLocation && destination) {
+      route = {
+        pickupLocation: await resolveLocation(pickupLocation, 'pickupLocation'),
+        destination: await resolveLocation(destination, 'destination')
+      };
+    }
+
+    if (startAt) {
+      const schedule = buildTripSchedule({ startAt, endAt, durationHours, days, returnTrip, itinerary }, route || {});
+      durationHours = schedule.durationHours;
+      days = schedule.tripDays;
+      if (route) {
+        await resolveScheduleLocations(schedule);
+        route = { ...route, itinerary: schedule.itinerary, returnTrip: schedule.returnTrip };
+      }
+    }
+
+    const routeDistanceKm = route ? estimateRouteDistanceKm(route) : null;
+    if (!parseFloat(distanceKm) && routeDistanceKm) {
+      distanceKm = routeDistanceKm;
+    }
+
+    const rate = await getCharterRate(vehicle);
+    const estimate = calculateCharterPrice(rate, vehicle, { passengers, distanceKm, durationHours, days, extras });
+
+    res.json({
+      success: true,
+      estimate: {
+        ...estimate,
+        routeDistanceKm,
+        availableExtras: rate.extras || []
+      }
+    });
+  } catch (error) {
+    console.error('Error estimating charter price:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error estimating charter price',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // @route   POST /api/charter/book
-// @desc    Create a new charter order
+// @desc    Create a new charter order. The trip is booked from startAt to endAt (or tripDate and
+//          tripTime plus durationHours/tripDays), with an optional returnTrip and itinerary of stops.
+//          Locations are address strings or { address, placeName, lat, lng }; addresses are geocoded.
 // @access  Private
 router.post('/book', auth, async (req, res) => {
   try {
-    const { pickupLocation, destination, vehicleNeeded, passengers, tripDate, tripTime, specialRequests } = req.body;
+    const {
+      pickupLocation, destination, vehicleNeeded, passengers, tripDate, tripTime, specialRequests, promoCode,
+      estimatedDistanceKm, durationHours, tripDays, extras, startAt, endAt, returnTrip, itinerary
+    } = req.body;
 
     // Validate required fields
-    if (!pickupLocation || !destination || !vehicleNeeded || !tripDate || !tripTime) {
+    if (!pickupLocation || !destination || !vehicleNeeded || (!startAt && (!tripDate || !tripTime))) {
       return res.status(400).json({
         success: false,
-        message: 'Missing required fields: pickupLocation, destination, vehicleNeeded, tripDate, tripTime'
+        message: 'Missing required fields: pickupLocation, destination, vehicleNeeded, and startAt or tripDate with tripTime'
+      });
+    }
+
+    let route;
+    let schedule;
+    try {
+      route = {
+        pickupLocation: await resolveLocation(pickupLocation, 'pickupLocation'),
+        destination: await resolveLocation(destination, 'destination')
+      };
+      schedule = buildTripSchedule(
+        { startAt, endAt, tripDate, tripTime, durationHours, days: tripDays, returnTrip, itinerary },
+        route
+      );
+      await resolveScheduleLocations(schedule);
+    } catch (scheduleErr) {
+      if (!scheduleErr.status) throw scheduleErr;
+      return res.status(scheduleErr.status).json({
+        success: false,
+        message: scheduleErr.message
       });
     }
 
+    // Charter orders are priced later, so only the promo's eligibility is checked here
+    let promo = null;
+    if (promoCode) {
+      const vehicle = await CharterVehicle.findById(vehicleNeeded).select('vehicleType');
+      if (!vehicle) {
+        return res.status(404).json({
+          success: false,
+          message: 'Vehicle not found'
+        });
+      }
+
+      try {
+        ({ promo } = await validatePromo(promoCode, req.user.id, {
+          service: 'charter',
+          vehicleType: vehicle.vehicleType,
+          amount: null
+        }));
+      } catch (promoErr) {
+        return res.status(promoErr.status || 400).json({
+          success: false,
+          message: promoErr.message
+        });
+      }
+    }
+
     const newOrder = new CharterOrder({
       userId: req.user.id,
-      pickupLocation,
-      destination,
+      pickupLocation: route.pickupLocation,
+      destination: route.destination,
       vehicleNeeded,
       vehicleId: vehicleNeeded,  // Set vehicleId to the selected vehicle
       passengers: passengers || 1,
-      tripDate: new Date(tripDate),
-      tripTime,
+      tripDate: schedule.tripDate,
+      tripTime: schedule.tripTime,
+      startAt: schedule.startAt,
+      endAt: schedule.endAt,
+      returnTrip: schedule.returnTrip,
+      itinerary: schedule.itinerary,
       specialRequests: specialRequests || '',
-      status: 'pending'
+      estimatedDistanceKm: parseFloat(estimatedDistanceKm) || estimateRouteDistanceKm({ ...route, ...schedule }) || 0,
+      durationHours: schedule.durationHours,
+      tripDays: schedule.tripDays,
+      extras: Array.isArray(extras) ? extras : [],
+      promoCode: promo ? promo.code : null,
+      promoId: promo ? promo._id : null,
+      status: 'pending',
+      statusHistory: [{ status: 'pending', actor: 'user', actorId: req.user.id, at: new Date() }]
     });
 
-    await newOrder.save();
+    // Hold the vehicle for the trip; fails if it overlaps another booking
+    try {
+      await reserveVehicle(vehicleNeeded, newOrder._id, getOrderWindow(newOrder));
+    } catch (reserveErr) {
+      if (!reserveErr.status) throw reserveErr;
+      return res.status(reserveErr.status).json({
+        success: false,
+        message: reserveErr.message
+      });
+    }
+
+    if (promo) {
+      try {
+        await redeemPromo(promo, req.user.id, {
+          service: 'charter',
+          charterOrderId: newOrder._id
+        });
+      } catch (promoErr) {
+        await releaseVehicle(vehicleNeeded, newOrder._id);
+        return res.status(promoErr.status || 400).json({
+          success: false,
+          message: promoErr.message
+        });
+      }
+    }
+
+    try {
+      await newOrder.save();
+    } catch (saveErr) {
+      await releaseVehicle(vehicleNeeded, newOrder._id);
+      if (promo) {
+        await reverseRedemption({ charterOrderId: newOrder._id });
+      }
+      throw saveErr;
+    }
 
     // Create notification for user
     await createNotification(
       req.user.id,
       'order_created',
       'Order Created',
-      `Your charter order from ${pickupLocation} to ${destination} has been created.`,
+      `Your charter order from ${formatLocation(newOrder.pickupLocation)} to ${formatLocation(newOrder.destination)} has been created.`,
       { orderId: newOrder._id }
     );
 
@@ -77,7 +265,7 @@ router.post('/book', auth, async (req, res) => {
     await notifyAdmins(
       'order_created',
       'New Charter Order',
-      `A new charter order from ${pickupLocation} to ${destination} has been created.`,
+      `A new charter order from ${formatLocation(newOrder.pickupLocation)} to ${formatLocation(newOrder.destination)} has been created.`,
       { orderId: newOrder._id }
     );
 
@@ -96,4 +284,129 @@ router.post('/book', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/charter/orders/:id/quote/accept
+// @desc    Accept the quote sent for a charter order; the order moves to accepted
+// @access  Private
+router.post('/orders/:id/quote/accept', auth, async (req, res) => {
+  try {
+    const order = await CharterOrder.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Charter order not found'
+      });
+    }
+
+    const updatedOrder = await acceptQuote(order, req.user.id);
+
+    if (!updatedOrder) {
+      return res.status(409).json({
+        success: false,
+        message: 'Charter order was updated by someone else. Please refresh and try again'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Quote accepted. Your charter is confirmed',
+      order: updatedOrder
+    });
+  } catch (error) {
+    console.error('Error accepting charter quote:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error accepting charter quote',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/charter/orders/:id/quote/decline
+// @desc    Decline the quote sent for a charter order; an admin can send a revised one
+// @access  Private
+router.post('/orders/:id/quote/decline', auth, async (req, res) => {
+  try {
+    const order = await CharterOrder.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Charter order not found'
+      });
+    }
+
+    const updatedOrder = await declineQuote(order, req.user.id, req.body.reason);
+
+    if (!updatedOrder) {
+      return res.status(409).json({
+        success: false,
+        message: 'Charter order was updated by someone else. Please refresh and try again'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Quote declined. We will review your request',
+      order: updatedOrder
+    });
+  } catch (error) {
+    console.error('Error declining charter quote:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error declining charter quote',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/charter/orders/:id/cancel
+// @desc    Cancel the user's own charter order, up to the cutoff before the trip
+// @access  Private
+router.post('/orders/:id/cancel', auth, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const order = await CharterOrder.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Charter order not found'
+      });
+    }
+
+    const cancelledOrder = await cancelByUser(order, req.user.id, reason);
+
+    if (!cancelledOrder) {
+      return res.status(409).json({
+        success: false,
+        message: 'Charter order was updated by someone else. Please refresh and try again'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Charter order cancelled successfully',
+      order: cancelledOrder
+    });
+  } catch (error) {
+    console.error('Error cancelling charter order:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error cancelling charter order',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 module.exports = router;
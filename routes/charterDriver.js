@@ -7,6 +7,15 @@ const CharterOrder = require('../models/charter/CharterOrder');
 const CharterDriver = require('../models/charter/CharterDriver');
 const User = require('../models/User');
 const auth = require('../middleware/authMiddleware');
+const { ACTORS, transitionOrder } = require('../services/charterLifecycle');
+const { getDriverSchedule } = require('../services/charterAvailabilityService');
+const { getRouteWaypoints } = require('../services/charterRouteService');
+const { getEarningsSummary, getEarningEntries } = require('../services/earningsService');
+const { parseBankAccount, getPendingBalance, getPayoutHistory } = require('../services/payoutService');
+const { getReconciliation } = require('../services/cashReconciliationService');
+
+const SCHEDULE_DEFAULT_DAYS = 14;
+const SCHEDULE_MAX_DAYS = 92;
 
 // @route   GET /api/charter-driver/profile
 // @desc    Get charter driver profile
@@ -40,6 +49,7 @@ router.get('/profile', auth, async (req, res) => {
         languages: charterDriver.languages,
         rating: charterDriver.rating,
         totalTrips: charterDriver.totalTrips,
+        totalEarnings: charterDriver.totalEarnings,
         status: charterDriver.status,
         vehicle: charterDriver.vehicleId ? {
           _id: charterDriver.vehicleId._id,
@@ -97,6 +107,11 @@ router.get('/requests', auth, async (req, res) => {
       destination: order.destination,
       tripDate: order.tripDate,
       tripTime: order.tripTime,
+      startAt: order.startAt,
+      endAt: order.endAt,
+      returnTrip: order.returnTrip,
+      itinerary: order.itinerary,
+      route: getRouteWaypoints(order),
       passengers: order.passengers,
       specialRequests: order.specialRequests,
       status: order.status,
@@ -126,6 +141,237 @@ router.get('/requests', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/charter-driver/schedule
+// @desc    Get the driver's confirmed trips between from and to (defaults to the next 14 days)
+// @access  Private (Driver only)
+router.get('/schedule', auth, async (req, res) => {
+  try {
+    const charterDriver = await CharterDriver.findOne({ userId: req.user.id });
+
+    if (!charterDriver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Charter driver profile not found'
+      });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to
+      ? new Date(req.query.to)
+      : new Date(from.getTime() + SCHEDULE_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || to <= from) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates with from before to'
+      });
+    }
+
+    if (to - from > SCHEDULE_MAX_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        message: `Schedule range cannot exceed ${SCHEDULE_MAX_DAYS} days`
+      });
+    }
+
+    const trips = await getDriverSchedule(charterDriver._id, from, to);
+
+    res.json({
+      success: true,
+      from,
+      to,
+      trips
+    });
+  } catch (error) {
+    console.error('Error fetching charter driver schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching charter driver schedule',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/charter-driver/earnings
+// @desc    Get earnings grouped by ?period=day|week|month between ?from and ?to, with totals
+// @access  Private (Driver only)
+router.get('/earnings', auth, async (req, res) => {
+  try {
+    const charterDriver = await CharterDriver.findOne({ userId: req.user.id }).select('totalEarnings totalTrips');
+
+    if (!charterDriver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Charter driver profile not found'
+      });
+    }
+
+    const summary = await getEarningsSummary({ charterDriverId: charterDriver._id }, {
+      period: req.query.period || 'day',
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    res.json({
+      success: true,
+      totalEarnings: charterDriver.totalEarnings,
+      totalTrips: charterDriver.totalTrips,
+      ...summary
+    });
+  } catch (error) {
+    console.error('Error fetching charter driver earnings:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error fetching earnings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/charter-driver/earnings/entries
+// @desc    Get the earnings ledger, newest first. Optional: limit (default 50), skip
+// @access  Private (Driver only)
+router.get('/earnings/entries', auth, async (req, res) => {
+  try {
+    const charterDriver = await CharterDriver.findOne({ userId: req.user.id }).select('_id');
+
+    if (!charterDriver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Charter driver profile not found'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+    const { entries, total } = await getEarningEntries({ charterDriverId: charterDriver._id }, { limit, skip });
+
+    res.json({
+      success: true,
+      entries,
+      pagination: {
+        total,
+        limit,
+        skip
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching charter driver earnings ledger:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching earnings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/charter-driver/bank-account
+// @desc    Set the bank account payouts are sent to. Required: bankName, bankCode, accountNumber, accountName
+// @access  Private (Driver only)
+router.put('/bank-account', auth, async (req, res) => {
+  try {
+    const bankAccount = parseBankAccount(req.body);
+
+    const charterDriver = await CharterDriver.findOneAndUpdate(
+      { userId: req.user.id },
+      { bankAccount },
+      { new: true, runValidators: true }
+    ).select('bankAccount');
+
+    if (!charterDriver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Charter driver profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Bank account updated',
+      bankAccount: charterDriver.bankAccount
+    });
+  } catch (error) {
+    console.error('Error updating charter driver bank account:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error updating bank account',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/charter-driver/payouts
+// @desc    Get the pending balance and payout history, newest first. Optional: limit (default 50), skip
+// @access  Private (Driver only)
+router.get('/payouts', auth, async (req, res) => {
+  try {
+    const charterDriver = await CharterDriver.findOne({ userId: req.user.id }).select('bankAccount');
+
+    if (!charterDriver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Charter driver profile not found'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+    const [pending, { payouts, total }] = await Promise.all([
+      getPendingBalance({ charterDriverId: charterDriver._id }),
+      getPayoutHistory({ charterDriverId: charterDriver._id }, { limit, skip })
+    ]);
+
+    res.json({
+      success: true,
+      pending,
+      bankAccount: charterDriver.bankAccount || null,
+      payouts,
+      pagination: {
+        total,
+        limit,
+        skip
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching charter driver payouts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching payouts',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/charter-driver/cash
+// @desc    Get cash collected on trips, commission owed and remitted, and any cash hold
+// @access  Private (Driver only)
+router.get('/cash', auth, async (req, res) => {
+  try {
+    const charterDriver = await CharterDriver.findOne({ userId: req.user.id }).select('_id');
+
+    if (!charterDriver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Charter driver profile not found'
+      });
+    }
+
+    const reconciliation = await getReconciliation({ charterDriverId: charterDriver._id });
+
+    res.json({
+      success: true,
+      ...reconciliation
+    });
+  } catch (error) {
+    console.error('Error fetching charter driver cash reconciliation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching cash reconciliation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // @route   GET /api/charter-driver/requests/pending
 // @desc    Get pending requests only
 // @access  Private (Driver only)
@@ -159,6 +405,11 @@ router.get('/requests/pending', auth, async (req, res) => {
       destination: order.destination,
       tripDate: order.tripDate,
       tripTime: order.tripTime,
+      startAt: order.startAt,
+      endAt: order.endAt,
+      returnTrip: order.returnTrip,
+      itinerary: order.itinerary,
+      route: getRouteWaypoints(order),
       passengers: order.passengers,
       specialRequests: order.specialRequests,
       status: order.status,
@@ -223,6 +474,11 @@ router.get('/requests/:requestId', auth, async (req, res) => {
       destination: order.destination,
       tripDate: order.tripDate,
       tripTime: order.tripTime,
+      startAt: order.startAt,
+      endAt: order.endAt,
+      returnTrip: order.returnTrip,
+      itinerary: order.itinerary,
+      route: getRouteWaypoints(order),
       passengers: order.passengers,
       specialRequests: order.specialRequests,
       status: order.status,
@@ -270,21 +526,39 @@ router.put('/requests/:requestId/accept', auth, async (req, res) => {
 
     // Verify the driver has access to this request
     const charterDriver = await CharterDriver.findOne({ userId: req.user.id });
-    if (!charterDriver || order.driverId.toString() !== charterDriver._id.toString()) {
+    if (!charterDriver || !order.driverId || order.driverId.toString() !== charterDriver._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Access denied to this request'
       });
     }
 
-    // Update status to accepted
-    order.status = 'accepted';
-    order.acceptedAt = new Date();
-    await order.save();
+    if (order.driverConfirmedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Charter request has already been accepted'
+      });
+    }
 
-    const updatedOrder = await order.populate('userId', 'fullname email phone')
-      .populate('vehicleId', 'make model licensePlate capacity vehicleType')
-      .populate('vehicleNeeded', 'make model year licensePlate color vehicleType capacity thumbnail features fuelType status');
+    const transitioned = await transitionOrder(order, 'accepted', {
+      actor: ACTORS.DRIVER,
+      actorId: req.user.id,
+      conditions: { driverId: charterDriver._id },
+      update: { driverConfirmedAt: new Date() }
+    });
+
+    if (!transitioned) {
+      return res.status(409).json({
+        success: false,
+        message: 'Charter request was updated by someone else. Please refresh and try again'
+      });
+    }
+
+    const updatedOrder = await transitioned.populate([
+      { path: 'userId', select: 'fullname email phone' },
+      { path: 'vehicleId', select: 'make model licensePlate capacity vehicleType' },
+      { path: 'vehicleNeeded', select: 'make model year licensePlate color vehicleType capacity thumbnail features fuelType status' }
+    ]);
 
     res.json({
       success: true,
@@ -293,9 +567,9 @@ router.put('/requests/:requestId/accept', auth, async (req, res) => {
     });
   } catch (error) {
     console.error('Error accepting charter request:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Server error accepting charter request',
+      message: error.status ? error.message : 'Server error accepting charter request',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -320,23 +594,32 @@ router.put('/requests/:requestId/reject', auth, async (req, res) => {
 
     // Verify the driver has access to this request
     const charterDriver = await CharterDriver.findOne({ userId: req.user.id });
-    if (!charterDriver || order.driverId.toString() !== charterDriver._id.toString()) {
+    if (!charterDriver || !order.driverId || order.driverId.toString() !== charterDriver._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Access denied to this request'
       });
     }
 
-    // Update status to cancelled
-    order.status = 'cancelled';
-    order.cancelledAt = new Date();
-    order.cancelledBy = 'driver';
-    order.cancellationReason = reason || 'Rejected by driver';
-    await order.save();
+    const transitioned = await transitionOrder(order, 'cancelled', {
+      actor: ACTORS.DRIVER,
+      actorId: req.user.id,
+      conditions: { driverId: charterDriver._id },
+      reason: reason || 'Rejected by driver'
+    });
 
-    const updatedOrder = await order.populate('userId', 'fullname email phone')
-      .populate('vehicleId', 'make model licensePlate capacity vehicleType')
-      .populate('vehicleNeeded', 'make model year licensePlate color vehicleType capacity thumbnail features fuelType status');
+    if (!transitioned) {
+      return res.status(409).json({
+        success: false,
+        message: 'Charter request was updated by someone else. Please refresh and try again'
+      });
+    }
+
+    const updatedOrder = await transitioned.populate([
+      { path: 'userId', select: 'fullname email phone' },
+      { path: 'vehicleId', select: 'make model licensePlate capacity vehicleType' },
+      { path: 'vehicleNeeded', select: 'make model year licensePlate color vehicleType capacity thumbnail features fuelType status' }
+    ]);
 
     res.json({
       success: true,
@@ -345,9 +628,68 @@ router.put('/requests/:requestId/reject', auth, async (req, res) => {
     });
   } catch (error) {
     console.error('Error rejecting charter request:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Server error rejecting charter request',
+      message: error.status ? error.message : 'Server error rejecting charter request',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/charter-driver/requests/:requestId/start
+// @desc    Start the trip for an accepted charter request
+// @access  Private (Driver only)
+router.put('/requests/:requestId/start', auth, async (req, res) => {
+  try {
+    const { requestId } = req.params;
+
+    const order = await CharterOrder.findById(requestId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Charter request not found'
+      });
+    }
+
+    // Verify the driver has access to this request
+    const charterDriver = await CharterDriver.findOne({ userId: req.user.id });
+    if (!charterDriver || !order.driverId || order.driverId.toString() !== charterDriver._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this request'
+      });
+    }
+
+    const transitioned = await transitionOrder(order, 'in_progress', {
+      actor: ACTORS.DRIVER,
+      actorId: req.user.id,
+      conditions: { driverId: charterDriver._id }
+    });
+
+    if (!transitioned) {
+      return res.status(409).json({
+        success: false,
+        message: 'Charter request was updated by someone else. Please refresh and try again'
+      });
+    }
+
+    const updatedOrder = await transitioned.populate([
+      { path: 'userId', select: 'fullname email phone' },
+      { path: 'vehicleId', select: 'make model licensePlate capacity vehicleType' },
+      { path: 'vehicleNeeded', select: 'make model year licensePlate color vehicleType capacity thumbnail features fuelType status' }
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Charter trip started successfully',
+      request: updatedOrder
+    });
+  } catch (error) {
+    console.error('Error starting charter trip:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error starting charter trip',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -371,21 +713,31 @@ router.put('/requests/:requestId/complete', auth, async (req, res) => {
 
     // Verify the driver has access to this request
     const charterDriver = await CharterDriver.findOne({ userId: req.user.id });
-    if (!charterDriver || order.driverId.toString() !== charterDriver._id.toString()) {
+    if (!charterDriver || !order.driverId || order.driverId.toString() !== charterDriver._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Access denied to this request'
       });
     }
 
-    // Update status to completed
-    order.status = 'completed';
-    order.completedAt = new Date();
-    await order.save();
+    const transitioned = await transitionOrder(order, 'completed', {
+      actor: ACTORS.DRIVER,
+      actorId: req.user.id,
+      conditions: { driverId: charterDriver._id }
+    });
 
-    const updatedOrder = await order.populate('userId', 'fullname email phone')
-      .populate('vehicleId', 'make model licensePlate capacity vehicleType')
-      .populate('vehicleNeeded', 'make model year licensePlate color vehicleType capacity thumbnail features fuelType status');
+    if (!transitioned) {
+      return res.status(409).json({
+        success: false,
+        message: 'Charter request was updated by someone else. Please refresh and try again'
+      });
+    }
+
+    const updatedOrder = await transitioned.populate([
+      { path: 'userId', select: 'fullname email phone' },
+      { path: 'vehicleId', select: 'make model licensePlate capacity vehicleType' },
+      { path: 'vehicleNeeded', select: 'make model year licensePlate color vehicleType capacity thumbnail features fuelType status' }
+    ]);
 
     res.json({
       success: true,
@@ -394,9 +746,9 @@ router.put('/requests/:requestId/complete', auth, async (req, res) => {
     });
   } catch (error) {
     console.error('Error completing charter request:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Server error completing charter request',
+      message: error.status ? error.message : 'Server error completing charter request',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
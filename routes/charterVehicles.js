@@ -4,8 +4,11 @@
 const express = require('express');
 const router = express.Router();
 const CharterVehicle = require('../models/charter/CharterVehicle');
-const CharterOrder = require('../models/charter/CharterOrder');
 const auth = require('../middleware/authMiddleware');
+const { getTripWindow, isVehicleFree, getVehicleSchedule } = require('../services/charterAvailabilityService');
+
+const SCHEDULE_DEFAULT_DAYS = 14;
+const SCHEDULE_MAX_DAYS = 92;
 
 // @route   GET /api/charter/vehicles/available
 // @desc    Get all available charter vehicles
@@ -91,7 +94,8 @@ router.get('/vehicles/:vehicleId', auth, async (req, res) => {
   try {
     const { vehicleId } = req.params;
     
-    const vehicle = await CharterVehicle.findById(vehicleId);
+    // Reservations reference other customers' orders; the schedule endpoint exposes the slots
+    const vehicle = await CharterVehicle.findById(vehicleId).select('-reservations');
 
     if (!vehicle) {
       return res.status(404).json({
@@ -116,22 +120,31 @@ router.get('/vehicles/:vehicleId', auth, async (req, res) => {
 });
 
 // @route   GET /api/charter/vehicles/:vehicleId/availability
-// @desc    Check vehicle availability for a specific date and time
+// @desc    Check whether a vehicle is free for a trip from startAt to endAt, or starting at date and time.
+//          durationHours or days set the trip length; otherwise the default trip length is used.
 // @access  Private
 router.get('/vehicles/:vehicleId/availability', auth, async (req, res) => {
   try {
     const { vehicleId } = req.params;
-    const { date, time } = req.query;
+    const { date, time, durationHours, days, startAt, endAt } = req.query;
 
-    if (!date || !time) {
+    if (!startAt && (!date || !time)) {
       return res.status(400).json({
         success: false,
         available: false,
-        message: 'Date and time are required'
+        message: 'startAt, or date and time, are required'
       });
     }
 
-    const vehicle = await CharterVehicle.findById(vehicleId);
+    if (endAt && (isNaN(new Date(endAt).getTime()) || new Date(endAt) <= new Date(startAt))) {
+      return res.status(400).json({
+        success: false,
+        available: false,
+        message: 'endAt must be a valid date after startAt'
+      });
+    }
+
+    const vehicle = await CharterVehicle.findById(vehicleId).select('_id');
 
     if (!vehicle) {
       return res.status(404).json({
@@ -141,29 +154,66 @@ router.get('/vehicles/:vehicleId/availability', auth, async (req, res) => {
       });
     }
 
-    // Check for existing bookings on the specified date
-    const existingBooking = await CharterOrder.findOne({
-      vehicleId: vehicleId,
-      pickupTime: {
-        $gte: new Date(`${date}T00:00:00`),
-        $lt: new Date(`${date}T23:59:59`)
-      },
-      status: { $in: ['pending', 'confirmed', 'in-progress'] }
-    });
-
-    const available = !existingBooking && vehicle.status === 'available';
+    const window = getTripWindow({ startAt, endAt, tripDate: date, tripTime: time, durationHours, days });
+    const available = await isVehicleFree(vehicleId, window);
 
     res.json({
       success: true,
       available: available,
+      startAt: window.startAt,
+      endAt: window.endAt,
       message: available ? 'Vehicle is available' : 'Vehicle is not available'
     });
   } catch (error) {
     console.error('Error checking vehicle availability:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       available: false,
-      message: 'Failed to check availability',
+      message: error.status ? error.message : 'Failed to check availability',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/charter/vehicles/:vehicleId/schedule
+// @desc    Get a vehicle's busy and free slots between from and to (defaults to the next 14 days)
+// @access  Private
+router.get('/vehicles/:vehicleId/schedule', auth, async (req, res) => {
+  try {
+    const { vehicleId } = req.params;
+
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to
+      ? new Date(req.query.to)
+      : new Date(from.getTime() + SCHEDULE_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || to <= from) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates with from before to'
+      });
+    }
+
+    if (to - from > SCHEDULE_MAX_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        message: `Schedule range cannot exceed ${SCHEDULE_MAX_DAYS} days`
+      });
+    }
+
+    const schedule = await getVehicleSchedule(vehicleId, from, to);
+
+    res.json({
+      success: true,
+      from,
+      to,
+      ...schedule
+    });
+  } catch (error) {
+    console.error('Error fetching vehicle schedule:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to fetch vehicle schedule',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -5,6 +5,19 @@ const DriverDetail = require('../models/AdminDriver');
 const User = require('../models/User');
 const Vehicle = require('../models/Vehicle');
 const authMiddleware = require('../middleware/authMiddleware');
+const Ride = require('../models/Ride');
+const { recordLocation } = require('../services/driverLocationService');
+const { declineOffer } = require('../services/dispatchService');
+const { publishDriverLocation } = require('../services/realtimeService');
+const { getEarningsSummary, getEarningEntries } = require('../services/earningsService');
+const { parseBankAccount, getPendingBalance, getPayoutHistory } = require('../services/payoutService');
+const { getReconciliation } = require('../services/cashReconciliationService');
+const { parseCoordinates } = require('../utils/geo');
+
+const toNumberOrUndefined = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : undefined;
+};
 
 // GET /api/driver/profile - Get current driver's profile and vehicle
 router.get('/profile', authMiddleware, async (req, res) => {
@@ -31,6 +44,8 @@ router.get('/profile', authMiddleware, async (req, res) => {
         driverId: driver._id,
         status: user.isActive ? 'active' : 'inactive',
         isVerified: !!user.isActive,
+        isOnline: driver.isOnline,
+        lastLocationAt: driver.lastLocationAt,
         createdAt: driver.createdAt,
         vehicle: vehicle ? {
           make: vehicle.make,
@@ -46,4 +61,221 @@ router.get('/profile', authMiddleware, async (req, res) => {
   }
 });
 
+// PATCH /api/driver/availability - Go online or offline for ride offers
+router.patch('/availability', authMiddleware, async (req, res) => {
+  try {
+    const { isOnline, lat, lng } = req.body;
+
+    if (typeof isOnline !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'isOnline must be true or false' });
+    }
+
+    const driver = await DriverDetail.findOne({ userId: req.user.id }).populate('userId', 'isActive');
+    if (!driver) {
+      return res.status(404).json({ success: false, message: 'Driver not found' });
+    }
+
+    if (isOnline) {
+      if (!driver.userId || !driver.userId.isActive) {
+        return res.status(403).json({ success: false, message: 'Your account is not active' });
+      }
+      if (!driver.vehicleId) {
+        return res.status(400).json({ success: false, message: 'A vehicle must be assigned before going online' });
+      }
+
+      // Going online with a position makes the driver dispatchable straight away
+      if (lat !== undefined || lng !== undefined) {
+        const coordinates = parseCoordinates(lat, lng);
+        if (!coordinates) {
+          return res.status(400).json({ success: false, message: 'Invalid coordinates' });
+        }
+        await recordLocation(driver, coordinates);
+      }
+    } else {
+      // Hand any open offer on to the next driver
+      const offeredRide = await Ride.findOne({
+        driverId: driver._id,
+        status: 'awaiting_driver_confirmation'
+      });
+      if (offeredRide) {
+        await declineOffer(offeredRide, driver._id, req.user.id);
+      }
+    }
+
+    const updated = await DriverDetail.findByIdAndUpdate(
+      driver._id,
+      { isOnline },
+      { new: true }
+    );
+
+    res.json({
+      success: true,
+      message: isOnline ? 'You are now online' : 'You are now offline',
+      data: {
+        isOnline: updated.isOnline,
+        lastLocationAt: updated.lastLocationAt
+      }
+    });
+  } catch (err) {
+    console.error('Error updating driver availability:', err);
+    res.status(500).json({ success: false, message: err.message || 'Server error' });
+  }
+});
+
+// POST /api/driver/location - Report the driver's current GPS position
+router.post('/location', authMiddleware, async (req, res) => {
+  try {
+    const { lat, lng, heading, speed, accuracy } = req.body;
+
+    const coordinates = parseCoordinates(lat, lng);
+    if (!coordinates) {
+      return res.status(400).json({ success: false, message: 'Valid lat and lng are required' });
+    }
+
+    const driver = await DriverDetail.findOne({ userId: req.user.id });
+    if (!driver) {
+      return res.status(404).json({ success: false, message: 'Driver not found' });
+    }
+
+    const ping = {
+      ...coordinates,
+      heading: toNumberOrUndefined(heading),
+      speed: toNumberOrUndefined(speed),
+      accuracy: toNumberOrUndefined(accuracy)
+    };
+    const { rides, recordedAt } = await recordLocation(driver, ping);
+
+    rides.forEach(ride => publishDriverLocation(ride, { ...ping, recordedAt }));
+
+    res.json({
+      success: true,
+      data: {
+        lat: coordinates.lat,
+        lng: coordinates.lng,
+        recordedAt,
+        rideId: rides.length > 0 ? rides[0]._id : null,
+        rideIds: rides.map(ride => ride._id)
+      }
+    });
+  } catch (err) {
+    console.error('Error recording driver location:', err);
+    res.status(500).json({ success: false, message: err.message || 'Server error' });
+  }
+});
+
+// GET /api/driver/earnings - Earnings grouped by ?period=day|week|month between ?from and ?to, with totals
+router.get('/earnings', authMiddleware, async (req, res) => {
+  try {
+    const driver = await DriverDetail.findOne({ userId: req.user.id }).select('totalEarnings totalTrips');
+    if (!driver) {
+      return res.status(404).json({ success: false, message: 'Driver not found' });
+    }
+
+    const summary = await getEarningsSummary({ driverId: driver._id }, {
+      period: req.query.period || 'day',
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    res.json({
+      success: true,
+      data: {
+        totalEarnings: driver.totalEarnings,
+        totalTrips: driver.totalTrips,
+        ...summary
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching driver earnings:', err);
+    res.status(err.status || 500).json({ success: false, message: err.status ? err.message : 'Server error' });
+  }
+});
+
+// GET /api/driver/earnings/entries - Earnings ledger, newest first (?limit, ?skip)
+router.get('/earnings/entries', authMiddleware, async (req, res) => {
+  try {
+    const driver = await DriverDetail.findOne({ userId: req.user.id }).select('_id');
+    if (!driver) {
+      return res.status(404).json({ success: false, message: 'Driver not found' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+    const { entries, total } = await getEarningEntries({ driverId: driver._id }, { limit, skip });
+
+    res.json({ success: true, data: entries, pagination: { total, limit, skip } });
+  } catch (err) {
+    console.error('Error fetching driver earnings ledger:', err);
+    res.status(500).json({ success: false, message: err.message || 'Server error' });
+  }
+});
+
+// PUT /api/driver/bank-account - Set the bank account payouts are sent to
+router.put('/bank-account', authMiddleware, async (req, res) => {
+  try {
+    const bankAccount = parseBankAccount(req.body);
+
+    const driver = await DriverDetail.findOneAndUpdate(
+      { userId: req.user.id },
+      { bankAccount },
+      { new: true, runValidators: true }
+    ).select('bankAccount');
+    if (!driver) {
+      return res.status(404).json({ success: false, message: 'Driver not found' });
+    }
+
+    res.json({ success: true, data: driver.bankAccount });
+  } catch (err) {
+    console.error('Error updating driver bank account:', err);
+    res.status(err.status || 500).json({ success: false, message: err.status ? err.message : 'Server error' });
+  }
+});
+
+// GET /api/driver/payouts - Pending balance and payout history, newest first (?limit, ?skip)
+router.get('/payouts', authMiddleware, async (req, res) => {
+  try {
+    const driver = await DriverDetail.findOne({ userId: req.user.id }).select('bankAccount');
+    if (!driver) {
+      return res.status(404).json({ success: false, message: 'Driver not found' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+    const [pending, { payouts, total }] = await Promise.all([
+      getPendingBalance({ driverId: driver._id }),
+      getPayoutHistory({ driverId: driver._id }, { limit, skip })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        pending,
+        bankAccount: driver.bankAccount || null,
+        payouts
+      },
+      pagination: { total, limit, skip }
+    });
+  } catch (err) {
+    console.error('Error fetching driver payouts:', err);
+    res.status(500).json({ success: false, message: err.message || 'Server error' });
+  }
+});
+
+// GET /api/driver/cash - Cash collected on trips, what is owed and remitted, and any cash hold
+router.get('/cash', authMiddleware, async (req, res) => {
+  try {
+    const driver = await DriverDetail.findOne({ userId: req.user.id }).select('_id');
+    if (!driver) {
+      return res.status(404).json({ success: false, message: 'Driver not found' });
+    }
+
+    const reconciliation = await getReconciliation({ driverId: driver._id });
+
+    res.json({ success: true, data: reconciliation });
+  } catch (err) {
+    console.error('Error fetching driver cash reconciliation:', err);
+    res.status(err.status || 500).json({ success: false, message: err.status ? err.message : 'Server error' });
+  }
+});
+
 module.exports = router;
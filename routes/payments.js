@@ -0,0 +1,152 @@
+// routes/payments.js
+const express = require('express');
+const router = express.Router();
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const CharterOrder = require('../models/charter/CharterOrder');
+const auth = require('../middleware/authMiddleware');
+const {
+  startRidePayment,
+  startCharterPayment,
+  verifyPayment,
+  handleWebhook
+} = require('../services/paymentService');
+
+// Where the provider sends the customer after checkout; the app can pass its own
+const getCallbackUrl = (req) => req.body.callbackUrl || process.env.PAYMENT_CALLBACK_URL || undefined;
+
+// What the customer sees of a payment
+const formatPayment = (payment) => ({
+  reference: payment.reference,
+  provider: payment.provider,
+  purpose: payment.purpose,
+  rideId: payment.rideId,
+  charterOrderId: payment.charterOrderId,
+  amount: payment.amount,
+  currency: payment.currency,
+  status: payment.status,
+  authorizationUrl: payment.status === 'initialized' ? payment.authorizationUrl : null,
+  paidAt: payment.paidAt,
+  failureReason: payment.failureReason,
+  refund: payment.status === 'refunded' ? payment.refund : undefined,
+  createdAt: payment.createdAt
+});
+
+// @route   POST /api/payments/rides/:id
+// @desc    Start paying online for a completed ride, or for a pending cancellation fee.
+//          Returns the provider's checkout URL. Optional: callbackUrl.
+// @access  Private (the rider)
+router.post('/rides/:id', auth, async (req, res) => {
+  try {
+    const ride = await Ride.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found'
+      });
+    }
+
+    const payment = await startRidePayment(ride, req.user.id, getCallbackUrl(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment started. Complete it on the checkout page',
+      payment: formatPayment(payment)
+    });
+  } catch (error) {
+    console.error('Error starting ride payment:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error starting payment'
+    });
+  }
+});
+
+// @route   POST /api/payments/charter/:id
+// @desc    Start paying online for a charter order whose quote has been accepted.
+//          Returns the provider's checkout URL. Optional: callbackUrl.
+// @access  Private (the customer)
+router.post('/charter/:id', auth, async (req, res) => {
+  try {
+    const order = await CharterOrder.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Charter order not found'
+      });
+    }
+
+    const payment = await startCharterPayment(order, req.user.id, getCallbackUrl(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment started. Complete it on the checkout page',
+      payment: formatPayment(payment)
+    });
+  } catch (error) {
+    console.error('Error starting charter payment:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error starting payment'
+    });
+  }
+});
+
+// @route   GET /api/payments/:reference/verify
+// @desc    Check a payment with the provider, e.g. after returning from the checkout page
+// @access  Private (the payer)
+router.get('/:reference/verify', auth, async (req, res) => {
+  try {
+    const payment = await Payment.findOne({
+      reference: req.params.reference,
+      userId: req.user.id
+    });
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const verified = await verifyPayment(payment);
+
+    res.json({
+      success: true,
+      payment: formatPayment(verified)
+    });
+  } catch (error) {
+    console.error('Error verifying payment:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error verifying payment'
+    });
+  }
+});
+
+// @route   POST /api/payments/webhook/:provider
+// @desc    Payment provider webhook. The signature is checked against the raw request body.
+// @access  Public (signed by the provider)
+router.post('/webhook/:provider', async (req, res) => {
+  try {
+    await handleWebhook(req.params.provider, req.rawBody, req.headers);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error handling payment webhook:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error handling webhook'
+    });
+  }
+});
+
+module.exports = router;
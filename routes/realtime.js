@@ -0,0 +1,88 @@
+// routes/realtime.js
+
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const auth = require('../middleware/authMiddleware');
+const { verifyToken } = require('../middleware/authMiddleware');
+const { addClient, issueStreamTicket, readStreamTicket } = require('../services/realtimeService');
+
+// The login token from a header, or a stream ticket from the query string for EventSource, which
+// cannot send headers. Login tokens are never accepted in the URL, where access logs record them.
+const streamAuth = (req, res, next) => {
+  const token = req.header('x-auth-token') || req.header('Authorization');
+  const { ticket } = req.query;
+
+  if (!token && !ticket) {
+    return res.status(401).json({
+      success: false,
+      message: 'No token, authorization denied'
+    });
+  }
+
+  try {
+    req.user = token ? verifyToken(token) : { id: readStreamTicket(ticket) };
+    next();
+  } catch (err) {
+    console.error('Token verification error:', err.message);
+    res.status(401).json({
+      success: false,
+      message: 'Token is not valid'
+    });
+  }
+};
+
+// @route   POST /api/realtime/ticket
+// @desc    Get a short-lived ticket for opening the ride stream from a browser:
+//          GET /api/realtime/rides?ticket=<ticket>. Tickets expire after a minute.
+// @access  Private
+router.post('/ticket', auth, (req, res) => {
+  const { ticket, expiresAt } = issueStreamTicket(req.user.id);
+
+  res.json({
+    success: true,
+    ticket,
+    expiresAt
+  });
+});
+
+// @route   GET /api/realtime/rides
+// @desc    Server-Sent Events stream of ride status changes, driver locations, stops and SOS
+//          alerts. Riders and drivers receive events for their own rides; admins receive all of
+//          them. Authenticate with the login token in a header, or with ?ticket= from
+//          POST /api/realtime/ticket. Each event's data is JSON:
+//            connected       - { userId, connectedAt }, once when the stream opens
+//            ride_status     - { rideId, status, driverId, acceptedAt, arrivedAt, startedAt,
+//                              completedAt, cancelledAt, updatedAt }; status is one of accepted,
+//                              arrived, picked_up, in_progress, completed, cancelled
+//            driver_location - { rideId, status, lat, lng, heading, speed, recordedAt, etaTarget
+//                              (pickup|stop|destination), stopSequence, distanceKm, etaMinutes }
+//            ride_stop       - { rideId, status, event (arrived|departed), sequence, address,
+//                              arrivedAt, departedAt, remainingStops }
+//            sos_alert       - { incidentId, rideId, reporterRole (rider|driver), location ({ lat,
+//                              lng } or null), createdAt }; admins only
+// @access  Private
+router.get('/rides', streamAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('role isActive');
+    if (!user || user.isActive === false) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found or inactive'
+      });
+    }
+
+    addClient(req, res, {
+      id: user._id,
+      isAdmin: user.role === 'admin'
+    });
+  } catch (error) {
+    console.error('Error opening realtime stream:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while opening realtime stream'
+    });
+  }
+});
+
+module.exports = router;
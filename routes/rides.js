@@ -6,48 +6,131 @@ const DriverDetail = require('../models/AdminDriver');
 const User = require('../models/User');
 const Vehicle = require('../models/Vehicle');
 const auth = require('../middleware/authMiddleware');
+const {
+  RIDE_TYPES,
+  getActivePricingRule,
+  getPricingRuleForRide,
+  calculateFare,
+  isPoolingEnabled,
+  applyPoolDiscount,
+  issueQuote,
+  redeemQuote
+} = require('../services/fareService');
+const { calculateSurge } = require('../services/surgeService');
+const { validatePromo, redeemPromo, reverseRedemption, calculateDiscount } = require('../services/promoService');
+const { findCandidates, startDispatch, declineOffer, recordAcceptance } = require('../services/dispatchService');
+const { ACTORS, assertTransition, transitionRide } = require('../services/rideStateMachine');
+const { parseScheduledFor, getSchedulingFields, canChangeSchedule, CHANGE_CUTOFF_MINUTES } = require('../services/rideSchedulerService');
+const { arriveAtStop, departFromStop } = require('../services/rideStopService');
+const { joinOrCreatePool, dispatchSolo, getPoolRoute, POOL_MATCH_WINDOW_MINUTES } = require('../services/poolingService');
+const { previewCancellation, cancelRide, reportNoShow } = require('../services/cancellationService');
+const { completeRide } = require('../services/tripFareService');
+const { PIN_REQUIRED_STATUSES, verifyTripPin } = require('../services/tripPinService');
+const { createShareLink, getSharedRideView } = require('../services/rideShareService');
+const { raiseSos } = require('../services/safetyService');
+const { getBalance } = require('../services/walletService');
+const RidePool = require('../models/RidePool');
+const { parseCoordinates, isSamePoint } = require('../utils/geo');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+
+// A quote is for the pickup time it was priced at; allow for clock drift between estimate and order
+const QUOTE_TIME_TOLERANCE_MS = 60 * 1000;
+
+// Most intermediate stops a ride can have
+const MAX_RIDE_STOPS = parseInt(process.env.MAX_RIDE_STOPS) || 3;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
 
-// Pricing configuration in Naira (₦)
-const PRICING_CONFIG = {
-  bicycle: {
-    baseFare: 200,
-    perKm: 50,
-    perMinute: 10,
-    serviceFeePercent: 5
-  },
-  motorcycle: {
-    baseFare: 300,
-    perKm: 100,
-    perMinute: 15,
-    serviceFeePercent: 8
-  },
-  car: {
-    baseFare: 500,
-    perKm: 150,
-    perMinute: 20,
-    serviceFeePercent: 10
+// Parse the intermediate stops of a request: [{ address, lat, lng }] in visiting order.
+// Returns the stops to store and their coordinates for pricing. Throws 400 if any is invalid.
+const parseStops = (rawStops, requireAddress = true) => {
+  if (rawStops === undefined || rawStops === null) {
+    return { stops: [], points: [] };
+  }
+  if (!Array.isArray(rawStops)) {
+    throw badRequest('stops must be an array');
   }
+  if (rawStops.length > MAX_RIDE_STOPS) {
+    throw badRequest(`A ride can have at most ${MAX_RIDE_STOPS} stops`);
+  }
+
+  const stops = rawStops.map((stop, index) => {
+    const coordinates = stop ? parseCoordinates(stop.lat, stop.lng) : null;
+    if (!coordinates) {
+      throw badRequest(`Stop ${index + 1} has invalid coordinates`);
+    }
+    if (requireAddress && !(stop.address && String(stop.address).trim())) {
+      throw badRequest(`Stop ${index + 1} needs an address`);
+    }
+    return {
+      sequence: index + 1,
+      address: stop.address ? String(stop.address).trim() : '',
+      coordinates
+    };
+  });
+
+  return { stops, points: stops.map(stop => stop.coordinates) };
 };
 
-// Helper function to calculate distance
-const calculateDistance = (lat1, lon1, lat2, lon2) => {
-  const R = 6371;
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
+// Where this API is reachable from outside, for links sent to people without the app
+const getPublicBaseUrl = (req) => process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+// Whether a request asks for a shared ride
+const isPoolRequest = (pool) => pool === true || pool === 'true';
+
+// Shared rides go straight to matching, so they cannot be booked ahead or make stops
+const assertPoolable = (stops, scheduledFor) => {
+  if (stops.length > 0) {
+    throw badRequest('Shared rides cannot have stops');
+  }
+  if (scheduledFor) {
+    throw badRequest('Shared rides cannot be scheduled');
+  }
+};
+
+// Fare fields stored on a ride from a priced fare
+const getFareFields = (fare) => ({
+  distance: fare.distance,
+  estimatedDuration: fare.estimatedDuration,
+  legs: fare.legs,
+  baseFare: fare.baseFare,
+  distanceFare: fare.distanceFare,
+  timeFare: fare.timeFare,
+  fareMultiplier: fare.multiplier,
+  surgeMultiplier: fare.surgeMultiplier,
+  surge: fare.surge ? {
+    ...fare.surge,
+    calculatedAt: fare.pricedAt
+  } : undefined,
+  minimumFareAdjustment: fare.minimumFareAdjustment,
+  serviceFee: fare.serviceFee,
+  pricingRuleId: fare.pricingRuleId,
+  pricingVersion: fare.pricingVersion
+});
+
+// Whether a fare was priced for the requested pickup: the scheduled time, or now
+const isPricedFor = (fare, scheduledFor) => {
+  const pricedAt = new Date(fare.pricedAt).getTime();
+  if (scheduledFor) {
+    return Math.abs(pricedAt - scheduledFor.getTime()) <= QUOTE_TIME_TOLERANCE_MS;
+  }
+  return pricedAt <= Date.now() + QUOTE_TIME_TOLERANCE_MS;
 };
 
 // @route   POST /api/rides/estimate
-// @desc    Get ride estimate
+// @desc    Get ride estimate and a signed quote to order with. Pass scheduledFor to price a ride
+//          booked in advance: time-of-day pricing for the pickup time applies and live surge does not.
+//          Pass stops ([{ lat, lng }] in order) to price a multi-stop ride leg by leg.
+//          Pass pool: true to price a shared ride at the pooling discount.
 // @access  Private
 router.post('/estimate', auth, async (req, res) => {
   try {
-    const { pickupLat, pickupLng, destLat, destLng, rideType } = req.body;
+    const { pickupLat, pickupLng, destLat, destLng, rideType, promoCode } = req.body;
 
     if (!pickupLat || !pickupLng || !destLat || !destLng || !rideType) {
       return res.status(400).json({
@@ -56,49 +139,128 @@ router.post('/estimate', auth, async (req, res) => {
       });
     }
 
-    // Calculate distance
-    const distance = calculateDistance(pickupLat, pickupLng, destLat, destLng);
-    
-    // Calculate estimated duration
-    const estimatedDuration = Math.round((distance / 30) * 60);
-    const minDuration = Math.max(5, estimatedDuration - 5);
-    const maxDuration = estimatedDuration + 5;
-
-    // Get pricing config
-    const config = PRICING_CONFIG[rideType];
-    if (!config) {
+    const pickup = parseCoordinates(pickupLat, pickupLng);
+    const destination = parseCoordinates(destLat, destLng);
+    if (!pickup || !destination) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid coordinates'
+      });
+    }
+
+    let stopPoints;
+    try {
+      ({ points: stopPoints } = parseStops(req.body.stops, false));
+    } catch (stopsErr) {
+      return res.status(stopsErr.status).json({
+        success: false,
+        message: stopsErr.message
+      });
+    }
+
+    const pricingRule = await getActivePricingRule(rideType);
+    if (!pricingRule) {
       return res.status(400).json({
         success: false,
         message: 'Invalid ride type'
       });
     }
 
-    // Calculate fare in Naira
-    const baseFare = config.baseFare;
-    const distanceFare = Math.round(distance * config.perKm);
-    const timeFare = Math.round(estimatedDuration * config.perMinute);
-    
-    const subtotal = baseFare + distanceFare + timeFare;
-    const serviceFee = Math.round(subtotal * (config.serviceFeePercent / 100));
-    const totalFare = Math.round(subtotal + serviceFee);
+    let scheduledFor = null;
+    if (req.body.scheduledFor) {
+      try {
+        scheduledFor = parseScheduledFor(req.body.scheduledFor);
+      } catch (scheduleErr) {
+        return res.status(scheduleErr.status).json({
+          success: false,
+          message: scheduleErr.message
+        });
+      }
+    }
+
+    const pooled = isPoolRequest(req.body.pool);
+    if (pooled) {
+      try {
+        assertPoolable(stopPoints, scheduledFor);
+      } catch (poolErr) {
+        return res.status(poolErr.status).json({
+          success: false,
+          message: poolErr.message
+        });
+      }
+
+      if (!isPoolingEnabled(pricingRule)) {
+        return res.status(400).json({
+          success: false,
+          message: `Shared rides are not available for ${rideType} rides`
+        });
+      }
+    }
+
+    const pricedAt = scheduledFor || new Date();
+    const surge = scheduledFor ? null : await calculateSurge(rideType, pickup, pricingRule.surge);
+    let fare = calculateFare(pickup, destination, pricingRule, pricedAt, surge, stopPoints);
+    if (pooled) {
+      fare = applyPoolDiscount(fare, pricingRule);
+    }
+
+    let discount = 0;
+    if (promoCode) {
+      try {
+        ({ discount } = await validatePromo(promoCode, req.user.id, {
+          service: 'ride',
+          rideType,
+          amount: fare.totalFare
+        }));
+      } catch (promoErr) {
+        return res.status(promoErr.status || 400).json({
+          success: false,
+          message: promoErr.message
+        });
+      }
+    }
+
+    const minDuration = Math.max(5, fare.estimatedDuration - 5);
+    const maxDuration = fare.estimatedDuration + 5;
+
+    const { quoteToken, expiresAt } = issueQuote(req.user.id, pickup, destination, fare, pricedAt, stopPoints);
 
     res.json({
       success: true,
       estimate: {
-        distance: parseFloat(distance.toFixed(2)),
-        duration: estimatedDuration,
+        distance: fare.distance,
+        duration: fare.estimatedDuration,
+        legs: fare.legs,
         minDuration,
         maxDuration,
-        baseFare,
-        distanceFare,
-        timeFare,
-        serviceFee,
-        totalFare,
-        currency: 'NGN',
+        baseFare: fare.baseFare,
+        distanceFare: fare.distanceFare,
+        timeFare: fare.timeFare,
+        multiplier: fare.multiplier,
+        multiplierLabel: fare.multiplierLabel,
+        multiplierAdjustment: fare.multiplierAdjustment,
+        surgeMultiplier: fare.surgeMultiplier,
+        surgeAdjustment: fare.surgeAdjustment,
+        minimumFareAdjustment: fare.minimumFareAdjustment,
+        serviceFee: fare.serviceFee,
+        pooled,
+        poolDiscountPercent: pooled ? fare.poolDiscountPercent : 0,
+        poolDiscount: pooled ? fare.poolDiscount : 0,
+        fareBeforeDiscount: fare.totalFare,
+        discount,
+        promoCode: promoCode ? String(promoCode).trim().toUpperCase() : null,
+        totalFare: fare.totalFare - discount,
+        freeWaitingMinutes: pricingRule.freeWaitingMinutes || 0,
+        waitingPerMinute: pricingRule.waitingPerMinute || 0,
+        currency: fare.currency,
         rideType,
-        perKmRate: config.perKm,
-        baseRate: config.baseFare
-      }
+        perKmRate: fare.perKmRate,
+        baseRate: fare.baseRate,
+        pricingVersion: fare.pricingVersion,
+        scheduledFor
+      },
+      quoteToken,
+      quoteExpiresAt: expiresAt
     });
 
   } catch (error) {
@@ -110,6 +272,12 @@ router.post('/estimate', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/rides/order
+// @desc    Order a ride using a quote from /estimate. With scheduledFor the ride is booked in advance
+//          and stays scheduled until shortly before pickup (the quote must be for the same time).
+//          stops ([{ address, lat, lng }]) must match the stops the quote was priced with.
+//          With pool: true (and a pooled quote) the ride is matched with riders going the same way.
+// @access  Private
 router.post('/order', auth, async (req, res) => {
   try {
     const {
@@ -123,69 +291,201 @@ router.post('/order', auth, async (req, res) => {
       instructions,
       paymentMethod,
       phoneNumber,
-      distance,
-      estimatedDuration,
-      baseFare,
-      distanceFare,
-      totalFare
+      quoteToken,
+      promoCode,
+      scheduledFor: requestedPickupTime,
+      stops: rawStops,
+      pool
     } = req.body;
 
-    console.log(req,'llll')
-
     // Validate required fields
     if (!pickupLocation || !pickupLat || !pickupLng || 
         !destination || !destLat || !destLng || 
-        !rideType || !paymentMethod || !phoneNumber ||
-        !distance || !estimatedDuration || !totalFare) {
+        !rideType || !paymentMethod || !phoneNumber) {
       return res.status(400).json({
         success: false,
         message: 'Missing required fields'
       });
     }
 
+    const pickupCoordinates = parseCoordinates(pickupLat, pickupLng);
+    const destCoordinates = parseCoordinates(destLat, destLng);
+    if (!pickupCoordinates || !destCoordinates) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid coordinates'
+      });
+    }
+
     // Validate ride type
-    if (!PRICING_CONFIG[rideType]) {
+    if (!RIDE_TYPES.includes(rideType)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid ride type'
       });
     }
 
-    // Create new ride with all the calculated values
+    const pooled = isPoolRequest(pool);
+    let scheduledFor = null;
+    let stops;
+    let stopPoints;
+    try {
+      if (requestedPickupTime) {
+        scheduledFor = parseScheduledFor(requestedPickupTime);
+      }
+      ({ stops, points: stopPoints } = parseStops(rawStops));
+      if (pooled) {
+        assertPoolable(stops, scheduledFor);
+      }
+    } catch (requestErr) {
+      return res.status(requestErr.status).json({
+        success: false,
+        message: requestErr.message
+      });
+    }
+
+    // The fare is always computed on the server; client-sent amounts are ignored
+    let fare;
+    try {
+      fare = await redeemQuote(quoteToken, req.user.id, pickupCoordinates, destCoordinates, rideType, stopPoints, pooled);
+    } catch (quoteErr) {
+      return res.status(quoteErr.status || 400).json({
+        success: false,
+        message: quoteErr.message
+      });
+    }
+
+    if (!isPricedFor(fare, scheduledFor)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quote is for a different pickup time. Please request a new estimate'
+      });
+    }
+
+    let promo = null;
+    let discount = 0;
+    if (promoCode) {
+      try {
+        ({ promo, discount } = await validatePromo(promoCode, req.user.id, {
+          service: 'ride',
+          rideType,
+          amount: fare.totalFare
+        }));
+      } catch (promoErr) {
+        return res.status(promoErr.status || 400).json({
+          success: false,
+          message: promoErr.message
+        });
+      }
+    }
+
+    // Wallet rides are charged on completion; the balance must cover the quote up front
+    if (paymentMethod === 'wallet') {
+      const balance = await getBalance(req.user.id);
+      if (balance < fare.totalFare - discount) {
+        return res.status(400).json({
+          success: false,
+          message: `Your wallet balance (₦${balance}) is too low for this ride. Top up or choose another payment method`
+        });
+      }
+    }
+
+    // The dispatcher moves a pending ride to searching; scheduled rides wait for the scheduler
+    const initialStatus = scheduledFor ? 'scheduled' : 'pending';
+
     const ride = new Ride({
       userId: req.user.id,
-      status: 'pending', // Stay as pending - admin will assign driver
+      status: initialStatus,
+      statusHistory: [{ status: initialStatus, actor: ACTORS.RIDER, actorId: req.user.id, at: new Date() }],
+      scheduledFor,
+      scheduling: scheduledFor ? getSchedulingFields(scheduledFor) : undefined,
       pickupLocation: {
         address: pickupLocation,
-        coordinates: {
-          lat: pickupLat,
-          lng: pickupLng
-        }
+        coordinates: pickupCoordinates
       },
       destination: {
         address: destination,
-        coordinates: {
-          lat: destLat,
-          lng: destLng
-        }
+        coordinates: destCoordinates
       },
+      stops,
       rideType,
-      distance: parseFloat(distance),
-      estimatedDuration: parseInt(estimatedDuration),
-      baseFare: baseFare || PRICING_CONFIG[rideType].baseFare,
-      distanceFare: distanceFare || 0,
-      totalFare: parseFloat(totalFare),
+      ...getFareFields(fare),
+      pool: pooled ? {
+        requested: true,
+        discountPercent: fare.poolDiscountPercent,
+        discount: fare.poolDiscount
+      } : undefined,
+      discount,
+      promoCode: promo ? promo.code : null,
+      promoId: promo ? promo._id : null,
+      totalFare: fare.totalFare - discount,
+      estimatedFare: fare.totalFare - discount,
       paymentMethod,
       paymentStatus: 'pending',
       instructions: instructions || '',
       phoneNumber
     });
 
-    await ride.save();
+    if (promo) {
+      try {
+        await redeemPromo(promo, req.user.id, {
+          service: 'ride',
+          rideId: ride._id,
+          discountAmount: discount
+        });
+      } catch (promoErr) {
+        return res.status(promoErr.status || 400).json({
+          success: false,
+          message: promoErr.message
+        });
+      }
+    }
+
+    try {
+      await ride.save();
+    } catch (saveErr) {
+      if (promo) {
+        await reverseRedemption({ rideId: ride._id });
+      }
+      throw saveErr;
+    }
+
+    if (scheduledFor) {
+      return res.status(201).json({
+        success: true,
+        message: `Ride scheduled. You can change or cancel it free of charge up to ${CHANGE_CUTOFF_MINUTES} minutes before pickup.`,
+        ride
+      });
+    }
+
+    // A shared ride is dispatched with its pool once the pool is full or its match window ends.
+    // If it cannot be put in a pool it goes out on its own, still at the shared-ride price.
+    if (pooled) {
+      try {
+        await joinOrCreatePool(ride);
+
+        return res.status(201).json({
+          success: true,
+          message: `Shared ride requested. Matching you with riders going your way for up to ${POOL_MATCH_WINDOW_MINUTES} minutes.`,
+          ride
+        });
+      } catch (poolErr) {
+        console.error('Error matching pooled ride, dispatching it alone:', poolErr);
+        dispatchSolo(ride).catch(error => console.error('Error starting ride dispatch:', error));
+
+        return res.status(201).json({
+          success: true,
+          message: 'Shared ride requested. We could not match you with other riders, so we are finding you a driver for this ride alone at the shared-ride price.',
+          ride
+        });
+      }
+    }
+
+    startDispatch(ride._id).catch(error => console.error('Error starting ride dispatch:', error));
 
     res.status(201).json({
       success: true,
-      message: 'Ride requested successfully. Waiting for admin to assign a driver.',
+      message: 'Ride requested successfully. Finding you a driver.',
       ride
     });
 
@@ -204,6 +504,7 @@ router.post('/order', auth, async (req, res) => {
 router.get('/my-rides', auth, async (req, res) => {
   try {
     const rides = await Ride.find({ userId: req.user.id })
+      .select('+tripPin.code')
       .sort({ createdAt: -1 })
       .populate('driverId')
       .populate({
@@ -276,6 +577,7 @@ router.get('/active', auth, async (req, res) => {
       userId: req.user.id,
       status: { $in: ['pending', 'searching', 'accepted', 'arrived', 'in_progress'] }
     })
+    .select('+tripPin.code')
     .populate('driverId')
     .populate({
       path: 'driverId',
@@ -304,8 +606,218 @@ router.get('/active', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/rides/pools/:poolId
+// @desc    Get a shared ride's combined trip: its riders and the order of pickups and drop-offs
+// @access  Private (the pool's driver or an admin)
+router.get('/pools/:poolId', auth, async (req, res) => {
+  try {
+    const pool = await RidePool.findById(req.params.poolId).lean();
+
+    if (!pool) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pool not found'
+      });
+    }
+
+    const [user, driverDetail] = await Promise.all([
+      User.findById(req.user.id).select('role'),
+      DriverDetail.findOne({ userId: req.user.id }).select('_id')
+    ]);
+    const isPoolDriver = driverDetail && pool.driverId && pool.driverId.toString() === driverDetail._id.toString();
+
+    if (!isPoolDriver && !(user && user.role === 'admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized to view this pool'
+      });
+    }
+
+    const rides = await Ride.find({ _id: { $in: pool.rides } })
+      .select('userId status pickupLocation destination totalFare pool phoneNumber instructions')
+      .populate('userId', 'fullname phone')
+      .lean();
+
+    res.json({
+      success: true,
+      pool: {
+        ...pool,
+        rides,
+        route: getPoolRoute(pool, rides)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching ride pool:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching ride pool'
+    });
+  }
+});
+
+// @route   GET /api/rides/shared/:token
+// @desc    Follow a shared ride: its status, driver, route so far and where it is heading
+// @access  Public (anyone with an unexpired share link)
+router.get('/shared/:token', async (req, res) => {
+  try {
+    const ride = await getSharedRideView(req.params.token);
+
+    res.json({
+      success: true,
+      ride
+    });
+  } catch (error) {
+    console.error('Error fetching shared ride:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error fetching shared ride'
+    });
+  }
+});
+
+// @route   POST /api/rides/:id/share
+// @desc    Create a link that lets people without an account follow the ride until it expires
+// @access  Private (the rider)
+router.post('/:id/share', auth, async (req, res) => {
+  try {
+    const ride = await Ride.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found'
+      });
+    }
+
+    if (['completed', 'cancelled'].includes(ride.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Ride is already ${ride.status}`
+      });
+    }
+
+    const { url, expiresAt } = createShareLink(ride, getPublicBaseUrl(req));
+
+    res.json({
+      success: true,
+      url,
+      expiresAt
+    });
+  } catch (error) {
+    console.error('Error creating share link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating share link'
+    });
+  }
+});
+
+// @route   POST /api/rides/:id/sos
+// @desc    Raise an SOS on an active ride. Admins are alerted at once and the rider's emergency
+//          contacts are texted a link to follow the ride. Optional: message, lat, lng.
+// @access  Private (the rider or the driver on the ride)
+router.post('/:id/sos', auth, async (req, res) => {
+  try {
+    const ride = await Ride.findById(req.params.id);
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found'
+      });
+    }
+
+    const isRider = ride.userId.toString() === req.user.id;
+    let isDriver = false;
+    if (!isRider && ride.driverId) {
+      const driverDetail = await DriverDetail.findOne({ userId: req.user.id }).select('_id');
+      isDriver = Boolean(driverDetail) && ride.driverId.toString() === driverDetail._id.toString();
+    }
+
+    if (!isRider && !isDriver) {
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized to raise an SOS on this ride'
+      });
+    }
+
+    const { incident, duplicate } = await raiseSos(ride, req.user.id, {
+      reporterRole: isRider ? 'rider' : 'driver',
+      message: req.body.message,
+      location: parseCoordinates(req.body.lat, req.body.lng),
+      baseUrl: getPublicBaseUrl(req)
+    });
+
+    res.status(duplicate ? 200 : 201).json({
+      success: true,
+      message: duplicate
+        ? 'An SOS is already open for this ride. Our safety team has been alerted.'
+        : 'SOS raised. Our safety team has been alerted.',
+      incident: {
+        _id: incident._id,
+        status: incident.status,
+        createdAt: incident.createdAt,
+        // Only texts a provider accepted; log-only deliveries reach nobody
+        contactsAlerted: incident.contactsAlerted.filter(contact => contact.status === 'sent').length
+      }
+    });
+  } catch (error) {
+    console.error('Error raising SOS:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error raising SOS'
+    });
+  }
+});
+
+// @route   GET /api/rides/:id/cancellation-fee
+// @desc    See what cancelling the ride now would cost, before cancelling it
+// @access  Private
+router.get('/:id/cancellation-fee', auth, async (req, res) => {
+  try {
+    const ride = await Ride.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found'
+      });
+    }
+
+    if (['completed', 'cancelled'].includes(ride.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Ride is already ${ride.status}`
+      });
+    }
+
+    const { fee, feeReason, policy } = await previewCancellation(ride, ACTORS.RIDER);
+
+    res.json({
+      success: true,
+      fee,
+      feeReason,
+      currency: 'NGN',
+      freeWindowMinutes: policy.freeWindowMinutes
+    });
+  } catch (error) {
+    console.error('Error fetching cancellation fee:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching cancellation fee'
+    });
+  }
+});
+
 // @route   POST /api/rides/:id/cancel
-// @desc    Cancel a ride
+// @desc    Cancel a ride. Once the free window after a driver accepts has passed, a cancellation fee applies
+//          (see GET /api/rides/:id/cancellation-fee).
 // @access  Private
 router.post('/:id/cancel', auth, async (req, res) => {
   try {
@@ -329,32 +841,287 @@ router.post('/:id/cancel', auth, async (req, res) => {
       });
     }
 
-    ride.status = 'cancelled';
-    ride.cancelledAt = new Date();
-    await ride.save();
+    const cancelledRide = await cancelRide(ride, ACTORS.RIDER, req.user.id, { reason: req.body.reason });
+
+    if (!cancelledRide) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ride was updated by someone else. Please refresh and try again'
+      });
+    }
+
+    const { fee } = cancelledRide.cancellation;
 
     res.json({
       success: true,
-      message: 'Ride cancelled successfully'
+      message: fee > 0
+        ? `Ride cancelled. A cancellation fee of ₦${fee} applies.`
+        : 'Ride cancelled successfully',
+      cancellation: cancelledRide.cancellation
     });
   } catch (error) {
     console.error('Error cancelling ride:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error cancelling ride'
+    });
+  }
+});
+
+// @route   PATCH /api/rides/:id/schedule
+// @desc    Change a scheduled ride's pickup time, locations, stops, instructions or phone number, up to
+//          the change cutoff. A new time, location or stop list needs a fresh quote from /estimate for that trip.
+// @access  Private
+router.patch('/:id/schedule', auth, async (req, res) => {
+  try {
+    const {
+      scheduledFor: requestedPickupTime,
+      pickupLocation,
+      pickupLat,
+      pickupLng,
+      destination,
+      destLat,
+      destLng,
+      instructions,
+      phoneNumber,
+      quoteToken,
+      stops: rawStops
+    } = req.body;
+
+    const ride = await Ride.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found'
+      });
+    }
+
+    if (ride.status !== 'scheduled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only scheduled rides can be changed'
+      });
+    }
+
+    if (!canChangeSchedule(ride)) {
+      return res.status(400).json({
+        success: false,
+        message: `Scheduled rides can only be changed up to ${CHANGE_CUTOFF_MINUTES} minutes before pickup`
+      });
+    }
+
+    const update = {};
+
+    let scheduledFor = ride.scheduledFor;
+    let stops = ride.stops.map(stop => ({
+      sequence: stop.sequence,
+      address: stop.address,
+      coordinates: { lat: stop.coordinates.lat, lng: stop.coordinates.lng }
+    }));
+    try {
+      if (requestedPickupTime) {
+        scheduledFor = parseScheduledFor(requestedPickupTime);
+      }
+      if (rawStops !== undefined) {
+        ({ stops } = parseStops(rawStops));
+      }
+    } catch (requestErr) {
+      return res.status(requestErr.status).json({
+        success: false,
+        message: requestErr.message
+      });
+    }
+    const stopPoints = stops.map(stop => stop.coordinates);
+
+    const currentPickup = { lat: ride.pickupLocation.coordinates.lat, lng: ride.pickupLocation.coordinates.lng };
+    const currentDest = { lat: ride.destination.coordinates.lat, lng: ride.destination.coordinates.lng };
+
+    const pickupCoordinates = pickupLat !== undefined || pickupLng !== undefined
+      ? parseCoordinates(pickupLat, pickupLng)
+      : currentPickup;
+    const destCoordinates = destLat !== undefined || destLng !== undefined
+      ? parseCoordinates(destLat, destLng)
+      : currentDest;
+    if (!pickupCoordinates || !destCoordinates) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid coordinates'
+      });
+    }
+
+    const timeChanged = scheduledFor.getTime() !== ride.scheduledFor.getTime();
+    const stopsChanged = stops.length !== ride.stops.length ||
+      stops.some((stop, index) => !isSamePoint(stop.coordinates, ride.stops[index].coordinates));
+    const routeChanged = stopsChanged ||
+      !isSamePoint(pickupCoordinates, currentPickup) ||
+      !isSamePoint(destCoordinates, currentDest);
+
+    if (timeChanged || routeChanged) {
+      let fare;
+      try {
+        fare = await redeemQuote(quoteToken, req.user.id, pickupCoordinates, destCoordinates, ride.rideType, stopPoints);
+      } catch (quoteErr) {
+        return res.status(quoteErr.status || 400).json({
+          success: false,
+          message: quoteErr.message
+        });
+      }
+
+      if (!isPricedFor(fare, scheduledFor)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Quote is for a different pickup time. Please request a new estimate'
+        });
+      }
+
+      // A promo whose minimum fare is no longer met stays attached but gives no discount
+      let discount = 0;
+      if (ride.promoId) {
+        const promo = await PromoCode.findById(ride.promoId).lean();
+        if (promo && fare.totalFare >= (promo.minFare || 0)) {
+          discount = calculateDiscount(promo, fare.totalFare);
+        }
+      }
+
+      Object.assign(update, getFareFields(fare), {
+        discount,
+        totalFare: fare.totalFare - discount,
+        estimatedFare: fare.totalFare - discount,
+        scheduledFor,
+        scheduling: getSchedulingFields(scheduledFor)
+      });
+      update['pickupLocation.coordinates'] = pickupCoordinates;
+      update['destination.coordinates'] = destCoordinates;
+    }
+
+    // New stop addresses without moving the stops need no new quote
+    if (rawStops !== undefined) update.stops = stops;
+
+    if (pickupLocation) update['pickupLocation.address'] = pickupLocation;
+    if (destination) update['destination.address'] = destination;
+    if (instructions !== undefined) update.instructions = instructions;
+    if (phoneNumber) update.phoneNumber = phoneNumber;
+
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to change'
+      });
+    }
+
+    // Only while the ride is still scheduled, before the cutoff and unchanged since it was read
+    const updatedRide = await Ride.findOneAndUpdate(
+      {
+        _id: ride._id,
+        status: 'scheduled',
+        'scheduling.changeCutoffAt': { $gt: new Date() },
+        updatedAt: ride.updatedAt
+      },
+      update,
+      { new: true }
+    );
+
+    if (!updatedRide) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ride was updated by someone else. Please refresh and try again'
+      });
+    }
+
+    if (update.discount !== undefined && ride.promoId) {
+      await PromoRedemption.updateOne(
+        { rideId: ride._id, status: 'redeemed' },
+        { discountAmount: update.discount }
+      );
+    }
+
+    res.json({
+      success: true,
+      message: 'Scheduled ride updated',
+      ride: updatedRide
+    });
+  } catch (error) {
+    console.error('Error updating scheduled ride:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error cancelling ride'
+      message: 'Server error updating scheduled ride'
+    });
+  }
+});
+
+// @route   POST /api/rides/:id/stops/:sequence/arrive
+// @desc    Driver arrives at an intermediate stop. Stops are visited in order after pickup.
+// @access  Private
+router.post('/:id/stops/:sequence/arrive', auth, async (req, res) => {
+  try {
+    const driverDetail = await DriverDetail.findOne({ userId: req.user.id });
+
+    if (!driverDetail) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver profile not found'
+      });
+    }
+
+    const ride = await arriveAtStop(req.params.id, driverDetail._id, parseInt(req.params.sequence));
+
+    res.json({
+      success: true,
+      message: `Arrived at stop ${req.params.sequence}`,
+      ride
+    });
+  } catch (error) {
+    console.error('Error recording stop arrival:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error recording stop arrival'
+    });
+  }
+});
+
+// @route   POST /api/rides/:id/stops/:sequence/depart
+// @desc    Driver leaves an intermediate stop
+// @access  Private
+router.post('/:id/stops/:sequence/depart', auth, async (req, res) => {
+  try {
+    const driverDetail = await DriverDetail.findOne({ userId: req.user.id });
+
+    if (!driverDetail) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver profile not found'
+      });
+    }
+
+    const ride = await departFromStop(req.params.id, driverDetail._id, parseInt(req.params.sequence));
+
+    res.json({
+      success: true,
+      message: `Left stop ${req.params.sequence}`,
+      ride
+    });
+  } catch (error) {
+    console.error('Error recording stop departure:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error recording stop departure'
     });
   }
 });
 
 // @route   GET /api/rides/:id/available-drivers
-// @desc    Get available drivers for a ride
+// @desc    Get online drivers near the pickup who can take this ride
 // @access  Private
 router.get('/:id/available-drivers', auth, async (req, res) => {
   try {
     const ride = await Ride.findOne({
       _id: req.params.id,
       userId: req.user.id,
-      status: 'searching'
+      status: { $in: ['pending', 'searching', 'awaiting_driver_confirmation'] }
     });
 
     if (!ride) {
@@ -364,38 +1131,21 @@ router.get('/:id/available-drivers', auth, async (req, res) => {
       });
     }
 
-    let availableDrivers = [];
-    const { rideType, pickupLocation } = ride;
-
-    // Find drivers based on ride type
-    if (rideType === 'bicycle') {
-      availableDrivers = await DriverDetail.find({
-        vehicleId: { $exists: false },
-        status: 'active',
-        isVerified: true
-      })
-      .populate('userId', 'name phone rating')
-      .limit(10);
-    } else {
-      // For motorcycle and car
-      const vehicleType = rideType === 'motorcycle' ? 'motorcycle' : { $in: ['sedan', 'suv', 'van'] };
-
-      availableDrivers = await DriverDetail.find({
-        status: 'active',
-        isVerified: true,
-        vehicleId: { $exists: true }
-      })
-      .populate('userId', 'name phone rating')
-      .populate('vehicleId')
-      .then(drivers => drivers.filter(driver =>
-        driver.vehicleId &&
-        (rideType === 'motorcycle' ?
-          driver.vehicleId.vehicleType === 'motorcycle' :
-          ['sedan', 'suv', 'van'].includes(driver.vehicleId.vehicleType)
-        )
-      ))
-      .limit(10);
-    }
+    const candidates = await findCandidates(ride);
+
+    const availableDrivers = candidates.slice(0, 10).map(driver => ({
+      _id: driver._id,
+      name: driver.user.fullname,
+      rating: driver.driverRating || 0,
+      totalTrips: driver.totalTrips || 0,
+      distanceKm: parseFloat(driver.distanceKm.toFixed(2)),
+      vehicle: {
+        make: driver.vehicle.make,
+        model: driver.vehicle.model,
+        color: driver.vehicle.color,
+        vehicleType: driver.vehicle.vehicleType
+      }
+    }));
 
     res.json({
       success: true,
@@ -426,10 +1176,12 @@ router.post('/:id/accept', auth, async (req, res) => {
       });
     }
 
-    const ride = await Ride.findOne({
-      _id: req.params.id,
-      driverId: driverDetail._id,
-      status: 'awaiting_driver_confirmation'
+    // Atomic so an offer that times out at the same moment cannot be accepted
+    const ride = await transitionRide(req.params.id, 'accepted', {
+      actor: ACTORS.DRIVER,
+      actorId: req.user.id,
+      from: 'awaiting_driver_confirmation',
+      conditions: { driverId: driverDetail._id }
     });
 
     if (!ride) {
@@ -439,9 +1191,7 @@ router.post('/:id/accept', auth, async (req, res) => {
       });
     }
 
-    ride.status = 'accepted';
-    ride.acceptedAt = new Date();
-    await ride.save();
+    await recordAcceptance(ride, driverDetail._id);
 
     res.json({
       success: true,
@@ -457,8 +1207,59 @@ router.post('/:id/accept', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/rides/:id/arrive
+// @desc    Driver has arrived at the pickup. Waiting is free for the pricing rule's free waiting time and
+//          charged per minute after that, until the rider is picked up.
+// @access  Private
+router.post('/:id/arrive', auth, async (req, res) => {
+  try {
+    const driverDetail = await DriverDetail.findOne({ userId: req.user.id });
+
+    if (!driverDetail) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver profile not found'
+      });
+    }
+
+    const ride = await transitionRide(req.params.id, 'arrived', {
+      actor: ACTORS.DRIVER,
+      actorId: req.user.id,
+      from: 'accepted',
+      conditions: { driverId: driverDetail._id }
+    });
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found or driver is not on the way to it'
+      });
+    }
+
+    const rule = await getPricingRuleForRide(ride);
+    const freeWaitingMinutes = rule.freeWaitingMinutes || 0;
+
+    res.json({
+      success: true,
+      message: 'Arrival recorded',
+      ride,
+      waiting: {
+        freeWaitingMinutes,
+        waitingPerMinute: rule.waitingPerMinute || 0,
+        chargedFrom: new Date(ride.arrivedAt.getTime() + freeWaitingMinutes * 60 * 1000)
+      }
+    });
+  } catch (error) {
+    console.error('Error recording arrival:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error recording arrival'
+    });
+  }
+});
+
 // @route   POST /api/rides/:id/decline
-// @desc    Driver declines a ride
+// @desc    Driver declines a ride offer; it is offered to the next driver
 // @access  Private
 router.post('/:id/decline', auth, async (req, res) => {
   try {
@@ -485,14 +1286,13 @@ router.post('/:id/decline', auth, async (req, res) => {
       });
     }
 
-    ride.status = 'cancelled';
-    ride.cancelledAt = new Date();
-    await ride.save();
+    // Offer the ride to the next available driver instead of cancelling it
+    const updatedRide = await declineOffer(ride, driverDetail._id, req.user.id);
 
     res.json({
       success: true,
       message: 'Ride declined successfully',
-      ride
+      ride: updatedRide || ride
     });
   } catch (error) {
     console.error('Error declining ride:', error);
@@ -504,11 +1304,12 @@ router.post('/:id/decline', auth, async (req, res) => {
 });
 
 // @route   PATCH /api/rides/:id/status
-// @desc    Update ride status
+// @desc    Move a ride to its next status (see services/rideStateMachine.js for allowed transitions).
+//          A driver moving the ride to picked_up or in_progress must send the rider's trip PIN as pin.
 // @access  Private
 router.patch('/:id/status', auth, async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, reason } = req.body;
 
     if (!status) {
       return res.status(400).json({
@@ -517,26 +1318,8 @@ router.patch('/:id/status', auth, async (req, res) => {
       });
     }
 
-    // Valid status transitions
-    const validStatuses = ['pending', 'searching', 'awaiting_driver_confirmation', 'accepted', 'picked_up', 'in_progress', 'completed', 'cancelled'];
-    
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid status'
-      });
-    }
-
     // Find the ride
-    const ride = await Ride.findById(req.params.id)
-      .populate('driverId')
-      .populate({
-        path: 'driverId',
-        populate: {
-          path: 'userId',
-          select: 'name phone'
-        }
-      });
+    const ride = await Ride.findById(req.params.id);
 
     if (!ride) {
       return res.status(404).json({
@@ -548,7 +1331,7 @@ router.patch('/:id/status', auth, async (req, res) => {
     // Check authorization - user must be either the rider or the driver
     const driverDetail = await DriverDetail.findOne({ userId: req.user.id });
     const isRider = ride.userId.toString() === req.user.id;
-    const isDriver = driverDetail && ride.driverId && ride.driverId._id.toString() === driverDetail._id.toString();
+    const isDriver = driverDetail && ride.driverId && ride.driverId.toString() === driverDetail._id.toString();
 
     if (!isRider && !isDriver) {
       return res.status(403).json({
@@ -557,30 +1340,40 @@ router.patch('/:id/status', auth, async (req, res) => {
       });
     }
 
-    // Update status with appropriate timestamps
-    ride.status = status;
+    const actor = isDriver ? ACTORS.DRIVER : ACTORS.RIDER;
+    const conditions = isDriver ? { driverId: driverDetail._id } : { userId: ride.userId };
+
+    if (isDriver && PIN_REQUIRED_STATUSES.includes(status)) {
+      assertTransition(ride.status, status, actor);
+      await verifyTripPin(ride._id, req.body.pin, req.user.id);
+    }
 
-    if (status === 'picked_up') {
-      ride.pickedUpAt = new Date();
-    } else if (status === 'in_progress') {
-      ride.startedAt = new Date();
+    // Cancelling follows the same fee policy as /cancel; completing charges the fare for the actual trip
+    let updatedRide;
+    if (status === 'cancelled') {
+      updatedRide = await cancelRide(ride, actor, req.user.id, { reason, conditions });
     } else if (status === 'completed') {
-      ride.completedAt = new Date();
-      ride.paymentStatus = 'pending'; // Mark payment as pending after completion
+      assertTransition(ride.status, status, actor);
+      updatedRide = await completeRide(ride, actor, req.user.id, { reason, conditions });
+    } else {
+      updatedRide = await transitionRide(ride, status, { actor, actorId: req.user.id, reason, conditions });
     }
 
-    await ride.save();
+    if (!updatedRide) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ride was updated by someone else. Please refresh and try again'
+      });
+    }
 
     // Populate the updated ride for response
-    const updatedRide = await Ride.findById(req.params.id)
-      .populate('driverId')
-      .populate({
-        path: 'driverId',
-        populate: {
-          path: 'userId',
-          select: 'name phone'
-        }
-      });
+    await updatedRide.populate({
+      path: 'driverId',
+      populate: {
+        path: 'userId',
+        select: 'name phone'
+      }
+    });
 
     res.json({
       success: true,
@@ -589,9 +1382,59 @@ router.patch('/:id/status', auth, async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating ride status:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error updating ride status'
+    });
+  }
+});
+
+// @route   POST /api/rides/:id/no-show
+// @desc    Driver reports that the rider never came to the pickup. Allowed once the driver has waited
+//          the policy's no-show time after arriving; the ride is cancelled with the no-show fee.
+// @access  Private
+router.post('/:id/no-show', auth, async (req, res) => {
+  try {
+    const driverDetail = await DriverDetail.findOne({ userId: req.user.id });
+
+    if (!driverDetail) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver profile not found'
+      });
+    }
+
+    const ride = await Ride.findOne({
+      _id: req.params.id,
+      driverId: driverDetail._id
+    });
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found'
+      });
+    }
+
+    const cancelledRide = await reportNoShow(ride, driverDetail._id, req.user.id);
+
+    if (!cancelledRide) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ride was updated by someone else. Please refresh and try again'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'No-show recorded and ride cancelled',
+      cancellation: cancelledRide.cancellation
+    });
+  } catch (error) {
+    console.error('Error reporting no-show:', error);
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Server error updating ride status'
+      message: error.status ? error.message : 'Server error reporting no-show'
     });
   }
 });
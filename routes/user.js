@@ -145,5 +145,68 @@ router.put('/user/change-password', auth, async (req, res) => {
   }
 });
 
+// Most emergency contacts a user can save
+const MAX_EMERGENCY_CONTACTS = 5;
 
-module.exports = router;
\ No newline at end of file
+// Get current user's emergency contacts (alerted when they raise an SOS on a ride)
+router.get('/user/emergency-contacts', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('emergencyContacts');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({ success: true, data: user.emergencyContacts });
+  } catch (err) {
+    console.error('Get emergency contacts error:', err);
+    res.status(500).json({ success: false, message: 'Server error fetching emergency contacts' });
+  }
+});
+
+// Replace current user's emergency contacts: [{ name, phone, relationship }]
+router.put('/user/emergency-contacts', auth, async (req, res) => {
+  try {
+    const { contacts } = req.body;
+
+    if (!Array.isArray(contacts)) {
+      return res.status(400).json({ success: false, message: 'contacts must be an array' });
+    }
+
+    if (contacts.length > MAX_EMERGENCY_CONTACTS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save at most ${MAX_EMERGENCY_CONTACTS} emergency contacts`
+      });
+    }
+
+    const invalid = contacts.some(contact =>
+      !contact || !String(contact.name || '').trim() || !String(contact.phone || '').trim()
+    );
+    if (invalid) {
+      return res.status(400).json({ success: false, message: 'Every contact needs a name and phone number' });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    user.emergencyContacts = contacts.map(contact => ({
+      name: contact.name,
+      phone: contact.phone,
+      relationship: contact.relationship || ''
+    }));
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Emergency contacts updated successfully',
+      data: user.emergencyContacts
+    });
+  } catch (err) {
+    console.error('Update emergency contacts error:', err);
+    res.status(500).json({ success: false, message: 'Server error updating emergency contacts' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,173 @@
+// routes/wallet.js
+const express = require('express');
+const router = express.Router();
+const Ride = require('../models/Ride');
+const CharterOrder = require('../models/charter/CharterOrder');
+const auth = require('../middleware/authMiddleware');
+const { getWallet, getStatement, payRideFromWallet, payCharterFromWallet } = require('../services/walletService');
+const { startWalletTopUp, getCharterAmountDue } = require('../services/paymentService');
+
+// @route   GET /api/wallet
+// @desc    Get the user's wallet balance
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const wallet = await getWallet(req.user.id);
+
+    res.json({
+      success: true,
+      balance: wallet.balance,
+      currency: wallet.currency
+    });
+  } catch (error) {
+    console.error('Error fetching wallet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching wallet'
+    });
+  }
+});
+
+// @route   GET /api/wallet/transactions
+// @desc    Get the wallet statement, newest first. Optional: limit (default 50), skip
+// @access  Private
+router.get('/transactions', auth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+
+    const { balance, transactions, total } = await getStatement(req.user.id, { limit, skip });
+
+    res.json({
+      success: true,
+      balance,
+      transactions,
+      pagination: {
+        total,
+        limit,
+        skip
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching wallet statement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching wallet statement'
+    });
+  }
+});
+
+// @route   POST /api/wallet/top-up
+// @desc    Start topping up the wallet online. Required: amount. Optional: callbackUrl.
+//          The wallet is credited once the payment succeeds.
+// @access  Private
+router.post('/top-up', auth, async (req, res) => {
+  try {
+    const payment = await startWalletTopUp(
+      req.user.id,
+      req.body.amount,
+      req.body.callbackUrl || process.env.PAYMENT_CALLBACK_URL || undefined
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Top-up started. Complete it on the checkout page',
+      payment: {
+        reference: payment.reference,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: payment.status,
+        authorizationUrl: payment.authorizationUrl
+      }
+    });
+  } catch (error) {
+    console.error('Error starting wallet top-up:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error starting top-up'
+    });
+  }
+});
+
+// @route   POST /api/wallet/rides/:id/pay
+// @desc    Pay from the wallet for a wallet ride the balance could not cover when it completed,
+//          or for a pending cancellation fee
+// @access  Private (the rider)
+router.post('/rides/:id/pay', auth, async (req, res) => {
+  try {
+    const ride = await Ride.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found'
+      });
+    }
+
+    const updatedRide = await payRideFromWallet(ride);
+    const wallet = await getWallet(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Paid from your wallet',
+      ride: updatedRide,
+      balance: wallet.balance
+    });
+  } catch (error) {
+    console.error('Error paying ride from wallet:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error paying from wallet'
+    });
+  }
+});
+
+// @route   POST /api/wallet/charter/:id/pay
+// @desc    Pay for a charter order from the wallet once its quote has been accepted
+// @access  Private (the customer)
+router.post('/charter/:id/pay', auth, async (req, res) => {
+  try {
+    const order = await CharterOrder.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Charter order not found'
+      });
+    }
+
+    const due = getCharterAmountDue(order);
+    if (!due) {
+      return res.status(400).json({
+        success: false,
+        message: order.paymentStatus === 'completed'
+          ? 'This charter order has already been paid for'
+          : 'There is nothing to pay on this charter order'
+      });
+    }
+
+    const updatedOrder = await payCharterFromWallet(order, due.amount);
+    const wallet = await getWallet(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Paid from your wallet',
+      order: updatedOrder,
+      balance: wallet.balance
+    });
+  } catch (error) {
+    console.error('Error paying charter order from wallet:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error paying from wallet'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,115 @@
+// scripts/migrateCharterLocations.js
+// Converts charter orders saved with plain address strings to structured locations.
+//
+//   node scripts/migrateCharterLocations.js            convert strings to { address }
+//   node scripts/migrateCharterLocations.js --geocode  also geocode locations without coordinates
+//   node scripts/migrateCharterLocations.js --dry-run  report what would change
+//
+// Safe to run more than once. Uses the geocoder selected by GEOCODER (the offline stub by default).
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const CharterOrder = require('../models/charter/CharterOrder');
+const { geocodeAddress } = require('../services/geocodingService');
+
+const args = process.argv.slice(2);
+const GEOCODE = args.includes('--geocode');
+const DRY_RUN = args.includes('--dry-run');
+
+const hasCoordinates = (location) => Boolean(
+  location && location.coordinates &&
+  Number.isFinite(location.coordinates.lat) && Number.isFinite(location.coordinates.lng)
+);
+
+// The structured form of a stored location, or null if it needs no change
+const migrateLocation = async (value) => {
+  if (!value) return null;
+
+  const isString = typeof value === 'string';
+  if (!isString && (!GEOCODE || hasCoordinates(value) || !value.address)) {
+    return null;
+  }
+
+  const location = isString ? { address: value.trim(), placeName: '', geocodedBy: null } : { ...value };
+
+  if (GEOCODE && !hasCoordinates(location)) {
+    const found = await geocodeAddress(location.address);
+    if (found) {
+      location.placeName = location.placeName || found.placeName || '';
+      location.coordinates = { lat: found.lat, lng: found.lng };
+      location.geocodedBy = found.geocodedBy;
+    }
+  }
+
+  return location;
+};
+
+const buildUpdate = async (order) => {
+  const update = {};
+
+  for (const field of ['pickupLocation', 'destination']) {
+    const location = await migrateLocation(order[field]);
+    if (location) update[field] = location;
+  }
+
+  if (order.returnTrip) {
+    for (const field of ['pickupLocation', 'destination']) {
+      const location = await migrateLocation(order.returnTrip[field]);
+      if (location) update[`returnTrip.${field}`] = location;
+    }
+  }
+
+  const itinerary = order.itinerary || [];
+  for (let i = 0; i < itinerary.length; i++) {
+    const location = await migrateLocation(itinerary[i].location);
+    if (location) update[`itinerary.${i}.location`] = location;
+  }
+
+  return update;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const filter = GEOCODE
+    ? {}
+    : {
+      $or: [
+        { pickupLocation: { $type: 'string' } },
+        { destination: { $type: 'string' } },
+        { 'returnTrip.pickupLocation': { $type: 'string' } },
+        { 'returnTrip.destination': { $type: 'string' } },
+        { 'itinerary.location': { $type: 'string' } }
+      ]
+    };
+
+  // Read raw documents: the model would already present strings as { address }
+  const cursor = CharterOrder.collection.find(filter, {
+    projection: { pickupLocation: 1, destination: 1, returnTrip: 1, itinerary: 1 }
+  });
+
+  let scanned = 0;
+  let updated = 0;
+
+  for await (const order of cursor) {
+    scanned++;
+    const update = await buildUpdate(order);
+    if (Object.keys(update).length === 0) continue;
+
+    updated++;
+    if (DRY_RUN) {
+      console.log(`Would update ${order._id}:`, JSON.stringify(update));
+    } else {
+      await CharterOrder.collection.updateOne({ _id: order._id }, { $set: update });
+    }
+  }
+
+  console.log(`${DRY_RUN ? 'Dry run: ' : ''}scanned ${scanned} charter orders, ${DRY_RUN ? 'would update' : 'updated'} ${updated}`);
+};
+
+run()
+  .catch(error => {
+    console.error('Charter location migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
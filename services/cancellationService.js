@@ -0,0 +1,131 @@
+// services/cancellationService.js
+// Cancellation fees. Riders can cancel for free until a driver has been on the way for a while;
+// after that, or once the driver has arrived, a fee applies. A driver who waits at the pickup long
+// enough can report a no-show, which cancels the ride with the no-show fee. Part of every fee is
+// credited to the driver whose time was wasted, once the fee has actually been charged.
+
+const { getActivePricingRule } = require('./fareService');
+const { canChangeSchedule } = require('./rideSchedulerService');
+const { ACTORS, transitionRide } = require('./rideStateMachine');
+
+const MINUTE_MS = 60 * 1000;
+
+// Policy used when a pricing rule has none, in Naira (₦)
+const DEFAULT_CANCELLATION = {
+  freeWindowMinutes: 2,
+  feeAfterAccept: 300,
+  feeAfterArrival: 500,
+  scheduledLateFee: 300,
+  noShowWaitMinutes: 5,
+  noShowFee: 700,
+  driverSharePercent: 80
+};
+
+const cancellationError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// The cancellation policy for a ride type
+const getCancellationPolicy = async (rideType) => {
+  const rule = await getActivePricingRule(rideType);
+  return { ...DEFAULT_CANCELLATION, ...((rule && rule.cancellation) || {}) };
+};
+
+// The fee the rider would pay to cancel the ride now: { fee, feeReason }.
+// Only riders pay to cancel; drivers, admins and the system cancel for free.
+const assessCancellationFee = (ride, actor, policy, now = new Date()) => {
+  if (actor !== ACTORS.RIDER) {
+    return { fee: 0, feeReason: null };
+  }
+
+  if (ride.status === 'scheduled') {
+    return canChangeSchedule(ride, now)
+      ? { fee: 0, feeReason: null }
+      : { fee: policy.scheduledLateFee, feeReason: 'scheduled_late' };
+  }
+
+  if (ride.status === 'arrived') {
+    return { fee: policy.feeAfterArrival, feeReason: 'after_arrival' };
+  }
+
+  if (ride.status === 'accepted') {
+    const freeUntil = new Date(ride.acceptedAt).getTime() + policy.freeWindowMinutes * MINUTE_MS;
+    return now.getTime() <= freeUntil
+      ? { fee: 0, feeReason: null }
+      : { fee: policy.feeAfterAccept, feeReason: 'after_accept' };
+  }
+
+  return { fee: 0, feeReason: null };
+};
+
+// Cancellation fields to store for a fee
+const getFeeFields = (fee, feeReason, policy) => ({
+  'cancellation.fee': fee,
+  'cancellation.feeReason': feeReason,
+  'cancellation.driverCredit': Math.round(fee * (policy.driverSharePercent / 100)),
+  'cancellation.feeStatus': fee > 0 ? 'pending' : 'none'
+});
+
+// What cancelling the ride now would cost `actor`, without cancelling it
+const previewCancellation = async (ride, actor) => {
+  const policy = await getCancellationPolicy(ride.rideType);
+  const { fee, feeReason } = assessCancellationFee(ride, actor, policy);
+  return { fee, feeReason, policy };
+};
+
+// Cancel a ride on behalf of `actor`, charging the rider any fee the policy sets.
+// The fee is assessed for the ride's current status and the cancellation only applies if the
+// ride is still in it. Returns the cancelled ride, or null if it changed in the meantime.
+const cancelRide = async (ride, actor, actorId = null, options = {}) => {
+  const policy = await getCancellationPolicy(ride.rideType);
+  const { fee, feeReason } = assessCancellationFee(ride, actor, policy);
+
+  return transitionRide(ride, 'cancelled', {
+    actor,
+    actorId,
+    reason: options.reason,
+    conditions: options.conditions,
+    update: {
+      ...getFeeFields(fee, feeReason, policy),
+      ...(fee > 0 && { paymentStatus: 'pending' })
+    }
+  });
+};
+
+// The driver waited at the pickup and the rider never came: cancel with the no-show fee
+const reportNoShow = async (ride, driverId, actorId = null, now = new Date()) => {
+  if (ride.status !== 'arrived' || !ride.arrivedAt) {
+    throw cancellationError(400, 'A no-show can only be reported after arriving at the pickup');
+  }
+
+  const policy = await getCancellationPolicy(ride.rideType);
+  const waitUntil = new Date(ride.arrivedAt).getTime() + policy.noShowWaitMinutes * MINUTE_MS;
+  if (now.getTime() < waitUntil) {
+    const minutesLeft = Math.ceil((waitUntil - now.getTime()) / MINUTE_MS);
+    throw cancellationError(400, `Please wait ${minutesLeft} more minute(s) for the rider before reporting a no-show`);
+  }
+
+  return transitionRide(ride, 'cancelled', {
+    actor: ACTORS.DRIVER,
+    actorId,
+    from: 'arrived',
+    reason: 'Rider did not show up',
+    conditions: { driverId },
+    update: {
+      'cancellation.noShow': true,
+      ...getFeeFields(policy.noShowFee, 'no_show', policy),
+      ...(policy.noShowFee > 0 && { paymentStatus: 'pending' })
+    }
+  });
+};
+
+module.exports = {
+  DEFAULT_CANCELLATION,
+  getCancellationPolicy,
+  assessCancellationFee,
+  previewCancellation,
+  cancelRide,
+  reportNoShow
+};
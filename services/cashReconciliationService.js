@@ -0,0 +1,313 @@
+// services/cashReconciliationService.js
+// Cash reconciliation. On a cash trip the driver keeps the whole fare, so they owe the platform
+// everything beyond their share. What they owe comes off their next payout, or they pay it in
+// and an admin records a remittance.
+//
+// A driver whose overdue balance tops the limit is put on a cash hold. Dispatch skips them and
+// admins cannot assign them until the balance is cleared. Cash owed becomes overdue once the
+// trip is older than the grace period. Collected earnings the platform still owes the driver
+// count against it, and so do remittances no payout has netted off yet.
+
+const mongoose = require('mongoose');
+const DriverEarning = require('../models/DriverEarning');
+const CashRemittance = require('../models/CashRemittance');
+const DriverDetail = require('../models/AdminDriver');
+const CharterDriver = require('../models/charter/CharterDriver');
+const { createNotification, notifyAdmins } = require('./notificationService');
+const { TRIP_SOURCES, IS_CASH_TRIP, IS_COLLECTED, CASH_OWED, getDriverFilter } = require('./earningsService');
+
+// Overdue cash, in Naira, a driver can hold before new assignments stop
+const CASH_OWED_LIMIT = parseFloat(process.env.CASH_OWED_LIMIT) || 10000;
+
+// Days a driver has to remit cash before it counts as overdue
+const REMITTANCE_GRACE_DAYS = parseFloat(process.env.CASH_REMITTANCE_GRACE_DAYS) || 3;
+
+// How often cash holds are rechecked
+const RECONCILE_INTERVAL_MS = parseInt(process.env.CASH_RECONCILE_INTERVAL_MS) || 10 * 60 * 1000;
+
+const REMITTANCE_METHODS = CashRemittance.schema.path('method').enumValues;
+
+let reconcileTimer = null;
+
+const cashError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const getDriverModel = (filter) => (filter.driverId ? DriverDetail : CharterDriver);
+
+const getGraceCutoff = (now = new Date()) => new Date(now.getTime() - REMITTANCE_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+// Why a driver cannot take new assignments, or null if they can
+const getCashBlockReason = (driver) => {
+  if (!driver || !driver.cashHold || !driver.cashHold.blocked) {
+    return null;
+  }
+  return `Driver has ₦${driver.cashHold.overdue} in overdue cash to remit and cannot take new assignments`;
+};
+
+// What the driver owes now, from entries and remittances no payout has settled yet
+const getOutstanding = async (filter, graceCutoff) => {
+  const [[unsettled], [remitted]] = await Promise.all([
+    DriverEarning.aggregate([
+      { $match: { ...filter, payoutId: null } },
+      {
+        $group: {
+          _id: null,
+          cashOwed: { $sum: { $cond: [IS_CASH_TRIP, CASH_OWED, 0] } },
+          overdueCashOwed: {
+            $sum: { $cond: [{ $and: [IS_CASH_TRIP, { $lte: ['$earnedAt', graceCutoff] }] }, CASH_OWED, 0] }
+          },
+          earnings: {
+            $sum: { $cond: [{ $and: [{ $not: [IS_CASH_TRIP] }, IS_COLLECTED] }, '$driverShare', 0] }
+          }
+        }
+      }
+    ]),
+    CashRemittance.aggregate([
+      { $match: { ...filter, status: 'recorded', payoutId: null } },
+      { $group: { _id: null, amount: { $sum: '$amount' } } }
+    ])
+  ]);
+
+  const { cashOwed = 0, overdueCashOwed = 0, earnings = 0 } = unsettled || {};
+  const credits = earnings + (remitted ? remitted.amount : 0);
+
+  return {
+    cashOwed,
+    earningsDue: earnings,
+    remittancesUnsettled: remitted ? remitted.amount : 0,
+    outstanding: Math.max(cashOwed - credits, 0),
+    overdue: Math.max(overdueCashOwed - credits, 0)
+  };
+};
+
+// Work out whether the driver should be on a cash hold and save it. Drivers and admins hear
+// about a hold starting or ending. Returns the updated driver, or null if there is none.
+const refreshCashHold = async (driverRef) => {
+  const filter = getDriverFilter(driverRef);
+  const Model = getDriverModel(filter);
+  const id = filter.driverId || filter.charterDriverId;
+
+  const driver = await Model.findById(id).select('userId cashHold');
+  if (!driver) {
+    return null;
+  }
+
+  const now = new Date();
+  const { overdue } = await getOutstanding(filter, getGraceCutoff(now));
+  const wasBlocked = Boolean(driver.cashHold && driver.cashHold.blocked);
+  const blocked = overdue > CASH_OWED_LIMIT;
+
+  const updated = await Model.findByIdAndUpdate(id, {
+    'cashHold.blocked': blocked,
+    'cashHold.overdue': overdue,
+    'cashHold.blockedAt': blocked ? (wasBlocked ? driver.cashHold.blockedAt : now) : null,
+    'cashHold.checkedAt': now
+  }, { new: true }).select('userId cashHold');
+
+  if (blocked !== wasBlocked) {
+    const title = blocked ? 'Assignments Paused' : 'Assignments Resumed';
+    const message = blocked
+      ? `You have ₦${overdue} in overdue cash to remit. You will not get new trips until it is paid in.`
+      : 'Your cash balance is settled. You can receive new trips again.';
+
+    await createNotification(driver.userId, 'payment_update', title, message, { ...filter }).catch(() => null);
+    await notifyAdmins(
+      'payment_update',
+      blocked ? 'Driver Blocked for Overdue Cash' : 'Driver Cash Hold Cleared',
+      blocked
+        ? `A driver owes ₦${overdue} in overdue cash and has been blocked from new assignments.`
+        : 'A driver has cleared their overdue cash and can be assigned again.',
+      { ...filter }
+    );
+  }
+
+  return updated;
+};
+
+// Per-driver reconciliation: lifetime cash collected, commission owed on it and remitted,
+// what is outstanding now and how much of it is overdue
+const getReconciliation = async (driverRef) => {
+  const filter = getDriverFilter(driverRef);
+  const driver = await getDriverModel(filter).findById(filter.driverId || filter.charterDriverId)
+    .select('userId cashHold')
+    .populate('userId', 'fullname phone email')
+    .lean();
+
+  if (!driver) {
+    throw cashError(404, 'Driver not found');
+  }
+
+  const [[lifetime], [remitted], outstanding, remittances] = await Promise.all([
+    DriverEarning.aggregate([
+      { $match: { ...filter, paymentMethod: 'cash', source: { $in: TRIP_SOURCES } } },
+      {
+        $group: {
+          _id: null,
+          cashTrips: { $sum: 1 },
+          cashCollected: { $sum: { $ifNull: ['$amountCollected', '$grossAmount'] } },
+          commissionOwed: { $sum: CASH_OWED }
+        }
+      }
+    ]),
+    CashRemittance.aggregate([
+      { $match: { ...filter, status: 'recorded' } },
+      { $group: { _id: null, amount: { $sum: '$amount' } } }
+    ]),
+    getOutstanding(filter, getGraceCutoff()),
+    CashRemittance.find(filter)
+      .populate('recordedBy', 'fullname email')
+      .sort({ receivedAt: -1 })
+      .limit(20)
+      .lean()
+  ]);
+
+  return {
+    driver,
+    lifetime: {
+      cashTrips: lifetime ? lifetime.cashTrips : 0,
+      cashCollected: lifetime ? lifetime.cashCollected : 0,
+      commissionOwed: lifetime ? lifetime.commissionOwed : 0,
+      remitted: remitted ? remitted.amount : 0
+    },
+    ...outstanding,
+    limit: CASH_OWED_LIMIT,
+    graceDays: REMITTANCE_GRACE_DAYS,
+    blocked: Boolean(driver.cashHold && driver.cashHold.blocked),
+    remittances
+  };
+};
+
+// Record cash a driver paid in. body: { amount, method, reference, note, receivedAt }
+const recordRemittance = async (driverRef, adminId, body = {}) => {
+  const filter = getDriverFilter(driverRef);
+  const driver = await getDriverModel(filter).findById(filter.driverId || filter.charterDriverId).select('_id');
+  if (!driver) {
+    throw cashError(404, 'Driver not found');
+  }
+
+  const amount = Math.round(Number(body.amount));
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw cashError(400, 'Amount must be a positive number');
+  }
+  if (!REMITTANCE_METHODS.includes(body.method)) {
+    throw cashError(400, `Method must be one of: ${REMITTANCE_METHODS.join(', ')}`);
+  }
+
+  const receivedAt = body.receivedAt ? new Date(body.receivedAt) : new Date();
+  if (Number.isNaN(receivedAt.getTime()) || receivedAt > new Date()) {
+    throw cashError(400, 'receivedAt must be a valid date that is not in the future');
+  }
+
+  const remittance = await CashRemittance.create({
+    ...filter,
+    amount,
+    method: body.method,
+    reference: body.reference || '',
+    note: body.note || '',
+    receivedAt,
+    recordedBy: adminId
+  });
+
+  const updated = await refreshCashHold(filter);
+  return { remittance, cashHold: updated ? updated.cashHold : null };
+};
+
+// Void a remittance recorded in error. Ones a payout has already netted off cannot be voided.
+const voidRemittance = async (remittanceId, adminId, reason) => {
+  if (!mongoose.Types.ObjectId.isValid(remittanceId)) {
+    throw cashError(404, 'Remittance not found');
+  }
+
+  const remittance = await CashRemittance.findOneAndUpdate(
+    { _id: remittanceId, status: 'recorded', payoutId: null },
+    { status: 'voided', voidedBy: adminId, voidedAt: new Date(), voidReason: reason || '' },
+    { new: true }
+  );
+
+  if (!remittance) {
+    const existing = await CashRemittance.findById(remittanceId).select('status payoutId').lean();
+    if (!existing) {
+      throw cashError(404, 'Remittance not found');
+    }
+    throw cashError(409, existing.status === 'voided'
+      ? 'Remittance is already voided'
+      : 'Remittance has been settled in a payout and cannot be voided');
+  }
+
+  const updated = await refreshCashHold({ driverId: remittance.driverId, charterDriverId: remittance.charterDriverId });
+  return { remittance, cashHold: updated ? updated.cashHold : null };
+};
+
+// Drivers on a cash hold, or every driver with cash overdue when blocked is false
+const getCashHolds = async ({ blocked = true } = {}) => {
+  const filter = blocked ? { 'cashHold.blocked': true } : { 'cashHold.overdue': { $gt: 0 } };
+
+  const [drivers, charterDrivers] = await Promise.all([
+    DriverDetail.find(filter).select('userId cashHold').populate('userId', 'fullname phone email').lean(),
+    CharterDriver.find(filter).select('userId cashHold').populate('userId', 'fullname phone email').lean()
+  ]);
+
+  return [
+    ...drivers.map(driver => ({ driverType: 'drivers', ...driver })),
+    ...charterDrivers.map(driver => ({ driverType: 'charter-drivers', ...driver }))
+  ].sort((a, b) => b.cashHold.overdue - a.cashHold.overdue);
+};
+
+// Recheck every driver who may have cash overdue or is on a hold
+const sweepCashHolds = async () => {
+  const overdueMatch = {
+    payoutId: null,
+    paymentMethod: 'cash',
+    source: { $in: TRIP_SOURCES },
+    earnedAt: { $lte: getGraceCutoff() }
+  };
+
+  const [driverIds, charterDriverIds, heldDrivers, heldCharterDrivers] = await Promise.all([
+    DriverEarning.distinct('driverId', { ...overdueMatch, driverId: { $ne: null } }),
+    DriverEarning.distinct('charterDriverId', { ...overdueMatch, charterDriverId: { $ne: null } }),
+    DriverDetail.distinct('_id', { 'cashHold.blocked': true }),
+    CharterDriver.distinct('_id', { 'cashHold.blocked': true })
+  ]);
+
+  const unique = (ids) => [...new Map(ids.map(id => [id.toString(), id])).values()];
+
+  for (const driverId of unique([...driverIds, ...heldDrivers])) {
+    await refreshCashHold({ driverId });
+  }
+  for (const charterDriverId of unique([...charterDriverIds, ...heldCharterDrivers])) {
+    await refreshCashHold({ charterDriverId });
+  }
+};
+
+// Sweep once straight away, so holds are current after a restart, then on every interval
+const startCashReconciler = () => {
+  if (reconcileTimer) {
+    return;
+  }
+
+  const sweep = () => sweepCashHolds().catch(error => console.error('Error reconciling driver cash:', error));
+  sweep();
+  reconcileTimer = setInterval(sweep, RECONCILE_INTERVAL_MS);
+};
+
+const stopCashReconciler = () => {
+  clearInterval(reconcileTimer);
+  reconcileTimer = null;
+};
+
+module.exports = {
+  CASH_OWED_LIMIT,
+  REMITTANCE_GRACE_DAYS,
+  getCashBlockReason,
+  refreshCashHold,
+  getReconciliation,
+  recordRemittance,
+  voidRemittance,
+  getCashHolds,
+  sweepCashHolds,
+  startCashReconciler,
+  stopCashReconciler
+};
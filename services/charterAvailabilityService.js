@@ -0,0 +1,446 @@
+// services/charterAvailabilityService.js
+// Reservation calendar for charter vehicles. Each booking holds a time window on the vehicle;
+// windows are written with a single conditional update so two bookings can never overlap.
+// Drivers are checked against their other confirmed orders over the same window.
+
+const CharterVehicle = require('../models/charter/CharterVehicle');
+const CharterOrder = require('../models/charter/CharterOrder');
+const { formatLocation } = require('../utils/geo');
+
+// Trip length assumed when the customer did not give one
+const DEFAULT_TRIP_HOURS = parseFloat(process.env.CHARTER_DEFAULT_TRIP_HOURS) || 8;
+
+// Time kept free after a trip before the vehicle can be booked again
+const TURNAROUND_MINUTES = parseInt(process.env.CHARTER_TURNAROUND_MINUTES) || 60;
+
+// Vehicle statuses that cannot take bookings
+const UNBOOKABLE_STATUSES = ['maintenance', 'inactive'];
+
+// Order statuses that tie up the assigned driver
+const DRIVER_BUSY_STATUSES = ['accepted', 'in_progress'];
+
+// Trip dates and times are wall-clock times here, whatever timezone the server runs in
+const TRIP_TIMEZONE = process.env.PRICING_TIMEZONE || 'Africa/Lagos';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const availabilityError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Calendar date and wall-clock time of an instant in the trip timezone
+const getLocalParts = (date) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: TRIP_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = (type) => parseInt(parts.find(part => part.type === type).value);
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second')
+  };
+};
+
+// The instant a wall-clock time in the trip timezone falls on
+const fromLocalTime = (year, month, day, hour = 0, minute = 0) => {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  let instant = asUtc;
+  // A second pass settles the offset across a daylight-saving change
+  for (let pass = 0; pass < 2; pass++) {
+    const local = getLocalParts(new Date(instant));
+    const offset = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second) - instant;
+    instant = asUtc - offset;
+  }
+  return new Date(instant);
+};
+
+// Trip start from a date and an HH:mm time in the trip timezone. A bare YYYY-MM-DD names the
+// day itself; a full timestamp is read as the day it falls on in the trip timezone.
+const combineDateAndTime = (date, time) => {
+  const start = new Date(date);
+  const match = /^(\d{1,2}):(\d{2})/.exec(time || '');
+  if (!match || isNaN(start.getTime())) {
+    return start;
+  }
+
+  const { year, month, day } = /^\d{4}-\d{2}-\d{2}$/.test(String(date).trim())
+    ? { year: start.getUTCFullYear(), month: start.getUTCMonth() + 1, day: start.getUTCDate() }
+    : getLocalParts(start);
+  return fromLocalTime(year, month, day, parseInt(match[1]), parseInt(match[2]));
+};
+
+// How long the vehicle is needed: the given duration, whole days for multi-day hires, or the default
+const getTripHours = ({ durationHours, days }) => {
+  const hours = parseFloat(durationHours) || 0;
+  const dayCount = parseInt(days) || 1;
+
+  if (hours > 0) {
+    return hours;
+  }
+  return dayCount > 1 ? dayCount * 24 : DEFAULT_TRIP_HOURS;
+};
+
+const toDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+// HH:mm in the trip timezone
+const formatTime = (date) => {
+  const { hour, minute } = getLocalParts(date);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+// Number of calendar days, in the trip timezone, the window touches
+const countCalendarDays = (startAt, endAt) => {
+  const dayNumber = (date) => {
+    const { year, month, day } = getLocalParts(date);
+    return Date.UTC(year, month - 1, day) / DAY_MS;
+  };
+  return Math.max(1, dayNumber(new Date(endAt.getTime() - 1)) - dayNumber(startAt) + 1);
+};
+
+// The window a trip blocks on the vehicle, turnaround included
+// trip: { startAt, endAt } for a booked window, or { tripDate, tripTime, durationHours, days }
+const getTripWindow = (trip) => {
+  const startAt = trip.startAt ? new Date(trip.startAt) : combineDateAndTime(trip.tripDate, trip.tripTime);
+  if (isNaN(startAt.getTime())) {
+    throw availabilityError(400, 'A valid trip date is required');
+  }
+
+  const tripEndAt = trip.startAt && trip.endAt
+    ? new Date(trip.endAt)
+    : new Date(startAt.getTime() + getTripHours(trip) * HOUR_MS);
+
+  const endAt = new Date(tripEndAt.getTime() + TURNAROUND_MINUTES * 60 * 1000);
+  return { startAt, endAt };
+};
+
+// Window for an existing order. Orders booked before start and end times were stored
+// fall back to the trip date and duration.
+const getOrderWindow = (order) => getTripWindow({
+  startAt: order.startAt,
+  endAt: order.endAt,
+  tripDate: order.tripDate,
+  tripTime: order.tripTime,
+  durationHours: order.durationHours,
+  days: order.tripDays
+});
+
+// Work out the booked window, return leg and itinerary from a booking request.
+// input: { startAt, endAt } or { tripDate, tripTime, durationHours, days }, plus optional
+//        returnTrip: { departAt, plannedArrivalAt, pickupLocation, destination }
+//        itinerary: [{ location, plannedArrivalAt, plannedDepartureAt, notes }] in visiting order
+// Locations are passed through as given; resolve them with geocodingService.resolveLocation.
+// route: { pickupLocation, destination } of the outbound leg, used to default the return leg
+// The window is stretched to cover the return leg and every stop when no end time is given;
+// an explicit end time that leaves them out is rejected.
+const buildTripSchedule = (input = {}, route = {}) => {
+  const startAt = input.startAt
+    ? toDate(input.startAt)
+    : combineDateAndTime(input.tripDate, input.tripTime);
+  if (!startAt || isNaN(startAt.getTime())) {
+    throw availabilityError(400, 'A valid trip start date and time is required');
+  }
+
+  const requestedEnd = toDate(input.endAt);
+  if (requestedEnd === undefined) {
+    throw availabilityError(400, 'endAt must be a valid date');
+  }
+  if (requestedEnd && requestedEnd <= startAt) {
+    throw availabilityError(400, 'The trip must end after it starts');
+  }
+
+  // Every planned time must come in order, starting from the trip start
+  let latest = startAt;
+  const checkTime = (time, label) => {
+    if (time === undefined) {
+      throw availabilityError(400, `${label} must be a valid date`);
+    }
+    if (!time) return;
+    if (time < latest) {
+      throw availabilityError(400, `${label} must be after the trip start and any earlier stop`);
+    }
+    latest = time;
+  };
+
+  const itinerary = (Array.isArray(input.itinerary) ? input.itinerary : []).map((stop, index) => {
+    const label = `Stop ${index + 1}`;
+    if (!stop || !stop.location) {
+      throw availabilityError(400, `${label} needs a location`);
+    }
+
+    const plannedArrivalAt = toDate(stop.plannedArrivalAt);
+    const plannedDepartureAt = toDate(stop.plannedDepartureAt);
+    checkTime(plannedArrivalAt, `${label} arrival`);
+    checkTime(plannedDepartureAt, `${label} departure`);
+
+    return {
+      sequence: index + 1,
+      location: stop.location,
+      plannedArrivalAt,
+      plannedDepartureAt,
+      notes: stop.notes || ''
+    };
+  });
+
+  let returnTrip = { enabled: false };
+  if (input.returnTrip && input.returnTrip.enabled !== false) {
+    const departAt = toDate(input.returnTrip.departAt);
+    if (!departAt) {
+      throw availabilityError(400, 'The return leg needs a valid departAt time');
+    }
+    const plannedArrivalAt = toDate(input.returnTrip.plannedArrivalAt);
+    if (!plannedArrivalAt && !requestedEnd) {
+      throw availabilityError(400, 'The return leg needs a plannedArrivalAt time, or the trip needs an endAt');
+    }
+    checkTime(departAt, 'Return departure');
+    checkTime(plannedArrivalAt, 'Return arrival');
+
+    returnTrip = {
+      enabled: true,
+      pickupLocation: input.returnTrip.pickupLocation || route.destination,
+      destination: input.returnTrip.destination || route.pickupLocation,
+      departAt,
+      plannedArrivalAt
+    };
+  }
+
+  let endAt = requestedEnd;
+  if (endAt && endAt < latest) {
+    throw availabilityError(400, 'The trip end time must cover the return leg and every stop');
+  }
+  if (!endAt) {
+    const defaultEnd = new Date(startAt.getTime() + getTripHours(input) * HOUR_MS);
+    endAt = defaultEnd > latest ? defaultEnd : latest;
+  }
+
+  return {
+    startAt,
+    endAt,
+    tripDate: startAt,
+    tripTime: formatTime(startAt),
+    durationHours: Math.round((endAt - startAt) / HOUR_MS * 100) / 100,
+    tripDays: countCalendarDays(startAt, endAt),
+    returnTrip,
+    itinerary
+  };
+};
+
+// Query matching a vehicle with no reservation overlapping the window, other than the order's own
+const noOverlap = (window, orderId) => ({
+  reservations: {
+    $not: {
+      $elemMatch: {
+        orderId: { $ne: orderId },
+        startAt: { $lt: window.endAt },
+        endAt: { $gt: window.startAt }
+      }
+    }
+  }
+});
+
+// Hold (or move) the order's window on the vehicle. Throws 409 if it overlaps another booking.
+const reserveVehicle = async (vehicleId, orderId, window, status = 'held') => {
+  const vehicle = await CharterVehicle.findById(vehicleId).select('status');
+  if (!vehicle) {
+    throw availabilityError(404, 'Vehicle not found');
+  }
+  if (UNBOOKABLE_STATUSES.includes(vehicle.status)) {
+    throw availabilityError(400, 'This vehicle is not taking bookings at the moment');
+  }
+
+  // Move the order's existing reservation
+  const moved = await CharterVehicle.findOneAndUpdate(
+    { _id: vehicleId, 'reservations.orderId': orderId, ...noOverlap(window, orderId) },
+    {
+      'reservations.$[own].startAt': window.startAt,
+      'reservations.$[own].endAt': window.endAt,
+      'reservations.$[own].status': status
+    },
+    { new: true, arrayFilters: [{ 'own.orderId': orderId }] }
+  );
+  if (moved) {
+    return moved;
+  }
+
+  // Or add a new one
+  const added = await CharterVehicle.findOneAndUpdate(
+    { _id: vehicleId, 'reservations.orderId': { $ne: orderId }, ...noOverlap(window, orderId) },
+    {
+      $push: {
+        reservations: { orderId, startAt: window.startAt, endAt: window.endAt, status }
+      }
+    },
+    { new: true }
+  );
+  if (added) {
+    return added;
+  }
+
+  throw availabilityError(409, 'This vehicle is already booked for that time. Please choose another time or vehicle');
+};
+
+// Free the order's window, e.g. when it is cancelled
+const releaseVehicle = async (vehicleId, orderId) => {
+  if (!vehicleId) return;
+
+  await CharterVehicle.updateOne(
+    { _id: vehicleId },
+    { $pull: { reservations: { orderId } } }
+  );
+};
+
+// The order's reservation on the vehicle, or null
+const getReservation = async (vehicleId, orderId) => {
+  const vehicle = await CharterVehicle.findOne(
+    { _id: vehicleId, 'reservations.orderId': orderId },
+    { 'reservations.$': 1 }
+  ).lean();
+  return vehicle ? vehicle.reservations[0] : null;
+};
+
+// Put the order's reservation back as it was before a reserveVehicle() whose change did not go
+// ahead. previous is what getReservation() returned beforehand; null frees the window.
+const restoreReservation = async (vehicleId, orderId, previous) => {
+  if (!previous) {
+    return releaseVehicle(vehicleId, orderId);
+  }
+
+  await CharterVehicle.updateOne(
+    { _id: vehicleId },
+    {
+      'reservations.$[own].startAt': previous.startAt,
+      'reservations.$[own].endAt': previous.endAt,
+      'reservations.$[own].status': previous.status
+    },
+    { arrayFilters: [{ 'own.orderId': orderId }] }
+  );
+};
+
+// Whether the vehicle is free for the whole window
+const isVehicleFree = async (vehicleId, window, orderId = null) => {
+  const count = await CharterVehicle.countDocuments({
+    _id: vehicleId,
+    status: { $nin: UNBOOKABLE_STATUSES },
+    ...noOverlap(window, orderId)
+  });
+  return count > 0;
+};
+
+// Another confirmed order the driver is on that overlaps the window, or null
+const findDriverConflict = async (driverId, window, orderId = null) => {
+  if (!driverId) return null;
+
+  const orders = await CharterOrder.find({
+    _id: { $ne: orderId },
+    driverId: driverId._id || driverId,
+    status: { $in: DRIVER_BUSY_STATUSES }
+  }).select('startAt endAt tripDate tripTime durationHours tripDays pickupLocation destination').lean();
+
+  return orders.find(other => {
+    const otherWindow = getOrderWindow(other);
+    return otherWindow.startAt < window.endAt && otherWindow.endAt > window.startAt;
+  }) || null;
+};
+
+// Throws 409 if the driver is already on another trip during the window
+const assertDriverFree = async (driverId, window, orderId = null) => {
+  const conflict = await findDriverConflict(driverId, window, orderId);
+  if (conflict) {
+    throw availabilityError(409, `The driver is already booked from ${formatLocation(conflict.pickupLocation)} to ${formatLocation(conflict.destination)} during this trip`);
+  }
+};
+
+// A driver's confirmed trips overlapping `from` to `to`
+const getDriverSchedule = async (driverId, from, to) => {
+  const orders = await CharterOrder.find({
+    driverId,
+    status: { $in: DRIVER_BUSY_STATUSES }
+  }).select('status pickupLocation destination startAt endAt tripDate tripTime durationHours tripDays returnTrip itinerary').lean();
+
+  return orders
+    .map(order => ({ order, window: getOrderWindow(order) }))
+    .filter(({ window }) => window.startAt < to && window.endAt > from)
+    .sort((a, b) => a.window.startAt - b.window.startAt)
+    .map(({ order, window }) => ({
+      orderId: order._id,
+      status: order.status,
+      pickupLocation: order.pickupLocation,
+      destination: order.destination,
+      startAt: window.startAt,
+      endAt: window.endAt,
+      returnTrip: order.returnTrip,
+      itinerary: order.itinerary || []
+    }));
+};
+
+// Busy and free slots for a vehicle between `from` and `to`
+const getVehicleSchedule = async (vehicleId, from, to) => {
+  const vehicle = await CharterVehicle.findById(vehicleId).select('status reservations').lean();
+  if (!vehicle) {
+    throw availabilityError(404, 'Vehicle not found');
+  }
+
+  const busy = (vehicle.reservations || [])
+    .filter(reservation => reservation.startAt < to && reservation.endAt > from)
+    .sort((a, b) => a.startAt - b.startAt)
+    .map(reservation => ({
+      startAt: reservation.startAt,
+      endAt: reservation.endAt,
+      status: reservation.status
+    }));
+
+  if (UNBOOKABLE_STATUSES.includes(vehicle.status)) {
+    return { busy, free: [], vehicleStatus: vehicle.status };
+  }
+
+  const free = [];
+  let cursor = from;
+  busy.forEach(slot => {
+    if (slot.startAt > cursor) {
+      free.push({ startAt: cursor, endAt: slot.startAt });
+    }
+    if (slot.endAt > cursor) {
+      cursor = slot.endAt;
+    }
+  });
+  if (cursor < to) {
+    free.push({ startAt: cursor, endAt: to });
+  }
+
+  return { busy, free, vehicleStatus: vehicle.status };
+};
+
+module.exports = {
+  DEFAULT_TRIP_HOURS,
+  TURNAROUND_MINUTES,
+  combineDateAndTime,
+  getTripWindow,
+  getOrderWindow,
+  buildTripSchedule,
+  reserveVehicle,
+  releaseVehicle,
+  getReservation,
+  restoreReservation,
+  isVehicleFree,
+  getVehicleSchedule,
+  findDriverConflict,
+  assertDriverFree,
+  getDriverSchedule
+};
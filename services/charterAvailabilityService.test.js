@@ -0,0 +1,127 @@
+// services/charterAvailabilityService.test.js
+const { describe, it, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const CharterVehicle = require('../models/charter/CharterVehicle');
+const { reserveVehicle, releaseVehicle } = require('./charterAvailabilityService');
+
+mongoose.set('bufferCommands', false);
+
+const vehicleId = new mongoose.Types.ObjectId();
+const firstOrder = new mongoose.Types.ObjectId();
+const secondOrder = new mongoose.Types.ObjectId();
+
+const at = (hour) => new Date(Date.UTC(2026, 5, 1, hour));
+const window = (startHour, endHour) => ({ startAt: at(startHour), endAt: at(endHour) });
+
+// In-memory vehicle. The conditional updates are checked the way Mongo reads the service's
+// filters: no reservation of another order overlapping the window, and whether the order
+// already holds one.
+let vehicle;
+
+const sameId = (a, b) => String(a) === String(b);
+
+const matches = (filter) => {
+  const ownReservation = filter['reservations.orderId'];
+  if (ownReservation !== undefined) {
+    const holds = (orderId) => vehicle.reservations.some(reservation => sameId(reservation.orderId, orderId));
+    if (ownReservation.$ne !== undefined ? holds(ownReservation.$ne) : !holds(ownReservation)) {
+      return false;
+    }
+  }
+
+  const overlap = filter.reservations.$not.$elemMatch;
+  return !vehicle.reservations.some(reservation =>
+    !sameId(reservation.orderId, overlap.orderId.$ne)
+    && reservation.startAt < overlap.startAt.$lt
+    && reservation.endAt > overlap.endAt.$gt);
+};
+
+beforeEach(() => {
+  vehicle = { _id: vehicleId, status: 'available', reservations: [] };
+
+  mock.method(CharterVehicle, 'findById', () => ({ select: async () => ({ status: vehicle.status }) }));
+
+  mock.method(CharterVehicle, 'findOneAndUpdate', async (filter, update, options) => {
+    if (!matches(filter)) return null;
+
+    if (update.$push) {
+      vehicle.reservations.push({ ...update.$push.reservations });
+    } else {
+      const own = vehicle.reservations.find(reservation => sameId(reservation.orderId, options.arrayFilters[0]['own.orderId']));
+      own.startAt = update['reservations.$[own].startAt'];
+      own.endAt = update['reservations.$[own].endAt'];
+      own.status = update['reservations.$[own].status'];
+    }
+    return { ...vehicle, reservations: vehicle.reservations.map(reservation => ({ ...reservation })) };
+  });
+
+  mock.method(CharterVehicle, 'updateOne', async (filter, update) => {
+    const before = vehicle.reservations.length;
+    vehicle.reservations = vehicle.reservations.filter(reservation => !sameId(reservation.orderId, update.$pull.reservations.orderId));
+    return { modifiedCount: before - vehicle.reservations.length };
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('reserveVehicle', () => {
+  it('refuses a second booking that overlaps the first', async () => {
+    await reserveVehicle(vehicleId, firstOrder, window(8, 12));
+
+    await assert.rejects(reserveVehicle(vehicleId, secondOrder, window(11, 14)), { status: 409 });
+    await assert.rejects(reserveVehicle(vehicleId, secondOrder, window(9, 10)), { status: 409 });
+    await assert.rejects(reserveVehicle(vehicleId, secondOrder, window(6, 16)), { status: 409 });
+    assert.deepEqual(vehicle.reservations.map(reservation => reservation.orderId), [firstOrder]);
+  });
+
+  it('books only one of two overlapping requests made at the same time', async () => {
+    const results = await Promise.allSettled([
+      reserveVehicle(vehicleId, firstOrder, window(8, 12)),
+      reserveVehicle(vehicleId, secondOrder, window(10, 14))
+    ]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(results.find(result => result.status === 'rejected').reason.status, 409);
+    assert.equal(vehicle.reservations.length, 1);
+  });
+
+  it('allows a booking that starts when the previous one ends', async () => {
+    await reserveVehicle(vehicleId, firstOrder, window(8, 12));
+    await reserveVehicle(vehicleId, secondOrder, window(12, 15));
+
+    assert.equal(vehicle.reservations.length, 2);
+  });
+
+  it('moves an order\'s own reservation instead of clashing with it', async () => {
+    await reserveVehicle(vehicleId, firstOrder, window(8, 12), 'held');
+    await reserveVehicle(vehicleId, firstOrder, window(10, 14), 'confirmed');
+
+    assert.equal(vehicle.reservations.length, 1);
+    assert.deepEqual(vehicle.reservations[0].startAt, at(10));
+    assert.equal(vehicle.reservations[0].status, 'confirmed');
+  });
+
+  it('will not move a reservation onto another booking', async () => {
+    await reserveVehicle(vehicleId, firstOrder, window(8, 12));
+    await reserveVehicle(vehicleId, secondOrder, window(14, 18));
+
+    await assert.rejects(reserveVehicle(vehicleId, firstOrder, window(13, 15)), { status: 409 });
+    assert.deepEqual(vehicle.reservations[0].startAt, at(8));
+  });
+
+  it('frees the window once the booking is released', async () => {
+    await reserveVehicle(vehicleId, firstOrder, window(8, 12));
+    await releaseVehicle(vehicleId, firstOrder);
+
+    await reserveVehicle(vehicleId, secondOrder, window(9, 11));
+    assert.deepEqual(vehicle.reservations.map(reservation => reservation.orderId), [secondOrder]);
+  });
+
+  it('refuses a vehicle that is not taking bookings', async () => {
+    vehicle.status = 'maintenance';
+
+    await assert.rejects(reserveVehicle(vehicleId, firstOrder, window(8, 12)), { status: 400 });
+    assert.equal(vehicle.reservations.length, 0);
+  });
+});
@@ -0,0 +1,427 @@
+// services/charterLifecycle.js
+// The only place a charter order's status changes. Mirrors services/rideStateMachine.js:
+// each transition lists who may trigger it, the timestamp it sets and the notifications it sends.
+
+const CharterOrder = require('../models/charter/CharterOrder');
+const CharterDriver = require('../models/charter/CharterDriver');
+const CharterVehicle = require('../models/charter/CharterVehicle');
+const { createNotification, notifyAdmins } = require('./notificationService');
+const { reverseRedemption } = require('./promoService');
+const { getOpenQuote } = require('./charterPricingService');
+const { recordCharterEarning } = require('./earningsService');
+const { getCashBlockReason, refreshCashHold } = require('./cashReconciliationService');
+const { formatLocation } = require('../utils/geo');
+const {
+  getTripWindow,
+  getOrderWindow,
+  reserveVehicle,
+  releaseVehicle,
+  getReservation,
+  restoreReservation,
+  findDriverConflict,
+  assertDriverFree
+} = require('./charterAvailabilityService');
+
+// Matches the cancelledBy enum on CharterOrder
+const ACTORS = {
+  USER: 'user',
+  DRIVER: 'driver',
+  ADMIN: 'admin',
+  SYSTEM: 'system'
+};
+
+const ORDER_STATUSES = CharterOrder.schema.path('status').enumValues;
+
+// Users cannot cancel once the trip is this close
+const CANCEL_CUTOFF_HOURS = parseFloat(process.env.CHARTER_CANCEL_CUTOFF_HOURS) || 24;
+
+const { USER, DRIVER, ADMIN, SYSTEM } = ACTORS;
+
+const TRANSITIONS = [
+  // An admin sends a quote, or a revised one; the customer accepts or declines it
+  { from: ['pending', 'quoted'], to: 'quoted', actors: [ADMIN] },
+  { from: ['quoted'], to: 'pending', actors: [USER, SYSTEM] },
+  // Accepting the quote assigns the vehicle's driver
+  { from: ['quoted'], to: 'accepted', actors: [USER] },
+  // The assigned driver confirms the trip, or an admin assigns another driver
+  { from: ['accepted'], to: 'accepted', actors: [DRIVER, ADMIN] },
+  { from: ['accepted'], to: 'in_progress', actors: [DRIVER, ADMIN] },
+  { from: ['in_progress'], to: 'completed', actors: [DRIVER, ADMIN] },
+
+  { from: ['pending', 'quoted', 'accepted'], to: 'cancelled', actors: [USER, DRIVER, SYSTEM] },
+  { from: ['pending', 'quoted', 'accepted', 'in_progress'], to: 'cancelled', actors: [ADMIN] }
+];
+
+const STATUS_TIMESTAMPS = {
+  accepted: 'acceptedAt',
+  in_progress: 'startedAt',
+  completed: 'completedAt',
+  cancelled: 'cancelledAt'
+};
+
+// Notification sent to the customer when the order enters a status: [type, title, message]
+const USER_NOTIFICATIONS = {
+  quoted: ['order_quoted', 'Quote Ready', 'Your charter quote is ready. Please review and accept it to confirm your trip.'],
+  in_progress: ['order_in_progress', 'Trip Started', 'Your charter trip has started.'],
+  completed: ['order_completed', 'Trip Completed', 'Your charter trip has been completed.'],
+  cancelled: ['order_cancelled', 'Order Cancelled', 'Your charter order has been cancelled.']
+};
+
+const createError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const canTransition = (from, to, actor) => TRANSITIONS.some(transition =>
+  transition.to === to &&
+  transition.from.includes(from) &&
+  transition.actors.includes(actor)
+);
+
+const getAllowedTransitions = (from, actor) => [...new Set(
+  TRANSITIONS
+    .filter(transition => transition.from.includes(from) && transition.actors.includes(actor))
+    .map(transition => transition.to)
+)];
+
+const assertTransition = (from, to, actor) => {
+  if (!ORDER_STATUSES.includes(to)) {
+    throw createError(400, 'Invalid status');
+  }
+
+  if (canTransition(from, to, actor)) {
+    return;
+  }
+
+  const anyActor = TRANSITIONS.some(transition => transition.to === to && transition.from.includes(from));
+  if (anyActor) {
+    throw createError(403, `A ${actor} cannot move a charter order from ${from} to ${to}`);
+  }
+
+  throw createError(409, `Charter order cannot move from ${from} to ${to}`);
+};
+
+// When the trip starts: startAt, or tripDate with tripTime (HH:mm) applied for older orders
+const getTripStart = (order) => getOrderWindow(order).startAt;
+
+// Latest time a user may cancel the order themselves
+const getCancelDeadline = (order) =>
+  new Date(getTripStart(order).getTime() - CANCEL_CUTOFF_HOURS * 60 * 60 * 1000);
+
+const getDriverUserId = async (driverId) => {
+  if (!driverId) return null;
+  const driver = await CharterDriver.findById(driverId._id || driverId).select('userId').lean();
+  return driver ? driver.userId : null;
+};
+
+const runSideEffects = async (order, actor, reason) => {
+  const relatedData = { orderId: order._id };
+
+  if (order.status === 'accepted' && actor === DRIVER) {
+    await createNotification(order.userId, 'driver_accepted', 'Driver Confirmed', 'Your driver has confirmed your charter trip.', relatedData);
+    return;
+  }
+
+  if (order.status === 'accepted' && actor === USER) {
+    const driverUserId = await getDriverUserId(order.driverId);
+    if (driverUserId) {
+      await createNotification(driverUserId, 'order_accepted', 'New Charter Trip', `You have been assigned a charter trip from ${formatLocation(order.pickupLocation)} to ${formatLocation(order.destination)}. Please confirm it.`, relatedData);
+    }
+    const needsDriver = order.driverId ? '' : ' No driver is free for the trip yet, please assign one.';
+    await notifyAdmins('quote_accepted', 'Charter Quote Accepted', `The quote for the charter from ${formatLocation(order.pickupLocation)} to ${formatLocation(order.destination)} was accepted.${needsDriver}`, relatedData);
+    return;
+  }
+
+  if (order.status === 'accepted' && actor === ADMIN) {
+    const driverUserId = await getDriverUserId(order.driverId);
+    if (driverUserId) {
+      await createNotification(driverUserId, 'order_accepted', 'New Charter Trip', `You have been assigned a charter trip from ${formatLocation(order.pickupLocation)} to ${formatLocation(order.destination)}. Please confirm it.`, relatedData);
+    }
+    return;
+  }
+
+  if (order.status === 'pending' && actor === USER) {
+    await notifyAdmins('quote_declined', 'Charter Quote Declined', `The quote for the charter from ${formatLocation(order.pickupLocation)} to ${formatLocation(order.destination)} was declined${reason ? `: ${reason}` : ''}.`, relatedData);
+    return;
+  }
+
+  const notification = USER_NOTIFICATIONS[order.status];
+  if (notification && actor !== USER) {
+    await createNotification(order.userId, notification[0], notification[1], notification[2], relatedData);
+  }
+
+  if (order.status === 'completed') {
+    await recordCharterEarning(order);
+    // Cash the driver took adds to what they owe
+    if (order.paymentMethod === 'cash' && order.driverId) {
+      await refreshCashHold({ charterDriverId: order.driverId._id || order.driverId })
+        .catch(error => console.error(`Error refreshing cash hold after charter order ${order._id}:`, error));
+    }
+  }
+
+  if (order.status === 'cancelled') {
+    if (order.promoId) {
+      await reverseRedemption({ charterOrderId: order._id });
+    }
+
+    await releaseVehicle(order.vehicleId, order._id);
+
+    const message = `Charter order from ${formatLocation(order.pickupLocation)} to ${formatLocation(order.destination)} was cancelled by the ${actor}${reason ? `: ${reason}` : ''}.`;
+
+    if (actor !== DRIVER) {
+      const driverUserId = await getDriverUserId(order.driverId);
+      if (driverUserId) {
+        await createNotification(driverUserId, 'order_cancelled', 'Charter Trip Cancelled', message, relatedData);
+      }
+    }
+
+    if (actor !== ADMIN) {
+      await notifyAdmins('order_cancelled', 'Charter Order Cancelled', message, relatedData);
+    }
+  }
+};
+
+// Move a charter order to `toStatus` on behalf of `options.actor`.
+//
+// order: the current order document
+// options:
+//   actor       - one of ACTORS (required)
+//   actorId     - User id of whoever triggered the change
+//   reason      - stored as cancellationReason when cancelling
+//   conditions  - extra query conditions, e.g. { driverId } so only the assigned driver can act
+//   update      - extra fields to set; may include $push
+//   arrayFilters
+//
+// Applies only if the order is still in the status it was read in. Returns the updated order,
+// or null if someone else changed it first.
+const transitionOrder = async (order, toStatus, options = {}) => {
+  const { actor, actorId = null, reason = '', conditions = {}, update = {}, arrayFilters } = options;
+
+  if (!Object.values(ACTORS).includes(actor)) {
+    throw createError(500, `Unknown charter actor: ${actor}`);
+  }
+
+  const from = order.status;
+  assertTransition(from, toStatus, actor);
+
+  const now = new Date();
+  const { $push = {}, ...rest } = update;
+  const fields = { ...rest, status: toStatus };
+
+  if (from !== toStatus && STATUS_TIMESTAMPS[toStatus]) {
+    fields[STATUS_TIMESTAMPS[toStatus]] = now;
+  }
+
+  if (toStatus === 'cancelled') {
+    fields.cancelledBy = actor;
+    fields.cancellationReason = reason || `Cancelled by ${actor}`;
+  }
+
+  const updated = await CharterOrder.findOneAndUpdate(
+    { ...conditions, _id: order._id, status: from },
+    {
+      ...fields,
+      $push: {
+        ...$push,
+        statusHistory: { status: toStatus, actor, actorId, reason, at: now }
+      }
+    },
+    { new: true, ...(arrayFilters && { arrayFilters }) }
+  );
+
+  if (!updated) {
+    return null;
+  }
+
+  try {
+    await runSideEffects(updated, actor, reason);
+  } catch (error) {
+    console.error(`Error running side effects for charter order ${updated._id} (${toStatus}):`, error);
+  }
+
+  return updated;
+};
+
+// A user cancelling their own order, subject to the cutoff before the trip
+const cancelByUser = async (order, userId, reason) => {
+  assertTransition(order.status, 'cancelled', USER);
+
+  if (new Date() > getCancelDeadline(order)) {
+    throw createError(400, `Charter orders can only be cancelled up to ${CANCEL_CUTOFF_HOURS} hours before the trip. Please contact support.`);
+  }
+
+  return transitionOrder(order, 'cancelled', {
+    actor: USER,
+    actorId: userId,
+    reason,
+    conditions: { userId }
+  });
+};
+
+// Send a quote revision (from charterPricingService.buildQuote), superseding any open one.
+// The whole quotes array is replaced, guarded on its length, so two admins revising at once
+// cannot both win.
+const sendQuote = async (order, quote, adminId) => {
+  const quotes = (order.quotes || []).map(existing => {
+    const plain = existing.toObject ? existing.toObject() : existing;
+    return plain.status === 'sent' ? { ...plain, status: 'superseded' } : plain;
+  });
+
+  return transitionOrder(order, 'quoted', {
+    actor: ADMIN,
+    actorId: adminId,
+    reason: `Quote revision ${quote.revision}`,
+    conditions: { quotes: { $size: (order.quotes || []).length } },
+    update: { quotes: [...quotes, quote] }
+  });
+};
+
+// Customer's open quote, moving the order back to pending if it has expired
+const getUsableQuote = async (order) => {
+  const quote = getOpenQuote(order);
+  if (order.status !== 'quoted' || !quote) {
+    throw createError(400, 'This order has no quote awaiting a response');
+  }
+
+  if (quote.expiresAt && quote.expiresAt < new Date()) {
+    await transitionOrder(order, 'pending', {
+      actor: SYSTEM,
+      reason: `Quote revision ${quote.revision} expired`,
+      update: {
+        'quotes.$[open].status': 'expired'
+      },
+      arrayFilters: [{ 'open.revision': quote.revision }]
+    });
+    throw createError(400, 'This quote has expired. We will send you a new one');
+  }
+
+  return quote;
+};
+
+// Customer accepts the open quote: the order takes its price and the vehicle's driver,
+// and its reservation is confirmed. Orders with a booked window keep it; older ones are
+// reserved for the quoted duration. If the vehicle's driver is on another trip at the time, or
+// on a cash hold, the order is accepted without a driver and admins are asked to assign one.
+// If the order changed in the meantime its reservation is put back as it was.
+const acceptQuote = async (order, userId) => {
+  const quote = await getUsableQuote(order);
+  const inputs = quote.inputs || {};
+
+  const window = order.startAt && order.endAt
+    ? getOrderWindow(order)
+    : getTripWindow({
+      tripDate: order.tripDate,
+      tripTime: order.tripTime,
+      durationHours: inputs.durationHours,
+      days: inputs.days
+    });
+
+  const update = {
+    estimatedDistanceKm: inputs.distanceKm || 0,
+    durationHours: inputs.durationHours || 0,
+    tripDays: inputs.days || 1,
+    basePrice: quote.basePrice,
+    discount: quote.discount,
+    totalPrice: quote.totalPrice,
+    'quotes.$[open].status': 'accepted',
+    'quotes.$[open].respondedAt': new Date()
+  };
+
+  if (order.vehicleId) {
+    const vehicle = await CharterVehicle.findById(order.vehicleId)
+      .select('driverId')
+      .populate('driverId', 'cashHold');
+    const driver = vehicle && vehicle.driverId;
+    if (driver && !getCashBlockReason(driver) && !(await findDriverConflict(driver._id, window, order._id))) {
+      update.driverId = driver._id;
+    }
+  }
+
+  let previousReservation = null;
+  if (order.vehicleId) {
+    previousReservation = await getReservation(order.vehicleId, order._id);
+    await reserveVehicle(order.vehicleId, order._id, window, 'confirmed');
+  }
+
+  let accepted = null;
+  try {
+    accepted = await transitionOrder(order, 'accepted', {
+      actor: USER,
+      actorId: userId,
+      reason: `Accepted quote revision ${quote.revision}`,
+      conditions: { userId, quotes: { $size: order.quotes.length } },
+      update,
+      arrayFilters: [{ 'open.revision': quote.revision }]
+    });
+  } finally {
+    if (!accepted && order.vehicleId) {
+      await restoreReservation(order.vehicleId, order._id, previousReservation);
+    }
+  }
+  return accepted;
+};
+
+// Admin assigns a driver to an accepted order. The driver must be active, not on a cash hold
+// and free for the order's whole window, and has to confirm the trip again.
+const assignDriver = async (order, driverId, adminId) => {
+  assertTransition(order.status, 'accepted', ADMIN);
+
+  const driver = await CharterDriver.findById(driverId).select('status cashHold');
+  if (!driver) {
+    throw createError(404, 'Charter driver not found');
+  }
+  if (driver.status !== 'active') {
+    throw createError(400, 'Only active drivers can be assigned');
+  }
+  const cashBlockReason = getCashBlockReason(driver);
+  if (cashBlockReason) {
+    throw createError(409, cashBlockReason);
+  }
+
+  await assertDriverFree(driver._id, getOrderWindow(order), order._id);
+
+  return transitionOrder(order, 'accepted', {
+    actor: ADMIN,
+    actorId: adminId,
+    reason: 'Driver assigned',
+    conditions: { driverId: order.driverId || null },
+    update: { driverId: driver._id, driverConfirmedAt: null }
+  });
+};
+
+// Customer declines the open quote; the order goes back to pending for a revised quote
+const declineQuote = async (order, userId, reason) => {
+  const quote = await getUsableQuote(order);
+
+  return transitionOrder(order, 'pending', {
+    actor: USER,
+    actorId: userId,
+    reason,
+    conditions: { userId, quotes: { $size: order.quotes.length } },
+    update: {
+      'quotes.$[open].status': 'declined',
+      'quotes.$[open].respondedAt': new Date(),
+      'quotes.$[open].declineReason': reason || ''
+    },
+    arrayFilters: [{ 'open.revision': quote.revision }]
+  });
+};
+
+module.exports = {
+  ACTORS,
+  ORDER_STATUSES,
+  CANCEL_CUTOFF_HOURS,
+  TRANSITIONS,
+  canTransition,
+  getAllowedTransitions,
+  assertTransition,
+  getTripStart,
+  getCancelDeadline,
+  transitionOrder,
+  cancelByUser,
+  sendQuote,
+  acceptQuote,
+  declineQuote,
+  assignDriver
+};
@@ -0,0 +1,252 @@
+// services/charterPricingService.js
+
+const CharterRate = require('../models/charter/CharterRate');
+const PromoCode = require('../models/PromoCode');
+const { calculateDiscount } = require('./promoService');
+const { estimateRouteDistanceKm } = require('./charterRouteService');
+
+// Fallback rate card in Naira (₦) for a car-sized vehicle, used until an admin sets one for the vehicle type
+const DEFAULT_CHARTER_RATE = {
+  baseFare: 5000,
+  perKm: 200,
+  hourlyRate: 5000,
+  minimumHours: 3,
+  dayRate: 40000,
+  fullDayHours: 8,
+  includedPassengers: 4,
+  perExtraPassenger: 0,
+  driverAllowancePerDay: 5000,
+  serviceFeePercent: 10,
+  commissionPercent: 20,
+  extras: []
+};
+
+// Without a rate card, bigger vehicles cost more: price multiplier by seat capacity
+const CAPACITY_BANDS = [
+  { maxCapacity: 2, factor: 0.5 },
+  { maxCapacity: 5, factor: 1 },
+  { maxCapacity: 8, factor: 1.5 },
+  { maxCapacity: 18, factor: 2.5 },
+  { maxCapacity: Infinity, factor: 4 }
+];
+
+// Fields that are money and get scaled by capacity
+const SCALED_FIELDS = ['baseFare', 'perKm', 'hourlyRate', 'dayRate'];
+
+// How long a sent quote can be accepted
+const QUOTE_VALID_HOURS = parseInt(process.env.CHARTER_QUOTE_VALID_HOURS) || 48;
+
+const pricingError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const roundMoney = (amount) => Math.round(amount);
+
+// Rate card for a charter vehicle: the admin-set card for its type, or the defaults scaled by capacity
+const getCharterRate = async (vehicle) => {
+  const rate = await CharterRate.findOne({ vehicleType: vehicle.vehicleType, isActive: true }).lean();
+  if (rate) {
+    return rate;
+  }
+
+  const band = CAPACITY_BANDS.find(b => (vehicle.capacity || 1) <= b.maxCapacity);
+  const scaled = { ...DEFAULT_CHARTER_RATE, _id: null, vehicleType: vehicle.vehicleType };
+  SCALED_FIELDS.forEach(field => {
+    scaled[field] = roundMoney(DEFAULT_CHARTER_RATE[field] * band.factor);
+  });
+  scaled.includedPassengers = vehicle.capacity || DEFAULT_CHARTER_RATE.includedPassengers;
+
+  return scaled;
+};
+
+const toNonNegativeNumber = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : 0;
+};
+
+// Normalise what the trip involves.
+// trip: { distanceKm, durationHours, days, passengers, extras: [code] }
+const normaliseTrip = (trip = {}) => {
+  const durationHours = toNonNegativeNumber(trip.durationHours);
+  const days = Math.max(
+    1,
+    Math.ceil(toNonNegativeNumber(trip.days)),
+    Math.ceil(durationHours / 24)
+  );
+
+  return {
+    distanceKm: toNonNegativeNumber(trip.distanceKm),
+    durationHours,
+    days,
+    passengers: Math.max(1, parseInt(trip.passengers) || 1),
+    extras: [...new Set((trip.extras || []).map(code => String(code).trim().toLowerCase()))]
+  };
+};
+
+// Price a charter trip on a rate card.
+// adjustments: [{ label, amount }] added by an admin; amount may be negative.
+// Returns line items and totals before any promo discount.
+const calculateCharterPrice = (rate, vehicle, trip, adjustments = []) => {
+  const inputs = normaliseTrip(trip);
+
+  if (vehicle.capacity && inputs.passengers > vehicle.capacity) {
+    throw pricingError(`This vehicle seats at most ${vehicle.capacity} passengers`);
+  }
+
+  const lineItems = [{ code: 'base', label: 'Base fare', amount: rate.baseFare }];
+
+  // Long or multi-day hires are charged by the day, shorter ones by the hour
+  if (inputs.days > 1 || inputs.durationHours >= rate.fullDayHours) {
+    lineItems.push({
+      code: 'day_rate',
+      label: `Day rate x ${inputs.days}`,
+      amount: rate.dayRate * inputs.days
+    });
+  } else {
+    const hours = Math.max(inputs.durationHours, rate.minimumHours);
+    lineItems.push({
+      code: 'hourly',
+      label: `Hourly rate x ${hours}`,
+      amount: rate.hourlyRate * hours
+    });
+  }
+
+  if (inputs.distanceKm > 0 && rate.perKm > 0) {
+    lineItems.push({
+      code: 'distance',
+      label: `Distance (${inputs.distanceKm} km)`,
+      amount: rate.perKm * inputs.distanceKm
+    });
+  }
+
+  const extraPassengers = Math.max(0, inputs.passengers - rate.includedPassengers);
+  if (extraPassengers > 0 && rate.perExtraPassenger > 0) {
+    lineItems.push({
+      code: 'passengers',
+      label: `Extra passengers x ${extraPassengers}`,
+      amount: rate.perExtraPassenger * extraPassengers
+    });
+  }
+
+  if (rate.driverAllowancePerDay > 0) {
+    lineItems.push({
+      code: 'driver_allowance',
+      label: `Driver allowance x ${inputs.days}`,
+      amount: rate.driverAllowancePerDay * inputs.days
+    });
+  }
+
+  inputs.extras.forEach(code => {
+    const extra = (rate.extras || []).find(e => e.code === code);
+    if (!extra) {
+      throw pricingError(`Unknown extra: ${code}`);
+    }
+    lineItems.push({
+      code: `extra_${extra.code}`,
+      label: extra.per === 'day' ? `${extra.label} x ${inputs.days}` : extra.label,
+      amount: extra.per === 'day' ? extra.price * inputs.days : extra.price
+    });
+  });
+
+  adjustments.forEach(adjustment => {
+    const amount = parseFloat(adjustment.amount);
+    if (!Number.isFinite(amount)) {
+      throw pricingError('Every adjustment needs a numeric amount');
+    }
+    lineItems.push({
+      code: 'adjustment',
+      label: adjustment.label || 'Adjustment',
+      amount
+    });
+  });
+
+  lineItems.forEach(item => {
+    item.amount = roundMoney(item.amount);
+  });
+
+  const subtotal = Math.max(0, lineItems.reduce((sum, item) => sum + item.amount, 0));
+  const serviceFee = roundMoney(subtotal * (rate.serviceFeePercent / 100));
+
+  return {
+    inputs,
+    lineItems,
+    basePrice: subtotal,
+    serviceFee,
+    totalBeforeDiscount: subtotal + serviceFee,
+    currency: 'NGN',
+    rateId: rate._id || null
+  };
+};
+
+// Promo discount for an order's price. A promo whose minimum fare isn't met gives no discount.
+const getPromoDiscount = async (order, amount) => {
+  if (!order.promoId) {
+    return 0;
+  }
+
+  const promo = await PromoCode.findById(order.promoId).lean();
+  if (!promo || amount < (promo.minFare || 0)) {
+    return 0;
+  }
+
+  return calculateDiscount(promo, amount);
+};
+
+// Price an order into a quote revision (not yet saved).
+// options: { trip, adjustments, note, validHours, createdBy }
+// Without a distance from the customer or admin, the distance along the geocoded route is used.
+const buildQuote = async (order, vehicle, options = {}) => {
+  const rate = await getCharterRate(vehicle);
+
+  const trip = {
+    distanceKm: order.estimatedDistanceKm || estimateRouteDistanceKm(order) || 0,
+    durationHours: order.durationHours,
+    days: order.tripDays,
+    passengers: order.passengers,
+    extras: order.extras
+  };
+  Object.entries(options.trip || {}).forEach(([field, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      trip[field] = value;
+    }
+  });
+
+  const price = calculateCharterPrice(rate, vehicle, trip, options.adjustments || []);
+  const discount = await getPromoDiscount(order, price.totalBeforeDiscount);
+  const validHours = parseFloat(options.validHours) || QUOTE_VALID_HOURS;
+  const quotes = order.quotes || [];
+  const latest = quotes[quotes.length - 1];
+
+  return {
+    revision: latest ? latest.revision + 1 : 1,
+    ...price,
+    discount,
+    totalPrice: price.totalBeforeDiscount - discount,
+    note: options.note || '',
+    status: 'sent',
+    createdBy: options.createdBy || null,
+    sentAt: new Date(),
+    expiresAt: new Date(Date.now() + validHours * 60 * 60 * 1000)
+  };
+};
+
+// The quote the customer can act on right now, or null
+const getOpenQuote = (order) => {
+  const quotes = order.quotes || [];
+  const latest = quotes[quotes.length - 1];
+  if (!latest || latest.status !== 'sent') {
+    return null;
+  }
+  return latest;
+};
+
+module.exports = {
+  DEFAULT_CHARTER_RATE,
+  QUOTE_VALID_HOURS,
+  getCharterRate,
+  calculateCharterPrice,
+  buildQuote,
+  getOpenQuote
+};
@@ -0,0 +1,64 @@
+// services/charterRouteService.js
+// The route a charter order drives: pickup, planned stops, destination and the optional return leg.
+
+const { calculateDistance } = require('../utils/geo');
+
+// Roads are longer than the straight line between two points
+const ROAD_DISTANCE_FACTOR = parseFloat(process.env.CHARTER_ROAD_DISTANCE_FACTOR) || 1.3;
+
+// Ordered waypoints for an order (or a draft with the same fields)
+const getRouteWaypoints = (order) => {
+  const waypoints = [{ kind: 'pickup', location: order.pickupLocation, plannedAt: order.startAt || null }];
+
+  (order.itinerary || []).forEach(stop => {
+    waypoints.push({
+      kind: 'stop',
+      sequence: stop.sequence,
+      location: stop.location,
+      plannedAt: stop.plannedArrivalAt || null,
+      departAt: stop.plannedDepartureAt || null,
+      notes: stop.notes || ''
+    });
+  });
+
+  waypoints.push({ kind: 'destination', location: order.destination, plannedAt: null });
+
+  if (order.returnTrip && order.returnTrip.enabled) {
+    waypoints.push(
+      { kind: 'return_pickup', location: order.returnTrip.pickupLocation, plannedAt: order.returnTrip.departAt || null },
+      { kind: 'return_destination', location: order.returnTrip.destination, plannedAt: order.returnTrip.plannedArrivalAt || null }
+    );
+  }
+
+  return waypoints;
+};
+
+const hasCoordinates = (location) => Boolean(
+  location &&
+  location.coordinates &&
+  Number.isFinite(location.coordinates.lat) &&
+  Number.isFinite(location.coordinates.lng)
+);
+
+// Estimated road distance along the whole route in km, or null if any waypoint is not geocoded
+const estimateRouteDistanceKm = (order) => {
+  const waypoints = getRouteWaypoints(order);
+  if (!waypoints.every(waypoint => hasCoordinates(waypoint.location))) {
+    return null;
+  }
+
+  let straightKm = 0;
+  for (let i = 1; i < waypoints.length; i++) {
+    const from = waypoints[i - 1].location.coordinates;
+    const to = waypoints[i].location.coordinates;
+    straightKm += calculateDistance(from.lat, from.lng, to.lat, to.lng);
+  }
+
+  return Math.round(straightKm * ROAD_DISTANCE_FACTOR * 10) / 10;
+};
+
+module.exports = {
+  ROAD_DISTANCE_FACTOR,
+  getRouteWaypoints,
+  estimateRouteDistanceKm
+};
@@ -0,0 +1,334 @@
+// services/dispatchService.js
+
+const Ride = require('../models/Ride');
+const DriverDetail = require('../models/AdminDriver');
+const { BUSY_STATUSES } = require('./surgeService');
+const { getOnlineDriverFilter } = require('./driverLocationService');
+const { createNotification, notifyAdmins } = require('./notificationService');
+const { ACTORS, transitionRide } = require('./rideStateMachine');
+
+// Only drivers within this distance of the pickup are offered the ride
+const DISPATCH_RADIUS_KM = parseFloat(process.env.DISPATCH_RADIUS_KM) || 10;
+
+// How long a driver has to accept an offer before it moves to the next driver
+const OFFER_TIMEOUT_SECONDS = parseInt(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS) || 30;
+
+// How often expired offers are checked
+const SWEEP_INTERVAL_MS = parseInt(process.env.DISPATCH_SWEEP_INTERVAL_MS) || 5000;
+
+// Ranking weights; each factor is scored between 0 and 1
+const RANKING_WEIGHTS = {
+  distance: 0.5,
+  rating: 0.3,
+  acceptance: 0.2
+};
+
+// New drivers get the benefit of the doubt until they have enough history
+const DEFAULT_RATING_SCORE = 0.8;
+const DEFAULT_ACCEPTANCE_RATE = 0.8;
+const MIN_OFFERS_FOR_ACCEPTANCE_RATE = 5;
+
+let sweepTimer = null;
+
+const scoreCandidate = (candidate) => {
+  const distanceScore = Math.max(0, 1 - candidate.distanceKm / DISPATCH_RADIUS_KM);
+  const ratingScore = candidate.driverRating > 0
+    ? candidate.driverRating / 5
+    : DEFAULT_RATING_SCORE;
+  const acceptanceRate = candidate.offersReceived >= MIN_OFFERS_FOR_ACCEPTANCE_RATE
+    ? candidate.offersAccepted / candidate.offersReceived
+    : DEFAULT_ACCEPTANCE_RATE;
+
+  return RANKING_WEIGHTS.distance * distanceScore +
+    RANKING_WEIGHTS.rating * ratingScore +
+    RANKING_WEIGHTS.acceptance * acceptanceRate;
+};
+
+// Online, idle drivers near the pickup whose vehicle matches the ride type, best first.
+// Drivers on a cash hold are left out.
+const findCandidates = async (ride, excludedDriverIds = []) => {
+  const busyDriverIds = await Ride.distinct('driverId', {
+    status: { $in: BUSY_STATUSES },
+    driverId: { $ne: null },
+    _id: { $ne: ride._id }
+  });
+
+  const { lat, lng } = ride.pickupLocation.coordinates;
+
+  const candidates = await DriverDetail.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [lng, lat] },
+        distanceField: 'distanceMeters',
+        maxDistance: DISPATCH_RADIUS_KM * 1000,
+        spherical: true,
+        query: {
+          ...getOnlineDriverFilter(),
+          vehicleId: { $ne: null },
+          'cashHold.blocked': { $ne: true },
+          _id: { $nin: [...busyDriverIds, ...excludedDriverIds] }
+        }
+      }
+    },
+    {
+      $lookup: {
+        from: 'vehicles',
+        localField: 'vehicleId',
+        foreignField: '_id',
+        as: 'vehicle'
+      }
+    },
+    { $unwind: '$vehicle' },
+    {
+      $match: {
+        'vehicle.vehicleType': ride.rideType,
+        'vehicle.status': { $nin: ['maintenance', 'inactive'] }
+      }
+    },
+    {
+      $lookup: {
+        from: 'users',
+        localField: 'userId',
+        foreignField: '_id',
+        as: 'user'
+      }
+    },
+    { $unwind: '$user' },
+    { $match: { 'user.isActive': true, 'user.role': 'driver' } },
+    { $limit: 20 }
+  ]);
+
+  return candidates
+    .map(candidate => {
+      const distanceKm = candidate.distanceMeters / 1000;
+      const ranked = { ...candidate, distanceKm };
+      ranked.score = scoreCandidate(ranked);
+      return ranked;
+    })
+    .sort((a, b) => b.score - a.score);
+};
+
+// Offer the ride to the best driver who has not been offered it yet.
+// If nobody is left the ride goes back to pending for an admin to assign.
+const offerToNextDriver = async (rideId) => {
+  const ride = await Ride.findById(rideId);
+  if (!ride || ride.status !== 'searching') {
+    return null;
+  }
+
+  const alreadyOffered = ride.dispatch.attempts.map(attempt => attempt.driverId);
+  const [candidate] = await findCandidates(ride, alreadyOffered);
+
+  if (!candidate) {
+    const exhausted = await transitionRide(ride, 'pending', {
+      actor: ACTORS.SYSTEM,
+      reason: 'No available driver accepted the ride',
+      update: {
+        driverId: null,
+        'dispatch.offerExpiresAt': null,
+        'dispatch.exhaustedAt': new Date()
+      }
+    });
+
+    if (exhausted) {
+      await notifyAdmins(
+        'ride_unassigned',
+        'Ride Needs a Driver',
+        `No available driver accepted the ${ride.rideType} ride from ${ride.pickupLocation.address}. Please assign one manually.`,
+        { rideId: ride._id }
+      );
+    }
+    return exhausted;
+  }
+
+  const now = new Date();
+  const offered = await transitionRide(ride, 'awaiting_driver_confirmation', {
+    actor: ACTORS.SYSTEM,
+    update: {
+      driverId: candidate._id,
+      'dispatch.offerExpiresAt': new Date(now.getTime() + OFFER_TIMEOUT_SECONDS * 1000),
+      $push: {
+        'dispatch.attempts': {
+          driverId: candidate._id,
+          offeredAt: now,
+          outcome: 'pending',
+          distanceKm: parseFloat(candidate.distanceKm.toFixed(2)),
+          score: parseFloat(candidate.score.toFixed(3))
+        }
+      }
+    }
+  });
+
+  if (!offered) {
+    return null;
+  }
+
+  await DriverDetail.updateOne({ _id: candidate._id }, { $inc: { offersReceived: 1 } });
+
+  await createNotification(
+    candidate.userId,
+    'ride_offer',
+    'New Ride Request',
+    `New ${ride.rideType} ride from ${ride.pickupLocation.address} to ${ride.destination.address}. Respond within ${OFFER_TIMEOUT_SECONDS} seconds.`,
+    { rideId: ride._id }
+  ).catch(() => {});
+
+  return offered;
+};
+
+// Start automatic dispatch for a new or unassigned ride
+const startDispatch = async (rideId, actor = ACTORS.SYSTEM, actorId = null) => {
+  const ride = await transitionRide(rideId, 'searching', {
+    actor,
+    actorId,
+    from: 'pending',
+    update: {
+      driverId: null,
+      'dispatch.mode': 'auto',
+      'dispatch.offerExpiresAt': null,
+      'dispatch.exhaustedAt': null
+    }
+  });
+
+  if (!ride) {
+    return null;
+  }
+
+  return offerToNextDriver(ride._id);
+};
+
+// Close the driver's pending offer with an outcome and move the ride back to searching
+const releaseOffer = async (ride, driverId, outcome, actor, actorId = null) => {
+  return transitionRide(ride, 'searching', {
+    actor,
+    actorId,
+    from: 'awaiting_driver_confirmation',
+    reason: `Offer ${outcome}`,
+    conditions: { driverId },
+    update: {
+      driverId: null,
+      'dispatch.mode': 'auto',
+      'dispatch.offerExpiresAt': null,
+      'dispatch.attempts.$[attempt].outcome': outcome,
+      'dispatch.attempts.$[attempt].respondedAt': new Date()
+    },
+    arrayFilters: [{ 'attempt.driverId': driverId, 'attempt.outcome': 'pending' }]
+  });
+};
+
+// Driver declined their offer: try the next driver
+const declineOffer = async (ride, driverId, actorId = null) => {
+  const released = await releaseOffer(ride, driverId, 'declined', ACTORS.DRIVER, actorId);
+  if (!released) {
+    return null;
+  }
+
+  return (await offerToNextDriver(released._id)) || released;
+};
+
+// Driver accepted their offer: record it for their acceptance rate
+const recordAcceptance = async (ride, driverId) => {
+  await Ride.updateOne(
+    { _id: ride._id },
+    {
+      'dispatch.offerExpiresAt': null,
+      'dispatch.attempts.$[attempt].outcome': 'accepted',
+      'dispatch.attempts.$[attempt].respondedAt': new Date()
+    },
+    { arrayFilters: [{ 'attempt.driverId': driverId, 'attempt.outcome': 'pending' }] }
+  );
+
+  await DriverDetail.updateOne({ _id: driverId }, { $inc: { offersAccepted: 1 } });
+};
+
+// Admin override: close any open offer and give the ride to the chosen driver.
+// The driver still confirms through /accept; declining puts the ride back into automatic dispatch.
+const assignManually = async (ride, driverId, allowedStatuses, adminId = null) => {
+  await Ride.updateOne(
+    { _id: ride._id },
+    {
+      'dispatch.attempts.$[attempt].outcome': 'overridden',
+      'dispatch.attempts.$[attempt].respondedAt': new Date()
+    },
+    { arrayFilters: [{ 'attempt.outcome': 'pending' }] }
+  );
+
+  const assigned = await transitionRide(ride, 'awaiting_driver_confirmation', {
+    actor: ACTORS.ADMIN,
+    actorId: adminId,
+    from: allowedStatuses,
+    reason: 'Assigned by admin',
+    update: {
+      driverId,
+      'dispatch.mode': 'manual',
+      'dispatch.offerExpiresAt': null,
+      $push: {
+        'dispatch.attempts': {
+          driverId,
+          offeredAt: new Date(),
+          outcome: 'pending',
+          manual: true
+        }
+      }
+    }
+  });
+
+  if (assigned) {
+    await DriverDetail.updateOne({ _id: driverId }, { $inc: { offersReceived: 1 } });
+  }
+
+  return assigned;
+};
+
+// Move expired offers on to the next driver, and pick up rides left searching
+// without an offer (e.g. after a restart)
+const sweepOffers = async () => {
+  const now = new Date();
+
+  const expired = await Ride.find({
+    status: 'awaiting_driver_confirmation',
+    'dispatch.offerExpiresAt': { $ne: null, $lte: now }
+  }).select('_id driverId');
+
+  for (const ride of expired) {
+    const released = await releaseOffer(ride, ride.driverId, 'timeout', ACTORS.SYSTEM);
+    if (released) {
+      await offerToNextDriver(released._id);
+    }
+  }
+
+  const stalled = await Ride.find({
+    status: 'searching',
+    updatedAt: { $lte: new Date(now.getTime() - SWEEP_INTERVAL_MS) }
+  }).select('_id');
+
+  for (const ride of stalled) {
+    await offerToNextDriver(ride._id);
+  }
+};
+
+const startDispatcher = () => {
+  if (sweepTimer) {
+    return;
+  }
+
+  sweepTimer = setInterval(() => {
+    sweepOffers().catch(error => console.error('Error sweeping ride offers:', error));
+  }, SWEEP_INTERVAL_MS);
+};
+
+const stopDispatcher = () => {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+};
+
+module.exports = {
+  findCandidates,
+  startDispatch,
+  offerToNextDriver,
+  declineOffer,
+  recordAcceptance,
+  assignManually,
+  startDispatcher,
+  stopDispatcher
+};
@@ -0,0 +1,102 @@
+// services/driverLocationService.js
+
+const Ride = require('../models/Ride');
+const DriverDetail = require('../models/AdminDriver');
+const { calculateDistance } = require('../utils/geo');
+
+// A driver whose last ping is older than this is not offered rides
+const LOCATION_STALE_MINUTES = parseInt(process.env.DRIVER_LOCATION_STALE_MINUTES) || 5;
+
+// Most recent pings kept on a ride for its route trail
+const MAX_RIDE_LOCATION_HISTORY = parseInt(process.env.RIDE_LOCATION_HISTORY_LIMIT) || 500;
+
+// Ride statuses during which the driver's pings are recorded on the ride
+const TRACKED_STATUSES = ['accepted', 'arrived', 'picked_up', 'in_progress'];
+
+// Ride statuses with the rider on board; distance driven in them is added to the ride's trackedDistance
+const ON_TRIP_STATUSES = ['picked_up', 'in_progress'];
+
+// Query for drivers who are online and have reported their position recently
+const getOnlineDriverFilter = () => ({
+  isOnline: true,
+  lastLocationAt: { $gte: new Date(Date.now() - LOCATION_STALE_MINUTES * 60 * 1000) }
+});
+
+const toGeoPoint = ({ lat, lng }) => ({
+  type: 'Point',
+  coordinates: [lng, lat]
+});
+
+// Kilometres from the ride's previous ping to this one, if both were made with the rider on board
+const getTrackedIncrement = (ride, ping) => {
+  if (!ride || !ON_TRIP_STATUSES.includes(ride.status) || !ride.pickedUpAt) {
+    return 0;
+  }
+
+  const [previous] = ride.driverLocations || [];
+  if (!previous || previous.recordedAt < ride.pickedUpAt) {
+    return 0;
+  }
+
+  return calculateDistance(previous.lat, previous.lng, ping.lat, ping.lng);
+};
+
+// Store a driver's latest position and add it to the trail of every ride they are on; a driver
+// on a pool has several. ping: { lat, lng, heading, speed, accuracy }
+const recordLocation = async (driverDetail, ping) => {
+  const recordedAt = new Date();
+
+  const driver = await DriverDetail.findByIdAndUpdate(
+    driverDetail._id,
+    {
+      currentLocation: toGeoPoint(ping),
+      lastLocationAt: recordedAt
+    },
+    { new: true }
+  );
+
+  const current = await Ride.find({ driverId: driverDetail._id, status: { $in: TRACKED_STATUSES } })
+    .select('status pickedUpAt')
+    .slice('driverLocations', -1)
+    .lean();
+
+  // Each ride gets its own distance increment: riders on a pool are picked up at different times
+  const rides = [];
+  for (const tracked of current) {
+    const ride = await Ride.findOneAndUpdate(
+      { _id: tracked._id, status: { $in: TRACKED_STATUSES } },
+      {
+        $inc: { trackedDistance: getTrackedIncrement(tracked, ping) },
+        $push: {
+          driverLocations: {
+            $each: [{
+              lat: ping.lat,
+              lng: ping.lng,
+              heading: ping.heading,
+              speed: ping.speed,
+              accuracy: ping.accuracy,
+              recordedAt
+            }],
+            $slice: -MAX_RIDE_LOCATION_HISTORY
+          }
+        }
+      },
+      { new: true, projection: { driverLocations: 0 } }
+    );
+    if (ride) {
+      rides.push(ride);
+    }
+  }
+
+  return { driver, rides, recordedAt };
+};
+
+module.exports = {
+  LOCATION_STALE_MINUTES,
+  MAX_RIDE_LOCATION_HISTORY,
+  TRACKED_STATUSES,
+  ON_TRIP_STATUSES,
+  getOnlineDriverFilter,
+  toGeoPoint,
+  recordLocation
+};
@@ -0,0 +1,361 @@
+// services/earningsService.js
+// Driver earnings. Every completed ride or charter trip, and every cancellation fee a driver is
+// credited, adds one DriverEarning entry splitting the amount into the platform's commission and
+// the driver's share. The totals on DriverDetail and CharterDriver move with the ledger and can be
+// rebuilt from it with syncDriverTotals().
+//
+// Promo discounts are the platform's cost, so the split is on the price before any discount.
+// Rides use the commission on the pricing rule they were priced with; charters the one on the
+// rate card their accepted quote came from.
+
+const mongoose = require('mongoose');
+const DriverEarning = require('../models/DriverEarning');
+const DriverDetail = require('../models/AdminDriver');
+const CharterDriver = require('../models/charter/CharterDriver');
+const CharterRate = require('../models/charter/CharterRate');
+const CharterVehicle = require('../models/charter/CharterVehicle');
+const Ride = require('../models/Ride');
+const CharterOrder = require('../models/charter/CharterOrder');
+const { getPricingRuleForRide } = require('./fareService');
+const { DEFAULT_CHARTER_RATE, getCharterRate } = require('./charterPricingService');
+
+// Daily, weekly and monthly summaries start at midnight in this timezone
+const EARNINGS_TIMEZONE = process.env.PRICING_TIMEZONE || 'Africa/Lagos';
+
+// Periods a summary can be grouped by, and how far back one goes by default
+const SUMMARY_PERIODS = {
+  day: { unit: 'day', defaultRangeDays: 30 },
+  week: { unit: 'week', defaultRangeDays: 12 * 7 },
+  month: { unit: 'month', defaultRangeDays: 365 }
+};
+
+// Entries that count as a trip
+const TRIP_SOURCES = ['ride', 'charter'];
+
+// Aggregation expressions over ledger entries.
+// A cash trip is one the customer paid the driver for in person; cancellation fees never are.
+const IS_CASH_TRIP = {
+  $and: [
+    { $eq: ['$paymentMethod', 'cash'] },
+    { $in: ['$source', TRIP_SOURCES] }
+  ]
+};
+
+// Entries whose money the platform or the driver has actually received
+const IS_COLLECTED = { $ne: [{ $ifNull: ['$collectedAt', null] }, null] };
+const COLLECTED_FILTER = { collectedAt: { $ne: null } };
+
+// What the driver holds beyond their share on a cash trip and so owes the platform. Entries
+// recorded before amountCollected existed fall back to the price before discount.
+const CASH_OWED = {
+  $subtract: [{ $ifNull: ['$amountCollected', '$grossAmount'] }, '$driverShare']
+};
+
+const earningsError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Split an amount by a commission percentage
+const splitAmount = (grossAmount, commissionPercent) => {
+  const gross = Math.max(Math.round(grossAmount), 0);
+  const commission = Math.round(gross * (commissionPercent / 100));
+  return { grossAmount: gross, commissionPercent, commission, driverShare: gross - commission };
+};
+
+// Add a ledger entry and move the driver's totals with it. The idempotency key makes repeating an
+// entry a no-op. Returns the entry, or null if it had already been recorded.
+const recordEarning = async (entry) => {
+  let earning;
+  try {
+    earning = await DriverEarning.create(entry);
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+
+  const $inc = { totalEarnings: earning.driverShare };
+  if (TRIP_SOURCES.includes(earning.source)) {
+    $inc.totalTrips = 1;
+  }
+
+  if (earning.driverId) {
+    await DriverDetail.updateOne({ _id: earning.driverId }, { $inc });
+  } else if (earning.charterDriverId) {
+    await CharterDriver.updateOne({ _id: earning.charterDriverId }, { $inc });
+  }
+
+  return earning;
+};
+
+// Cash is in the driver's hand at the end of the trip; anything else once the payment completes
+const isPaymentCollected = ({ paymentMethod, paymentStatus }) =>
+  paymentMethod === 'cash' || paymentStatus === 'completed';
+
+// Mark a trip's earning collected once the customer's payment completes, taking the payment
+// method it was finally paid with. target: { rideId } or { charterOrderId }
+const markEarningCollected = async (target, paymentMethod) => {
+  await DriverEarning.updateMany(
+    { ...target, source: { $in: TRIP_SOURCES }, collectedAt: null },
+    { collectedAt: new Date(), ...(paymentMethod && { paymentMethod }) }
+  );
+};
+
+// A payment that completed while an uncollected earning was being written would have found
+// nothing to mark; check the trip again once the entry exists
+const recheckCollection = async (earning, Model, targetId, target) => {
+  if (!earning || earning.collectedAt) {
+    return earning;
+  }
+  const current = await Model.findById(targetId).select('paymentMethod paymentStatus').lean();
+  if (current && current.paymentStatus === 'completed') {
+    await markEarningCollected(target, current.paymentMethod);
+  }
+  return earning;
+};
+
+// Earnings for a completed ride
+const recordRideEarning = async (ride) => {
+  if (!ride.driverId) {
+    return null;
+  }
+
+  const rule = await getPricingRuleForRide(ride);
+  const commissionPercent = typeof rule.commissionPercent === 'number' ? rule.commissionPercent : 0;
+
+  const earnedAt = ride.completedAt || new Date();
+  const earning = await recordEarning({
+    driverId: ride.driverId._id || ride.driverId,
+    source: 'ride',
+    rideId: ride._id,
+    serviceType: ride.rideType,
+    paymentMethod: ride.paymentMethod,
+    ...splitAmount((ride.totalFare || 0) + (ride.discount || 0), commissionPercent),
+    amountCollected: ride.totalFare || 0,
+    collectedAt: isPaymentCollected(ride) ? earnedAt : null,
+    earnedAt,
+    idempotencyKey: `ride:${ride._id}`
+  });
+
+  return recheckCollection(earning, Ride, ride._id, { rideId: ride._id });
+};
+
+// The driver's share of a ride's cancellation fee, as set by the cancellation policy. Only
+// recorded once the fee has been charged, so it is collected; a waived fee earns nothing.
+const recordCancellationEarning = async (ride) => {
+  const { fee = 0, driverCredit = 0 } = ride.cancellation || {};
+  if (!ride.driverId || !(driverCredit > 0)) {
+    return null;
+  }
+
+  return recordEarning({
+    driverId: ride.driverId._id || ride.driverId,
+    source: 'cancellation_fee',
+    rideId: ride._id,
+    serviceType: ride.rideType,
+    paymentMethod: ride.paymentMethod,
+    grossAmount: fee,
+    amountCollected: fee,
+    commissionPercent: fee > 0 ? Math.round(((fee - driverCredit) / fee) * 100) : 0,
+    commission: fee - driverCredit,
+    driverShare: driverCredit,
+    collectedAt: new Date(),
+    earnedAt: ride.cancelledAt || new Date(),
+    idempotencyKey: `cancellation_fee:${ride._id}`
+  });
+};
+
+// Commission on the rate card a charter order was priced from
+const getCharterCommissionPercent = async (order, vehicle) => {
+  const accepted = (order.quotes || []).filter(quote => quote.status === 'accepted').pop();
+
+  let rate = null;
+  if (accepted && accepted.rateId) {
+    rate = await CharterRate.findById(accepted.rateId).lean();
+  }
+  if (!rate && vehicle) {
+    rate = await getCharterRate(vehicle);
+  }
+
+  return rate && typeof rate.commissionPercent === 'number'
+    ? rate.commissionPercent
+    : DEFAULT_CHARTER_RATE.commissionPercent;
+};
+
+// Earnings for a completed charter trip
+const recordCharterEarning = async (order) => {
+  if (!order.driverId) {
+    return null;
+  }
+
+  const vehicle = order.vehicleId
+    ? await CharterVehicle.findById(order.vehicleId._id || order.vehicleId).select('vehicleType capacity').lean()
+    : null;
+  const commissionPercent = await getCharterCommissionPercent(order, vehicle);
+
+  const earnedAt = order.completedAt || new Date();
+  const earning = await recordEarning({
+    charterDriverId: order.driverId._id || order.driverId,
+    source: 'charter',
+    charterOrderId: order._id,
+    serviceType: vehicle ? vehicle.vehicleType : null,
+    paymentMethod: order.paymentMethod,
+    ...splitAmount((order.totalPrice || 0) + (order.discount || 0), commissionPercent),
+    amountCollected: order.totalPrice || 0,
+    collectedAt: isPaymentCollected(order) ? earnedAt : null,
+    earnedAt,
+    idempotencyKey: `charter:${order._id}`
+  });
+
+  return recheckCollection(earning, CharterOrder, order._id, { charterOrderId: order._id });
+};
+
+// Ledger filter for one driver: { driverId } or { charterDriverId }
+const getDriverFilter = ({ driverId, charterDriverId }) => {
+  const id = driverId || charterDriverId;
+  if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+    throw earningsError(400, 'A valid driver is required');
+  }
+  return driverId
+    ? { driverId: new mongoose.Types.ObjectId(String(driverId)) }
+    : { charterDriverId: new mongoose.Types.ObjectId(String(charterDriverId)) };
+};
+
+const parseDate = (value, name) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw earningsError(400, `${name} must be a valid date`);
+  }
+  return date;
+};
+
+// Earnings grouped by day, week (from Monday) or month, oldest first, with totals for the range.
+// driver: { driverId } or { charterDriverId }. from/to default to a range that suits the period.
+const getEarningsSummary = async (driver, { period = 'day', from, to } = {}) => {
+  const settings = SUMMARY_PERIODS[period];
+  if (!settings) {
+    throw earningsError(400, `Period must be one of: ${Object.keys(SUMMARY_PERIODS).join(', ')}`);
+  }
+
+  const end = parseDate(to, 'to') || new Date();
+  const start = parseDate(from, 'from') || new Date(end.getTime() - settings.defaultRangeDays * 24 * 60 * 60 * 1000);
+  if (start > end) {
+    throw earningsError(400, 'from must be before to');
+  }
+
+  const match = { ...getDriverFilter(driver), earnedAt: { $gte: start, $lte: end } };
+  const sums = {
+    trips: { $sum: { $cond: [{ $in: ['$source', TRIP_SOURCES] }, 1, 0] } },
+    cancellationFees: { $sum: { $cond: [{ $eq: ['$source', 'cancellation_fee'] }, 1, 0] } },
+    grossAmount: { $sum: '$grossAmount' },
+    commission: { $sum: '$commission' },
+    driverShare: { $sum: '$driverShare' }
+  };
+
+  const [buckets, totals] = await Promise.all([
+    DriverEarning.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            $dateTrunc: {
+              date: '$earnedAt',
+              unit: settings.unit,
+              timezone: EARNINGS_TIMEZONE,
+              startOfWeek: 'monday'
+            }
+          },
+          ...sums
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]),
+    DriverEarning.aggregate([
+      { $match: match },
+      { $group: { _id: null, ...sums } }
+    ])
+  ]);
+
+  const emptyTotals = { trips: 0, cancellationFees: 0, grossAmount: 0, commission: 0, driverShare: 0 };
+  const { _id, ...rangeTotals } = totals[0] || { _id: null, ...emptyTotals };
+
+  return {
+    period,
+    timezone: EARNINGS_TIMEZONE,
+    from: start,
+    to: end,
+    totals: rangeTotals,
+    buckets: buckets.map(({ _id: periodStart, ...bucket }) => ({ periodStart, ...bucket }))
+  };
+};
+
+// A page of a driver's ledger, newest first
+const getEarningEntries = async (driver, { limit = 50, skip = 0 } = {}) => {
+  const filter = getDriverFilter(driver);
+
+  const [entries, total] = await Promise.all([
+    DriverEarning.find(filter)
+      .populate('rideId', 'pickupLocation destination completedAt cancelledAt')
+      .populate('charterOrderId', 'pickupLocation destination tripDate completedAt')
+      .sort({ earnedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    DriverEarning.countDocuments(filter)
+  ]);
+
+  return { entries, total };
+};
+
+// Rebuild a driver's totalEarnings and totalTrips from the ledger. Returns the new totals.
+const syncDriverTotals = async (driver) => {
+  const filter = getDriverFilter(driver);
+
+  const [result] = await DriverEarning.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: null,
+        totalEarnings: { $sum: '$driverShare' },
+        totalTrips: { $sum: { $cond: [{ $in: ['$source', TRIP_SOURCES] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const totals = {
+    totalEarnings: result ? result.totalEarnings : 0,
+    totalTrips: result ? result.totalTrips : 0
+  };
+
+  const updated = filter.driverId
+    ? await DriverDetail.findByIdAndUpdate(filter.driverId, totals, { new: true })
+    : await CharterDriver.findByIdAndUpdate(filter.charterDriverId, totals, { new: true });
+
+  if (!updated) {
+    throw earningsError(404, 'Driver not found');
+  }
+
+  return totals;
+};
+
+module.exports = {
+  SUMMARY_PERIODS,
+  TRIP_SOURCES,
+  IS_CASH_TRIP,
+  IS_COLLECTED,
+  COLLECTED_FILTER,
+  CASH_OWED,
+  splitAmount,
+  markEarningCollected,
+  recordRideEarning,
+  recordCancellationEarning,
+  recordCharterEarning,
+  getDriverFilter,
+  getEarningsSummary,
+  getEarningEntries,
+  syncDriverTotals
+};
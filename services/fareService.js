@@ -0,0 +1,404 @@
+// services/fareService.js
+
+const jwt = require('jsonwebtoken');
+const PricingRule = require('../models/PricingRule');
+const { DEFAULT_SURGE } = require('./surgeService');
+const { calculateDistance, isSamePoint } = require('../utils/geo');
+
+const RIDE_TYPES = ['bicycle', 'motorcycle', 'car'];
+
+// Fallback pricing in Naira (₦), used for a ride type until an admin activates a pricing rule for it
+const DEFAULT_PRICING = {
+  bicycle: {
+    baseFare: 200,
+    perKm: 50,
+    perMinute: 10,
+    minimumFare: 0,
+    serviceFeePercent: 5,
+    freeWaitingMinutes: 3,
+    waitingPerMinute: 5,
+    commissionPercent: 10
+  },
+  motorcycle: {
+    baseFare: 300,
+    perKm: 100,
+    perMinute: 15,
+    minimumFare: 0,
+    serviceFeePercent: 8,
+    freeWaitingMinutes: 3,
+    waitingPerMinute: 10,
+    commissionPercent: 15
+  },
+  car: {
+    baseFare: 500,
+    perKm: 150,
+    perMinute: 20,
+    minimumFare: 0,
+    serviceFeePercent: 10,
+    freeWaitingMinutes: 3,
+    waitingPerMinute: 20,
+    commissionPercent: 20
+  }
+};
+
+// Shared-ride settings used when a pricing rule has none. Only cars can be shared.
+const DEFAULT_POOLING = {
+  bicycle: { enabled: false, discountPercent: 0 },
+  motorcycle: { enabled: false, discountPercent: 0 },
+  car: { enabled: true, discountPercent: 25 }
+};
+
+// Average city speed used to estimate trip duration
+const AVERAGE_SPEED_KMH = 30;
+
+// How long a quote issued by /estimate can be used to place an order
+const QUOTE_TTL_SECONDS = parseInt(process.env.RIDE_QUOTE_TTL_SECONDS) || 10 * 60;
+
+const QUOTE_PURPOSE = 'ride_quote';
+
+// Time-of-day and day-of-week multipliers are evaluated in this timezone
+const PRICING_TIMEZONE = process.env.PRICING_TIMEZONE || 'Africa/Lagos';
+
+// Quotes have their own secret so a quote token can never pass as a login token
+const getQuoteSecret = () => {
+  const secret = process.env.QUOTE_SECRET;
+  if (!secret) {
+    throw new Error('QUOTE_SECRET is not set');
+  }
+  return secret;
+};
+
+// Check the quote secret is set. Called once at startup so a missing secret stops the server
+// instead of surfacing later as riders' quotes being rejected.
+const assertQuoteConfig = () => {
+  getQuoteSecret();
+};
+
+// Error raised when a quote cannot be used to place an order
+const quoteError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// The built-in defaults for a ride type as a pricing rule (version 0)
+const getDefaultPricingRule = (rideType) => {
+  return {
+    _id: null,
+    rideType,
+    version: 0,
+    multipliers: [],
+    surge: DEFAULT_SURGE,
+    pooling: DEFAULT_POOLING[rideType],
+    ...DEFAULT_PRICING[rideType]
+  };
+};
+
+// Get the active pricing rule for a ride type, falling back to the built-in defaults (version 0)
+const getActivePricingRule = async (rideType) => {
+  if (!RIDE_TYPES.includes(rideType)) {
+    return null;
+  }
+
+  const rule = await PricingRule.findOne({ rideType, isActive: true }).lean();
+  if (rule) {
+    return rule;
+  }
+
+  return getDefaultPricingRule(rideType);
+};
+
+// The rule a ride was priced with, even if it has since been replaced
+const getPricingRuleForRide = async (ride) => {
+  if (ride.pricingRuleId) {
+    const rule = await PricingRule.findById(ride.pricingRuleId).lean();
+    if (rule) {
+      return rule;
+    }
+  }
+
+  return getDefaultPricingRule(ride.rideType);
+};
+
+// Whether riders can share rides priced with this rule
+const isPoolingEnabled = (rule) => Boolean(rule && rule.pooling && rule.pooling.enabled);
+
+// Take the shared-ride discount off a fare
+const applyPoolDiscount = (fare, rule) => {
+  const discountPercent = rule.pooling.discountPercent || 0;
+  const poolDiscount = Math.round(fare.totalFare * (discountPercent / 100));
+
+  return {
+    ...fare,
+    pooled: true,
+    poolDiscountPercent: discountPercent,
+    poolDiscount,
+    totalFare: fare.totalFare - poolDiscount
+  };
+};
+
+// Day of week (0 = Sunday) and minutes since midnight in the pricing timezone
+const getLocalDayAndMinutes = (date) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: PRICING_TIMEZONE,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = (type) => parts.find(part => part.type === type).value;
+  const day = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday'));
+
+  return { day, minutes: parseInt(get('hour')) * 60 + parseInt(get('minute')) };
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Find the multiplier that applies at the given time. When several match, the highest wins.
+const getApplicableMultiplier = (multipliers = [], at = new Date()) => {
+  const { day, minutes } = getLocalDayAndMinutes(at);
+
+  const matching = multipliers.filter(entry => {
+    if (entry.daysOfWeek && entry.daysOfWeek.length > 0 && !entry.daysOfWeek.includes(day)) {
+      return false;
+    }
+    if (!entry.startTime || !entry.endTime) {
+      return true;
+    }
+
+    const start = toMinutes(entry.startTime);
+    const end = toMinutes(entry.endTime);
+    return start <= end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+  });
+
+  if (matching.length === 0) {
+    return { multiplier: 1, label: null };
+  }
+
+  const best = matching.reduce((max, entry) => entry.multiplier > max.multiplier ? entry : max);
+  return { multiplier: best.multiplier, label: best.label || null };
+};
+
+// Distance, duration and fare for each leg of pickup -> stops -> destination.
+// Leg n runs from point n-1 to point n, where point 0 is the pickup.
+const calculateLegs = (points, rule) => {
+  const legs = [];
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1];
+    const to = points[i];
+    const distance = calculateDistance(from.lat, from.lng, to.lat, to.lng);
+    const estimatedDuration = Math.round((distance / AVERAGE_SPEED_KMH) * 60);
+
+    legs.push({
+      sequence: i,
+      rawDistance: distance,
+      distance: parseFloat(distance.toFixed(2)),
+      estimatedDuration,
+      distanceFare: Math.round(distance * rule.perKm),
+      timeFare: Math.round(estimatedDuration * rule.perMinute)
+    });
+  }
+  return legs;
+};
+
+// Calculate the fare breakdown for a trip using a pricing rule.
+// `surge` is the result of surgeService.calculateSurge, or null for no surge.
+// `stops` are intermediate { lat, lng } points visited in order; the fare covers every leg.
+const calculateFare = (pickup, destination, rule, at = new Date(), surge = null, stops = []) => {
+  const legs = calculateLegs([pickup, ...stops, destination], rule);
+  const distance = legs.reduce((sum, leg) => sum + leg.rawDistance, 0);
+  const estimatedDuration = legs.reduce((sum, leg) => sum + leg.estimatedDuration, 0);
+
+  const baseFare = rule.baseFare;
+  const distanceFare = legs.reduce((sum, leg) => sum + leg.distanceFare, 0);
+  const timeFare = legs.reduce((sum, leg) => sum + leg.timeFare, 0);
+
+  const { multiplier, label: multiplierLabel } = getApplicableMultiplier(rule.multipliers, at);
+  const rawSubtotal = baseFare + distanceFare + timeFare;
+  const multipliedSubtotal = Math.round(rawSubtotal * multiplier);
+  const multiplierAdjustment = multipliedSubtotal - rawSubtotal;
+
+  const surgeMultiplier = surge ? surge.multiplier : 1;
+  const surgedSubtotal = Math.round(multipliedSubtotal * surgeMultiplier);
+  const surgeAdjustment = surgedSubtotal - multipliedSubtotal;
+
+  const subtotal = Math.max(surgedSubtotal, rule.minimumFare || 0);
+  const minimumFareAdjustment = subtotal - surgedSubtotal;
+
+  const serviceFee = Math.round(subtotal * (rule.serviceFeePercent / 100));
+  const totalFare = Math.round(subtotal + serviceFee);
+
+  return {
+    distance: parseFloat(distance.toFixed(2)),
+    estimatedDuration,
+    legs: legs.map(({ rawDistance, ...leg }) => leg),
+    baseFare,
+    distanceFare,
+    timeFare,
+    multiplier,
+    multiplierLabel,
+    multiplierAdjustment,
+    surgeMultiplier,
+    surgeAdjustment,
+    surge: surge ? {
+      multiplier: surge.multiplier,
+      demand: surge.demand,
+      supply: surge.supply,
+      radiusKm: surge.radiusKm
+    } : null,
+    minimumFareAdjustment,
+    serviceFee,
+    totalFare,
+    currency: 'NGN',
+    rideType: rule.rideType,
+    perKmRate: rule.perKm,
+    baseRate: rule.baseFare,
+    pricingRuleId: rule._id,
+    pricingVersion: rule.version,
+    pricedAt: at
+  };
+};
+
+// Charge for waiting at the pickup: every started minute after the free waiting time
+const calculateWaitingCharge = (waitingMinutes, rule) => {
+  const chargeableMinutes = Math.max(0, Math.ceil(waitingMinutes - (rule.freeWaitingMinutes || 0)));
+  return Math.round(chargeableMinutes * (rule.waitingPerMinute || 0));
+};
+
+// Price a finished trip from what it actually took, with the time-of-day and surge multipliers the
+// rider was quoted. actual: { distance (km), duration (minutes), waitingMinutes }.
+// Waiting is charged on top and is not multiplied. Returns the fare before any promo discount.
+const calculateTripFare = (ride, rule, actual) => {
+  const baseFare = rule.baseFare;
+  const distanceFare = Math.round(actual.distance * rule.perKm);
+  const timeFare = Math.round(actual.duration * rule.perMinute);
+
+  const multiplier = ride.fareMultiplier || 1;
+  const surgeMultiplier = ride.surgeMultiplier || 1;
+  const multipliedSubtotal = Math.round(Math.round((baseFare + distanceFare + timeFare) * multiplier) * surgeMultiplier);
+
+  const subtotal = Math.max(multipliedSubtotal, rule.minimumFare || 0);
+  const minimumFareAdjustment = subtotal - multipliedSubtotal;
+  const waitingCharge = calculateWaitingCharge(actual.waitingMinutes, rule);
+
+  const serviceFee = Math.round((subtotal + waitingCharge) * (rule.serviceFeePercent / 100));
+  const totalFare = subtotal + waitingCharge + serviceFee;
+
+  return {
+    distance: parseFloat(actual.distance.toFixed(2)),
+    duration: actual.duration,
+    waitingMinutes: actual.waitingMinutes,
+    baseFare,
+    distanceFare,
+    timeFare,
+    minimumFareAdjustment,
+    waitingCharge,
+    serviceFee,
+    totalFare
+  };
+};
+
+// Sign a short-lived quote so /order can trust the price without recomputing from client input
+const issueQuote = (userId, pickup, destination, fare, pricedAt = new Date(), stops = []) => {
+  const quoteToken = jwt.sign(
+    {
+      purpose: QUOTE_PURPOSE,
+      userId,
+      rideType: fare.rideType,
+      pickup,
+      destination,
+      stops,
+      pooled: Boolean(fare.pooled),
+      totalFare: fare.totalFare,
+      pricingVersion: fare.pricingVersion,
+      surge: fare.surge,
+      pricedAt: pricedAt.getTime()
+    },
+    getQuoteSecret(),
+    { expiresIn: QUOTE_TTL_SECONDS }
+  );
+
+  return {
+    quoteToken,
+    expiresAt: new Date(Date.now() + QUOTE_TTL_SECONDS * 1000)
+  };
+};
+
+// Verify a quote token against the order being placed and return the server-side fare.
+// Throws an error with status 400 if the quote is missing, expired, altered or for a different trip.
+const redeemQuote = async (quoteToken, userId, pickup, destination, rideType, stops = [], pooled = false) => {
+  if (!quoteToken) {
+    throw quoteError('A quote is required. Please request a new estimate');
+  }
+
+  // Read outside the try: a missing secret is a server fault, not an invalid quote
+  const secret = getQuoteSecret();
+  let quote;
+  try {
+    quote = jwt.verify(quoteToken, secret);
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      throw quoteError('Quote has expired. Please request a new estimate');
+    }
+    throw quoteError('Quote is invalid. Please request a new estimate');
+  }
+
+  if (quote.purpose !== QUOTE_PURPOSE || quote.userId !== userId) {
+    throw quoteError('Quote is invalid. Please request a new estimate');
+  }
+
+  const quotedStops = quote.stops || [];
+  const sameStops = quotedStops.length === stops.length &&
+    quotedStops.every((stop, index) => isSamePoint(stop, stops[index]));
+
+  if (quote.rideType !== rideType ||
+      !isSamePoint(quote.pickup, pickup) ||
+      !isSamePoint(quote.destination, destination) ||
+      !sameStops ||
+      Boolean(quote.pooled) !== pooled) {
+    throw quoteError('Quote does not match this trip. Please request a new estimate');
+  }
+
+  // Re-price with the rule, time and surge the quote was issued with, so the rider pays what they were shown
+  const rule = await getActivePricingRule(rideType);
+  if (!rule || rule.version !== quote.pricingVersion) {
+    throw quoteError('Pricing has changed. Please request a new estimate');
+  }
+
+  let fare = calculateFare(pickup, destination, rule, new Date(quote.pricedAt), quote.surge, stops);
+  if (pooled) {
+    if (!isPoolingEnabled(rule)) {
+      throw quoteError('Shared rides are not available for this ride type. Please request a new estimate');
+    }
+    fare = applyPoolDiscount(fare, rule);
+  }
+  if (fare.totalFare !== quote.totalFare) {
+    throw quoteError('Pricing has changed. Please request a new estimate');
+  }
+
+  return fare;
+};
+
+module.exports = {
+  RIDE_TYPES,
+  DEFAULT_PRICING,
+  DEFAULT_POOLING,
+  AVERAGE_SPEED_KMH,
+  getActivePricingRule,
+  getPricingRuleForRide,
+  getApplicableMultiplier,
+  calculateFare,
+  isPoolingEnabled,
+  applyPoolDiscount,
+  calculateWaitingCharge,
+  calculateTripFare,
+  assertQuoteConfig,
+  issueQuote,
+  redeemQuote
+};
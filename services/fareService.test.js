@@ -0,0 +1,110 @@
+// services/fareService.test.js
+process.env.QUOTE_SECRET = process.env.QUOTE_SECRET || 'test-quote-secret';
+
+const { describe, it, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const PricingRule = require('../models/PricingRule');
+const { getActivePricingRule, calculateFare, issueQuote, redeemQuote } = require('./fareService');
+
+mongoose.set('bufferCommands', false);
+
+const userId = 'user-1';
+const pickup = { lat: 6.4541, lng: 3.3947 };
+const destination = { lat: 6.4281, lng: 3.4219 };
+
+// A quote priced with the built-in car rates
+const quoteTrip = async (pricedAt = new Date()) => {
+  const rule = await getActivePricingRule('car');
+  const fare = calculateFare(pickup, destination, rule, pricedAt);
+  return { fare, ...issueQuote(userId, pickup, destination, fare, pricedAt) };
+};
+
+// Swap a claim in the token's payload without re-signing it
+const tamper = (token, changes) => {
+  const [header, payload, signature] = token.split('.');
+  const claims = { ...JSON.parse(Buffer.from(payload, 'base64url').toString()), ...changes };
+  return [header, Buffer.from(JSON.stringify(claims)).toString('base64url'), signature].join('.');
+};
+
+beforeEach(() => {
+  // No pricing rule saved, so the defaults apply
+  mock.method(PricingRule, 'findOne', () => ({ lean: async () => null }));
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('fare quotes', () => {
+  it('redeem to the fare they were issued with', async () => {
+    const { fare, quoteToken } = await quoteTrip();
+
+    const redeemed = await redeemQuote(quoteToken, userId, pickup, destination, 'car');
+    assert.equal(redeemed.totalFare, fare.totalFare);
+  });
+
+  it('reject a token whose fare was edited', async () => {
+    const { fare, quoteToken } = await quoteTrip();
+
+    await assert.rejects(
+      redeemQuote(tamper(quoteToken, { totalFare: fare.totalFare - 500 }), userId, pickup, destination, 'car'),
+      { status: 400, message: /Quote is invalid/ }
+    );
+  });
+
+  it('reject a token signed with another secret', async () => {
+    const { quoteToken } = await quoteTrip();
+    const forged = jwt.sign(jwt.decode(quoteToken), 'not-the-quote-secret');
+
+    await assert.rejects(
+      redeemQuote(forged, userId, pickup, destination, 'car'),
+      { status: 400, message: /Quote is invalid/ }
+    );
+  });
+
+  it('reject an expired quote', async () => {
+    const { quoteToken } = await quoteTrip();
+    const claims = jwt.decode(quoteToken);
+    const expired = jwt.sign(
+      { ...claims, iat: claims.iat - 3600, exp: Math.floor(Date.now() / 1000) - 1 },
+      process.env.QUOTE_SECRET
+    );
+
+    await assert.rejects(
+      redeemQuote(expired, userId, pickup, destination, 'car'),
+      { status: 400, message: /expired/ }
+    );
+  });
+
+  it('only work for the rider and trip they were issued for', async () => {
+    const { quoteToken } = await quoteTrip();
+
+    await assert.rejects(
+      redeemQuote(quoteToken, 'user-2', pickup, destination, 'car'),
+      { status: 400, message: /Quote is invalid/ }
+    );
+    await assert.rejects(
+      redeemQuote(quoteToken, userId, pickup, { lat: 6.5, lng: 3.4 }, 'car'),
+      { status: 400, message: /does not match/ }
+    );
+    await assert.rejects(
+      redeemQuote(quoteToken, userId, pickup, destination, 'motorcycle'),
+      { status: 400, message: /does not match/ }
+    );
+  });
+
+  it('treat a missing secret as a server fault, not an invalid quote', async () => {
+    const { quoteToken } = await quoteTrip();
+    const secret = process.env.QUOTE_SECRET;
+    delete process.env.QUOTE_SECRET;
+
+    try {
+      await assert.rejects(
+        redeemQuote(quoteToken, userId, pickup, destination, 'car'),
+        (error) => error.message === 'QUOTE_SECRET is not set' && error.status === undefined
+      );
+    } finally {
+      process.env.QUOTE_SECRET = secret;
+    }
+  });
+});
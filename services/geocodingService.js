@@ -0,0 +1,122 @@
+// services/geocodingService.js
+// Turns addresses into structured locations: { address, placeName, coordinates: { lat, lng }, geocodedBy }.
+//
+// Geocoders are pluggable. A geocoder is an object with
+//   name                          - used to select it with the GEOCODER env variable
+//   geocode(address)              - resolves to { address, placeName, lat, lng } or null
+//   reverseGeocode(lat, lng)      - optional; resolves to the same shape or null
+// Register one with registerGeocoder(); the offline stub is used when GEOCODER is not set.
+
+const stubGeocoder = require('./geocoders/stubGeocoder');
+const { parseCoordinates } = require('../utils/geo');
+
+const geocoders = {
+  [stubGeocoder.name]: stubGeocoder
+};
+
+const geocodingError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const registerGeocoder = (geocoder) => {
+  if (!geocoder || !geocoder.name || typeof geocoder.geocode !== 'function') {
+    throw new Error('A geocoder needs a name and a geocode(address) function');
+  }
+  geocoders[geocoder.name] = geocoder;
+};
+
+const getGeocoder = () => {
+  const name = process.env.GEOCODER || stubGeocoder.name;
+  const geocoder = geocoders[name];
+  if (!geocoder) {
+    throw new Error(`Unknown geocoder: ${name}`);
+  }
+  return geocoder;
+};
+
+// Geocode an address with the configured geocoder. A geocoder failure resolves to null so
+// bookings still go through; the location is stored without coordinates.
+const geocodeAddress = async (address) => {
+  const geocoder = getGeocoder();
+  try {
+    const result = await geocoder.geocode(address);
+    return result ? { ...result, geocodedBy: geocoder.name } : null;
+  } catch (error) {
+    console.error(`Geocoder ${geocoder.name} failed for "${address}":`, error);
+    return null;
+  }
+};
+
+const reverseGeocode = async (lat, lng) => {
+  const geocoder = getGeocoder();
+  if (typeof geocoder.reverseGeocode !== 'function') {
+    return null;
+  }
+  try {
+    const result = await geocoder.reverseGeocode(lat, lng);
+    return result ? { ...result, geocodedBy: geocoder.name } : null;
+  } catch (error) {
+    console.error(`Geocoder ${geocoder.name} failed to reverse geocode ${lat},${lng}:`, error);
+    return null;
+  }
+};
+
+// Build a structured location from what a client sent.
+// input: an address string, or { address, placeName, lat, lng } / { address, placeName, coordinates: { lat, lng } }
+// Coordinates sent by the client are kept; otherwise the address is geocoded. With only
+// coordinates, the address is looked up by reverse geocoding. Throws 400 if neither can be used.
+const resolveLocation = async (input, label = 'location') => {
+  if (!input) {
+    throw geocodingError(400, `${label} is required`);
+  }
+
+  const fields = typeof input === 'string' ? { address: input } : input;
+  const address = fields.address ? String(fields.address).trim() : '';
+  const placeName = fields.placeName ? String(fields.placeName).trim() : '';
+
+  const rawCoordinates = fields.coordinates || fields;
+  const hasCoordinates = rawCoordinates.lat !== undefined || rawCoordinates.lng !== undefined;
+  const coordinates = hasCoordinates ? parseCoordinates(rawCoordinates.lat, rawCoordinates.lng) : null;
+
+  if (hasCoordinates && !coordinates) {
+    throw geocodingError(400, `${label} has invalid coordinates`);
+  }
+
+  if (coordinates) {
+    if (address) {
+      return { address, placeName, coordinates, geocodedBy: fields.geocodedBy || 'client' };
+    }
+
+    const found = await reverseGeocode(coordinates.lat, coordinates.lng);
+    if (!found) {
+      throw geocodingError(400, `${label} needs an address`);
+    }
+    return { address: found.address, placeName: placeName || found.placeName || '', coordinates, geocodedBy: found.geocodedBy };
+  }
+
+  if (!address) {
+    throw geocodingError(400, `${label} needs an address`);
+  }
+
+  const found = await geocodeAddress(address);
+  if (!found) {
+    return { address, placeName, geocodedBy: null };
+  }
+
+  return {
+    address,
+    placeName: placeName || found.placeName || '',
+    coordinates: { lat: found.lat, lng: found.lng },
+    geocodedBy: found.geocodedBy
+  };
+};
+
+module.exports = {
+  registerGeocoder,
+  getGeocoder,
+  geocodeAddress,
+  reverseGeocode,
+  resolveLocation
+};
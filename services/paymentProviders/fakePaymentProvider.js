@@ -0,0 +1,115 @@
+// services/paymentProviders/fakePaymentProvider.js
+// In-process payment provider for local development. Nothing leaves the server: transactions
+// live in memory until settled with settleFakePayment(), and webhooks are signed with an
+// HMAC-SHA256 of the raw body using FAKE_PAYMENT_SECRET, in the x-fake-signature header.
+// Only selected when PAYMENT_PROVIDER=fake.
+
+const crypto = require('crypto');
+
+const transactions = new Map();
+
+const getSecret = () => {
+  const secret = process.env.FAKE_PAYMENT_SECRET;
+  if (!secret) {
+    throw new Error('FAKE_PAYMENT_SECRET is not set');
+  }
+  return secret;
+};
+
+const assertConfigured = () => {
+  getSecret();
+};
+
+const sign = (rawBody) => crypto.createHmac('sha256', getSecret()).update(rawBody).digest('hex');
+
+const initialize = async ({ reference, amount, currency }) => {
+  transactions.set(reference, { reference, amount, currency, status: 'initialized', paidAt: null });
+
+  return {
+    authorizationUrl: `fake://checkout/${reference}`,
+    providerReference: `fake_${reference}`
+  };
+};
+
+const verify = async (reference) => {
+  const transaction = transactions.get(reference);
+  if (!transaction) {
+    throw new Error(`Unknown fake transaction: ${reference}`);
+  }
+
+  return {
+    status: transaction.status,
+    amount: transaction.amount,
+    currency: transaction.currency,
+    paidAt: transaction.paidAt,
+    providerReference: `fake_${reference}`,
+    failureReason: transaction.status === 'failed' ? 'Declined by fake provider' : null
+  };
+};
+
+const refund = async ({ reference }) => {
+  const transaction = transactions.get(reference);
+  if (!transaction || transaction.status !== 'succeeded') {
+    throw new Error(`Fake transaction ${reference} cannot be refunded`);
+  }
+  transaction.status = 'refunded';
+  return { providerReference: `fake_refund_${reference}` };
+};
+
+const parseWebhook = (rawBody, headers) => {
+  const signature = headers['x-fake-signature'];
+  const expected = sign(rawBody);
+
+  if (!signature || signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    const error = new Error('Invalid webhook signature');
+    error.status = 401;
+    throw error;
+  }
+
+  const { reference, status, amount, currency } = JSON.parse(rawBody.toString('utf8'));
+  if (!reference || !['succeeded', 'failed'].includes(status)) {
+    return null;
+  }
+
+  return {
+    reference,
+    status,
+    amount,
+    currency,
+    paidAt: status === 'succeeded' ? new Date() : null,
+    providerReference: `fake_${reference}`,
+    failureReason: status === 'failed' ? 'Declined by fake provider' : null
+  };
+};
+
+// Settle a transaction as the customer would on the checkout page, and return the signed webhook
+// the provider would send: { rawBody, headers }
+const settleFakePayment = (reference, status = 'succeeded') => {
+  const transaction = transactions.get(reference);
+  if (!transaction) {
+    throw new Error(`Unknown fake transaction: ${reference}`);
+  }
+
+  transaction.status = status;
+  transaction.paidAt = status === 'succeeded' ? new Date() : null;
+
+  const rawBody = Buffer.from(JSON.stringify({
+    reference,
+    status,
+    amount: transaction.amount,
+    currency: transaction.currency
+  }));
+
+  return { rawBody, headers: { 'x-fake-signature': sign(rawBody) } };
+};
+
+module.exports = {
+  name: 'fake',
+  assertConfigured,
+  initialize,
+  verify,
+  refund,
+  parseWebhook,
+  settleFakePayment
+};
@@ -0,0 +1,132 @@
+// services/paymentProviders/paystackPaymentProvider.js
+// Paystack adapter. Amounts are sent in kobo. Webhooks are signed with an HMAC-SHA512 of the raw
+// body using the secret key, in the x-paystack-signature header.
+
+const crypto = require('crypto');
+
+const API_URL = process.env.PAYSTACK_API_URL || 'https://api.paystack.co';
+
+const getSecretKey = () => {
+  const key = process.env.PAYSTACK_SECRET_KEY;
+  if (!key) {
+    throw new Error('PAYSTACK_SECRET_KEY is not set');
+  }
+  return key;
+};
+
+const assertConfigured = () => {
+  getSecretKey();
+};
+
+const toKobo = (amount) => Math.round(amount * 100);
+const fromKobo = (amount) => amount / 100;
+
+const request = async (method, path, body) => {
+  const response = await fetch(`${API_URL}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${getSecretKey()}`,
+      'Content-Type': 'application/json'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const payload = await response.json().catch(() => ({}));
+  if (!response.ok || payload.status === false) {
+    throw new Error(`Paystack ${method} ${path} failed: ${payload.message || response.status}`);
+  }
+  return payload.data;
+};
+
+// Paystack transaction status -> ours
+const STATUS_MAP = {
+  success: 'succeeded',
+  failed: 'failed',
+  reversed: 'refunded',
+  abandoned: 'initialized',
+  ongoing: 'initialized',
+  pending: 'initialized',
+  processing: 'initialized',
+  queued: 'initialized'
+};
+
+const initialize = async ({ reference, amount, currency, email, callbackUrl, metadata }) => {
+  const data = await request('POST', '/transaction/initialize', {
+    reference,
+    amount: toKobo(amount),
+    currency,
+    email,
+    callback_url: callbackUrl || undefined,
+    metadata
+  });
+
+  return {
+    authorizationUrl: data.authorization_url,
+    providerReference: data.access_code
+  };
+};
+
+const verify = async (reference) => {
+  const data = await request('GET', `/transaction/verify/${encodeURIComponent(reference)}`);
+
+  return {
+    status: STATUS_MAP[data.status] || 'initialized',
+    amount: fromKobo(data.amount),
+    currency: data.currency,
+    paidAt: data.paid_at ? new Date(data.paid_at) : null,
+    providerReference: data.id ? String(data.id) : null,
+    failureReason: data.status === 'failed' ? data.gateway_response || 'Payment failed' : null
+  };
+};
+
+const refund = async ({ reference, amount }) => {
+  const data = await request('POST', '/refund', {
+    transaction: reference,
+    amount: toKobo(amount)
+  });
+
+  return {
+    providerReference: data.id ? String(data.id) : null
+  };
+};
+
+// Check the signature and read the event. Returns null for events we do not act on.
+const parseWebhook = (rawBody, headers) => {
+  const signature = headers['x-paystack-signature'];
+  const expected = crypto.createHmac('sha512', getSecretKey()).update(rawBody).digest('hex');
+
+  if (!signature || signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    const error = new Error('Invalid webhook signature');
+    error.status = 401;
+    throw error;
+  }
+
+  const { event, data } = JSON.parse(rawBody.toString('utf8'));
+  if (!data || !data.reference) {
+    return null;
+  }
+
+  if (event === 'charge.success' || event === 'charge.failed') {
+    return {
+      reference: data.reference,
+      status: event === 'charge.success' ? 'succeeded' : 'failed',
+      amount: fromKobo(data.amount),
+      currency: data.currency,
+      paidAt: data.paid_at ? new Date(data.paid_at) : null,
+      providerReference: data.id ? String(data.id) : null,
+      failureReason: event === 'charge.failed' ? data.gateway_response || 'Payment failed' : null
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  name: 'paystack',
+  assertConfigured,
+  initialize,
+  verify,
+  refund,
+  parseWebhook
+};
@@ -0,0 +1,492 @@
+// services/paymentService.js
+// Online payments for rides, charter orders and wallet top-ups.
+//
+// Providers are pluggable. A provider is an object with
+//   name                                  - used to select it with the PAYMENT_PROVIDER env variable
+//   assertConfigured()                    - throws if the provider's settings (e.g. its secret) are missing
+//   initialize({ reference, amount, currency, email, callbackUrl, metadata })
+//                                         - resolves to { authorizationUrl, providerReference }
+//   verify(reference)                     - resolves to a result (below)
+//   refund({ reference, amount })         - resolves to { providerReference }
+//   parseWebhook(rawBody, headers)        - checks the signature (throwing a 401 error if it is wrong)
+//                                           and returns a result, or null for events we ignore
+// A result is { reference, status: initialized|succeeded|failed|refunded, amount, currency, paidAt,
+// providerReference, failureReason }. Amounts are in Naira.
+//
+// Register one with registerPaymentProvider(). PAYMENT_PROVIDER has no default, so a deployment
+// never falls back to the fake provider: the server refuses to start until assertPaymentConfig()
+// passes, and the fake provider's webhook is only accepted when it is the configured provider.
+// Cash-only deployments set PAYMENT_PROVIDER=none, which turns online payments off.
+
+const crypto = require('crypto');
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const CharterOrder = require('../models/charter/CharterOrder');
+const User = require('../models/User');
+const { createNotification } = require('./notificationService');
+const { creditWallet, debitWallet } = require('./walletService');
+const { recordCancellationEarning, markEarningCollected } = require('./earningsService');
+const paystackPaymentProvider = require('./paymentProviders/paystackPaymentProvider');
+const fakePaymentProvider = require('./paymentProviders/fakePaymentProvider');
+
+const CURRENCY = 'NGN';
+
+// PAYMENT_PROVIDER value for deployments that take no online payments
+const NO_PAYMENT_PROVIDER = 'none';
+
+// Charter orders can be paid for once the customer has accepted the quote
+const PAYABLE_CHARTER_STATUSES = ['accepted', 'in_progress', 'completed'];
+
+// Wallet top-up limits, in Naira
+const MIN_TOP_UP = parseFloat(process.env.WALLET_MIN_TOP_UP) || 100;
+const MAX_TOP_UP = parseFloat(process.env.WALLET_MAX_TOP_UP) || 500000;
+
+const providers = {
+  [paystackPaymentProvider.name]: paystackPaymentProvider,
+  [fakePaymentProvider.name]: fakePaymentProvider
+};
+
+const paymentError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const registerPaymentProvider = (provider) => {
+  const methods = ['assertConfigured', 'initialize', 'verify', 'refund', 'parseWebhook'];
+  if (!provider || !provider.name || methods.some(method => typeof provider[method] !== 'function')) {
+    throw new Error(`A payment provider needs a name and ${methods.join(', ')} functions`);
+  }
+  providers[provider.name] = provider;
+};
+
+// The named provider, or the configured one
+const getPaymentProvider = (name) => {
+  const providerName = name || process.env.PAYMENT_PROVIDER;
+  if (!providerName) {
+    throw new Error('PAYMENT_PROVIDER is not set');
+  }
+  if (providerName === NO_PAYMENT_PROVIDER) {
+    throw paymentError(503, 'Online payments are not available');
+  }
+  const provider = providers[providerName];
+  if (!provider) {
+    throw paymentError(404, `Unknown payment provider: ${providerName}`);
+  }
+  return provider;
+};
+
+// Check at startup that PAYMENT_PROVIDER names a registered provider with its settings in place
+const assertPaymentConfig = () => {
+  const name = process.env.PAYMENT_PROVIDER;
+  if (name === NO_PAYMENT_PROVIDER) {
+    return;
+  }
+  if (!name || !providers[name]) {
+    throw new Error(`PAYMENT_PROVIDER must be one of: ${[...Object.keys(providers), NO_PAYMENT_PROVIDER].join(', ')}`);
+  }
+  providers[name].assertConfigured();
+};
+
+const generateReference = () =>
+  `PAY-${Date.now().toString(36)}-${crypto.randomBytes(5).toString('hex')}`.toUpperCase();
+
+// What the rider owes online on a ride right now: { purpose, amount }, or null.
+// A wallet ride the wallet could not cover can be paid online instead.
+const getRideAmountDue = (ride) => {
+  if (ride.paymentStatus === 'completed' || ride.paymentStatus === 'refunded') {
+    return null;
+  }
+
+  if (ride.status === 'completed' &&
+      (ride.paymentMethod === 'online' || (ride.paymentMethod === 'wallet' && ride.paymentStatus === 'failed'))) {
+    return { purpose: 'ride_fare', amount: ride.totalFare };
+  }
+
+  if (ride.status === 'cancelled' && ride.cancellation && ride.cancellation.feeStatus === 'pending') {
+    return { purpose: 'ride_cancellation_fee', amount: ride.cancellation.fee };
+  }
+
+  return null;
+};
+
+// What the customer owes on a charter order right now: { purpose, amount }, or null.
+// Invoiced orders are billed outside the app.
+const getCharterAmountDue = (order) => {
+  if (order.paymentMethod === 'invoice' ||
+      !PAYABLE_CHARTER_STATUSES.includes(order.status) ||
+      order.paymentStatus === 'completed' || order.paymentStatus === 'refunded' ||
+      !(order.totalPrice > 0)) {
+    return null;
+  }
+  return { purpose: 'charter', amount: order.totalPrice };
+};
+
+// A ride or charter order has at most one open payment per purpose (a unique index enforces it).
+// Starting to pay again, e.g. from a second tab, returns the open one's checkout rather than
+// opening a second payment the customer could also complete.
+const reuseOpenPayment = async (target) => {
+  const open = await Payment.findOne({ ...target, status: 'initialized' });
+  if (!open) {
+    return null;
+  }
+  if (!open.authorizationUrl) {
+    throw paymentError(409, 'A payment is already being started. Please try again in a moment');
+  }
+  return open;
+};
+
+// Open a payment with the provider and record it
+const initializePayment = async ({ purpose, amount, userId, rideId = null, charterOrderId = null, callbackUrl }) => {
+  const provider = getPaymentProvider();
+  const target = rideId ? { rideId, purpose } : charterOrderId ? { charterOrderId, purpose } : null;
+
+  const open = target ? await reuseOpenPayment(target) : null;
+  if (open) {
+    return open;
+  }
+
+  const user = await User.findById(userId).select('email').lean();
+
+  let payment;
+  try {
+    payment = await Payment.create({
+      reference: generateReference(),
+      provider: provider.name,
+      purpose,
+      userId,
+      rideId,
+      charterOrderId,
+      amount,
+      currency: CURRENCY
+    });
+  } catch (error) {
+    // Another request opened one at the same moment
+    const raced = error.code === 11000 && target ? await reuseOpenPayment(target) : null;
+    if (!raced) {
+      throw error;
+    }
+    return raced;
+  }
+
+  try {
+    const { authorizationUrl, providerReference } = await provider.initialize({
+      reference: payment.reference,
+      amount,
+      currency: CURRENCY,
+      email: user ? user.email : undefined,
+      callbackUrl,
+      metadata: { purpose, rideId, charterOrderId }
+    });
+
+    payment.authorizationUrl = authorizationUrl;
+    payment.providerReference = providerReference || null;
+    payment.events.push({ source: 'initialize', status: 'initialized', at: new Date() });
+    await payment.save();
+    return payment;
+  } catch (error) {
+    console.error(`Payment provider ${provider.name} failed to initialize ${payment.reference}:`, error);
+    payment.status = 'failed';
+    payment.failureReason = error.message;
+    payment.events.push({ source: 'initialize', status: 'failed', detail: error.message, at: new Date() });
+    await payment.save();
+    throw paymentError(502, 'Payment provider is unavailable. Please try again');
+  }
+};
+
+// Start paying for a ride: its fare once completed, or a pending cancellation fee
+const startRidePayment = async (ride, userId, callbackUrl) => {
+  const due = getRideAmountDue(ride);
+  if (!due) {
+    throw paymentError(400, ride.paymentStatus === 'completed'
+      ? 'This ride has already been paid for'
+      : 'There is nothing to pay online on this ride');
+  }
+
+  return initializePayment({ ...due, userId, rideId: ride._id, callbackUrl });
+};
+
+// Start paying for a charter order once its quote has been accepted
+const startCharterPayment = async (order, userId, callbackUrl) => {
+  const due = getCharterAmountDue(order);
+  if (!due) {
+    throw paymentError(400, order.paymentStatus === 'completed'
+      ? 'This charter order has already been paid for'
+      : 'There is nothing to pay online on this charter order');
+  }
+
+  return initializePayment({ ...due, userId, charterOrderId: order._id, callbackUrl });
+};
+
+// Start topping up the user's wallet
+const startWalletTopUp = async (userId, amount, callbackUrl) => {
+  const value = Math.round(Number(amount) * 100) / 100;
+  if (!Number.isFinite(value) || value < MIN_TOP_UP || value > MAX_TOP_UP) {
+    throw paymentError(400, `Top-up amount must be between ${MIN_TOP_UP} and ${MAX_TOP_UP}`);
+  }
+
+  return initializePayment({ purpose: 'wallet_top_up', amount: value, userId, callbackUrl });
+};
+
+// Credit a successful top-up to the wallet, once
+const creditTopUp = (payment) => creditWallet(payment.userId, payment.amount, {
+  type: 'top_up',
+  description: 'Wallet top-up',
+  idempotencyKey: `top_up:${payment.reference}`,
+  paymentId: payment._id
+});
+
+// Bring the ride, charter order or wallet a payment is for in line with it
+const settlePaymentTarget = async (payment) => {
+  const Model = payment.purpose === 'charter' ? CharterOrder : Ride;
+  const targetId = payment.purpose === 'charter' ? payment.charterOrderId : payment.rideId;
+
+  if (payment.purpose === 'wallet_top_up') {
+    if (payment.status === 'succeeded') {
+      await creditTopUp(payment);
+    }
+  } else if (payment.status === 'succeeded') {
+    const conditions = { _id: targetId, paymentStatus: { $nin: ['completed', 'refunded'] } };
+    const update = { paymentStatus: 'completed' };
+    if (payment.purpose === 'charter') {
+      update.paymentMethod = 'online';
+    }
+    if (payment.purpose === 'ride_cancellation_fee') {
+      conditions['cancellation.feeStatus'] = 'pending';
+      update['cancellation.feeStatus'] = 'charged';
+    }
+    const updated = await Model.findOneAndUpdate(conditions, update, { new: true });
+    // The driver's share of a cancellation fee is earned once the rider has paid it, and a
+    // trip's earning can be paid out once its fare is in
+    if (updated && payment.purpose === 'ride_cancellation_fee') {
+      await recordCancellationEarning(updated);
+    } else if (updated) {
+      await markEarningCollected(
+        payment.purpose === 'charter' ? { charterOrderId: updated._id } : { rideId: updated._id },
+        updated.paymentMethod
+      );
+    }
+  } else if (payment.status === 'failed') {
+    await Model.updateOne({ _id: targetId, paymentStatus: 'pending' }, { paymentStatus: 'failed' });
+  }
+
+  const what = {
+    ride_fare: 'ride',
+    ride_cancellation_fee: 'cancellation fee',
+    charter: 'charter order',
+    wallet_top_up: 'wallet top-up'
+  }[payment.purpose];
+  // The payment is settled either way; a failed notification should not make the provider retry
+  await createNotification(
+    payment.userId,
+    'payment_update',
+    payment.status === 'succeeded' ? 'Payment Received' : 'Payment Failed',
+    payment.status === 'succeeded'
+      ? `We received your payment of ₦${payment.amount} for your ${what}.`
+      : `Your payment of ₦${payment.amount} for your ${what} did not go through. Please try again.`,
+    { rideId: payment.rideId, orderId: payment.charterOrderId, reference: payment.reference }
+  ).catch(() => null);
+};
+
+// Record what the provider told us about a payment. Only the first final result counts, so a
+// webhook and a verify racing each other settle the payment once.
+const applyPaymentResult = async (payment, result, source) => {
+  const event = { source, status: result.status, detail: result.failureReason || undefined, at: new Date() };
+
+  if (result.status !== 'succeeded' && result.status !== 'failed') {
+    return Payment.findByIdAndUpdate(payment._id, { $push: { events: event } }, { new: true });
+  }
+
+  let { status, failureReason } = result;
+  if (status === 'succeeded' &&
+      (Number(result.amount) < payment.amount || (result.currency && result.currency !== payment.currency))) {
+    status = 'failed';
+    failureReason = `Provider reported ${result.amount} ${result.currency}, expected ${payment.amount} ${payment.currency}`;
+    event.status = status;
+    event.detail = failureReason;
+  }
+
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'initialized' },
+    {
+      status,
+      paidAt: status === 'succeeded' ? result.paidAt || new Date() : null,
+      failureReason: status === 'failed' ? failureReason || 'Payment failed' : null,
+      providerReference: result.providerReference || payment.providerReference,
+      $push: { events: event }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    // Already settled; keep the report for the record
+    return Payment.findByIdAndUpdate(payment._id, { $push: { events: event } }, { new: true });
+  }
+
+  await settlePaymentTarget(updated);
+  return updated;
+};
+
+// Ask the provider how a payment went, e.g. when the customer returns from the checkout page
+const verifyPayment = async (payment) => {
+  if (payment.status !== 'initialized') {
+    return payment;
+  }
+
+  const provider = getPaymentProvider(payment.provider);
+  let result;
+  try {
+    result = await provider.verify(payment.reference);
+  } catch (error) {
+    console.error(`Payment provider ${provider.name} failed to verify ${payment.reference}:`, error);
+    throw paymentError(502, 'Could not reach the payment provider. Please try again');
+  }
+
+  return applyPaymentResult(payment, result, 'verify');
+};
+
+// Handle a provider webhook. Returns the payment it settled, or null when there was nothing to do.
+const handleWebhook = async (providerName, rawBody, headers) => {
+  const provider = getPaymentProvider(providerName);
+  // Fake webhooks settle payments without any money moving; only take them when the fake
+  // provider is the one in use
+  if (provider.name === fakePaymentProvider.name && process.env.PAYMENT_PROVIDER !== fakePaymentProvider.name) {
+    throw paymentError(404, `Unknown payment provider: ${providerName}`);
+  }
+  if (!rawBody) {
+    throw paymentError(400, 'Webhook body is missing');
+  }
+
+  const result = provider.parseWebhook(rawBody, headers);
+  if (!result) {
+    return null;
+  }
+
+  const payment = await Payment.findOne({ reference: result.reference, provider: provider.name });
+  if (!payment) {
+    console.error(`Webhook from ${provider.name} for unknown payment ${result.reference}`);
+    return null;
+  }
+
+  return applyPaymentResult(payment, result, 'webhook');
+};
+
+// Refund a successful payment, in full unless an amount is given.
+// The payment is claimed (succeeded -> refunding) before the provider is asked, so two admins
+// refunding at once cannot both send money back. If the provider call fails the claim is
+// released; a payment left in refunding means the outcome is unknown and must be checked with
+// the provider.
+const refundPayment = async (payment, adminId, amount) => {
+  if (payment.status !== 'succeeded') {
+    throw paymentError(400, 'Only successful payments can be refunded');
+  }
+
+  const refundAmount = amount === undefined || amount === null ? payment.amount : Number(amount);
+  if (!(refundAmount > 0) || refundAmount > payment.amount) {
+    throw paymentError(400, `Refund amount must be between 0 and ${payment.amount}`);
+  }
+
+  const provider = getPaymentProvider(payment.provider);
+
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'succeeded' },
+    {
+      status: 'refunding',
+      $push: { events: { source: 'refund', status: 'refunding', detail: `${refundAmount} ${payment.currency}`, at: new Date() } }
+    },
+    { new: true }
+  );
+
+  if (!claimed) {
+    throw paymentError(409, 'Payment was updated by someone else. Please refresh and try again');
+  }
+
+  const releaseClaim = (detail) => Payment.updateOne(
+    { _id: payment._id, status: 'refunding' },
+    {
+      status: 'succeeded',
+      $push: { events: { source: 'refund', status: 'failed', detail, at: new Date() } }
+    }
+  );
+
+  // Money refunded to the card comes back out of the wallet it topped up, so it must still be
+  // there. Each claim is its own attempt: a failed attempt's debit is reversed, so a retry must
+  // debit again rather than find the first one.
+  const attempt = claimed.events.filter(event => event.source === 'refund' && event.status === 'refunding').length;
+  let walletDebit = null;
+  if (payment.purpose === 'wallet_top_up') {
+    try {
+      walletDebit = await debitWallet(payment.userId, refundAmount, {
+        type: 'adjustment',
+        description: 'Top-up refunded to card',
+        idempotencyKey: `top_up_refund:${payment.reference}:${attempt}`,
+        paymentId: payment._id,
+        createdBy: adminId,
+        reason: `Refund of payment ${payment.reference}`
+      });
+    } catch (error) {
+      await releaseClaim(error.message);
+      throw error;
+    }
+  }
+
+  let result;
+  try {
+    result = await provider.refund({ reference: payment.reference, amount: refundAmount });
+  } catch (error) {
+    console.error(`Payment provider ${provider.name} failed to refund ${payment.reference}:`, error);
+    if (walletDebit && !walletDebit.duplicate) {
+      await creditWallet(payment.userId, refundAmount, {
+        type: 'adjustment',
+        description: 'Top-up refund failed',
+        idempotencyKey: `top_up_refund_failed:${payment.reference}:${attempt}`,
+        paymentId: payment._id,
+        createdBy: adminId,
+        reason: `Refund of payment ${payment.reference} failed: ${error.message}`
+      });
+    }
+    await releaseClaim(error.message);
+    throw paymentError(502, `Refund failed: ${error.message}`);
+  }
+
+  const now = new Date();
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'refunding' },
+    {
+      status: 'refunded',
+      refund: {
+        amount: refundAmount,
+        providerReference: result && result.providerReference ? result.providerReference : null,
+        refundedBy: adminId,
+        refundedAt: now
+      },
+      $push: { events: { source: 'refund', status: 'refunded', detail: `${refundAmount} ${payment.currency}`, at: now } }
+    },
+    { new: true }
+  );
+
+  // A partial refund leaves the ride or order paid
+  if (refundAmount === payment.amount && payment.purpose !== 'wallet_top_up') {
+    const Model = payment.purpose === 'charter' ? CharterOrder : Ride;
+    const targetId = payment.purpose === 'charter' ? payment.charterOrderId : payment.rideId;
+    await Model.updateOne({ _id: targetId }, { paymentStatus: 'refunded' });
+  }
+
+  return updated;
+};
+
+module.exports = {
+  PAYABLE_CHARTER_STATUSES,
+  registerPaymentProvider,
+  getPaymentProvider,
+  assertPaymentConfig,
+  getRideAmountDue,
+  getCharterAmountDue,
+  startRidePayment,
+  startCharterPayment,
+  startWalletTopUp,
+  applyPaymentResult,
+  verifyPayment,
+  handleWebhook,
+  refundPayment
+};
@@ -0,0 +1,192 @@
+// services/paymentService.test.js
+const { describe, it, mock, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+const { registerPaymentProvider, startRidePayment, refundPayment } = require('./paymentService');
+
+mongoose.set('bufferCommands', false);
+
+// A provider that does whatever each test tells it to
+const provider = {
+  name: 'test',
+  assertConfigured: () => {},
+  initialize: async ({ reference }) => ({ authorizationUrl: `https://pay.test/${reference}`, providerReference: null }),
+  verify: async () => ({ status: 'initialized' }),
+  refund: async () => ({ providerReference: 'RF-1' }),
+  parseWebhook: () => null
+};
+
+const adminId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+
+// In-memory payments, updated the way Mongo would apply the service's conditional updates
+let payments;
+
+const applyUpdate = (filter, update) => {
+  const payment = payments.get(String(filter._id));
+  if (!payment || (filter.status && payment.status !== filter.status)) {
+    return null;
+  }
+  const { $push, ...fields } = update;
+  Object.assign(payment, fields);
+  if ($push) {
+    payment.events.push($push.events);
+  }
+  return { ...payment, events: [...payment.events] };
+};
+
+const addPayment = (fields) => {
+  const payment = {
+    _id: new mongoose.Types.ObjectId(),
+    reference: `PAY-${payments.size + 1}`,
+    provider: 'test',
+    userId,
+    amount: 5000,
+    currency: 'NGN',
+    status: 'succeeded',
+    events: [],
+    ...fields
+  };
+  payments.set(String(payment._id), payment);
+  return { ...payment, events: [] };
+};
+
+before(() => {
+  registerPaymentProvider(provider);
+  process.env.PAYMENT_PROVIDER = 'test';
+});
+
+beforeEach(() => {
+  payments = new Map();
+  mock.method(Payment, 'findOneAndUpdate', async (filter, update) => applyUpdate(filter, update));
+  mock.method(Payment, 'updateOne', async (filter, update) => ({ modifiedCount: applyUpdate(filter, update) ? 1 : 0 }));
+  mock.method(Ride, 'updateOne', async () => ({ modifiedCount: 1 }));
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('refundPayment', () => {
+  it('refunds a payment once when two refunds race', async () => {
+    const payment = addPayment({ purpose: 'ride_fare', rideId: new mongoose.Types.ObjectId() });
+    const refund = mock.method(provider, 'refund');
+
+    const results = await Promise.allSettled([
+      refundPayment(payment, adminId),
+      refundPayment(payment, adminId)
+    ]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(results.find(result => result.status === 'rejected').reason.status, 409);
+    assert.equal(refund.mock.callCount(), 1);
+    assert.equal(payments.get(String(payment._id)).status, 'refunded');
+  });
+
+  it('claims the payment before asking the provider', async () => {
+    const payment = addPayment({ purpose: 'ride_fare', rideId: new mongoose.Types.ObjectId() });
+    let statusDuringRefund = null;
+    mock.method(provider, 'refund', async () => {
+      statusDuringRefund = payments.get(String(payment._id)).status;
+      return {};
+    });
+
+    await refundPayment(payment, adminId);
+    assert.equal(statusDuringRefund, 'refunding');
+  });
+
+  it('releases the claim when the provider fails, so it can be retried', async () => {
+    const payment = addPayment({ purpose: 'ride_fare', rideId: new mongoose.Types.ObjectId() });
+    mock.method(provider, 'refund', async () => {
+      throw new Error('provider down');
+    }, { times: 1 });
+
+    await assert.rejects(refundPayment(payment, adminId), { status: 502 });
+    assert.equal(payments.get(String(payment._id)).status, 'succeeded');
+
+    const refunded = await refundPayment(payment, adminId);
+    assert.equal(refunded.status, 'refunded');
+    assert.equal(refunded.refund.amount, 5000);
+  });
+
+  it('takes a refunded top-up back out of the wallet on every attempt that goes through', async () => {
+    const wallet = { userId, balance: 5000 };
+    const ledger = [];
+    mock.method(Wallet, 'findOneAndUpdate', async (conditions, update) => {
+      if (conditions.balance && wallet.balance < conditions.balance.$gte) return null;
+      if (update.$inc) wallet.balance += update.$inc.balance;
+      return { ...wallet };
+    });
+    mock.method(WalletTransaction, 'findOne', async ({ idempotencyKey }) =>
+      ledger.find(entry => entry.idempotencyKey === idempotencyKey) || null);
+    mock.method(WalletTransaction, 'create', async (entry) => {
+      ledger.push(entry);
+      return entry;
+    });
+    mock.method(provider, 'refund', async () => {
+      throw new Error('provider down');
+    }, { times: 1 });
+
+    const payment = addPayment({ purpose: 'wallet_top_up' });
+
+    await assert.rejects(refundPayment(payment, adminId), { status: 502 });
+    assert.equal(wallet.balance, 5000);
+
+    await refundPayment(payment, adminId);
+    assert.equal(wallet.balance, 0);
+    assert.equal(payments.get(String(payment._id)).status, 'refunded');
+  });
+
+  it('refuses to refund a payment that has not succeeded', async () => {
+    const payment = addPayment({ purpose: 'ride_fare', status: 'refunding' });
+    await assert.rejects(refundPayment(payment, adminId), { status: 400 });
+  });
+});
+
+describe('startRidePayment', () => {
+  const ride = {
+    _id: new mongoose.Types.ObjectId(),
+    status: 'completed',
+    paymentMethod: 'online',
+    paymentStatus: 'pending',
+    totalFare: 2500
+  };
+
+  beforeEach(() => {
+    mock.method(User, 'findById', () => ({ select: () => ({ lean: async () => ({ email: 'rider@example.com' }) }) }));
+  });
+
+  it('returns the open payment instead of opening another', async () => {
+    const open = { reference: 'PAY-OPEN', status: 'initialized', authorizationUrl: 'https://pay.test/PAY-OPEN' };
+    const findOne = mock.method(Payment, 'findOne', async () => open);
+    const create = mock.method(Payment, 'create', async () => {
+      throw new Error('should not open a payment');
+    });
+
+    const payment = await startRidePayment(ride, userId);
+
+    assert.equal(payment, open);
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], { rideId: ride._id, purpose: 'ride_fare', status: 'initialized' });
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it('returns the payment a racing request opened', async () => {
+    const raced = { reference: 'PAY-RACED', status: 'initialized', authorizationUrl: 'https://pay.test/PAY-RACED' };
+    // Nothing is open at first; after the duplicate key the other request's payment is found
+    const findOne = mock.method(Payment, 'findOne', async () => (findOne.mock.callCount() === 0 ? null : raced));
+    const create = mock.method(Payment, 'create', async () => {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    });
+    const initialize = mock.method(provider, 'initialize');
+
+    const payment = await startRidePayment(ride, userId);
+
+    assert.equal(payment, raced);
+    assert.equal(create.mock.callCount(), 1);
+    assert.equal(findOne.mock.callCount(), 2);
+    assert.equal(initialize.mock.callCount(), 0);
+  });
+});
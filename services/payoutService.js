@@ -0,0 +1,477 @@
+// services/payoutService.js
+// Driver payouts. A driver's balance is what the earnings ledger owes them and no payout has
+// settled yet: their share of trips the platform has collected payment for (a trip still awaiting
+// its online or wallet payment waits with it), less what they owe on
+// cash trips, where they already hold the whole fare, plus the cash they have since remitted.
+// Cancellation fees are always collected by the platform.
+//
+// A payout batch claims the unsettled entries of every driver owed at least the threshold, so the
+// same earnings, or remittances, are never counted twice. Drivers who owe the platform carry the
+// balance forward.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const DriverEarning = require('../models/DriverEarning');
+const DriverPayout = require('../models/DriverPayout');
+const CashRemittance = require('../models/CashRemittance');
+const PayoutBatch = require('../models/PayoutBatch');
+const DriverDetail = require('../models/AdminDriver');
+const CharterDriver = require('../models/charter/CharterDriver');
+const { createNotification } = require('./notificationService');
+const { IS_CASH_TRIP, CASH_OWED, COLLECTED_FILTER } = require('./earningsService');
+const { refreshCashHold } = require('./cashReconciliationService');
+
+// Smallest balance, in Naira, paid out by default
+const PAYOUT_THRESHOLD = parseFloat(process.env.PAYOUT_MIN_AMOUNT) || 5000;
+
+const OPEN_BATCH_STATUSES = ['draft', 'approved'];
+
+const payoutError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// What a set of ledger entries adds to the drivers' balances
+const BALANCE_FIELDS = {
+  entryCount: { $sum: 1 },
+  earnings: { $sum: { $cond: [IS_CASH_TRIP, 0, '$driverShare'] } },
+  cashCommission: { $sum: { $cond: [IS_CASH_TRIP, CASH_OWED, 0] } }
+};
+
+// Remittances count towards the balance until a payout nets them off
+const UNSETTLED_REMITTANCE = { status: 'recorded', payoutId: null };
+
+const toBalance = (group) => {
+  const { entryCount = 0, earnings = 0, cashCommission = 0, remittances = 0 } = group || {};
+  return { entryCount, earnings, cashCommission, remittances, balance: earnings - cashCommission + remittances };
+};
+
+const sumRemittances = async (match) => {
+  const [result] = await CashRemittance.aggregate([
+    { $match: match },
+    { $group: { _id: null, remittances: { $sum: '$amount' } } }
+  ]);
+  return result ? result.remittances : 0;
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// Ledger filter for one driver: { driverId } or { charterDriverId }
+const getDriverFilter = ({ driverId, charterDriverId }) => (driverId
+  ? { driverId: toObjectId(driverId) }
+  : { charterDriverId: toObjectId(charterDriverId) });
+
+const generateReference = () => {
+  const day = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `PO-${day}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+};
+
+// Check and tidy bank details sent by a driver. Throws 400 if any are missing or invalid.
+const parseBankAccount = (body = {}) => {
+  const bankAccount = {};
+  for (const field of ['bankName', 'bankCode', 'accountNumber', 'accountName']) {
+    const value = body[field] === undefined || body[field] === null ? '' : String(body[field]).trim();
+    if (!value) {
+      throw payoutError(400, 'bankName, bankCode, accountNumber and accountName are required');
+    }
+    bankAccount[field] = value;
+  }
+
+  if (!/^\d{10}$/.test(bankAccount.accountNumber)) {
+    throw payoutError(400, 'Account number must be 10 digits');
+  }
+  return bankAccount;
+};
+
+const hasBankAccount = (driver) => Boolean(driver && driver.bankAccount &&
+  driver.bankAccount.accountNumber && driver.bankAccount.bankCode && driver.bankAccount.accountName);
+
+// A driver's unsettled balance, and what is already on its way in an open batch
+const getPendingBalance = async (driver) => {
+  const filter = getDriverFilter(driver);
+
+  const [[unsettled], [uncollected], remittances, inPayout] = await Promise.all([
+    DriverEarning.aggregate([
+      { $match: { ...filter, ...COLLECTED_FILTER, payoutId: null } },
+      { $group: { _id: null, ...BALANCE_FIELDS } }
+    ]),
+    DriverEarning.aggregate([
+      { $match: { ...filter, payoutId: null, collectedAt: null } },
+      { $group: { _id: null, amount: { $sum: '$driverShare' } } }
+    ]),
+    sumRemittances({ ...filter, ...UNSETTLED_REMITTANCE }),
+    DriverPayout.find({ ...filter, status: 'pending' }).select('amount batchId').lean()
+  ]);
+
+  return {
+    ...toBalance({ ...unsettled, remittances }),
+    awaitingCollection: uncollected ? uncollected.amount : 0,
+    inPayout: inPayout.reduce((sum, payout) => sum + payout.amount, 0),
+    threshold: PAYOUT_THRESHOLD
+  };
+};
+
+// Drivers with unsettled earnings or remittances up to the cutoff, with their balances
+const getDriverBalances = async (cutoff) => {
+  const driverKey = { driverId: '$driverId', charterDriverId: '$charterDriverId' };
+
+  const [earnings, remittances] = await Promise.all([
+    DriverEarning.aggregate([
+      { $match: { ...COLLECTED_FILTER, payoutId: null, earnedAt: { $lte: cutoff } } },
+      { $group: { _id: driverKey, ...BALANCE_FIELDS } }
+    ]),
+    CashRemittance.aggregate([
+      { $match: { ...UNSETTLED_REMITTANCE, receivedAt: { $lte: cutoff } } },
+      { $group: { _id: driverKey, remittances: { $sum: '$amount' } } }
+    ])
+  ]);
+
+  const byDriver = new Map();
+  const keyOf = (group) => String(group._id.driverId || group._id.charterDriverId);
+  earnings.forEach(group => byDriver.set(keyOf(group), group));
+  remittances.forEach(group => {
+    const existing = byDriver.get(keyOf(group));
+    byDriver.set(keyOf(group), existing ? { ...existing, remittances: group.remittances } : group);
+  });
+  return [...byDriver.values()];
+};
+
+// Ride and charter drivers by id, with their names and bank accounts
+const loadDrivers = async (balances) => {
+  const driverIds = balances.map(b => b._id.driverId).filter(Boolean);
+  const charterDriverIds = balances.map(b => b._id.charterDriverId).filter(Boolean);
+
+  const [drivers, charterDrivers] = await Promise.all([
+    DriverDetail.find({ _id: { $in: driverIds } }).select('userId bankAccount').populate('userId', 'fullname').lean(),
+    CharterDriver.find({ _id: { $in: charterDriverIds } }).select('userId bankAccount').populate('userId', 'fullname').lean()
+  ]);
+
+  const byId = new Map();
+  [...drivers, ...charterDrivers].forEach(driver => byId.set(driver._id.toString(), driver));
+  return byId;
+};
+
+// Claim one driver's unsettled entries and remittances for a payout and work out what it pays.
+// Returns the payout, or null if the claimed balance is below the threshold after all, e.g.
+// because another batch got there first; everything claimed is then released again.
+const createDriverPayout = async (batch, ref, driver) => {
+  const payoutId = new mongoose.Types.ObjectId();
+  const filter = getDriverFilter(ref);
+
+  await Promise.all([
+    DriverEarning.updateMany(
+      { ...filter, ...COLLECTED_FILTER, payoutId: null, earnedAt: { $lte: batch.cutoff } },
+      { payoutId }
+    ),
+    CashRemittance.updateMany(
+      { ...filter, ...UNSETTLED_REMITTANCE, receivedAt: { $lte: batch.cutoff } },
+      { payoutId }
+    )
+  ]);
+
+  const [[claimed], remittances] = await Promise.all([
+    DriverEarning.aggregate([
+      { $match: { payoutId } },
+      { $group: { _id: null, ...BALANCE_FIELDS } }
+    ]),
+    sumRemittances({ payoutId })
+  ]);
+  const { entryCount, earnings, cashCommission, balance } = toBalance({ ...claimed, remittances });
+
+  if (balance < batch.threshold || balance <= 0) {
+    await releasePayouts([payoutId]);
+    return null;
+  }
+
+  return DriverPayout.create({
+    _id: payoutId,
+    batchId: batch._id,
+    ...filter,
+    entryCount,
+    earnings,
+    cashCommission,
+    remittances,
+    amount: balance,
+    accountName: driver.bankAccount.accountName,
+    bankName: driver.bankAccount.bankName,
+    bankCode: driver.bankAccount.bankCode,
+    accountNumber: driver.bankAccount.accountNumber
+  });
+};
+
+const sumPayouts = (payouts) => ({
+  payouts: payouts.length,
+  earnings: payouts.reduce((sum, payout) => sum + payout.earnings, 0),
+  cashCommission: payouts.reduce((sum, payout) => sum + payout.cashCommission, 0),
+  remittances: payouts.reduce((sum, payout) => sum + (payout.remittances || 0), 0),
+  amount: payouts.reduce((sum, payout) => sum + payout.amount, 0)
+});
+
+// Collect every driver owed at least `threshold` into a new draft batch.
+// options: { threshold, cutoff (defaults to now), note }
+const createPayoutBatch = async (adminId, options = {}) => {
+  const threshold = options.threshold !== undefined && options.threshold !== null && options.threshold !== ''
+    ? Number(options.threshold)
+    : PAYOUT_THRESHOLD;
+  if (!Number.isFinite(threshold) || threshold < 0) {
+    throw payoutError(400, 'Threshold must be a number of 0 or more');
+  }
+
+  const cutoff = options.cutoff ? new Date(options.cutoff) : new Date();
+  if (Number.isNaN(cutoff.getTime()) || cutoff > new Date()) {
+    throw payoutError(400, 'Cutoff must be a valid date that is not in the future');
+  }
+
+  const open = await PayoutBatch.findOne({ status: { $in: OPEN_BATCH_STATUSES } }).select('reference status').lean();
+  if (open) {
+    throw payoutError(409, `Payout batch ${open.reference} is still ${open.status}. Pay or cancel it first`);
+  }
+
+  const balances = (await getDriverBalances(cutoff))
+    .filter(group => {
+      const { balance } = toBalance(group);
+      return balance > 0 && balance >= threshold;
+    });
+
+  if (balances.length === 0) {
+    throw payoutError(400, 'No driver is owed at least the threshold');
+  }
+
+  const drivers = await loadDrivers(balances);
+  const batch = await PayoutBatch.create({
+    reference: generateReference(),
+    threshold,
+    cutoff,
+    createdBy: adminId,
+    note: options.note || ''
+  });
+
+  const payouts = [];
+  const skipped = [];
+  for (const group of balances) {
+    const ref = group._id.driverId ? { driverId: group._id.driverId } : { charterDriverId: group._id.charterDriverId };
+    const driver = drivers.get(String(group._id.driverId || group._id.charterDriverId));
+    const { balance } = toBalance(group);
+
+    if (!driver) {
+      skipped.push({ ...ref, amount: balance, reason: 'Driver not found' });
+      continue;
+    }
+    if (!hasBankAccount(driver)) {
+      skipped.push({ ...ref, amount: balance, reason: 'No bank account on file' });
+      continue;
+    }
+
+    const payout = await createDriverPayout(batch, ref, driver);
+    if (payout) {
+      payouts.push(payout);
+    }
+  }
+
+  batch.totals = sumPayouts(payouts);
+  batch.skipped = skipped;
+  if (payouts.length === 0) {
+    batch.status = 'cancelled';
+    batch.cancelledBy = adminId;
+    batch.cancelledAt = new Date();
+  }
+  await batch.save();
+
+  return { batch, payouts };
+};
+
+const getBatch = async (batchId) => {
+  const batch = mongoose.Types.ObjectId.isValid(batchId) ? await PayoutBatch.findById(batchId) : null;
+  if (!batch) {
+    throw payoutError(404, 'Payout batch not found');
+  }
+  return batch;
+};
+
+// Move a batch on, only if it is still in `from`
+const updateBatchStatus = async (batchId, from, update) => {
+  const updated = await PayoutBatch.findOneAndUpdate(
+    { _id: batchId, status: { $in: [].concat(from) } },
+    update,
+    { new: true }
+  );
+
+  if (!updated) {
+    const batch = await getBatch(batchId);
+    throw payoutError(409, `Payout batch is ${batch.status}`);
+  }
+  return updated;
+};
+
+// Give failed or cancelled payouts' earnings and remittances back to the drivers' balances
+const releasePayouts = async (payoutIds) => {
+  if (payoutIds.length > 0) {
+    await Promise.all([
+      DriverEarning.updateMany({ payoutId: { $in: payoutIds } }, { payoutId: null }),
+      CashRemittance.updateMany({ payoutId: { $in: payoutIds } }, { payoutId: null })
+    ]);
+  }
+};
+
+const approveBatch = (batchId, adminId) => updateBatchStatus(batchId, 'draft', {
+  status: 'approved',
+  approvedBy: adminId,
+  approvedAt: new Date()
+});
+
+// Record that the bank transfers went out. results: [{ payoutId, transferReference, failed, reason }]
+// for payouts with a bank reference or that bounced; every other payout counts as paid.
+const markBatchPaid = async (batchId, adminId, results = []) => {
+  const batch = await getBatch(batchId);
+  if (batch.status !== 'approved') {
+    throw payoutError(409, batch.status === 'draft'
+      ? 'Payout batch must be approved before it is paid'
+      : `Payout batch is ${batch.status}`);
+  }
+
+  const payouts = await DriverPayout.find({ batchId: batch._id, status: 'pending' });
+  const resultsById = new Map((Array.isArray(results) ? results : [])
+    .filter(result => result && result.payoutId)
+    .map(result => [String(result.payoutId), result]));
+
+  const now = new Date();
+  const updated = await updateBatchStatus(batch._id, 'approved', {
+    status: 'paid',
+    paidBy: adminId,
+    paidAt: now
+  });
+
+  const paid = [];
+  const failed = [];
+  for (const payout of payouts) {
+    const result = resultsById.get(payout._id.toString()) || {};
+    payout.transferReference = result.transferReference || payout.transferReference;
+    if (result.failed) {
+      payout.status = 'failed';
+      payout.failureReason = result.reason || 'Transfer failed';
+      failed.push(payout);
+    } else {
+      payout.status = 'paid';
+      payout.paidAt = now;
+      paid.push(payout);
+    }
+    await payout.save();
+  }
+
+  await releasePayouts(failed.map(payout => payout._id));
+
+  updated.totals = sumPayouts(paid);
+  await updated.save();
+
+  // A paid payout settles the cash it netted off; a failed one leaves it owed again
+  for (const payout of payouts) {
+    await refreshCashHold({ driverId: payout.driverId, charterDriverId: payout.charterDriverId })
+      .catch(error => console.error(`Error refreshing cash hold after payout ${payout._id}:`, error));
+  }
+
+  await notifyPaidDrivers(paid);
+
+  return { batch: updated, paid: paid.length, failed: failed.length };
+};
+
+const notifyPaidDrivers = async (payouts) => {
+  const drivers = await loadDrivers(payouts.map(payout => ({
+    _id: { driverId: payout.driverId, charterDriverId: payout.charterDriverId }
+  })));
+
+  for (const payout of payouts) {
+    const driver = drivers.get(String(payout.driverId || payout.charterDriverId));
+    if (driver && driver.userId) {
+      await createNotification(
+        driver.userId._id,
+        'payment_update',
+        'Payout Sent',
+        `₦${payout.amount} has been sent to your ${payout.bankName || 'bank'} account ending ${String(payout.accountNumber).slice(-4)}.`,
+        { payoutId: payout._id }
+      ).catch(() => null);
+    }
+  }
+};
+
+// Cancel a batch that has not been paid; its drivers' earnings become unsettled again
+const cancelBatch = async (batchId, adminId) => {
+  const updated = await updateBatchStatus(batchId, OPEN_BATCH_STATUSES, {
+    status: 'cancelled',
+    cancelledBy: adminId,
+    cancelledAt: new Date()
+  });
+
+  const payouts = await DriverPayout.find({ batchId: updated._id, status: 'pending' }).select('_id').lean();
+  await DriverPayout.updateMany({ batchId: updated._id, status: 'pending' }, { status: 'cancelled' });
+  await releasePayouts(payouts.map(payout => payout._id));
+
+  return updated;
+};
+
+// Quote every CSV field. Fields a spreadsheet would read as a formula (account names come from
+// drivers) get a leading apostrophe so they show as text.
+const csvField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+const CSV_COLUMNS = ['Account Name', 'Account Number', 'Bank Code', 'Bank Name', 'Amount', 'Narration', 'Reference'];
+
+// Bank-transfer file for a batch: one row per payout that is pending or paid
+const exportBatchCsv = async (batchId) => {
+  const batch = await getBatch(batchId);
+  if (batch.status === 'cancelled') {
+    throw payoutError(409, 'Payout batch is cancelled');
+  }
+
+  const payouts = await DriverPayout.find({ batchId: batch._id, status: { $in: ['pending', 'paid'] } })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const rows = payouts.map(payout => [
+    payout.accountName,
+    payout.accountNumber,
+    payout.bankCode,
+    payout.bankName,
+    payout.amount.toFixed(2),
+    `Driver payout ${batch.reference}`,
+    payout._id.toString()
+  ]);
+
+  const csv = [CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(',')).join('\r\n');
+  return { batch, csv, filename: `${batch.reference}.csv` };
+};
+
+// A driver's payouts, newest first
+const getPayoutHistory = async (driver, { limit = 50, skip = 0 } = {}) => {
+  const filter = getDriverFilter(driver);
+
+  const [payouts, total] = await Promise.all([
+    DriverPayout.find({ ...filter, status: { $ne: 'cancelled' } })
+      .populate('batchId', 'reference status approvedAt paidAt')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    DriverPayout.countDocuments({ ...filter, status: { $ne: 'cancelled' } })
+  ]);
+
+  return { payouts, total };
+};
+
+module.exports = {
+  PAYOUT_THRESHOLD,
+  parseBankAccount,
+  getPendingBalance,
+  createPayoutBatch,
+  getBatch,
+  approveBatch,
+  markBatchPaid,
+  cancelBatch,
+  exportBatchCsv,
+  getPayoutHistory
+};
@@ -0,0 +1,390 @@
+// services/poolingService.js
+// Shared rides. A pooled ride joins a forming pool whose first rider was picked up and dropped off
+// close to its own pickup and destination, or starts a new one. Once the pool is full or its match
+// window ends, its lead ride is dispatched; the driver who accepts it takes every rider in the pool.
+
+const Ride = require('../models/Ride');
+const RidePool = require('../models/RidePool');
+const DriverDetail = require('../models/AdminDriver');
+const { createNotification } = require('./notificationService');
+const { startDispatch } = require('./dispatchService');
+const { ACTORS, TERMINAL_STATUSES, transitionRide, onRideStatusChange } = require('./rideStateMachine');
+const { calculateDistance, getBoundingBox } = require('../utils/geo');
+
+// Most riders sharing one vehicle
+const POOL_MAX_RIDERS = parseInt(process.env.POOL_MAX_RIDERS) || 3;
+
+// How close a rider's pickup and destination must be to the pool's first rider's
+const POOL_PICKUP_RADIUS_KM = parseFloat(process.env.POOL_PICKUP_RADIUS_KM) || 2;
+const POOL_DESTINATION_RADIUS_KM = parseFloat(process.env.POOL_DESTINATION_RADIUS_KM) || 3;
+
+// How long a new pool waits for more riders before it is dispatched
+const POOL_MATCH_WINDOW_MINUTES = parseFloat(process.env.POOL_MATCH_WINDOW_MINUTES) || 5;
+
+// How often pools whose match window has ended are dispatched
+const POOL_SWEEP_INTERVAL_MS = parseInt(process.env.POOL_SWEEP_INTERVAL_MS) || 15000;
+
+// Pools still looking for a driver; riders can leave without affecting anyone else's trip
+const OPEN_POOL_STATUSES = ['forming', 'dispatching'];
+
+// Member ride statuses once the rider is on board, and once they have been dropped off
+const ON_BOARD_STATUSES = ['picked_up', 'in_progress', 'completed'];
+
+let sweepTimer = null;
+
+const isWithin = (a, b, radiusKm) => calculateDistance(a.lat, a.lng, b.lat, b.lng) <= radiusKm;
+
+// Forming pools this ride could join, closest pickup first
+const findCompatiblePools = async (ride) => {
+  const pickup = ride.pickupLocation.coordinates;
+  const destination = ride.destination.coordinates;
+  const box = getBoundingBox(pickup, POOL_PICKUP_RADIUS_KM);
+
+  const pools = await RidePool.find({
+    status: 'forming',
+    rideType: ride.rideType,
+    formingUntil: { $gt: new Date() },
+    'anchor.pickup.lat': { $gte: box.minLat, $lte: box.maxLat },
+    'anchor.pickup.lng': { $gte: box.minLng, $lte: box.maxLng }
+  }).lean();
+
+  return pools
+    .filter(pool =>
+      isWithin(pool.anchor.pickup, pickup, POOL_PICKUP_RADIUS_KM) &&
+      isWithin(pool.anchor.destination, destination, POOL_DESTINATION_RADIUS_KM)
+    )
+    .sort((a, b) =>
+      calculateDistance(a.anchor.pickup.lat, a.anchor.pickup.lng, pickup.lat, pickup.lng) -
+      calculateDistance(b.anchor.pickup.lat, b.anchor.pickup.lng, pickup.lat, pickup.lng)
+    );
+};
+
+// Stop taking riders and dispatch the pool's lead ride
+const closePool = async (poolId) => {
+  const pool = await RidePool.findOneAndUpdate(
+    { _id: poolId, status: 'forming' },
+    { status: 'dispatching', closedAt: new Date() },
+    { new: true }
+  );
+
+  if (!pool) {
+    return null;
+  }
+
+  await startDispatch(pool.leadRideId);
+  return pool;
+};
+
+// Put a new pooled ride into a compatible pool, or start a pool with it.
+// Joining is atomic: a pool that filled up or closed in the meantime is skipped.
+const joinOrCreatePool = async (ride) => {
+  const candidates = await findCompatiblePools(ride);
+
+  for (const candidate of candidates) {
+    const pool = await RidePool.findOneAndUpdate(
+      {
+        _id: candidate._id,
+        status: 'forming',
+        formingUntil: { $gt: new Date() },
+        [`rides.${POOL_MAX_RIDERS - 1}`]: { $exists: false }
+      },
+      { $push: { rides: ride._id } },
+      { new: true }
+    );
+
+    if (pool) {
+      await Ride.updateOne({ _id: ride._id }, { 'pool.poolId': pool._id });
+
+      if (pool.rides.length >= POOL_MAX_RIDERS) {
+        await closePool(pool._id);
+      }
+      return pool;
+    }
+  }
+
+  const pool = await RidePool.create({
+    rideType: ride.rideType,
+    leadRideId: ride._id,
+    rides: [ride._id],
+    anchor: {
+      pickup: ride.pickupLocation.coordinates,
+      destination: ride.destination.coordinates
+    },
+    formingUntil: new Date(Date.now() + POOL_MATCH_WINDOW_MINUTES * 60 * 1000)
+  });
+
+  await Ride.updateOne({ _id: ride._id }, { 'pool.poolId': pool._id });
+
+  if (POOL_MAX_RIDERS <= 1) {
+    await closePool(pool._id);
+  }
+  return pool;
+};
+
+// The driver accepted a pooled ride: the pool becomes their trip and every other waiting rider joins it
+const attachPoolMembers = async (ride) => {
+  const pool = await RidePool.findOneAndUpdate(
+    { _id: ride.pool.poolId, status: { $in: OPEN_POOL_STATUSES } },
+    {
+      status: 'active',
+      driverId: ride.driverId,
+      leadRideId: ride._id,
+      acceptedAt: new Date()
+    },
+    { new: true }
+  );
+
+  if (!pool) {
+    return null;
+  }
+
+  const others = pool.rides.filter(rideId => rideId.toString() !== ride._id.toString());
+  for (const rideId of others) {
+    await transitionRide(rideId, 'accepted', {
+      actor: ACTORS.SYSTEM,
+      from: 'pending',
+      reason: 'Joined shared trip',
+      conditions: { 'pool.poolId': pool._id },
+      update: { driverId: ride.driverId }
+    });
+  }
+
+  if (others.length > 0) {
+    const driver = await DriverDetail.findById(ride.driverId).select('userId').lean();
+    if (driver) {
+      await createNotification(
+        driver.userId,
+        'ride_update',
+        'Shared Ride',
+        `This is a shared ride with ${pool.rides.length} riders. Follow the trip route for the order of pickups and drop-offs.`,
+        { rideId: ride._id, poolId: pool._id }
+      );
+    }
+  }
+
+  return pool;
+};
+
+// A rider left a pool that has no driver yet. If they were its lead, the next rider takes over.
+const leaveOpenPool = async (ride) => {
+  const pool = await RidePool.findOneAndUpdate(
+    { _id: ride.pool.poolId, status: { $in: OPEN_POOL_STATUSES } },
+    { $pull: { rides: ride._id } },
+    { new: true }
+  );
+
+  if (!pool) {
+    return null;
+  }
+
+  if (pool.rides.length === 0) {
+    return RidePool.findOneAndUpdate(
+      { _id: pool._id, rides: { $size: 0 } },
+      { status: 'cancelled', completedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  if (pool.leadRideId.toString() !== ride._id.toString()) {
+    return pool;
+  }
+
+  const releadPool = await RidePool.findOneAndUpdate(
+    { _id: pool._id, leadRideId: ride._id },
+    { leadRideId: pool.rides[0] },
+    { new: true }
+  );
+
+  if (releadPool && releadPool.status === 'dispatching') {
+    await startDispatch(releadPool.leadRideId);
+  }
+  return releadPool;
+};
+
+// Take a pooled ride out of pooling and dispatch it on its own, e.g. when it could not be matched.
+// The rider keeps the shared-ride price they were quoted (see tripFareService).
+const dispatchSolo = async (ride) => {
+  const pool = await RidePool.findOne({ rides: ride._id, status: { $in: OPEN_POOL_STATUSES } }).select('_id');
+  if (pool) {
+    await leaveOpenPool({ _id: ride._id, pool: { poolId: pool._id } });
+  }
+
+  await Ride.updateOne({ _id: ride._id }, { 'pool.poolId': null });
+  return startDispatch(ride._id);
+};
+
+// No driver took the pool's lead ride. The pool is broken up: the lead waits for an admin to
+// assign it, as any ride dispatch gave up on does, and every other rider is dispatched on their own.
+const dissolvePool = async (poolId) => {
+  const pool = await RidePool.findOneAndUpdate(
+    { _id: poolId, status: { $in: OPEN_POOL_STATUSES } },
+    { status: 'cancelled', completedAt: new Date() },
+    { new: true }
+  );
+
+  if (!pool) {
+    return null;
+  }
+
+  await Ride.updateMany({ _id: { $in: pool.rides }, 'pool.poolId': pool._id }, { 'pool.poolId': null });
+
+  const others = pool.rides.filter(rideId => rideId.toString() !== pool.leadRideId.toString());
+  for (const rideId of others) {
+    try {
+      await startDispatch(rideId);
+    } catch (error) {
+      console.error(`Error dispatching ride ${rideId} from dissolved pool ${pool._id}:`, error);
+    }
+  }
+  return pool;
+};
+
+// Once every rider in an active pool is dropped off or cancelled, the pool is finished
+const finishPoolIfDone = async (poolId) => {
+  const pool = await RidePool.findOne({ _id: poolId, status: 'active' }).lean();
+  if (!pool) {
+    return null;
+  }
+
+  const rides = await Ride.find({ _id: { $in: pool.rides } }).select('status').lean();
+  if (!rides.every(member => TERMINAL_STATUSES.includes(member.status))) {
+    return null;
+  }
+
+  return RidePool.findOneAndUpdate(
+    { _id: pool._id, status: 'active' },
+    {
+      status: rides.some(member => member.status === 'completed') ? 'completed' : 'cancelled',
+      completedAt: new Date()
+    },
+    { new: true }
+  );
+};
+
+// Keep pools in step with their rides (registered with the ride state machine)
+const handleRideStatusChange = async (ride, actor) => {
+  if (!ride.pool || !ride.pool.poolId) {
+    return;
+  }
+
+  if (ride.status === 'accepted' && actor === ACTORS.DRIVER) {
+    await attachPoolMembers(ride);
+    return;
+  }
+
+  // Dispatch gave up on the lead ride and put it back to pending
+  if (ride.status === 'pending' && ride.dispatch && ride.dispatch.exhaustedAt) {
+    await dissolvePool(ride.pool.poolId);
+    return;
+  }
+
+  if (ride.status === 'cancelled') {
+    await leaveOpenPool(ride);
+  }
+
+  if (TERMINAL_STATUSES.includes(ride.status)) {
+    await finishPoolIfDone(ride.pool.poolId);
+  }
+};
+
+onRideStatusChange(handleRideStatusChange);
+
+// Order the pool's points by visiting the nearest remaining pickup, then the nearest remaining drop-off
+const orderByNearest = (points, start) => {
+  const remaining = [...points];
+  const ordered = [];
+  let current = start;
+
+  while (remaining.length > 0) {
+    let nearestIndex = 0;
+    let nearestDistance = Infinity;
+    remaining.forEach((point, index) => {
+      const distance = current
+        ? calculateDistance(current.lat, current.lng, point.coordinates.lat, point.coordinates.lng)
+        : 0;
+      if (distance < nearestDistance) {
+        nearestIndex = index;
+        nearestDistance = distance;
+      }
+    });
+
+    const [next] = remaining.splice(nearestIndex, 1);
+    ordered.push(next);
+    current = next.coordinates;
+  }
+
+  return ordered;
+};
+
+// The driver's combined trip: every pickup, then every drop-off, in the order to drive them.
+// Cancelled riders are left out; `done` marks points already visited.
+const getPoolRoute = (pool, rides) => {
+  const members = pool.rides
+    .map(rideId => rides.find(ride => ride._id.toString() === rideId.toString()))
+    .filter(ride => ride && ride.status !== 'cancelled');
+
+  const lead = members.find(ride => ride._id.toString() === pool.leadRideId.toString()) || members[0];
+  if (lead) {
+    members.splice(members.indexOf(lead), 1);
+    members.unshift(lead);
+  }
+
+  const toPoint = (ride, type) => {
+    const location = type === 'pickup' ? ride.pickupLocation : ride.destination;
+    return {
+      type,
+      rideId: ride._id,
+      address: location.address,
+      coordinates: location.coordinates,
+      done: type === 'pickup'
+        ? ON_BOARD_STATUSES.includes(ride.status)
+        : ride.status === 'completed'
+    };
+  };
+
+  const pickups = orderByNearest(members.map(ride => toPoint(ride, 'pickup')), null);
+  const lastPickup = pickups.length > 0 ? pickups[pickups.length - 1].coordinates : null;
+  const dropOffs = orderByNearest(members.map(ride => toPoint(ride, 'dropoff')), lastPickup);
+
+  return [...pickups, ...dropOffs].map((point, index) => ({ sequence: index + 1, ...point }));
+};
+
+// Dispatch pools whose match window has ended
+const sweepPools = async () => {
+  const due = await RidePool.find({
+    status: 'forming',
+    formingUntil: { $lte: new Date() }
+  }).select('_id');
+
+  for (const pool of due) {
+    await closePool(pool._id);
+  }
+};
+
+const startPoolMatcher = () => {
+  if (sweepTimer) {
+    return;
+  }
+
+  sweepTimer = setInterval(() => {
+    sweepPools().catch(error => console.error('Error sweeping ride pools:', error));
+  }, POOL_SWEEP_INTERVAL_MS);
+};
+
+const stopPoolMatcher = () => {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+};
+
+module.exports = {
+  POOL_MAX_RIDERS,
+  POOL_MATCH_WINDOW_MINUTES,
+  findCompatiblePools,
+  joinOrCreatePool,
+  dispatchSolo,
+  closePool,
+  getPoolRoute,
+  sweepPools,
+  startPoolMatcher,
+  stopPoolMatcher
+};
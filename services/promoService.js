@@ -0,0 +1,177 @@
+// services/promoService.js
+
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const Ride = require('../models/Ride');
+const CharterOrder = require('../models/charter/CharterOrder');
+
+// Error raised when a promo code cannot be applied
+const promoError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Discount a promo gives on an amount, never more than the amount itself
+const calculateDiscount = (promo, amount) => {
+  if (!amount || amount <= 0) {
+    return 0;
+  }
+
+  let discount = promo.discountType === 'percentage'
+    ? Math.round(amount * (promo.discountValue / 100))
+    : promo.discountValue;
+
+  if (promo.maxDiscount !== null && promo.maxDiscount !== undefined) {
+    discount = Math.min(discount, promo.maxDiscount);
+  }
+
+  return Math.min(Math.round(discount), amount);
+};
+
+// Has the user already booked this service (ignoring cancelled bookings)?
+const hasPreviousBooking = async (userId, service) => {
+  if (service === 'charter') {
+    return !!(await CharterOrder.exists({ userId, status: { $ne: 'cancelled' } }));
+  }
+
+  return !!(await Ride.exists({ userId, status: { $ne: 'cancelled' } }));
+};
+
+// Look up a promo code and check every rule against the booking.
+// context: { service: 'ride' | 'charter', rideType, vehicleType, amount }
+// amount may be null when the price is not known yet (charter bookings).
+// Returns { promo, discount } or throws an error with status 400.
+const validatePromo = async (code, userId, context) => {
+  const promo = await PromoCode.findOne({ code: String(code).trim().toUpperCase() });
+
+  if (!promo || !promo.isActive) {
+    throw promoError('Promo code is not valid');
+  }
+
+  const now = new Date();
+  if (promo.startsAt && promo.startsAt > now) {
+    throw promoError('Promo code is not active yet');
+  }
+  if (promo.expiresAt && promo.expiresAt < now) {
+    throw promoError('Promo code has expired');
+  }
+
+  if (promo.appliesTo.length > 0 && !promo.appliesTo.includes(context.service)) {
+    throw promoError(`Promo code cannot be used for ${context.service === 'charter' ? 'charters' : 'rides'}`);
+  }
+  if (context.service === 'ride' && promo.rideTypes.length > 0 && !promo.rideTypes.includes(context.rideType)) {
+    throw promoError(`Promo code is not valid for ${context.rideType} rides`);
+  }
+  if (context.service === 'charter' && promo.charterVehicleTypes.length > 0 &&
+      !promo.charterVehicleTypes.includes(context.vehicleType)) {
+    throw promoError(`Promo code is not valid for ${context.vehicleType} charters`);
+  }
+
+  if (context.amount !== null && context.amount !== undefined && context.amount < promo.minFare) {
+    throw promoError(`Promo code requires a fare of at least ₦${promo.minFare}`);
+  }
+
+  if (promo.usageLimit !== null && promo.timesRedeemed >= promo.usageLimit) {
+    throw promoError('Promo code has reached its usage limit');
+  }
+
+  const userRedemptions = await PromoRedemption.countDocuments({
+    promoId: promo._id,
+    userId,
+    status: 'redeemed'
+  });
+  if (userRedemptions >= promo.perUserLimit) {
+    throw promoError('You have already used this promo code');
+  }
+
+  if (promo.firstRideOnly && await hasPreviousBooking(userId, context.service)) {
+    throw promoError(`Promo code is only valid on your first ${context.service === 'charter' ? 'charter' : 'ride'}`);
+  }
+
+  const discount = context.amount !== null && context.amount !== undefined
+    ? calculateDiscount(promo, context.amount)
+    : 0;
+
+  return { promo, discount };
+};
+
+// Take the first free use of the promo the user has left. A use is only free while no live
+// redemption holds its number, so two bookings racing for the user's last use cannot both
+// get it, and a reversed redemption frees its number again.
+const claimUserUse = async (promo, userId, booking) => {
+  for (let useNumber = 1; useNumber <= promo.perUserLimit; useNumber++) {
+    try {
+      return await PromoRedemption.create({
+        promoId: promo._id,
+        code: promo.code,
+        userId,
+        useNumber,
+        service: booking.service,
+        rideId: booking.rideId || null,
+        charterOrderId: booking.charterOrderId || null,
+        discountAmount: booking.discountAmount || 0
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  throw promoError('You have already used this promo code');
+};
+
+// Record a use of a promo. Both the user's limit and the overall limit are enforced atomically
+// so concurrent bookings cannot push a code past either.
+// booking: { service, rideId, charterOrderId, discountAmount }
+const redeemPromo = async (promo, userId, booking) => {
+  const redemption = await claimUserUse(promo, userId, booking);
+
+  const limitFilter = promo.usageLimit !== null
+    ? { timesRedeemed: { $lt: promo.usageLimit } }
+    : {};
+
+  const updated = await PromoCode.findOneAndUpdate(
+    { _id: promo._id, isActive: true, ...limitFilter },
+    { $inc: { timesRedeemed: 1 } },
+    { new: true }
+  );
+
+  if (!updated) {
+    await PromoRedemption.deleteOne({ _id: redemption._id });
+    throw promoError('Promo code has reached its usage limit');
+  }
+
+  return redemption;
+};
+
+// Give a promo use back when its ride or charter is cancelled
+const reverseRedemption = async (filter) => {
+  try {
+    const redemption = await PromoRedemption.findOneAndUpdate(
+      { ...filter, status: 'redeemed' },
+      { status: 'reversed', reversedAt: new Date() },
+      { new: true }
+    );
+
+    if (redemption) {
+      await PromoCode.updateOne(
+        { _id: redemption.promoId, timesRedeemed: { $gt: 0 } },
+        { $inc: { timesRedeemed: -1 } }
+      );
+    }
+
+    return redemption;
+  } catch (error) {
+    console.error('Error reversing promo redemption:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  calculateDiscount,
+  validatePromo,
+  redeemPromo,
+  reverseRedemption
+};
@@ -0,0 +1,230 @@
+// services/realtimeService.js
+// Pushes ride events to connected clients over Server-Sent Events.
+// Connections live in this process's memory, so every instance only reaches its own clients.
+
+const jwt = require('jsonwebtoken');
+const DriverDetail = require('../models/AdminDriver');
+const { calculateDistance } = require('../utils/geo');
+const { AVERAGE_SPEED_KMH } = require('./fareService');
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// EventSource cannot send headers, so browsers open the stream with a ticket in the query string.
+// Tickets only open a stream and expire quickly, so one showing up in an access log is useless.
+const STREAM_TICKET_PURPOSE = 'realtime_stream';
+const STREAM_TICKET_TTL_SECONDS = 60;
+
+// Ride statuses pushed to the rider, driver and admins
+const PUBLISHED_STATUSES = ['accepted', 'arrived', 'picked_up', 'in_progress', 'completed', 'cancelled'];
+
+// userId -> Set of open responses
+const userClients = new Map();
+const adminClients = new Set();
+
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+// Sign a ticket that lets the user open a stream within the next minute
+const issueStreamTicket = (userId) => ({
+  ticket: jwt.sign(
+    { purpose: STREAM_TICKET_PURPOSE, userId: userId.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: STREAM_TICKET_TTL_SECONDS }
+  ),
+  expiresAt: new Date(Date.now() + STREAM_TICKET_TTL_SECONDS * 1000)
+});
+
+// The user id a stream ticket was issued to. Throws if it is invalid, expired or not a ticket.
+const readStreamTicket = (ticket) => {
+  const payload = jwt.verify(ticket, process.env.JWT_SECRET);
+  if (payload.purpose !== STREAM_TICKET_PURPOSE || !payload.userId) {
+    throw new Error('Token is not a stream ticket');
+  }
+  return payload.userId;
+};
+
+// Register an SSE connection and keep it alive until the client disconnects
+const addClient = (req, res, user) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const userId = user.id.toString();
+  if (!userClients.has(userId)) {
+    userClients.set(userId, new Set());
+  }
+  userClients.get(userId).add(res);
+  if (user.isAdmin) {
+    adminClients.add(res);
+  }
+
+  writeEvent(res, 'connected', { userId, connectedAt: new Date() });
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    adminClients.delete(res);
+
+    const connections = userClients.get(userId);
+    if (connections) {
+      connections.delete(res);
+      if (connections.size === 0) {
+        userClients.delete(userId);
+      }
+    }
+  });
+};
+
+const sendToUser = (userId, event, data) => {
+  if (!userId) return;
+
+  const connections = userClients.get(userId.toString());
+  if (!connections) return;
+
+  connections.forEach(res => writeEvent(res, event, data));
+};
+
+const sendToAdmins = (event, data) => {
+  adminClients.forEach(res => writeEvent(res, event, data));
+};
+
+// Send an event to the rider, the assigned driver and every connected admin
+const sendToRideParticipants = async (ride, event, data) => {
+  const riderId = ride.userId && ride.userId._id ? ride.userId._id : ride.userId;
+  const driverUserId = await getDriverUserId(ride.driverId);
+
+  const recipients = new Set([riderId, driverUserId].filter(Boolean).map(id => id.toString()));
+  recipients.forEach(userId => sendToUser(userId, event, data));
+
+  // Admins who are also a participant would otherwise get the event twice
+  adminClients.forEach(res => {
+    const alreadySent = [...recipients].some(userId => (userClients.get(userId) || new Set()).has(res));
+    if (!alreadySent) {
+      writeEvent(res, event, data);
+    }
+  });
+};
+
+// ride.driverId points at a DriverDetail; clients are keyed by User id
+const getDriverUserId = async (driverId) => {
+  if (!driverId) return null;
+  if (driverId.userId) {
+    return driverId.userId._id || driverId.userId;
+  }
+
+  const driver = await DriverDetail.findById(driverId._id || driverId).select('userId').lean();
+  return driver ? driver.userId : null;
+};
+
+// Where the driver is heading: the pickup, the next stop not yet left, or the destination
+const getNextTarget = (ride) => {
+  if (!['picked_up', 'in_progress'].includes(ride.status)) {
+    return { etaTarget: 'pickup', coordinates: ride.pickupLocation.coordinates };
+  }
+
+  const nextStop = (ride.stops || []).find(stop => stop.status !== 'departed');
+  if (nextStop) {
+    return { etaTarget: 'stop', stopSequence: nextStop.sequence, coordinates: nextStop.coordinates };
+  }
+
+  return { etaTarget: 'destination', coordinates: ride.destination.coordinates };
+};
+
+// Minutes for the driver to reach the pickup (before pickup), or the next stop or destination (after)
+const estimateEtaMinutes = (ride, position) => {
+  const { coordinates: target, ...next } = getNextTarget(ride);
+
+  const distance = calculateDistance(position.lat, position.lng, target.lat, target.lng);
+  return {
+    ...next,
+    distanceKm: parseFloat(distance.toFixed(2)),
+    etaMinutes: Math.max(1, Math.round((distance / AVERAGE_SPEED_KMH) * 60))
+  };
+};
+
+// Publish a ride status change. Statuses clients don't track are ignored.
+const publishRideStatus = async (ride, extra = {}) => {
+  if (!PUBLISHED_STATUSES.includes(ride.status)) {
+    return;
+  }
+
+  try {
+    await sendToRideParticipants(ride, 'ride_status', {
+      rideId: ride._id,
+      status: ride.status,
+      driverId: ride.driverId && ride.driverId._id ? ride.driverId._id : ride.driverId,
+      acceptedAt: ride.acceptedAt,
+      arrivedAt: ride.arrivedAt,
+      startedAt: ride.startedAt,
+      completedAt: ride.completedAt,
+      cancelledAt: ride.cancelledAt,
+      updatedAt: new Date(),
+      ...extra
+    });
+  } catch (error) {
+    console.error('Error publishing ride status:', error);
+  }
+};
+
+// Publish the driver's latest position on a ride along with a fresh ETA
+const publishDriverLocation = async (ride, position) => {
+  try {
+    await sendToRideParticipants(ride, 'driver_location', {
+      rideId: ride._id,
+      status: ride.status,
+      lat: position.lat,
+      lng: position.lng,
+      heading: position.heading,
+      speed: position.speed,
+      recordedAt: position.recordedAt,
+      ...estimateEtaMinutes(ride, position)
+    });
+  } catch (error) {
+    console.error('Error publishing driver location:', error);
+  }
+};
+
+// Publish a driver arriving at or leaving an intermediate stop
+const publishStopEvent = async (ride, stop, event) => {
+  try {
+    await sendToRideParticipants(ride, 'ride_stop', {
+      rideId: ride._id,
+      status: ride.status,
+      event,
+      sequence: stop.sequence,
+      address: stop.address,
+      arrivedAt: stop.arrivedAt,
+      departedAt: stop.departedAt,
+      remainingStops: (ride.stops || []).filter(s => s.status !== 'departed').length
+    });
+  } catch (error) {
+    console.error('Error publishing ride stop event:', error);
+  }
+};
+
+const getConnectionCount = () => ({
+  users: userClients.size,
+  admins: adminClients.size
+});
+
+module.exports = {
+  PUBLISHED_STATUSES,
+  issueStreamTicket,
+  readStreamTicket,
+  addClient,
+  sendToUser,
+  sendToAdmins,
+  getNextTarget,
+  estimateEtaMinutes,
+  publishRideStatus,
+  publishDriverLocation,
+  publishStopEvent,
+  getConnectionCount
+};
@@ -0,0 +1,169 @@
+// services/rideSchedulerService.js
+// Advance-booked rides. A scheduled ride waits in 'scheduled' until shortly before pickup, when
+// the scheduler releases it to the dispatcher. Riders are reminded as pickup approaches and can
+// change or cancel the booking without penalty until the change cutoff.
+
+const Ride = require('../models/Ride');
+const { createNotification } = require('./notificationService');
+const { startDispatch } = require('./dispatchService');
+const { ACTORS, TERMINAL_STATUSES, transitionRide } = require('./rideStateMachine');
+
+const MINUTE_MS = 60 * 1000;
+
+// How far ahead a ride can be scheduled
+const MIN_LEAD_MINUTES = parseInt(process.env.RIDE_SCHEDULE_MIN_LEAD_MINUTES) || 30;
+const MAX_DAYS_AHEAD = parseInt(process.env.RIDE_SCHEDULE_MAX_DAYS_AHEAD) || 30;
+
+// Minutes before pickup that the ride is handed to the dispatcher
+const DISPATCH_LEAD_MINUTES = parseInt(process.env.RIDE_SCHEDULE_DISPATCH_LEAD_MINUTES) || 15;
+
+// Minutes before pickup after which the rider can no longer change the booking for free
+const CHANGE_CUTOFF_MINUTES = parseInt(process.env.RIDE_SCHEDULE_CHANGE_CUTOFF_MINUTES) || 60;
+
+// Minutes before pickup that reminders go out, e.g. "60,15"
+const REMINDER_MINUTES = (process.env.RIDE_SCHEDULE_REMINDER_MINUTES || '60,15')
+  .split(',')
+  .map(value => parseInt(value))
+  .filter(value => value > 0)
+  .sort((a, b) => b - a);
+
+// How often the scheduler looks for rides to release and reminders to send
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.RIDE_SCHEDULER_INTERVAL_MS) || 30000;
+
+let schedulerTimer = null;
+
+const scheduleError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Parse and check a requested pickup time. Throws 400 if it is too soon or too far ahead.
+const parseScheduledFor = (value, now = new Date()) => {
+  const scheduledFor = new Date(value);
+  if (!value || isNaN(scheduledFor.getTime())) {
+    throw scheduleError('scheduledFor must be a valid date');
+  }
+
+  if (scheduledFor.getTime() < now.getTime() + MIN_LEAD_MINUTES * MINUTE_MS) {
+    throw scheduleError(`Rides must be scheduled at least ${MIN_LEAD_MINUTES} minutes ahead`);
+  }
+
+  if (scheduledFor.getTime() > now.getTime() + MAX_DAYS_AHEAD * 24 * 60 * MINUTE_MS) {
+    throw scheduleError(`Rides can be scheduled at most ${MAX_DAYS_AHEAD} days ahead`);
+  }
+
+  return scheduledFor;
+};
+
+// The `scheduling` fields for a ride picked up at `scheduledFor`. Reminders whose time has
+// already passed are marked as sent so a late booking is not sent a burst of them.
+const getSchedulingFields = (scheduledFor, now = new Date()) => {
+  const minutesAway = (scheduledFor - now) / MINUTE_MS;
+
+  return {
+    dispatchAt: new Date(scheduledFor.getTime() - DISPATCH_LEAD_MINUTES * MINUTE_MS),
+    changeCutoffAt: new Date(scheduledFor.getTime() - CHANGE_CUTOFF_MINUTES * MINUTE_MS),
+    remindersSent: REMINDER_MINUTES.filter(mark => mark > minutesAway),
+    dispatchedAt: null
+  };
+};
+
+// Whether the rider can still change or cancel the ride for free
+const canChangeSchedule = (ride, now = new Date()) =>
+  ride.status === 'scheduled' &&
+  Boolean(ride.scheduling && ride.scheduling.changeCutoffAt) &&
+  now < ride.scheduling.changeCutoffAt;
+
+// Hand a scheduled ride to the dispatcher
+const releaseScheduledRide = async (ride, actor = ACTORS.SYSTEM, actorId = null) => {
+  const released = await transitionRide(ride, 'pending', {
+    actor,
+    actorId,
+    from: 'scheduled',
+    reason: actor === ACTORS.SYSTEM ? 'Scheduled pickup is approaching' : 'Released early',
+    update: { 'scheduling.dispatchedAt': new Date() }
+  });
+
+  if (!released) {
+    return null;
+  }
+
+  return (await startDispatch(released._id)) || released;
+};
+
+const releaseDueRides = async (now) => {
+  const due = await Ride.find({
+    status: 'scheduled',
+    'scheduling.dispatchAt': { $lte: now }
+  }).select('_id status');
+
+  for (const ride of due) {
+    await releaseScheduledRide(ride);
+  }
+};
+
+const sendDueReminders = async (now) => {
+  for (const mark of REMINDER_MINUTES) {
+    const conditions = {
+      status: { $nin: TERMINAL_STATUSES },
+      scheduledFor: { $gt: now, $lte: new Date(now.getTime() + mark * MINUTE_MS) },
+      'scheduling.remindersSent': { $ne: mark }
+    };
+
+    const rides = await Ride.find(conditions).select('_id userId scheduledFor rideType pickupLocation');
+
+    for (const ride of rides) {
+      // Claim the reminder first so two scheduler runs cannot both send it
+      const claimed = await Ride.updateOne(
+        { ...conditions, _id: ride._id },
+        { $addToSet: { 'scheduling.remindersSent': mark } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      const minutes = Math.max(1, Math.round((ride.scheduledFor - now) / MINUTE_MS));
+      await createNotification(
+        ride.userId,
+        'ride_reminder',
+        'Upcoming Ride',
+        `Your scheduled ${ride.rideType} ride from ${ride.pickupLocation.address} is in about ${minutes} minutes.`,
+        { rideId: ride._id }
+      ).catch(error => console.error('Error sending ride reminder:', error));
+    }
+  }
+};
+
+const runScheduler = async () => {
+  const now = new Date();
+  await releaseDueRides(now);
+  await sendDueReminders(now);
+};
+
+const startScheduler = () => {
+  if (schedulerTimer) {
+    return;
+  }
+
+  schedulerTimer = setInterval(() => {
+    runScheduler().catch(error => console.error('Error running ride scheduler:', error));
+  }, SCHEDULER_INTERVAL_MS);
+};
+
+const stopScheduler = () => {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+};
+
+module.exports = {
+  MIN_LEAD_MINUTES,
+  DISPATCH_LEAD_MINUTES,
+  CHANGE_CUTOFF_MINUTES,
+  REMINDER_MINUTES,
+  parseScheduledFor,
+  getSchedulingFields,
+  canChangeSchedule,
+  releaseScheduledRide,
+  runScheduler,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,131 @@
+// services/rideShareService.js
+// Trip sharing. A rider can hand out a signed, expiring link that lets anyone follow the ride's
+// status and route without an account. The link carries no secrets of its own: it only names the
+// ride, and the public view leaves out the rider's contact details, fare and trip PIN.
+
+const jwt = require('jsonwebtoken');
+const Ride = require('../models/Ride');
+const { getNextTarget } = require('./realtimeService');
+const { TERMINAL_STATUSES } = require('./rideStateMachine');
+
+const SHARE_PURPOSE = 'ride_share';
+
+// How long a share link works
+const SHARE_LINK_TTL_HOURS = parseFloat(process.env.RIDE_SHARE_LINK_TTL_HOURS) || 6;
+
+// Most recent driver positions shown on a shared ride's route
+const SHARED_TRAIL_POINTS = 100;
+
+// Share links go out in public URLs, so they never share a secret with login tokens
+const getShareSecret = () => {
+  const secret = process.env.SHARE_LINK_SECRET;
+  if (!secret) {
+    throw new Error('SHARE_LINK_SECRET is not set');
+  }
+  return secret;
+};
+
+// Check the share link secret is set. Called once at startup so a missing secret stops the
+// server instead of failing the first SOS.
+const assertShareConfig = () => {
+  getShareSecret();
+};
+
+const shareError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Sign a link to a ride's public view. baseUrl is where the API is reachable, e.g. https://api.example.com
+const createShareLink = (ride, baseUrl) => {
+  const token = jwt.sign(
+    { purpose: SHARE_PURPOSE, rideId: ride._id.toString() },
+    getShareSecret(),
+    { expiresIn: Math.round(SHARE_LINK_TTL_HOURS * 60 * 60) }
+  );
+
+  return {
+    token,
+    url: `${baseUrl}/api/rides/shared/${token}`,
+    expiresAt: new Date(Date.now() + SHARE_LINK_TTL_HOURS * 60 * 60 * 1000)
+  };
+};
+
+// The ride id a share token is for. Throws 404 if the token is invalid or has expired.
+const readShareToken = (token) => {
+  const secret = getShareSecret();
+  let payload;
+  try {
+    payload = jwt.verify(token, secret);
+  } catch (err) {
+    throw shareError(404, err.name === 'TokenExpiredError'
+      ? 'This trip link has expired'
+      : 'Trip link not found');
+  }
+
+  if (payload.purpose !== SHARE_PURPOSE || !payload.rideId) {
+    throw shareError(404, 'Trip link not found');
+  }
+  return payload.rideId;
+};
+
+// What people following a shared link see. Once the ride has ended only its outcome is shown.
+const getSharedRideView = async (token) => {
+  const rideId = readShareToken(token);
+
+  const ride = await Ride.findById(rideId)
+    .slice('driverLocations', -SHARED_TRAIL_POINTS)
+    .populate({
+      path: 'driverId',
+      select: 'userId vehicleId',
+      populate: [
+        { path: 'userId', select: 'fullname' },
+        { path: 'vehicleId', select: 'make model color licensePlate vehicleType' }
+      ]
+    })
+    .lean();
+
+  if (!ride) {
+    throw shareError(404, 'Trip link not found');
+  }
+
+  const view = {
+    rideId: ride._id,
+    status: ride.status,
+    rideType: ride.rideType,
+    pickup: ride.pickupLocation,
+    destination: ride.destination,
+    stops: (ride.stops || []).map(({ sequence, address, coordinates, status }) => ({ sequence, address, coordinates, status })),
+    acceptedAt: ride.acceptedAt,
+    pickedUpAt: ride.pickedUpAt,
+    completedAt: ride.completedAt,
+    cancelledAt: ride.cancelledAt
+  };
+
+  if (TERMINAL_STATUSES.includes(ride.status)) {
+    return view;
+  }
+
+  const driver = ride.driverId;
+  const trail = (ride.driverLocations || []).map(({ lat, lng, recordedAt }) => ({ lat, lng, recordedAt }));
+
+  return {
+    ...view,
+    driver: driver ? {
+      firstName: driver.userId && driver.userId.fullname ? driver.userId.fullname.split(' ')[0] : null,
+      vehicle: driver.vehicleId || null
+    } : null,
+    lastLocation: trail.length > 0 ? trail[trail.length - 1] : null,
+    route: trail,
+    nextTarget: getNextTarget(ride)
+  };
+};
+
+module.exports = {
+  SHARE_LINK_TTL_HOURS,
+  assertShareConfig,
+  createShareLink,
+  readShareToken,
+  getSharedRideView
+};
@@ -0,0 +1,280 @@
+// services/rideStateMachine.js
+// The only place a ride's status changes. Each transition lists who may trigger it,
+// the timestamp it sets, and the side effects that run once it has been saved.
+
+const Ride = require('../models/Ride');
+const DriverDetail = require('../models/AdminDriver');
+const { createNotification } = require('./notificationService');
+const { reverseRedemption } = require('./promoService');
+const { publishRideStatus } = require('./realtimeService');
+const { getNewPinFields, getTripPin } = require('./tripPinService');
+const { recordRideEarning } = require('./earningsService');
+const { refreshCashHold } = require('./cashReconciliationService');
+
+const ACTORS = {
+  RIDER: 'rider',
+  DRIVER: 'driver',
+  ADMIN: 'admin',
+  SYSTEM: 'system'
+};
+
+const RIDE_STATUSES = Ride.schema.path('status').enumValues;
+
+const TERMINAL_STATUSES = ['completed', 'cancelled'];
+
+// Statuses before the rider is in the vehicle; the rider may still cancel
+const PRE_PICKUP_STATUSES = ['scheduled', 'pending', 'searching', 'awaiting_driver_confirmation', 'accepted', 'arrived'];
+
+const { RIDER, DRIVER, ADMIN, SYSTEM } = ACTORS;
+
+// Allowed transitions. `from` lists the statuses the ride may be in; `actors` who may trigger it.
+const TRANSITIONS = [
+  // A scheduled ride is released for dispatch shortly before pickup (or early by an admin)
+  { from: ['scheduled'], to: 'pending', actors: [SYSTEM, ADMIN] },
+
+  // Dispatch
+  { from: ['pending'], to: 'searching', actors: [SYSTEM, ADMIN] },
+  { from: ['searching'], to: 'pending', actors: [SYSTEM] },
+  { from: ['searching'], to: 'awaiting_driver_confirmation', actors: [SYSTEM] },
+  { from: ['pending', 'searching', 'awaiting_driver_confirmation'], to: 'awaiting_driver_confirmation', actors: [ADMIN] },
+  { from: ['awaiting_driver_confirmation'], to: 'searching', actors: [DRIVER, SYSTEM] },
+
+  // Trip
+  { from: ['awaiting_driver_confirmation'], to: 'accepted', actors: [DRIVER] },
+  // Pooled rides join the driver who accepted their pool
+  { from: ['pending'], to: 'accepted', actors: [SYSTEM] },
+  { from: ['accepted'], to: 'arrived', actors: [DRIVER, ADMIN] },
+  { from: ['accepted', 'arrived'], to: 'picked_up', actors: [DRIVER, ADMIN] },
+  { from: ['picked_up'], to: 'in_progress', actors: [DRIVER, ADMIN] },
+  { from: ['picked_up', 'in_progress'], to: 'completed', actors: [DRIVER] },
+  { from: ['accepted', 'arrived', 'picked_up', 'in_progress'], to: 'completed', actors: [ADMIN] },
+
+  // Cancellation
+  { from: PRE_PICKUP_STATUSES, to: 'cancelled', actors: [RIDER] },
+  { from: ['accepted', 'arrived'], to: 'cancelled', actors: [DRIVER] },
+  { from: [...PRE_PICKUP_STATUSES, 'picked_up', 'in_progress'], to: 'cancelled', actors: [ADMIN, SYSTEM] }
+];
+
+// Timestamp set when a ride enters a status
+const STATUS_TIMESTAMPS = {
+  accepted: 'acceptedAt',
+  arrived: 'arrivedAt',
+  picked_up: 'pickedUpAt',
+  in_progress: 'startedAt',
+  completed: 'completedAt',
+  cancelled: 'cancelledAt'
+};
+
+// Fields every transition into a status also sets. Payment status is left to the payment flow:
+// a ride paid for before it ends must stay paid when it completes.
+const STATUS_UPDATES = {
+  cancelled: { 'dispatch.offerExpiresAt': null }
+};
+
+// Message sent to the rider when the ride enters a status
+const RIDER_NOTIFICATIONS = {
+  accepted: ['Driver On The Way', 'A driver has accepted your ride and is heading to your pickup.'],
+  arrived: ['Driver Has Arrived', 'Your driver has arrived at the pickup location.'],
+  completed: ['Ride Completed', 'Your ride is complete. Thank you for riding with us.']
+};
+
+// Functions run after every transition with (ride, actor); see onRideStatusChange
+const statusListeners = [];
+
+const createError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const findTransition = (from, to, actor) => TRANSITIONS.find(transition =>
+  transition.to === to &&
+  transition.from.includes(from) &&
+  transition.actors.includes(actor)
+);
+
+// Whether `actor` may move a ride from `from` to `to`
+const canTransition = (from, to, actor) => Boolean(findTransition(from, to, actor));
+
+// Statuses `actor` may move a ride to from its current status
+const getAllowedTransitions = (from, actor) => [...new Set(
+  TRANSITIONS
+    .filter(transition => transition.from.includes(from) && transition.actors.includes(actor))
+    .map(transition => transition.to)
+)];
+
+// Throws a 400/403/409 explaining why `actor` cannot make the transition
+const assertTransition = (from, to, actor) => {
+  if (!RIDE_STATUSES.includes(to)) {
+    throw createError(400, 'Invalid status');
+  }
+
+  if (canTransition(from, to, actor)) {
+    return;
+  }
+
+  const anyActor = TRANSITIONS.some(transition => transition.to === to && transition.from.includes(from));
+  if (anyActor) {
+    throw createError(403, `A ${actor} cannot move a ride from ${from} to ${to}`);
+  }
+
+  throw createError(409, `Ride cannot move from ${from} to ${to}`);
+};
+
+// What the rider is told when someone else cancels their ride
+const getCancellationMessage = (ride) => {
+  const { noShow = false, fee = 0 } = ride.cancellation || {};
+  if (noShow) {
+    return fee > 0
+      ? `Your driver waited at the pickup but could not find you. A no-show fee of ₦${fee} applies.`
+      : 'Your driver waited at the pickup but could not find you.';
+  }
+  return 'Your ride has been cancelled.';
+};
+
+const getDriverUserId = async (driverId) => {
+  if (!driverId) return null;
+  const driver = await DriverDetail.findById(driverId._id || driverId).select('userId').lean();
+  return driver ? driver.userId : null;
+};
+
+const runSideEffects = async (ride, actor) => {
+  publishRideStatus(ride);
+
+  const notification = RIDER_NOTIFICATIONS[ride.status];
+  if (notification) {
+    let message = notification[1];
+    if (ride.status === 'accepted') {
+      const pin = await getTripPin(ride._id);
+      if (pin) {
+        message = `${message} Your trip PIN is ${pin}. Only get in once the driver has entered it.`;
+      }
+    }
+    await createNotification(ride.userId, 'ride_update', notification[0], message, { rideId: ride._id });
+  }
+
+  if (ride.status === 'completed') {
+    await recordRideEarning(ride);
+    // Cash the driver took adds to what they owe
+    if (ride.paymentMethod === 'cash' && ride.driverId) {
+      await refreshCashHold({ driverId: ride.driverId._id || ride.driverId })
+        .catch(error => console.error(`Error refreshing cash hold after ride ${ride._id}:`, error));
+    }
+  }
+
+  if (ride.status === 'cancelled') {
+    if (ride.promoId) {
+      await reverseRedemption({ rideId: ride._id });
+    }
+
+    // Let whoever did not cancel know
+    if (actor === RIDER) {
+      const driverUserId = await getDriverUserId(ride.driverId);
+      if (driverUserId) {
+        await createNotification(driverUserId, 'ride_update', 'Ride Cancelled', 'The rider cancelled this ride.', { rideId: ride._id });
+      }
+    } else {
+      await createNotification(ride.userId, 'ride_update', 'Ride Cancelled', getCancellationMessage(ride), { rideId: ride._id });
+    }
+  }
+};
+
+// Register a function to run after every ride transition. Lets services this module cannot
+// require (they require it) react to status changes, e.g. pooling.
+const onRideStatusChange = (listener) => {
+  statusListeners.push(listener);
+};
+
+// Move a ride to `toStatus` on behalf of `options.actor`.
+//
+// ride: a ride document (its current status is used), or a ride id together with `options.from`
+// options:
+//   actor       - one of ACTORS (required)
+//   actorId     - User id of whoever triggered the change
+//   from        - status(es) the ride is expected to be in, instead of the ride's current status
+//   conditions  - extra query conditions, e.g. { driverId } so only the assigned driver can act
+//   update      - extra fields to set; may include $push/$inc
+//   at          - when the change happened, if it must match a time the caller already used
+//   arrayFilters, reason
+//
+// The update only applies if the ride is still in an expected status, so two requests racing
+// for the same ride cannot both succeed. Returns the updated ride, or null if it no longer matches.
+const transitionRide = async (ride, toStatus, options = {}) => {
+  const { actor, actorId = null, conditions = {}, update = {}, arrayFilters, reason = '' } = options;
+
+  if (!Object.values(ACTORS).includes(actor)) {
+    throw createError(500, `Unknown ride actor: ${actor}`);
+  }
+
+  const rideId = ride._id || ride;
+  const fromStatuses = options.from ? [].concat(options.from) : [ride.status];
+
+  if (!fromStatuses[0]) {
+    throw createError(500, 'Current ride status is required');
+  }
+
+  fromStatuses.forEach(from => assertTransition(from, toStatus, actor));
+
+  const now = options.at || new Date();
+  const { $push = {}, ...fields } = update;
+  const timestampField = STATUS_TIMESTAMPS[toStatus];
+
+  // A newly accepted ride gets a PIN for the rider to give the driver at pickup
+  const pinFields = toStatus === 'accepted' ? getNewPinFields() : {};
+
+  // Every cancellation records who made it and why
+  const cancellationFields = toStatus === 'cancelled' ? {
+    'cancellation.cancelledBy': actor,
+    'cancellation.actorId': actorId,
+    'cancellation.reason': reason
+  } : {};
+
+  const updated = await Ride.findOneAndUpdate(
+    { ...conditions, _id: rideId, status: { $in: fromStatuses } },
+    {
+      ...STATUS_UPDATES[toStatus],
+      ...pinFields,
+      ...cancellationFields,
+      ...fields,
+      status: toStatus,
+      ...(timestampField && { [timestampField]: now }),
+      $push: {
+        ...$push,
+        statusHistory: { status: toStatus, actor, actorId, reason, at: now }
+      }
+    },
+    { new: true, ...(arrayFilters && { arrayFilters }) }
+  );
+
+  if (!updated) {
+    return null;
+  }
+
+  try {
+    await runSideEffects(updated, actor);
+  } catch (error) {
+    console.error(`Error running side effects for ride ${updated._id} (${toStatus}):`, error);
+  }
+
+  for (const listener of statusListeners) {
+    try {
+      await listener(updated, actor);
+    } catch (error) {
+      console.error(`Error in ride status listener for ride ${updated._id} (${toStatus}):`, error);
+    }
+  }
+
+  return updated;
+};
+
+module.exports = {
+  ACTORS,
+  RIDE_STATUSES,
+  TERMINAL_STATUSES,
+  TRANSITIONS,
+  canTransition,
+  getAllowedTransitions,
+  assertTransition,
+  transitionRide,
+  onRideStatusChange
+};
@@ -0,0 +1,107 @@
+// services/rideStateMachine.test.js
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Ride = require('../models/Ride');
+const {
+  ACTORS,
+  canTransition,
+  getAllowedTransitions,
+  assertTransition,
+  transitionRide
+} = require('./rideStateMachine');
+
+// Nothing here talks to a database; an unmocked query fails instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+afterEach(() => mock.restoreAll());
+
+describe('ride transitions', () => {
+  it('lets each actor make only its own moves', () => {
+    assert.equal(canTransition('awaiting_driver_confirmation', 'accepted', ACTORS.DRIVER), true);
+    assert.equal(canTransition('awaiting_driver_confirmation', 'accepted', ACTORS.RIDER), false);
+    assert.equal(canTransition('in_progress', 'completed', ACTORS.DRIVER), true);
+    assert.equal(canTransition('accepted', 'completed', ACTORS.DRIVER), false);
+    assert.equal(canTransition('accepted', 'completed', ACTORS.ADMIN), true);
+  });
+
+  it('only lets the rider cancel before pickup', () => {
+    assert.equal(canTransition('arrived', 'cancelled', ACTORS.RIDER), true);
+    assert.equal(canTransition('picked_up', 'cancelled', ACTORS.RIDER), false);
+    assert.equal(canTransition('picked_up', 'cancelled', ACTORS.ADMIN), true);
+  });
+
+  it('never leaves a finished ride', () => {
+    for (const actor of Object.values(ACTORS)) {
+      assert.deepEqual(getAllowedTransitions('completed', actor), []);
+      assert.deepEqual(getAllowedTransitions('cancelled', actor), []);
+    }
+  });
+
+  it('explains why a move is refused', () => {
+    assert.throws(() => assertTransition('pending', 'flying', ACTORS.ADMIN), { status: 400 });
+    assert.throws(() => assertTransition('picked_up', 'cancelled', ACTORS.RIDER), { status: 403 });
+    assert.throws(() => assertTransition('completed', 'accepted', ACTORS.DRIVER), { status: 409 });
+    assert.doesNotThrow(() => assertTransition('accepted', 'arrived', ACTORS.DRIVER));
+  });
+});
+
+describe('transitionRide', () => {
+  const rideId = new mongoose.Types.ObjectId();
+
+  it('only updates a ride still in the expected status', async () => {
+    const findOneAndUpdate = mock.method(Ride, 'findOneAndUpdate', async () => null);
+
+    const result = await transitionRide({ _id: rideId, status: 'in_progress' }, 'completed', {
+      actor: ACTORS.DRIVER,
+      conditions: { driverId: 'driver-1' }
+    });
+
+    assert.equal(result, null);
+    const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepEqual(filter, { driverId: 'driver-1', _id: rideId, status: { $in: ['in_progress'] } });
+    assert.equal(update.status, 'completed');
+    assert.equal(update.$push.statusHistory.actor, ACTORS.DRIVER);
+  });
+
+  it('stamps the time it is given and leaves the payment status alone on completion', async () => {
+    const findOneAndUpdate = mock.method(Ride, 'findOneAndUpdate', async () => null);
+    const at = new Date('2026-03-01T10:00:00Z');
+
+    await transitionRide(rideId, 'completed', { actor: ACTORS.ADMIN, from: 'picked_up', at });
+
+    const [, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.equal(update.completedAt, at);
+    assert.equal(update.$push.statusHistory.at, at);
+    assert.equal('paymentStatus' in update, false);
+  });
+
+  it('records who cancelled and why', async () => {
+    const findOneAndUpdate = mock.method(Ride, 'findOneAndUpdate', async () => null);
+
+    await transitionRide({ _id: rideId, status: 'pending' }, 'cancelled', {
+      actor: ACTORS.RIDER,
+      actorId: 'user-1',
+      reason: 'Changed plans'
+    });
+
+    const [, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.equal(update['cancellation.cancelledBy'], ACTORS.RIDER);
+    assert.equal(update['cancellation.actorId'], 'user-1');
+    assert.equal(update['cancellation.reason'], 'Changed plans');
+  });
+
+  it('refuses a move before touching the ride', async () => {
+    const findOneAndUpdate = mock.method(Ride, 'findOneAndUpdate', async () => null);
+
+    await assert.rejects(
+      transitionRide({ _id: rideId, status: 'accepted' }, 'completed', { actor: ACTORS.DRIVER }),
+      { status: 403 }
+    );
+    await assert.rejects(
+      transitionRide({ _id: rideId, status: 'accepted' }, 'arrived', { actor: 'passenger' }),
+      { status: 500 }
+    );
+    assert.equal(findOneAndUpdate.mock.callCount(), 0);
+  });
+});
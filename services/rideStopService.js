@@ -0,0 +1,85 @@
+// services/rideStopService.js
+// Driver events at the intermediate stops of a multi-stop ride. Stops are visited in order once
+// the rider is on board; arriving and leaving do not change the ride's status.
+
+const Ride = require('../models/Ride');
+const { publishStopEvent } = require('./realtimeService');
+
+// Ride statuses during which the driver is driving the rider through the stops
+const ON_TRIP_STATUSES = ['picked_up', 'in_progress'];
+
+const stopError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Explain why a stop event was refused, given the ride as it is now
+const explainRefusal = (ride, driverId, sequence, event) => {
+  if (!ride || !ride.driverId || ride.driverId.toString() !== driverId.toString()) {
+    return stopError(404, 'Ride not found');
+  }
+  if (!ON_TRIP_STATUSES.includes(ride.status)) {
+    return stopError(400, 'Stops can only be updated after pickup');
+  }
+
+  const stop = ride.stops.find(s => s.sequence === sequence);
+  if (!stop) {
+    return stopError(404, 'Stop not found');
+  }
+  if (event === 'arrived' && ride.stops.some(s => s.sequence < sequence && s.status !== 'departed')) {
+    return stopError(409, 'Earlier stops must be completed first');
+  }
+
+  const expected = event === 'arrived' ? 'pending' : 'arrived';
+  return stopError(409, `Stop ${sequence} is ${stop.status}, expected ${expected}`);
+};
+
+// Record a stop event atomically: the stop must be in the expected state and, when arriving,
+// every earlier stop must already be left behind.
+const recordStopEvent = async (rideId, driverId, sequence, event) => {
+  const from = event === 'arrived' ? 'pending' : 'arrived';
+  const timestampField = event === 'arrived' ? 'arrivedAt' : 'departedAt';
+  const now = new Date();
+
+  const conditions = [
+    { stops: { $elemMatch: { sequence, status: from } } }
+  ];
+  if (event === 'arrived') {
+    conditions.push({ stops: { $not: { $elemMatch: { sequence: { $lt: sequence }, status: { $ne: 'departed' } } } } });
+  }
+
+  const ride = await Ride.findOneAndUpdate(
+    {
+      _id: rideId,
+      driverId,
+      status: { $in: ON_TRIP_STATUSES },
+      $and: conditions
+    },
+    {
+      'stops.$[stop].status': event,
+      [`stops.$[stop].${timestampField}`]: now
+    },
+    { new: true, arrayFilters: [{ 'stop.sequence': sequence }] }
+  );
+
+  if (!ride) {
+    const current = await Ride.findById(rideId).select('driverId status stops');
+    throw explainRefusal(current, driverId, sequence, event);
+  }
+
+  const stop = ride.stops.find(s => s.sequence === sequence);
+  publishStopEvent(ride, stop, event);
+
+  return ride;
+};
+
+const arriveAtStop = (rideId, driverId, sequence) => recordStopEvent(rideId, driverId, sequence, 'arrived');
+
+const departFromStop = (rideId, driverId, sequence) => recordStopEvent(rideId, driverId, sequence, 'departed');
+
+module.exports = {
+  ON_TRIP_STATUSES,
+  arriveAtStop,
+  departFromStop
+};
@@ -0,0 +1,158 @@
+// services/safetyService.js
+// SOS on a ride. Raising one opens an urgent incident with the driver's last known position,
+// alerts every admin and texts the rider's emergency contacts a link to follow the ride.
+
+const SafetyIncident = require('../models/SafetyIncident');
+const DriverDetail = require('../models/AdminDriver');
+const User = require('../models/User');
+const { notifyAdmins } = require('./notificationService');
+const { sendSms } = require('./smsService');
+const { sendToAdmins } = require('./realtimeService');
+const { createShareLink } = require('./rideShareService');
+const { formatLocation } = require('../utils/geo');
+
+// Rides an SOS can be raised on: a driver is assigned and the trip has not ended
+const SOS_STATUSES = ['accepted', 'arrived', 'picked_up', 'in_progress'];
+
+const safetyError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// The driver's last known position: the ride's GPS trail, then the driver's profile, then what
+// the reporter's phone sent
+const getLastKnownLocation = async (ride, reporterLocation = null) => {
+  const trail = ride.driverLocations || [];
+  if (trail.length > 0) {
+    const { lat, lng, recordedAt } = trail[trail.length - 1];
+    return { lat, lng, recordedAt, source: 'ride_trail' };
+  }
+
+  if (ride.driverId) {
+    const driver = await DriverDetail.findById(ride.driverId).select('currentLocation lastLocationAt').lean();
+    if (driver && driver.currentLocation && driver.currentLocation.coordinates) {
+      const [lng, lat] = driver.currentLocation.coordinates;
+      return { lat, lng, recordedAt: driver.lastLocationAt, source: 'driver_profile' };
+    }
+  }
+
+  if (reporterLocation) {
+    return { ...reporterLocation, recordedAt: new Date(), source: 'reporter' };
+  }
+
+  return null;
+};
+
+// The ride's SOS that is still being dealt with, if any
+const findActiveSos = (rideId) => SafetyIncident.findOne({
+  rideId,
+  type: 'sos',
+  status: { $ne: 'resolved' }
+});
+
+// Text each emergency contact, with a link to follow the trip when one could be made.
+// Returns one result per contact.
+const alertEmergencyContacts = async (rider, reporterRole, shareLink) => {
+  const contacts = rider.emergencyContacts || [];
+  const name = rider.fullname || 'Your contact';
+  const follow = shareLink ? ` Follow the trip live: ${shareLink.url}` : '';
+  const message = reporterRole === 'rider'
+    ? `${name} has raised an SOS during a ride and may need help.${follow}`
+    : `The driver on ${name}'s ride has raised an SOS.${follow}`;
+
+  const results = [];
+  for (const contact of contacts) {
+    const result = await sendSms(contact.phone, message);
+    results.push({
+      name: contact.name,
+      phone: contact.phone,
+      status: result.status,
+      provider: result.provider,
+      error: result.error,
+      at: new Date()
+    });
+  }
+  return results;
+};
+
+// Raise an SOS on a ride for the rider or the driver on it.
+// options: { reporterRole, message, location: { lat, lng } from the reporter's phone, baseUrl for the share link }
+// An SOS raised again while one is still open returns the open incident instead of a duplicate.
+// The incident is recorded and admins alerted before anything else is attempted, so nothing
+// that fails later (the share link, texting contacts) can stop the alert itself.
+const raiseSos = async (ride, reporterId, options = {}) => {
+  if (!SOS_STATUSES.includes(ride.status)) {
+    throw safetyError(400, 'SOS can only be raised on an active ride');
+  }
+
+  const existing = await findActiveSos(ride._id);
+  if (existing) {
+    return { incident: existing, duplicate: true };
+  }
+
+  const location = await getLastKnownLocation(ride, options.location);
+
+  let incident;
+  try {
+    incident = await SafetyIncident.create({
+      rideId: ride._id,
+      reportedBy: reporterId,
+      reporterRole: options.reporterRole,
+      riderId: ride.userId,
+      driverId: ride.driverId || null,
+      rideStatus: ride.status,
+      message: options.message || '',
+      location: location || undefined
+    });
+  } catch (error) {
+    // Someone on the ride raised an SOS at the same moment; theirs is the incident
+    const raced = error.code === 11000 ? await findActiveSos(ride._id) : null;
+    if (!raced) {
+      throw error;
+    }
+    return { incident: raced, duplicate: true };
+  }
+
+  // Admins watching the live feed see it straight away
+  sendToAdmins('sos_alert', {
+    incidentId: incident._id,
+    rideId: ride._id,
+    reporterRole: options.reporterRole,
+    location,
+    createdAt: incident.createdAt
+  });
+
+  const where = location
+    ? `Last known location: ${location.lat.toFixed(5)}, ${location.lng.toFixed(5)}.`
+    : 'No location is available.';
+  await notifyAdmins(
+    'sos_alert',
+    'URGENT: SOS Raised',
+    `The ${options.reporterRole} on the ride from ${formatLocation(ride.pickupLocation)} to ${formatLocation(ride.destination)} raised an SOS. ${where}`,
+    { rideId: ride._id, incidentId: incident._id, priority: 'urgent', location }
+  );
+
+  // Contacts are still texted without a link if one cannot be made
+  let shareLink = null;
+  try {
+    shareLink = createShareLink(ride, options.baseUrl);
+    incident.shareLinkExpiresAt = shareLink.expiresAt;
+  } catch (error) {
+    console.error(`Error creating share link for SOS on ride ${ride._id}:`, error);
+  }
+
+  const rider = await User.findById(ride.userId).select('fullname emergencyContacts').lean();
+  if (rider) {
+    incident.contactsAlerted = await alertEmergencyContacts(rider, options.reporterRole, shareLink);
+  }
+  await incident.save();
+
+  return { incident, duplicate: false, shareLink };
+};
+
+module.exports = {
+  SOS_STATUSES,
+  getLastKnownLocation,
+  raiseSos
+};
@@ -0,0 +1,13 @@
+// services/smsSenders/logSmsSender.js
+// Development SMS sender: writes messages to the server log instead of sending them.
+// Select it explicitly with SMS_PROVIDER=log; nothing it handles reaches a phone.
+
+const send = async (to, message) => {
+  console.log(`[sms] to ${to}: ${message}`);
+  return { status: 'logged', reference: null };
+};
+
+module.exports = {
+  name: 'log',
+  send
+};
@@ -0,0 +1,66 @@
+// services/smsService.js
+// Text messages to phone numbers that may not belong to any user, e.g. emergency contacts.
+//
+// Senders are pluggable. A sender is an object with
+//   name                 - used to select it with the SMS_PROVIDER env variable
+//   send(to, message)    - resolves to { reference } once the provider has accepted the message.
+//                          A sender that does not deliver anything also returns a status
+//                          ('logged'), so nobody reads its results as texts that went out.
+//   assertConfigured()   - optional; throws if the sender's credentials are missing
+// Register one with registerSmsSender(). SMS_PROVIDER must name one: the server refuses to
+// start without it, so a deployment never silently logs emergency texts instead of sending them.
+
+const logSmsSender = require('./smsSenders/logSmsSender');
+
+const senders = {
+  [logSmsSender.name]: logSmsSender
+};
+
+const registerSmsSender = (sender) => {
+  if (!sender || !sender.name || typeof sender.send !== 'function') {
+    throw new Error('An SMS sender needs a name and a send(to, message) function');
+  }
+  senders[sender.name] = sender;
+};
+
+const getSmsSender = () => {
+  const name = process.env.SMS_PROVIDER;
+  if (!name) {
+    throw new Error('SMS_PROVIDER is not set');
+  }
+  const sender = senders[name];
+  if (!sender) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+  return sender;
+};
+
+// Check SMS_PROVIDER names a sender that is ready to send. Called once at startup.
+const assertSmsConfig = () => {
+  const sender = getSmsSender();
+  if (typeof sender.assertConfigured === 'function') {
+    sender.assertConfigured();
+  }
+};
+
+// Send a text message. Never throws: the result says whether it went out, so one failed
+// recipient does not stop the others.
+const sendSms = async (to, message) => {
+  let sender = null;
+  try {
+    sender = getSmsSender();
+    const { reference = null, status = 'sent' } = (await sender.send(to, message)) || {};
+    return { status, provider: sender.name, reference };
+  } catch (error) {
+    const provider = sender ? sender.name : process.env.SMS_PROVIDER || null;
+    console.error(`SMS provider ${provider} failed for ${to}:`, error);
+    return { status: 'failed', provider, error: error.message };
+  }
+};
+
+module.exports = {
+  registerSmsSender,
+  getSmsSender,
+  assertSmsConfig,
+  sendSms
+};
@@ -0,0 +1,104 @@
+// services/surgeService.js
+
+const Ride = require('../models/Ride');
+const DriverDetail = require('../models/AdminDriver');
+const Vehicle = require('../models/Vehicle');
+const { getOnlineDriverFilter } = require('./driverLocationService');
+const { EARTH_RADIUS_KM, getBoundingBox } = require('../utils/geo');
+
+// Ride statuses that count as unserved demand
+const DEMAND_STATUSES = ['pending', 'searching'];
+
+// Ride statuses during which a driver is not free to take another ride
+const BUSY_STATUSES = ['awaiting_driver_confirmation', 'accepted', 'arrived', 'picked_up', 'in_progress'];
+
+// Surge settings used when a pricing rule has none (e.g. the built-in defaults)
+const DEFAULT_SURGE = {
+  enabled: true,
+  maxMultiplier: 2,
+  step: 0.25,
+  radiusKm: 5,
+  demandWindowMinutes: 15
+};
+
+const NO_SURGE = { multiplier: 1, demand: 0, supply: 0 };
+
+// Count open requests for the ride type whose pickup is inside the zone
+const countDemand = async (rideType, pickup, settings) => {
+  const box = getBoundingBox(pickup, settings.radiusKm);
+  const since = new Date(Date.now() - settings.demandWindowMinutes * 60 * 1000);
+
+  return Ride.countDocuments({
+    status: { $in: DEMAND_STATUSES },
+    createdAt: { $gte: since },
+    rideType,
+    'pickupLocation.coordinates.lat': { $gte: box.minLat, $lte: box.maxLat },
+    'pickupLocation.coordinates.lng': { $gte: box.minLng, $lte: box.maxLng }
+  });
+};
+
+// Count online drivers in the zone with a matching, usable vehicle who are not on a ride
+const countSupply = async (rideType, pickup, settings) => {
+  const [vehicleIds, busyDriverIds] = await Promise.all([
+    Vehicle.find({
+      vehicleType: rideType,
+      status: { $nin: ['maintenance', 'inactive'] }
+    }).distinct('_id'),
+    Ride.distinct('driverId', {
+      status: { $in: BUSY_STATUSES },
+      driverId: { $ne: null }
+    })
+  ]);
+
+  return DriverDetail.countDocuments({
+    ...getOnlineDriverFilter(),
+    vehicleId: { $in: vehicleIds },
+    _id: { $nin: busyDriverIds },
+    currentLocation: {
+      $geoWithin: {
+        $centerSphere: [[pickup.lng, pickup.lat], settings.radiusKm / EARTH_RADIUS_KM]
+      }
+    }
+  });
+};
+
+// Turn demand and supply into a multiplier between 1 and the admin-set cap
+const toMultiplier = (demand, supply, settings) => {
+  if (demand <= supply) {
+    return 1;
+  }
+
+  const excessPerDriver = (demand - supply) / Math.max(supply, 1);
+  const raw = 1 + excessPerDriver * settings.step;
+  const rounded = Math.round(raw * 10) / 10;
+
+  return Math.min(Math.max(rounded, 1), settings.maxMultiplier);
+};
+
+// Calculate the surge multiplier for a pickup point using a pricing rule's surge settings
+const calculateSurge = async (rideType, pickup, surgeSettings) => {
+  const settings = { ...DEFAULT_SURGE, ...(surgeSettings || {}) };
+
+  if (!settings.enabled) {
+    return { ...NO_SURGE, radiusKm: settings.radiusKm, calculatedAt: new Date() };
+  }
+
+  const [demand, supply] = await Promise.all([
+    countDemand(rideType, pickup, settings),
+    countSupply(rideType, pickup, settings)
+  ]);
+
+  return {
+    multiplier: toMultiplier(demand, supply, settings),
+    demand,
+    supply,
+    radiusKm: settings.radiusKm,
+    calculatedAt: new Date()
+  };
+};
+
+module.exports = {
+  DEFAULT_SURGE,
+  BUSY_STATUSES,
+  calculateSurge
+};
@@ -0,0 +1,126 @@
+// services/tripFareService.js
+// Final fares. A ride is quoted from the straight-line route; when it is completed the fare is
+// recomputed from what the trip actually took: the distance driven with the rider on board, the
+// time from pickup to drop-off, and any waiting at the pickup beyond the free waiting time.
+
+const PromoRedemption = require('../models/PromoRedemption');
+const { getPricingRuleForRide, calculateTripFare, calculateWaitingCharge } = require('./fareService');
+const { transitionRide } = require('./rideStateMachine');
+
+const MINUTE_MS = 60 * 1000;
+
+// Billed trip time is capped at this multiple of the estimated duration, so a ride left open
+// after drop-off does not keep charging the rider by the minute
+const MAX_DURATION_MULTIPLIER = parseFloat(process.env.RIDE_MAX_DURATION_MULTIPLIER) || 3;
+
+const minutesBetween = (from, to) => Math.max(0, (new Date(to).getTime() - new Date(from).getTime()) / MINUTE_MS);
+
+// Minutes the driver waited at the pickup: from arriving until the rider got in (or until now)
+const getWaitingMinutes = (ride, now = new Date()) => {
+  if (!ride.arrivedAt) {
+    return 0;
+  }
+  return minutesBetween(ride.arrivedAt, ride.pickedUpAt || now);
+};
+
+// Minutes from pickup to the trip's end, capped relative to the estimate
+const getTripDuration = (ride, end) => {
+  if (!ride.pickedUpAt) {
+    return ride.estimatedDuration;
+  }
+
+  const minutes = Math.round(minutesBetween(ride.pickedUpAt, end));
+  if (!(ride.estimatedDuration > 0)) {
+    return minutes;
+  }
+  return Math.min(minutes, Math.ceil(ride.estimatedDuration * MAX_DURATION_MULTIPLIER));
+};
+
+// What the trip took, falling back to the estimate for anything that was not tracked
+// (no location pings, or a ride completed by an admin before pickup was recorded).
+// now is when the ride is marked completed.
+const getTripActuals = (ride, now = new Date()) => ({
+  distance: ride.trackedDistance > 0 ? ride.trackedDistance : ride.distance,
+  duration: getTripDuration(ride, now),
+  waitingMinutes: Math.round(getWaitingMinutes(ride, now) * 10) / 10
+});
+
+// Fields to store on a ride completed now. Shared rides keep their quoted fare, since their route
+// includes other riders' detours, and only add their own waiting charge.
+const getFinalFareFields = async (ride, now = new Date()) => {
+  const rule = await getPricingRuleForRide(ride);
+  const actual = getTripActuals(ride, now);
+  const estimatedFare = ride.estimatedFare !== null && ride.estimatedFare !== undefined
+    ? ride.estimatedFare
+    : ride.totalFare;
+
+  let fareBeforeDiscount;
+  let fareFields = {};
+  let waitingCharge;
+
+  if (ride.pool && ride.pool.poolId) {
+    waitingCharge = calculateWaitingCharge(actual.waitingMinutes, rule);
+    fareBeforeDiscount = estimatedFare + ride.discount + waitingCharge;
+  } else {
+    const fare = calculateTripFare(ride, rule, actual);
+    waitingCharge = fare.waitingCharge;
+    fareFields = {
+      distanceFare: fare.distanceFare,
+      timeFare: fare.timeFare,
+      minimumFareAdjustment: fare.minimumFareAdjustment,
+      serviceFee: fare.serviceFee
+    };
+
+    // A ride booked as shared that ended up riding alone keeps the rider's pool discount
+    const poolDiscountPercent = ride.pool && ride.pool.requested ? ride.pool.discountPercent || 0 : 0;
+    const poolDiscount = Math.round(fare.totalFare * (poolDiscountPercent / 100));
+    if (poolDiscount > 0) {
+      fareFields['pool.discount'] = poolDiscount;
+    }
+    fareBeforeDiscount = fare.totalFare - poolDiscount;
+  }
+
+  // A promo can take off at most the whole fare
+  const discount = Math.min(ride.discount || 0, fareBeforeDiscount);
+
+  return {
+    ...fareFields,
+    estimatedFare,
+    actualDistance: parseFloat(actual.distance.toFixed(2)),
+    actualDuration: actual.duration,
+    waitingMinutes: actual.waitingMinutes,
+    waitingCharge,
+    discount,
+    totalFare: fareBeforeDiscount - discount
+  };
+};
+
+// Complete a ride and charge the recomputed fare.
+// options: { reason, conditions } as for transitionRide. Returns the ride, or null if it changed meanwhile.
+const completeRide = async (ride, actor, actorId = null, options = {}) => {
+  // The fare is worked out to the same instant the ride is stamped completed
+  const now = new Date();
+  const finalFare = await getFinalFareFields(ride, now);
+
+  const completed = await transitionRide(ride, 'completed', {
+    actor,
+    actorId,
+    at: now,
+    reason: options.reason,
+    conditions: options.conditions,
+    update: finalFare
+  });
+
+  if (completed && completed.promoId && finalFare.discount !== ride.discount) {
+    await PromoRedemption.updateOne({ rideId: completed._id }, { discountAmount: finalFare.discount });
+  }
+
+  return completed;
+};
+
+module.exports = {
+  getWaitingMinutes,
+  getTripActuals,
+  getFinalFareFields,
+  completeRide
+};
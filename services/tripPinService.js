@@ -0,0 +1,127 @@
+// services/tripPinService.js
+// Trip PINs stop riders getting into the wrong car. A PIN is issued when a driver accepts a ride
+// and shown only to the rider; the driver must enter it before starting the trip. Wrong PINs are
+// logged on the ride, and once too many have been tried the ride is locked for an admin to check.
+
+const crypto = require('crypto');
+const Ride = require('../models/Ride');
+const { notifyAdmins } = require('./notificationService');
+
+const PIN_LENGTH = 4;
+
+// Wrong PINs a driver may enter before the ride is locked
+const MAX_PIN_ATTEMPTS = parseInt(process.env.TRIP_PIN_MAX_ATTEMPTS) || 5;
+
+// Driver-triggered statuses that need the rider's PIN
+const PIN_REQUIRED_STATUSES = ['picked_up', 'in_progress'];
+
+const pinError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const generatePin = () => String(crypto.randomInt(0, 10 ** PIN_LENGTH)).padStart(PIN_LENGTH, '0');
+
+// Fields that give a ride a fresh PIN
+const getNewPinFields = () => ({
+  'tripPin.code': generatePin(),
+  'tripPin.issuedAt': new Date(),
+  'tripPin.verifiedAt': null,
+  'tripPin.lockedAt': null,
+  'tripPin.failedCount': 0,
+  'tripPin.failedAttempts': []
+});
+
+// The ride's PIN, for showing to the rider
+const getTripPin = async (rideId) => {
+  const ride = await Ride.findById(rideId).select('+tripPin.code').lean();
+  return ride && ride.tripPin ? ride.tripPin.code : null;
+};
+
+const isSamePin = (expected, given) => {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(given || '').trim());
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Check the PIN a driver entered for a ride. Passes if it matches or was already verified; rides
+// accepted before PINs existed have none and pass too. Throws 400 for a wrong PIN and 423 once
+// the ride is locked.
+const verifyTripPin = async (rideId, pin, actorId = null) => {
+  const ride = await Ride.findById(rideId).select('+tripPin.code').lean();
+  if (!ride) {
+    throw pinError(404, 'Ride not found');
+  }
+
+  const tripPin = ride.tripPin || {};
+  if (tripPin.verifiedAt || !tripPin.code) {
+    return;
+  }
+  if (tripPin.lockedAt) {
+    throw pinError(423, 'Too many wrong PINs. This ride is locked until an admin reviews it');
+  }
+  if (!pin) {
+    throw pinError(400, "Enter the rider's trip PIN to start the ride");
+  }
+
+  if (isSamePin(tripPin.code, pin)) {
+    await Ride.updateOne({ _id: ride._id, 'tripPin.verifiedAt': null }, { 'tripPin.verifiedAt': new Date() });
+    return;
+  }
+
+  // Only count the attempt while the ride is still under the limit, so parallel guesses cannot exceed it
+  const updated = await Ride.findOneAndUpdate(
+    {
+      _id: ride._id,
+      'tripPin.lockedAt': null,
+      'tripPin.failedCount': { $not: { $gte: MAX_PIN_ATTEMPTS } }
+    },
+    {
+      $inc: { 'tripPin.failedCount': 1 },
+      $push: { 'tripPin.failedAttempts': { actorId, at: new Date() } }
+    },
+    { new: true, projection: { tripPin: 1 } }
+  );
+
+  const attempts = updated ? updated.tripPin.failedCount : MAX_PIN_ATTEMPTS;
+  console.warn(`Wrong trip PIN for ride ${ride._id} (attempt ${attempts} of ${MAX_PIN_ATTEMPTS})`);
+
+  if (attempts < MAX_PIN_ATTEMPTS) {
+    const left = MAX_PIN_ATTEMPTS - attempts;
+    throw pinError(400, `Incorrect PIN. ${left} attempt${left === 1 ? '' : 's'} left`);
+  }
+
+  const locked = await Ride.findOneAndUpdate(
+    { _id: ride._id, 'tripPin.lockedAt': null },
+    { 'tripPin.lockedAt': new Date() }
+  );
+  if (locked) {
+    await notifyAdmins(
+      'ride_update',
+      'Trip PIN Locked',
+      `A driver entered the wrong trip PIN ${MAX_PIN_ATTEMPTS} times for the ride from ${locked.pickupLocation.address}. Please check with the rider and driver.`,
+      { rideId: ride._id }
+    );
+  }
+
+  throw pinError(423, 'Too many wrong PINs. This ride is locked until an admin reviews it');
+};
+
+// Admin unlocks a ride so the driver can try again. The log of wrong attempts is kept.
+const unlockTripPin = async (rideId) => {
+  return Ride.findOneAndUpdate(
+    { _id: rideId, 'tripPin.lockedAt': { $ne: null } },
+    { 'tripPin.lockedAt': null, 'tripPin.failedCount': 0 },
+    { new: true }
+  );
+};
+
+module.exports = {
+  MAX_PIN_ATTEMPTS,
+  PIN_REQUIRED_STATUSES,
+  getNewPinFields,
+  getTripPin,
+  verifyTripPin,
+  unlockTripPin
+};
@@ -0,0 +1,346 @@
+// services/walletService.js
+// Rider wallets. The balance lives on the Wallet and every change to it is written to the
+// WalletTransaction ledger with the balance it left, so a statement always adds up.
+//
+// Rides paid by wallet are charged when they complete, and a cancellation fee when the ride is
+// cancelled. If the balance is too low the ride is left unpaid and the rider is asked to top up.
+
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+const Ride = require('../models/Ride');
+const CharterOrder = require('../models/charter/CharterOrder');
+const { createNotification } = require('./notificationService');
+const { onRideStatusChange } = require('./rideStateMachine');
+const { recordCancellationEarning, markEarningCollected } = require('./earningsService');
+
+const walletError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Ledger entries that pay for a ride or charter order
+const WALLET_PAYMENT_TYPES = ['ride_charge', 'charter_deposit', 'cancellation_fee'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// The user's wallet, opened with a zero balance the first time it is needed
+const getWallet = (userId) => Wallet.findOneAndUpdate(
+  { userId },
+  { $setOnInsert: { userId } },
+  { upsert: true, new: true }
+);
+
+const getBalance = async (userId) => {
+  const wallet = await Wallet.findOne({ userId }).lean();
+  return wallet ? wallet.balance : 0;
+};
+
+// Move money in (positive amount) or out (negative) of a wallet and record it in the ledger.
+// options: { type, description, idempotencyKey, rideId, charterOrderId, paymentId, createdBy,
+// reason, allowNegative }. A debit fails with 400 when the balance cannot cover it, unless
+// allowNegative is set. With an idempotencyKey the same entry is only ever made once; repeating
+// it returns the first one.
+// Returns { transaction, wallet, duplicate }.
+const postTransaction = async (userId, amount, options = {}) => {
+  const { idempotencyKey, allowNegative = false, ...fields } = options;
+  const value = roundAmount(Number(amount));
+
+  if (!Number.isFinite(value) || value === 0) {
+    throw walletError(400, 'Amount must be a non-zero number');
+  }
+
+  if (idempotencyKey) {
+    const existing = await WalletTransaction.findOne({ idempotencyKey });
+    if (existing) {
+      return { transaction: existing, wallet: await getWallet(userId), duplicate: true };
+    }
+  }
+
+  await getWallet(userId);
+
+  const conditions = { userId };
+  if (value < 0 && !allowNegative) {
+    conditions.balance = { $gte: -value };
+  }
+
+  const wallet = await Wallet.findOneAndUpdate(conditions, { $inc: { balance: value } }, { new: true });
+  if (!wallet) {
+    throw walletError(400, 'Insufficient wallet balance');
+  }
+
+  try {
+    const transaction = await WalletTransaction.create({
+      ...fields,
+      userId,
+      amount: value,
+      balanceAfter: wallet.balance,
+      idempotencyKey
+    });
+    return { transaction, wallet, duplicate: false };
+  } catch (error) {
+    // Put the balance back; a duplicate key means a racing request already made this entry
+    const restored = await Wallet.findOneAndUpdate({ userId }, { $inc: { balance: -value } }, { new: true });
+    if (error.code === 11000 && idempotencyKey) {
+      const existing = await WalletTransaction.findOne({ idempotencyKey });
+      return { transaction: existing, wallet: restored, duplicate: true };
+    }
+    throw error;
+  }
+};
+
+const creditWallet = async (userId, amount, options = {}) => {
+  if (!(amount > 0)) {
+    throw walletError(400, 'Credit amount must be greater than 0');
+  }
+  return postTransaction(userId, amount, options);
+};
+
+const debitWallet = async (userId, amount, options = {}) => {
+  if (!(amount > 0)) {
+    throw walletError(400, 'Debit amount must be greater than 0');
+  }
+  return postTransaction(userId, -amount, options);
+};
+
+// A page of the user's ledger, newest first
+const getStatement = async (userId, { limit = 50, skip = 0 } = {}) => {
+  const [transactions, total, balance] = await Promise.all([
+    WalletTransaction.find({ userId })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    WalletTransaction.countDocuments({ userId }),
+    getBalance(userId)
+  ]);
+
+  return { balance, transactions, total };
+};
+
+// Charge a completed wallet ride its final fare. A ride with nothing to pay is marked paid.
+const chargeRide = async (ride) => {
+  if (ride.paymentStatus === 'completed') {
+    return ride;
+  }
+
+  if (ride.totalFare > 0) {
+    await debitWallet(ride.userId, ride.totalFare, {
+      type: 'ride_charge',
+      description: 'Ride fare',
+      idempotencyKey: `ride_charge:${ride._id}`,
+      rideId: ride._id
+    });
+  }
+
+  const paid = await Ride.findOneAndUpdate(
+    { _id: ride._id, paymentStatus: { $nin: ['completed', 'refunded'] } },
+    { paymentStatus: 'completed' },
+    { new: true }
+  );
+
+  if (paid) {
+    await markEarningCollected({ rideId: paid._id }, paid.paymentMethod);
+  }
+  return paid;
+};
+
+// Charge a pending cancellation fee
+const chargeCancellationFee = async (ride) => {
+  await debitWallet(ride.userId, ride.cancellation.fee, {
+    type: 'cancellation_fee',
+    description: 'Cancellation fee',
+    idempotencyKey: `cancellation_fee:${ride._id}`,
+    rideId: ride._id
+  });
+
+  const charged = await Ride.findOneAndUpdate(
+    { _id: ride._id, 'cancellation.feeStatus': 'pending' },
+    { 'cancellation.feeStatus': 'charged', paymentStatus: 'completed' },
+    { new: true }
+  );
+
+  if (charged) {
+    await recordCancellationEarning(charged);
+  }
+  return charged;
+};
+
+// Pay what is owed on a ride from the wallet: the fare of a completed wallet ride, or a pending
+// cancellation fee on any ride
+const payRideFromWallet = async (ride) => {
+  if (ride.status === 'cancelled' && ride.cancellation && ride.cancellation.feeStatus === 'pending') {
+    return chargeCancellationFee(ride);
+  }
+
+  if (ride.status === 'completed' && ride.paymentMethod === 'wallet' &&
+      !['completed', 'refunded'].includes(ride.paymentStatus)) {
+    return chargeRide(ride);
+  }
+
+  throw walletError(400, ride.paymentStatus === 'completed'
+    ? 'This ride has already been paid for'
+    : 'There is nothing to pay on this ride');
+};
+
+// Pay a charter order from the wallet. The order is claimed as paid before any money moves, so
+// two requests racing (or a wallet and an online payment) cannot both take it; if the wallet
+// cannot cover the amount the claim is undone. The debit is keyed to the accepted quote
+// revision, so the same revision is never charged twice.
+const payCharterFromWallet = async (order, amount) => {
+  const paid = await CharterOrder.findOneAndUpdate(
+    { _id: order._id, paymentStatus: { $nin: ['completed', 'refunded'] } },
+    { paymentMethod: 'wallet', paymentStatus: 'completed' },
+    { new: true }
+  );
+
+  if (!paid) {
+    throw walletError(400, 'This charter order has already been paid for');
+  }
+
+  const accepted = (order.quotes || []).filter(quote => quote.status === 'accepted').pop();
+  try {
+    await debitWallet(order.userId, amount, {
+      type: 'charter_deposit',
+      description: 'Charter order payment',
+      idempotencyKey: `charter_deposit:${order._id}:${accepted ? accepted.revision : 0}`,
+      charterOrderId: order._id
+    });
+  } catch (error) {
+    await CharterOrder.updateOne(
+      { _id: order._id, paymentMethod: 'wallet', paymentStatus: 'completed' },
+      { paymentMethod: order.paymentMethod, paymentStatus: order.paymentStatus }
+    );
+    throw error;
+  }
+
+  await markEarningCollected({ charterOrderId: paid._id }, paid.paymentMethod);
+  return paid;
+};
+
+// How much of a ride or charter order was paid from the wallet and not yet given back
+const getRefundableAmount = async ({ rideId = null, charterOrderId = null }) => {
+  const transactions = await WalletTransaction.find(rideId ? { rideId } : { charterOrderId })
+    .select('type amount')
+    .lean();
+
+  // Payments are negative entries and refunds positive, so what is left is minus their sum
+  const refundable = transactions
+    .filter(transaction => [...WALLET_PAYMENT_TYPES, 'refund'].includes(transaction.type))
+    .reduce((sum, transaction) => sum - transaction.amount, 0);
+
+  return roundAmount(Math.max(refundable, 0));
+};
+
+// Admin entry in a user's wallet. type is adjustment (amount may be negative), refund or
+// promo_credit. A refund against a ride or charter order cannot exceed what the wallet paid for
+// it, and refunding all of it marks the ride or order refunded.
+const adjustWallet = async (userId, adminId, { type, amount, reason, rideId = null, charterOrderId = null }) => {
+  if (!['adjustment', 'refund', 'promo_credit'].includes(type)) {
+    throw walletError(400, 'Type must be adjustment, refund or promo_credit');
+  }
+
+  if (!reason || !String(reason).trim()) {
+    throw walletError(400, 'A reason is required');
+  }
+
+  const value = roundAmount(Number(amount));
+  if (!Number.isFinite(value) || value === 0 || (type !== 'adjustment' && value < 0)) {
+    throw walletError(400, type === 'adjustment'
+      ? 'Amount must be a non-zero number'
+      : 'Amount must be greater than 0');
+  }
+
+  let fullRefund = false;
+  if (type === 'refund' && (rideId || charterOrderId)) {
+    const Model = rideId ? Ride : CharterOrder;
+    const target = await Model.findOne({ _id: rideId || charterOrderId, userId }).select('_id').lean();
+    if (!target) {
+      throw walletError(404, rideId ? 'Ride not found for this user' : 'Charter order not found for this user');
+    }
+
+    const refundable = await getRefundableAmount({ rideId, charterOrderId });
+    if (value > refundable) {
+      throw walletError(400, `At most ${refundable} can be refunded to the wallet for this ${rideId ? 'ride' : 'charter order'}`);
+    }
+    fullRefund = value === refundable;
+  }
+
+  const descriptions = {
+    adjustment: 'Adjustment by support',
+    refund: 'Refund',
+    promo_credit: 'Promotional credit'
+  };
+
+  const result = await postTransaction(userId, value, {
+    type,
+    description: descriptions[type],
+    rideId,
+    charterOrderId,
+    createdBy: adminId,
+    reason: String(reason).trim(),
+    allowNegative: true
+  });
+
+  if (fullRefund) {
+    const Model = rideId ? Ride : CharterOrder;
+    await Model.updateOne({ _id: rideId || charterOrderId }, { paymentStatus: 'refunded' });
+  }
+
+  await createNotification(
+    userId,
+    'payment_update',
+    value > 0 ? 'Wallet Credited' : 'Wallet Debited',
+    `${descriptions[type]}: ₦${Math.abs(value)} ${value > 0 ? 'added to' : 'taken from'} your wallet. Balance: ₦${result.wallet.balance}.`,
+    { rideId, orderId: charterOrderId, walletTransactionId: result.transaction._id }
+  ).catch(() => null);
+
+  return result;
+};
+
+// Wallet rides are charged on completion, and their cancellation fees on cancellation
+const handleRideStatusChange = async (ride) => {
+  if (ride.paymentMethod !== 'wallet') {
+    return;
+  }
+
+  const feePending = ride.status === 'cancelled' && ride.cancellation && ride.cancellation.feeStatus === 'pending';
+  if (ride.status !== 'completed' && !feePending) {
+    return;
+  }
+
+  try {
+    await payRideFromWallet(ride);
+  } catch (error) {
+    if (error.status !== 400) {
+      throw error;
+    }
+
+    if (ride.status === 'completed') {
+      await Ride.updateOne({ _id: ride._id, paymentStatus: 'pending' }, { paymentStatus: 'failed' });
+    }
+
+    const owed = ride.status === 'completed' ? ride.totalFare : ride.cancellation.fee;
+    await createNotification(
+      ride.userId,
+      'payment_update',
+      'Wallet Payment Failed',
+      `Your wallet balance was too low to pay ₦${owed} for your ${ride.status === 'completed' ? 'ride' : 'cancellation fee'}. Please top up and pay from your wallet, or pay online.`,
+      { rideId: ride._id }
+    );
+  }
+};
+
+onRideStatusChange(handleRideStatusChange);
+
+module.exports = {
+  getWallet,
+  getBalance,
+  creditWallet,
+  debitWallet,
+  getStatement,
+  payRideFromWallet,
+  payCharterFromWallet,
+  getRefundableAmount,
+  adjustWallet
+};
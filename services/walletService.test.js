@@ -0,0 +1,135 @@
+// services/walletService.test.js
+const { describe, it, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+const DriverEarning = require('../models/DriverEarning');
+const CharterOrder = require('../models/charter/CharterOrder');
+const { creditWallet, debitWallet, payCharterFromWallet } = require('./walletService');
+
+mongoose.set('bufferCommands', false);
+
+const userId = new mongoose.Types.ObjectId();
+
+// In-memory wallets and ledger, with the ledger's unique idempotency key
+let wallets;
+let ledger;
+
+const balanceOf = (id) => wallets.get(String(id)).balance;
+
+beforeEach(() => {
+  wallets = new Map();
+  ledger = [];
+
+  mock.method(Wallet, 'findOneAndUpdate', async (conditions, update) => {
+    let wallet = wallets.get(String(conditions.userId));
+    if (!wallet) {
+      if (!update.$setOnInsert) return null;
+      wallet = { userId: conditions.userId, balance: 0 };
+      wallets.set(String(conditions.userId), wallet);
+    }
+    if (conditions.balance && wallet.balance < conditions.balance.$gte) return null;
+    if (update.$inc) wallet.balance += update.$inc.balance;
+    return { ...wallet };
+  });
+
+  mock.method(WalletTransaction, 'findOne', async ({ idempotencyKey }) =>
+    ledger.find(entry => entry.idempotencyKey === idempotencyKey) || null);
+
+  mock.method(WalletTransaction, 'create', async (entry) => {
+    if (entry.idempotencyKey && ledger.some(existing => existing.idempotencyKey === entry.idempotencyKey)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    ledger.push(entry);
+    return entry;
+  });
+
+  mock.method(DriverEarning, 'updateMany', async () => ({ modifiedCount: 0 }));
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('wallet ledger', () => {
+  it('makes an entry with an idempotency key only once', async () => {
+    await creditWallet(userId, 1000, { type: 'top_up', idempotencyKey: 'top_up:PAY-1' });
+
+    const first = await debitWallet(userId, 300, { type: 'ride_charge', idempotencyKey: 'ride_charge:r1' });
+    const again = await debitWallet(userId, 300, { type: 'ride_charge', idempotencyKey: 'ride_charge:r1' });
+
+    assert.equal(first.duplicate, false);
+    assert.equal(again.duplicate, true);
+    assert.equal(balanceOf(userId), 700);
+    assert.equal(ledger.filter(entry => entry.idempotencyKey === 'ride_charge:r1').length, 1);
+  });
+
+  it('takes the money once when the same debit races itself', async () => {
+    await creditWallet(userId, 1000, { type: 'top_up' });
+
+    const results = await Promise.all([
+      debitWallet(userId, 400, { type: 'ride_charge', idempotencyKey: 'ride_charge:r2' }),
+      debitWallet(userId, 400, { type: 'ride_charge', idempotencyKey: 'ride_charge:r2' })
+    ]);
+
+    assert.deepEqual(results.map(result => result.duplicate).sort(), [false, true]);
+    assert.equal(balanceOf(userId), 600);
+    assert.equal(ledger.at(-1).balanceAfter, 600);
+  });
+
+  it('refuses a debit the balance cannot cover', async () => {
+    await creditWallet(userId, 100, { type: 'top_up' });
+
+    await assert.rejects(debitWallet(userId, 150, { type: 'ride_charge' }), { status: 400 });
+    assert.equal(balanceOf(userId), 100);
+    assert.equal(ledger.length, 1);
+  });
+});
+
+describe('payCharterFromWallet', () => {
+  const orderId = new mongoose.Types.ObjectId();
+  const order = {
+    _id: orderId,
+    userId,
+    paymentMethod: 'cash',
+    paymentStatus: 'pending',
+    quotes: [{ revision: 1, status: 'superseded' }, { revision: 2, status: 'accepted' }]
+  };
+
+  it('charges the accepted quote revision once', async () => {
+    await creditWallet(userId, 100000, { type: 'top_up' });
+    let paid = false;
+    mock.method(CharterOrder, 'findOneAndUpdate', async () => {
+      if (paid) return null;
+      paid = true;
+      return { ...order, paymentMethod: 'wallet', paymentStatus: 'completed' };
+    });
+
+    await payCharterFromWallet(order, 45000);
+    await assert.rejects(payCharterFromWallet(order, 45000), { status: 400 });
+
+    assert.equal(balanceOf(userId), 55000);
+    assert.deepEqual(ledger.filter(entry => entry.type === 'charter_deposit').map(entry => entry.idempotencyKey),
+      [`charter_deposit:${orderId}:2`]);
+  });
+
+  it('does not touch the wallet when the order is already paid', async () => {
+    await creditWallet(userId, 100000, { type: 'top_up' });
+    mock.method(CharterOrder, 'findOneAndUpdate', async () => null);
+
+    await assert.rejects(payCharterFromWallet(order, 45000), { status: 400 });
+    assert.equal(balanceOf(userId), 100000);
+  });
+
+  it('gives the order back its payment status when the wallet cannot cover it', async () => {
+    await creditWallet(userId, 1000, { type: 'top_up' });
+    mock.method(CharterOrder, 'findOneAndUpdate', async () => ({ ...order, paymentMethod: 'wallet', paymentStatus: 'completed' }));
+    const updateOne = mock.method(CharterOrder, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    await assert.rejects(payCharterFromWallet(order, 45000), { status: 400 });
+
+    const [filter, update] = updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: orderId, paymentMethod: 'wallet', paymentStatus: 'completed' });
+    assert.deepEqual(update, { paymentMethod: 'cash', paymentStatus: 'pending' });
+    assert.equal(balanceOf(userId), 1000);
+  });
+});
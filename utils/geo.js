@@ -0,0 +1,61 @@
+// utils/geo.js
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance between two points in kilometres (haversine)
+const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+    Math.sin(dLon/2) * Math.sin(dLon/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return EARTH_RADIUS_KM * c;
+};
+
+// Parse a latitude/longitude pair, returning null if either value is not a valid coordinate
+const parseCoordinates = (lat, lng) => {
+  const parsedLat = parseFloat(lat);
+  const parsedLng = parseFloat(lng);
+
+  if (!Number.isFinite(parsedLat) || !Number.isFinite(parsedLng)) return null;
+  if (parsedLat < -90 || parsedLat > 90 || parsedLng < -180 || parsedLng > 180) return null;
+
+  return { lat: parsedLat, lng: parsedLng };
+};
+
+// Latitude/longitude box that contains every point within radiusKm of center
+const getBoundingBox = (center, radiusKm) => {
+  const latDelta = (radiusKm / EARTH_RADIUS_KM) * (180 / Math.PI);
+  const lngDelta = latDelta / Math.max(Math.cos(toRadians(center.lat)), 0.01);
+
+  return {
+    minLat: center.lat - latDelta,
+    maxLat: center.lat + latDelta,
+    minLng: center.lng - lngDelta,
+    maxLng: center.lng + lngDelta
+  };
+};
+
+// Two coordinates are treated as the same point if they agree to ~10cm
+const isSamePoint = (a, b) =>
+  Math.abs(a.lat - b.lat) < 1e-6 && Math.abs(a.lng - b.lng) < 1e-6;
+
+// Readable label for a stored location, which may be a plain address string on older records
+const formatLocation = (location) => {
+  if (!location) return '';
+  if (typeof location === 'string') return location;
+  return location.placeName || location.address || '';
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  calculateDistance,
+  parseCoordinates,
+  getBoundingBox,
+  isSamePoint,
+  formatLocation
+};